@@ -3,6 +3,7 @@ import * as protoLoader from '@grpc/proto-loader';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import readline from 'readline';
+import { decodeErrorDetails } from '../src/grpc-errors.js';
 
 // Get directory name
 const __filename = fileURLToPath(import.meta.url);
@@ -39,6 +40,15 @@ const rl = readline.createInterface({
 let currentUser = null;
 let authToken = null;
 
+// Build call metadata carrying the auth token
+const authMetadata = () => {
+  const metadata = new grpc.Metadata();
+  if (authToken) {
+    metadata.add('authorization', `Bearer ${authToken}`);
+  }
+  return metadata;
+};
+
 // Helper function to prompt user
 const prompt = (question) => {
   return new Promise((resolve) => {
@@ -69,6 +79,7 @@ const displayMenu = () => {
   console.log('13. Get User');
   console.log('14. Update User');
   console.log('15. Delete User');
+  console.log('16. Search Notes');
   console.log('0. Exit');
   return prompt('\nSelect an option: ');
 };
@@ -120,7 +131,7 @@ const logout = async () => {
   }
 
   return new Promise((resolve, reject) => {
-    authClient.logout({ token: authToken }, (err, response) => {
+    authClient.logout({ token: authToken }, authMetadata(), (err, response) => {
       if (err) {
         reject(err);
         return;
@@ -143,13 +154,16 @@ const getNotes = async () => {
   const archivedInput = await prompt('Show archived notes? (y/n): ');
   const archived = archivedInput.toLowerCase() === 'y';
   const tagId = await prompt('Filter by tag ID (leave empty for all): ');
+  const orderBy = await prompt('Order by (e.g. "updatedAt desc", leave empty for manual order): ');
+  const pageToken = await prompt('Page token (leave empty for the first page): ');
 
   return new Promise((resolve, reject) => {
     noteClient.getNotes({
-      userId: currentUser.id,
       archived,
-      tagId: tagId || undefined
-    }, (err, response) => {
+      tagId: tagId || undefined,
+      orderBy,
+      pageToken
+    }, authMetadata(), (err, response) => {
       if (err) {
         reject(err);
         return;
@@ -169,9 +183,8 @@ const getNote = async () => {
 
   return new Promise((resolve, reject) => {
     noteClient.getNote({
-      id,
-      userId: currentUser.id
-    }, (err, response) => {
+      id
+    }, authMetadata(), (err, response) => {
       if (err) {
         reject(err);
         return;
@@ -198,9 +211,8 @@ const createNote = async () => {
       title,
       content,
       tagIds,
-      userId: currentUser.id,
       color: color || '#ffffff'
-    }, (err, response) => {
+    }, authMetadata(), (err, response) => {
       if (err) {
         reject(err);
         return;
@@ -225,16 +237,19 @@ const updateNote = async () => {
   const archived = archivedInput ? archivedInput.toLowerCase() === 'y' : undefined;
   const color = await prompt('New color (hex, leave empty to keep current): ');
 
+  // Only the answered fields go in the update mask, so e.g. unarchiving
+  // (archived: false) isn't mistaken for "keep current"
+  const changes = {
+    title: title || undefined,
+    content: content || undefined,
+    tagIds,
+    archived,
+    color: color || undefined
+  };
+  const paths = Object.keys(changes).filter(field => changes[field] !== undefined);
+
   return new Promise((resolve, reject) => {
-    noteClient.updateNote({
-      id,
-      title: title || undefined,
-      content: content || undefined,
-      tagIds,
-      userId: currentUser.id,
-      archived,
-      color: color || undefined
-    }, (err, response) => {
+    noteClient.updateNote({ id, ...changes, updateMask: { paths } }, authMetadata(), (err, response) => {
       if (err) {
         reject(err);
         return;
@@ -254,9 +269,27 @@ const deleteNote = async () => {
 
   return new Promise((resolve, reject) => {
     noteClient.deleteNote({
-      id,
-      userId: currentUser.id
-    }, (err, response) => {
+      id
+    }, authMetadata(), (err, response) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(response);
+    });
+  });
+};
+
+// Search notes
+const searchNotes = async () => {
+  if (!currentUser) {
+    return { success: false, message: 'Not logged in' };
+  }
+
+  const query = await prompt('Search for: ');
+
+  return new Promise((resolve, reject) => {
+    noteClient.searchNotes({ query }, authMetadata(), (err, response) => {
       if (err) {
         reject(err);
         return;
@@ -273,9 +306,7 @@ const getTags = async () => {
   }
 
   return new Promise((resolve, reject) => {
-    tagClient.getTags({
-      userId: currentUser.id
-    }, (err, response) => {
+    tagClient.getTags({}, authMetadata(), (err, response) => {
       if (err) {
         reject(err);
         return;
@@ -295,9 +326,8 @@ const createTag = async () => {
 
   return new Promise((resolve, reject) => {
     tagClient.createTag({
-      name,
-      userId: currentUser.id
-    }, (err, response) => {
+      name
+    }, authMetadata(), (err, response) => {
       if (err) {
         reject(err);
         return;
@@ -319,9 +349,8 @@ const updateTag = async () => {
   return new Promise((resolve, reject) => {
     tagClient.updateTag({
       id,
-      name,
-      userId: currentUser.id
-    }, (err, response) => {
+      name
+    }, authMetadata(), (err, response) => {
       if (err) {
         reject(err);
         return;
@@ -341,9 +370,8 @@ const deleteTag = async () => {
 
   return new Promise((resolve, reject) => {
     tagClient.deleteTag({
-      id,
-      userId: currentUser.id
-    }, (err, response) => {
+      id
+    }, authMetadata(), (err, response) => {
       if (err) {
         reject(err);
         return;
@@ -362,7 +390,7 @@ const getUser = async () => {
   return new Promise((resolve, reject) => {
     userClient.getUser({
       id: currentUser.id
-    }, (err, response) => {
+    }, authMetadata(), (err, response) => {
       if (err) {
         reject(err);
         return;
@@ -386,7 +414,7 @@ const updateUser = async () => {
       id: currentUser.id,
       username: username || undefined,
       password: password || undefined
-    }, (err, response) => {
+    }, authMetadata(), (err, response) => {
       if (err) {
         reject(err);
         return;
@@ -413,7 +441,7 @@ const deleteUser = async () => {
   return new Promise((resolve, reject) => {
     userClient.deleteUser({
       id: currentUser.id
-    }, (err, response) => {
+    }, authMetadata(), (err, response) => {
       if (err) {
         reject(err);
         return;
@@ -482,6 +510,9 @@ const main = async () => {
         case '15':
           response = await deleteUser();
           break;
+        case '16':
+          response = await searchNotes();
+          break;
         case '0':
           console.log('Goodbye!');
           rl.close();
@@ -495,6 +526,15 @@ const main = async () => {
       console.log(JSON.stringify(response, null, 2));
     } catch (error) {
       console.error('Error:', error.message);
+
+      // Failed RPCs carry a reason and any invalid fields in their details
+      const { reason, violations } = decodeErrorDetails(error.metadata);
+      if (reason) {
+        console.error('Reason:', reason);
+      }
+      for (const { field, description } of violations) {
+        console.error(`  ${field}: ${description}`);
+      }
     }
   }
 };
@@ -0,0 +1,274 @@
+import { Worker } from 'worker_threads';
+import { ErrorCode, Reason, ServiceError, validationError } from './errors.js';
+import { canDecode, decodeImage } from './images.js';
+import { encodePng, pngSize, scaleDown } from './png.js';
+
+// Files attached to notes. A note keeps its attachments' metadata
+// { id, fileName, contentType, size, sha256, width, height,
+// thumbnailSha256, uploaderId, createdAt } and the files themselves are
+// blobs named by their SHA-256 (see blobs.js). The content type is sniffed
+// from the file's first bytes, never taken from the client, so a file can't
+// pass itself off as another type. Images get their width and height, and
+// PNG, JPEG and GIF images a PNG thumbnail (see images.js); WebP images have
+// no decoder, so they have none.
+
+// Largest file that can be attached
+export const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024;
+
+// Most files one note can have attached
+export const MAX_ATTACHMENTS_PER_NOTE = 100;
+
+// Longest side of a thumbnail, in pixels
+export const THUMBNAIL_SIZE = 256;
+
+// Largest image thumbnails are made of, in pixels, to bound the memory
+// decoding takes
+const MAX_THUMBNAIL_SOURCE_PIXELS = 16 * 1024 * 1024;
+
+// Thumbnails made at once, each in a worker thread of its own, and waiting
+// to be made; uploads arriving while the queue is full get no thumbnail
+const MAX_THUMBNAIL_WORKERS = 2;
+const MAX_QUEUED_THUMBNAILS = 16;
+
+// Longest a thumbnail may take before its worker is stopped, in ms
+const THUMBNAIL_TIMEOUT = 10 * 1000;
+
+// Heap a thumbnail worker may use. Decoded pixels are buffers outside it, and
+// bounded by MAX_THUMBNAIL_SOURCE_PIXELS.
+const THUMBNAIL_RESOURCE_LIMITS = { maxOldGenerationSizeMb: 128, maxYoungGenerationSizeMb: 16, stackSizeMb: 4 };
+
+const THUMBNAIL_WORKER = new URL('./thumbnail-worker.js', import.meta.url);
+
+// Bytes of the start of a file that are checked for text
+const TEXT_SNIFF_LENGTH = 8 * 1024;
+
+const OCTET_STREAM = 'application/octet-stream';
+
+// Signatures of the recognized file types: bytes at an offset
+const SIGNATURES = [
+  { type: 'image/png', bytes: [[0, '\x89PNG\r\n\x1a\n']] },
+  { type: 'image/jpeg', bytes: [[0, '\xff\xd8\xff']] },
+  { type: 'image/gif', bytes: [[0, 'GIF87a']] },
+  { type: 'image/gif', bytes: [[0, 'GIF89a']] },
+  { type: 'image/webp', bytes: [[0, 'RIFF'], [8, 'WEBP']] },
+  { type: 'application/pdf', bytes: [[0, '%PDF-']] },
+  { type: 'application/zip', bytes: [[0, 'PK\x03\x04']] },
+  { type: 'application/gzip', bytes: [[0, '\x1f\x8b']] },
+  { type: 'audio/mpeg', bytes: [[0, 'ID3']] },
+  { type: 'audio/ogg', bytes: [[0, 'OggS']] },
+  { type: 'audio/wav', bytes: [[0, 'RIFF'], [8, 'WAVE']] },
+  { type: 'audio/flac', bytes: [[0, 'fLaC']] },
+  { type: 'video/mp4', bytes: [[4, 'ftyp']] },
+  { type: 'video/webm', bytes: [[0, '\x1a\x45\xdf\xa3']] }
+];
+
+export const attachmentNotFound = () => {
+  return new ServiceError(ErrorCode.NOT_FOUND, 'Attachment not found', { reason: Reason.ATTACHMENT_NOT_FOUND });
+};
+
+export const attachmentTooLarge = () => {
+  return new ServiceError(ErrorCode.RESOURCE_EXHAUSTED, `Attachments are limited to ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB`, {
+    reason: Reason.PAYLOAD_TOO_LARGE
+  });
+};
+
+export const tooManyAttachments = () => {
+  return new ServiceError(ErrorCode.RESOURCE_EXHAUSTED, `A note can have at most ${MAX_ATTACHMENTS_PER_NOTE} attachments`, {
+    reason: Reason.TOO_MANY_ATTACHMENTS
+  });
+};
+
+const rangeNotSatisfiable = (size) => {
+  return new ServiceError(ErrorCode.OUT_OF_RANGE, `Range not satisfiable; the file has ${size} bytes`, {
+    reason: Reason.RANGE_NOT_SATISFIABLE
+  });
+};
+
+const startsWith = (data, offset, bytes) => {
+  return data.length >= offset + bytes.length && data.toString('latin1', offset, offset + bytes.length) === bytes;
+};
+
+// Text is valid UTF-8 without NUL bytes. A multi-byte character cut off at
+// the end of the sniffed bytes doesn't count against it.
+const isText = (data) => {
+  const start = data.subarray(0, TEXT_SNIFF_LENGTH);
+  if (start.includes(0)) {
+    return false;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(start, { stream: start.length < data.length });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The MIME type of a file from its content. HTML, SVG and other markup is
+// plain text here, so that it is never rendered as a page.
+export const sniffContentType = (data) => {
+  const match = SIGNATURES.find(({ bytes }) => bytes.every(([offset, signature]) => startsWith(data, offset, signature)));
+  if (match) {
+    return match.type;
+  }
+  if (startsWith(data, 0, '\xff\xfb') || startsWith(data, 0, '\xff\xf3') || startsWith(data, 0, '\xff\xf2')) {
+    return 'audio/mpeg';
+  }
+  return isText(data) ? 'text/plain; charset=utf-8' : OCTET_STREAM;
+};
+
+// Width and height of a JPEG image, from its first start of frame segment
+const jpegSize = (data) => {
+  let offset = 2;
+  while (offset + 9 <= data.length && data[offset] === 0xff) {
+    const marker = data[offset + 1];
+    const length = data.readUInt16BE(offset + 2);
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + length;
+  }
+  return undefined;
+};
+
+// Width and height of an image of one of the sniffed types, where they can
+// be read from its header; undefined otherwise
+export const imageSize = (data, contentType) => {
+  switch (contentType) {
+    case 'image/png':
+      return pngSize(data);
+    case 'image/gif':
+      return data.length >= 10 ? { width: data.readUInt16LE(6), height: data.readUInt16LE(8) } : undefined;
+    case 'image/jpeg':
+      return jpegSize(data);
+    default:
+      return undefined;
+  }
+};
+
+// A PNG thumbnail of an image of the given content type, no larger than
+// THUMBNAIL_SIZE on either side; undefined when the image can't be
+// decoded. Runs in the thread that calls it; see ThumbnailPool.
+export const renderThumbnail = (data, contentType) => {
+  try {
+    return encodePng(scaleDown(decodeImage(data, contentType, MAX_THUMBNAIL_SOURCE_PIXELS), THUMBNAIL_SIZE));
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// Makes thumbnails with renderThumbnail in worker threads, so decoding an
+// image doesn't hold up other requests: at most workers at once, with up to
+// queueLength more waiting their turn, each stopped after timeout ms.
+export class ThumbnailPool {
+  constructor({ workers = MAX_THUMBNAIL_WORKERS, queueLength = MAX_QUEUED_THUMBNAILS, timeout = THUMBNAIL_TIMEOUT } = {}) {
+    this.workers = workers;
+    this.queueLength = queueLength;
+    this.timeout = timeout;
+    this.running = 0;
+    this.queue = [];
+  }
+
+  // Resolves to undefined for files that aren't images of a type that can
+  // be decoded, images too large to decode, ones the worker fails on or
+  // runs out of time or memory on, and when the queue is full
+  async make(data, contentType) {
+    const size = canDecode(contentType) ? imageSize(data, contentType) : undefined;
+    if (!size || size.width * size.height > MAX_THUMBNAIL_SOURCE_PIXELS) {
+      return undefined;
+    }
+    if (!(await this.acquire())) {
+      return undefined;
+    }
+
+    return new Promise((resolve) => {
+      let worker;
+      try {
+        worker = new Worker(THUMBNAIL_WORKER, { workerData: { data, contentType }, resourceLimits: THUMBNAIL_RESOURCE_LIMITS });
+      } catch (error) {
+        this.release();
+        resolve(undefined);
+        return;
+      }
+
+      const timer = setTimeout(() => worker.terminate(), this.timeout);
+      worker.once('message', (thumbnail) => {
+        resolve(thumbnail ? Buffer.from(thumbnail.buffer, thumbnail.byteOffset, thumbnail.byteLength) : undefined);
+      });
+      worker.once('error', () => resolve(undefined));
+      // The worker's turn ends once its thread has, whatever ended it
+      worker.once('exit', () => {
+        clearTimeout(timer);
+        this.release();
+        resolve(undefined);
+      });
+    });
+  }
+
+  // Wait for a turn to run a worker; false when the queue is full
+  async acquire() {
+    if (this.running < this.workers) {
+      this.running++;
+      return true;
+    }
+    if (this.queue.length >= this.queueLength) {
+      return false;
+    }
+    // A finished worker hands its turn straight to the next in line
+    await new Promise(resolve => this.queue.push(resolve));
+    return true;
+  }
+
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      next();
+    } else {
+      this.running--;
+    }
+  }
+}
+
+const thumbnails = new ThumbnailPool();
+
+// A thumbnail made by the pool every upload shares; see ThumbnailPool.make
+export const makeThumbnail = (data, contentType) => thumbnails.make(data, contentType);
+
+// The attachment with the given id, or a NOT_FOUND error
+export const findAttachment = (note, attachmentId) => {
+  const attachment = (note.attachments || []).find(candidate => candidate.id === attachmentId);
+  if (!attachment) {
+    throw attachmentNotFound();
+  }
+  return attachment;
+};
+
+// The validated name of an uploaded file: its last path segment
+export const parseFileName = (fileName) => {
+  const name = String(fileName || '').split(/[\\/]/).pop().trim();
+  if (!name) {
+    throw validationError('File name is required', [{ field: 'fileName', description: 'must not be empty' }]);
+  }
+  if (name.length > 255) {
+    throw validationError('File name is too long', [{ field: 'fileName', description: 'must be at most 255 characters' }]);
+  }
+  return name;
+};
+
+// The byte range { start, end }, end exclusive, of a file of size bytes
+// that a request asks for: { start, end } with end inclusive and optional,
+// or { suffix } for the last suffix bytes. Fails with OUT_OF_RANGE when the
+// range holds none of the file's bytes.
+export const resolveRange = ({ start = 0, end, suffix } = {}, size) => {
+  if (suffix !== undefined) {
+    if (suffix <= 0) {
+      throw rangeNotSatisfiable(size);
+    }
+    return { start: Math.max(0, size - suffix), end: size };
+  }
+
+  const last = Math.min(end ?? size - 1, size - 1);
+  if (start < 0 || start >= size || last < start) {
+    throw rangeNotSatisfiable(size);
+  }
+  return { start, end: last + 1 };
+};
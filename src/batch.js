@@ -0,0 +1,101 @@
+import { ServiceError, validationError } from './errors.js';
+import { Role, ownerOnly } from './sharing.js';
+
+// Operations on many notes at once, as picked in a multi-select. A batch
+// names up to MAX_BATCH_SIZE notes and is applied in one transaction, so one
+// write to storage. Each note gets a result { id, success, note, error }:
+// notes the operation can't be applied to, such as missing notes or notes
+// shared with the user as a viewer, are reported with the error and left as
+// they are, while the others change.
+
+export const BatchOperation = {
+  ARCHIVE: 'ARCHIVE',
+  UNARCHIVE: 'UNARCHIVE',
+  PIN: 'PIN',
+  UNPIN: 'UNPIN',
+  ADD_TAGS: 'ADD_TAGS',
+  REMOVE_TAGS: 'REMOVE_TAGS',
+  SET_COLOR: 'SET_COLOR',
+  TRASH: 'TRASH'
+};
+
+export const MAX_BATCH_SIZE = 1000;
+
+// Validate the note ids of a batch; an id listed twice counts once
+export const parseBatchIds = (ids) => {
+  if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => !id || typeof id !== 'string')) {
+    throw validationError('Invalid batch', [{ field: 'ids', description: 'must be a non-empty list of note ids' }]);
+  }
+
+  const unique = [...new Set(ids)];
+  if (unique.length > MAX_BATCH_SIZE) {
+    throw validationError('Invalid batch', [{ field: 'ids', description: `must list at most ${MAX_BATCH_SIZE} notes` }]);
+  }
+  return unique;
+};
+
+// Validate a batch operation and the arguments it needs
+export const parseBatchOperation = (operation, { tagIds, color }) => {
+  const upper = String(operation || '').toUpperCase();
+  if (!BatchOperation[upper]) {
+    throw validationError('Invalid batch operation', [
+      { field: 'operation', description: `must be one of ${Object.keys(BatchOperation).join(', ')}` }
+    ]);
+  }
+
+  if ((upper === BatchOperation.ADD_TAGS || upper === BatchOperation.REMOVE_TAGS) && !(tagIds && tagIds.length > 0)) {
+    throw validationError('Tags are required', [{ field: 'tagIds', description: 'tagIds is required' }]);
+  }
+  if (upper === BatchOperation.SET_COLOR && !color) {
+    throw validationError('Color is required', [{ field: 'color', description: 'color is required' }]);
+  }
+  return upper;
+};
+
+// The changes an operation other than TRASH makes to a note, as
+// NoteService.modifyNote takes them. Archiving and pinning are up to the
+// owner, as in updateNote.
+export const batchChanges = (operation, { tagIds, color }) => (note, access) => {
+  const owner = access.role === Role.OWNER;
+  const noteTags = note.tagIds || [];
+
+  switch (operation) {
+    case BatchOperation.ARCHIVE:
+    case BatchOperation.UNARCHIVE:
+    case BatchOperation.PIN:
+    case BatchOperation.UNPIN:
+      if (!owner) {
+        throw ownerOnly();
+      }
+      return {
+        [BatchOperation.ARCHIVE]: { archived: true },
+        [BatchOperation.UNARCHIVE]: { archived: false },
+        [BatchOperation.PIN]: { pinned: true },
+        [BatchOperation.UNPIN]: { pinned: false }
+      }[operation];
+    case BatchOperation.ADD_TAGS: {
+      const added = tagIds.filter(id => !noteTags.includes(id));
+      return added.length > 0 ? { tagIds: [...noteTags, ...added] } : null;
+    }
+    case BatchOperation.REMOVE_TAGS: {
+      const kept = noteTags.filter(id => !tagIds.includes(id));
+      return kept.length < noteTags.length ? { tagIds: kept } : null;
+    }
+    case BatchOperation.SET_COLOR:
+      return note.color === color ? null : { color };
+  }
+};
+
+// The result of applying a batch to one note. Expected failures are
+// reported in the result; anything else aborts the whole batch.
+export const batchResult = async (id, action) => {
+  try {
+    return { id, success: true, note: await action() };
+  } catch (error) {
+    if (!(error instanceof ServiceError)) {
+      throw error;
+    }
+    const { code, reason, message } = error;
+    return { id, success: false, error: { code, reason, message } };
+  }
+};
@@ -0,0 +1,166 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+// Content-addressed storage of attachment files. A blob is named by the
+// SHA-256 of its content, so the same file attached twice is stored once.
+// Blobs don't know who uses them: the notes' attachments do, and
+// NoteService sweeps the blobs none refers to. A blob written within the
+// grace period is never deleted, since an upload may be about to refer to
+// it; writing an existing blob again renews it.
+
+// How long a blob is kept after it was last written, in milliseconds
+export const BLOB_GRACE_PERIOD = 10 * 60 * 1000;
+
+// Size of the chunks blobs are read in
+const READ_CHUNK_SIZE = 64 * 1024;
+
+const HASH = /^[0-9a-f]{64}$/;
+
+export const blobHash = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Blobs as files in a directory, fanned out into subdirectories by the
+// first two characters of their hash. Writes go through a temporary file,
+// so a blob is either complete or missing.
+export class FileBlobStore {
+  constructor(dir, { gracePeriod = BLOB_GRACE_PERIOD } = {}) {
+    this.dir = dir;
+    this.gracePeriod = gracePeriod;
+  }
+
+  file(hash) {
+    if (!HASH.test(hash)) {
+      throw new Error(`Invalid blob hash: ${hash}`);
+    }
+    return path.join(this.dir, hash.slice(0, 2), hash);
+  }
+
+  // Store data; returns its hash
+  async put(data) {
+    const hash = blobHash(data);
+    const file = this.file(hash);
+    const now = new Date();
+
+    try {
+      await fs.promises.utimes(file, now, now);
+      return hash;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const temporary = path.join(path.dirname(file), `.${uuidv4()}.tmp`);
+    await fs.promises.writeFile(temporary, data);
+    await fs.promises.rename(temporary, file);
+    return hash;
+  }
+
+  // Size of a blob in bytes, or undefined when there is none
+  async size(hash) {
+    try {
+      return (await fs.promises.stat(this.file(hash))).size;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  // The bytes of a blob from start up to, not including, end, as an async
+  // iterable of buffers
+  read(hash, { start = 0, end } = {}) {
+    if (end !== undefined && end <= start) {
+      return [];
+    }
+    return fs.createReadStream(this.file(hash), {
+      start,
+      end: end === undefined ? undefined : end - 1,
+      highWaterMark: READ_CHUNK_SIZE
+    });
+  }
+
+  // The hashes of all blobs
+  async *list() {
+    let fanOut;
+    try {
+      fanOut = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    for (const prefix of fanOut) {
+      const entries = await fs.promises.readdir(path.join(this.dir, prefix)).catch(() => []);
+      yield* entries.filter(name => HASH.test(name));
+    }
+  }
+
+  // Delete a blob unless it was written within the grace period; returns
+  // whether it was deleted
+  async delete(hash) {
+    const file = this.file(hash);
+    try {
+      const { mtimeMs } = await fs.promises.stat(file);
+      if (Date.now() - mtimeMs < this.gracePeriod) {
+        return false;
+      }
+      await fs.promises.unlink(file);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+// Blobs kept in memory, for tests
+export class MemoryBlobStore {
+  constructor({ gracePeriod = BLOB_GRACE_PERIOD } = {}) {
+    this.blobs = new Map();
+    this.gracePeriod = gracePeriod;
+  }
+
+  async put(data) {
+    const hash = blobHash(data);
+    const existing = this.blobs.get(hash);
+    this.blobs.set(hash, { data: existing ? existing.data : Buffer.from(data), writtenAt: Date.now() });
+    return hash;
+  }
+
+  async size(hash) {
+    return this.blobs.get(hash)?.data.length;
+  }
+
+  read(hash, { start = 0, end } = {}) {
+    const blob = this.blobs.get(hash);
+    if (!blob) {
+      throw new Error(`Blob not found: ${hash}`);
+    }
+    const data = blob.data.subarray(start, end);
+    const chunks = [];
+    for (let offset = 0; offset < data.length; offset += READ_CHUNK_SIZE) {
+      chunks.push(data.subarray(offset, offset + READ_CHUNK_SIZE));
+    }
+    return chunks;
+  }
+
+  async *list() {
+    yield* [...this.blobs.keys()];
+  }
+
+  async delete(hash) {
+    const blob = this.blobs.get(hash);
+    if (!blob || Date.now() - blob.writtenAt < this.gracePeriod) {
+      return false;
+    }
+    return this.blobs.delete(hash);
+  }
+}
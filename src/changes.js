@@ -0,0 +1,238 @@
+import { ErrorCode, Reason, ServiceError, toServiceError, validationError } from './errors.js';
+
+// Change events for watch streams.
+//
+// Every note, tag and reminder mutation records an event in the events
+// collection, in the same transaction as the change: { id, userId, seq,
+// resource, type, record, occurredAt }. seq numbers a user's events from 1,
+// from a counter in the sequences collection, and is the event id clients
+// resume from. Only the most recent events of each user are kept.
+//
+// Since the events are in storage, a ChangeFeed sees changes made by every
+// server sharing it: it polls for new events while anyone is watching, and
+// checks immediately when told about a change made in this process.
+
+// Kinds of change
+export const ChangeType = {
+  CREATED: 'CREATED',
+  UPDATED: 'UPDATED',
+  DELETED: 'DELETED',
+  ARCHIVED: 'ARCHIVED',
+  UNARCHIVED: 'UNARCHIVED',
+  // A note was moved to the trash, or taken out of it
+  TRASHED: 'TRASHED',
+  RESTORED: 'RESTORED',
+  // A note was shared with the user, or no longer is
+  SHARED: 'SHARED',
+  UNSHARED: 'UNSHARED',
+  // A reminder reached one of its occurrences, on time or too late
+  FIRED: 'FIRED',
+  MISSED: 'MISSED'
+};
+
+// Events kept per user; older ones can no longer be resumed from
+const MAX_EVENTS_PER_USER = 1000;
+
+const DEFAULT_POLL_INTERVAL = 1000;
+
+const eventId = (userId, seq) => `${userId}:${seq}`;
+const sequenceId = (userId) => `events:${userId}`;
+
+// Type of the event for an update: archiving and unarchiving are told apart
+// from other edits
+export const updateType = (previous, current) => {
+  if (Boolean(previous.archived) !== Boolean(current.archived)) {
+    return current.archived ? ChangeType.ARCHIVED : ChangeType.UNARCHIVED;
+  }
+  return ChangeType.UPDATED;
+};
+
+// Record a change to one of the user's records. repos are the repositories
+// of the transaction making the change.
+export const recordChange = async ({ events, sequences }, userId, resource, type, record) => {
+  const sequence = await sequences.findById(sequenceId(userId));
+  const seq = (sequence ? sequence.value : 0) + 1;
+
+  if (sequence) {
+    await sequences.update(sequence.id, { value: seq });
+  } else {
+    await sequences.insert({ id: sequenceId(userId), value: seq });
+  }
+
+  await events.insert({
+    id: eventId(userId, seq),
+    userId,
+    seq,
+    resource,
+    type,
+    record,
+    occurredAt: new Date().toISOString()
+  });
+  await events.delete(eventId(userId, seq - MAX_EVENTS_PER_USER));
+};
+
+// Drop a user's events and counter, when the account is deleted
+export const deleteChanges = async ({ events, sequences }, userId) => {
+  await events.deleteWhere({ userId });
+  await sequences.delete(sequenceId(userId));
+};
+
+// Parse the event id a watch resumes after; '' means "from now on"
+const parseAfter = (afterEventId) => {
+  if (afterEventId === undefined || afterEventId === '') {
+    return null;
+  }
+
+  const seq = Number(afterEventId);
+  if (!Number.isInteger(seq) || seq < 0) {
+    throw validationError('Invalid event id', [{ field: 'afterEventId', description: 'is not an event id' }]);
+  }
+  return seq;
+};
+
+// Delivers recorded changes to watchers
+export class ChangeFeed {
+  constructor(storage, { pollInterval = DEFAULT_POLL_INTERVAL } = {}) {
+    this.storage = storage;
+    this.pollInterval = pollInterval;
+    this.subscribers = new Set();
+    this.timer = null;
+    this.polling = null;
+    this.pending = false;
+  }
+
+  // Call onEvent with each of the user's changes to the given resource
+  // ('note', 'tag' or 'reminder', or all of them when omitted) after the
+  // event id afterEventId, or after the latest one when it's empty. onStart
+  // is called once the subscription is live. onError is called, and the
+  // subscription ended, when it can't be served. Returns a function that
+  // ends the subscription.
+  subscribe(userId, { resource, afterEventId }, { onStart = () => {}, onEvent, onError }) {
+    const subscriber = { userId, resource, onStart, onEvent, onError, after: null, started: false };
+
+    try {
+      subscriber.after = parseAfter(afterEventId);
+    } catch (error) {
+      onError(error);
+      return () => {};
+    }
+
+    this.subscribers.add(subscriber);
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), this.pollInterval);
+      this.timer.unref();
+    }
+    this.poll();
+
+    return () => this.unsubscribe(subscriber);
+  }
+
+  unsubscribe(subscriber) {
+    this.subscribers.delete(subscriber);
+    if (this.subscribers.size === 0 && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Check for new events now, after a change made in this process
+  notify() {
+    if (this.subscribers.size > 0) {
+      this.poll();
+    }
+  }
+
+  // Deliver the events recorded since the last check. Checks never overlap;
+  // one requested during a check runs right after it.
+  poll() {
+    if (this.polling) {
+      this.pending = true;
+      return this.polling;
+    }
+
+    this.polling = this.deliver()
+      .catch(error => console.error('Error delivering changes:', error))
+      .finally(() => {
+        this.polling = null;
+        if (this.pending) {
+          this.pending = false;
+          this.poll();
+        }
+      });
+    return this.polling;
+  }
+
+  async deliver() {
+    const subscribers = [...this.subscribers];
+    const userIds = [...new Set(subscribers.map(subscriber => subscriber.userId))];
+
+    // Latest seq and new events of each watched user
+    const feeds = await this.storage.transaction(async ({ events, sequences }) => {
+      const result = new Map();
+      for (const userId of userIds) {
+        const sequence = await sequences.findById(sequenceId(userId));
+        const latest = sequence ? sequence.value : 0;
+        const oldest = Math.min(...subscribers
+          .filter(subscriber => subscriber.userId === userId && subscriber.after !== null)
+          .map(subscriber => subscriber.after));
+
+        const userEvents = Number.isFinite(oldest) && oldest < latest
+          ? (await events.findByOwner(userId)).filter(event => event.seq > oldest).sort((a, b) => a.seq - b.seq)
+          : [];
+        result.set(userId, { latest, events: userEvents });
+      }
+      return result;
+    });
+
+    for (const subscriber of subscribers) {
+      if (!this.subscribers.has(subscriber)) {
+        continue;
+      }
+
+      const { latest, events } = feeds.get(subscriber.userId);
+      try {
+        this.deliverTo(subscriber, latest, events);
+      } catch (error) {
+        this.unsubscribe(subscriber);
+        subscriber.onError(toServiceError(error));
+      }
+    }
+  }
+
+  deliverTo(subscriber, latest, events) {
+    if (subscriber.after === null) {
+      subscriber.after = latest;
+    }
+
+    // A resumed watch must start within the events still kept
+    if (!subscriber.started) {
+      subscriber.started = true;
+      if (subscriber.after > latest) {
+        throw validationError('Unknown event id', [{ field: 'afterEventId', description: 'is later than the latest event' }]);
+      }
+      const next = events.find(event => event.seq > subscriber.after);
+      if (subscriber.after < latest && (!next || next.seq > subscriber.after + 1)) {
+        throw new ServiceError(ErrorCode.FAILED_PRECONDITION, 'Events since the given id are no longer available; list the data again', {
+          reason: Reason.EVENTS_EXPIRED
+        });
+      }
+      subscriber.onStart();
+    }
+
+    for (const event of events) {
+      if (event.seq <= subscriber.after) {
+        continue;
+      }
+      subscriber.after = event.seq;
+      if (!subscriber.resource || event.resource === subscriber.resource) {
+        subscriber.onEvent({
+          id: String(event.seq),
+          resource: event.resource,
+          type: event.type,
+          record: event.record,
+          occurredAt: event.occurredAt
+        });
+      }
+    }
+  }
+}
@@ -0,0 +1,145 @@
+import { v4 as uuidv4 } from 'uuid';
+import { ErrorCode, Reason, ServiceError, validationError } from './errors.js';
+
+// Checklist notes keep their text as an ordered list of items
+// { id, text, checked, indent } instead of content.
+
+export const NoteType = {
+  TEXT: 'TEXT',
+  CHECKLIST: 'CHECKLIST'
+};
+
+// Items can be nested one level below the previous one, as in Google Keep
+export const MAX_INDENT = 1;
+
+// The type of a note; records from before checklists existed are text notes
+export const noteType = (note) => note.type || NoteType.TEXT;
+
+// Validate a requested note type; undefined and '' mean the default
+export const parseNoteType = (type, defaultType = NoteType.TEXT) => {
+  if (type === undefined || type === '') {
+    return defaultType;
+  }
+
+  const upper = String(type).toUpperCase();
+  if (!NoteType[upper]) {
+    throw validationError('Invalid note type', [{ field: 'type', description: 'must be TEXT or CHECKLIST' }]);
+  }
+  return upper;
+};
+
+export const notAChecklist = () => {
+  return new ServiceError(ErrorCode.FAILED_PRECONDITION, 'Note is not a checklist', { reason: Reason.NOT_A_CHECKLIST });
+};
+
+export const itemNotFound = () => {
+  return new ServiceError(ErrorCode.NOT_FOUND, 'Checklist item not found', { reason: Reason.ITEM_NOT_FOUND });
+};
+
+const validateIndent = (indent, field) => {
+  if (!Number.isInteger(indent) || indent < 0 || indent > MAX_INDENT) {
+    throw validationError('Invalid indent', [{ field, description: `must be an integer from 0 to ${MAX_INDENT}` }]);
+  }
+};
+
+// Validate the changes to an item's fields; returns them without the
+// undefined ones
+export const itemChanges = ({ text, checked, indent }, indentField = 'indent') => {
+  const changes = {};
+  if (text !== undefined) {
+    changes.text = String(text);
+  }
+  if (checked !== undefined) {
+    changes.checked = Boolean(checked);
+  }
+  if (indent !== undefined) {
+    changes.indent = Number(indent);
+    validateIndent(changes.indent, indentField);
+  }
+  return changes;
+};
+
+// A new item from client input. Client-supplied ids are kept, so a whole
+// list can be written back after editing.
+export const createItem = ({ id, text, checked, indent } = {}, indentField = 'indent') => {
+  return {
+    id: id || uuidv4(),
+    text: '',
+    checked: false,
+    indent: 0,
+    ...itemChanges({ text, checked, indent }, indentField)
+  };
+};
+
+// A whole list of items from client input
+export const createItems = (items = []) => {
+  const list = items.map(item => createItem(item, 'items.indent'));
+  const ids = new Set(list.map(item => item.id));
+  if (ids.size !== list.length) {
+    throw validationError('Duplicate checklist item ids', [{ field: 'items.id', description: 'must be unique' }]);
+  }
+  return list;
+};
+
+// Apply the note's ordering option: with checkedItemsLast, checked items
+// follow the unchecked ones, each group keeping its order
+export const orderItems = (items, checkedItemsLast) => {
+  if (!checkedItemsLast) {
+    return items;
+  }
+  return [...items.filter(item => !item.checked), ...items.filter(item => item.checked)];
+};
+
+export const findItemIndex = (items, itemId) => {
+  const index = items.findIndex(item => item.id === itemId);
+  if (index === -1) {
+    throw itemNotFound();
+  }
+  return index;
+};
+
+// Insert an item before the item with id beforeItemId, or at the end when
+// beforeItemId is empty
+export const insertItem = (items, item, beforeItemId) => {
+  const list = [...items];
+  const index = beforeItemId ? findItemIndex(list, beforeItemId) : list.length;
+  list.splice(index, 0, item);
+  return list;
+};
+
+// Move an item before the item with id beforeItemId, or to the end
+export const moveItem = (items, itemId, beforeItemId) => {
+  if (itemId === beforeItemId) {
+    throw validationError('Cannot move an item before itself', [{ field: 'beforeItemId', description: 'must differ from itemId' }]);
+  }
+
+  const index = findItemIndex(items, itemId);
+  const list = [...items];
+  const [item] = list.splice(index, 1);
+  return insertItem(list, item, beforeItemId);
+};
+
+// Items for the lines of a text note. Markdown task list markers
+// ("- [ ] ", "- [x] ") set the checked state; two leading spaces make one
+// indent level.
+export const textToItems = (content) => {
+  return String(content || '')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      const [, spaces, checkbox, text] = line.match(/^(\s*)(?:[-*+]\s+)?(?:\[([ xX])\]\s+)?(.*)$/);
+      return createItem({
+        text: text.trim(),
+        checked: checkbox === 'x' || checkbox === 'X',
+        indent: Math.min(Math.floor(spaces.length / 2), MAX_INDENT)
+      });
+    });
+};
+
+// The text of a checklist as a Markdown task list, which textToItems reads
+// back into the same items
+export const itemsToText = (items) => {
+  return items
+    .map(item => `${'  '.repeat(item.indent)}- [${item.checked ? 'x' : ' '}] ${item.text}`)
+    .join('\n');
+};
@@ -0,0 +1,15 @@
+// Source of the current time and timers. Code that runs on a schedule takes
+// a clock instead of calling Date.now() and setTimeout() directly, so tests
+// can substitute one they control.
+export const systemClock = {
+  now: () => Date.now(),
+
+  // Timers don't keep the process alive on their own
+  setTimeout: (callback, delay) => {
+    const timer = setTimeout(callback, delay);
+    timer.unref();
+    return timer;
+  },
+
+  clearTimeout: (timer) => clearTimeout(timer)
+};
@@ -0,0 +1,82 @@
+// Transport-agnostic error codes raised by the domain services. Each server
+// maps them to its own status (gRPC status code, HTTP status).
+export const ErrorCode = {
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+  NOT_FOUND: 'NOT_FOUND',
+  ALREADY_EXISTS: 'ALREADY_EXISTS',
+  UNAUTHENTICATED: 'UNAUTHENTICATED',
+  PERMISSION_DENIED: 'PERMISSION_DENIED',
+  FAILED_PRECONDITION: 'FAILED_PRECONDITION',
+  ABORTED: 'ABORTED',
+  RESOURCE_EXHAUSTED: 'RESOURCE_EXHAUSTED',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  INTERNAL: 'INTERNAL'
+};
+
+// Machine-readable reasons, more specific than the code. Clients should
+// branch on these rather than on messages.
+export const Reason = {
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  MALFORMED_REQUEST: 'MALFORMED_REQUEST',
+  NOTE_NOT_FOUND: 'NOTE_NOT_FOUND',
+  TAG_NOT_FOUND: 'TAG_NOT_FOUND',
+  USER_NOT_FOUND: 'USER_NOT_FOUND',
+  ITEM_NOT_FOUND: 'ITEM_NOT_FOUND',
+  REMINDER_NOT_FOUND: 'REMINDER_NOT_FOUND',
+  COLLABORATOR_NOT_FOUND: 'COLLABORATOR_NOT_FOUND',
+  REVISION_NOT_FOUND: 'REVISION_NOT_FOUND',
+  ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+  USERNAME_TAKEN: 'USERNAME_TAKEN',
+  ALREADY_SHARED: 'ALREADY_SHARED',
+  TOKEN_MISSING: 'TOKEN_MISSING',
+  TOKEN_INVALID: 'TOKEN_INVALID',
+  TOKEN_REVOKED: 'TOKEN_REVOKED',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  ACCESS_DENIED: 'ACCESS_DENIED',
+  NOTE_READ_ONLY: 'NOTE_READ_ONLY',
+  NOT_NOTE_OWNER: 'NOT_NOTE_OWNER',
+  EVENTS_EXPIRED: 'EVENTS_EXPIRED',
+  NOT_A_CHECKLIST: 'NOT_A_CHECKLIST',
+  NOTE_TRASHED: 'NOTE_TRASHED',
+  TAG_CYCLE: 'TAG_CYCLE',
+  TAG_TOO_DEEP: 'TAG_TOO_DEEP',
+  TAG_NAME_TAKEN: 'TAG_NAME_TAKEN',
+  VERSION_MISMATCH: 'VERSION_MISMATCH',
+  INVALID_IMPORT_FILE: 'INVALID_IMPORT_FILE',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  ATTACHMENT_NOT_FOUND: 'ATTACHMENT_NOT_FOUND',
+  TOO_MANY_ATTACHMENTS: 'TOO_MANY_ATTACHMENTS',
+  RANGE_NOT_SATISFIABLE: 'RANGE_NOT_SATISFIABLE',
+  INTERNAL: 'INTERNAL'
+};
+
+// Error raised by the domain services for expected failures.
+// violations lists the request fields that failed validation, as
+// { field, description }.
+export class ServiceError extends Error {
+  constructor(code, message, { reason = code, violations = [] } = {}) {
+    super(message);
+    this.name = 'ServiceError';
+    this.code = code;
+    this.reason = reason;
+    this.violations = violations;
+  }
+}
+
+// INVALID_ARGUMENT error for the given field violations
+export const validationError = (message, violations) => {
+  return new ServiceError(ErrorCode.INVALID_ARGUMENT, message, {
+    reason: Reason.VALIDATION_FAILED,
+    violations
+  });
+};
+
+// Any error as a ServiceError; unexpected errors become INTERNAL without
+// leaking their message
+export const toServiceError = (error) => {
+  if (error instanceof ServiceError) {
+    return error;
+  }
+  console.error('Unexpected error:', error);
+  return new ServiceError(ErrorCode.INTERNAL, 'Internal server error', { reason: Reason.INTERNAL });
+};
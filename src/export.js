@@ -0,0 +1,262 @@
+import { validationError } from './errors.js';
+import { NoteType, itemsToText, noteType } from './checklist.js';
+import { formatFrontMatter } from './front-matter.js';
+import { zipArchive } from './zip.js';
+
+// Exports of a user's notes and tags, generated a chunk at a time so they
+// can be streamed however many notes there are:
+//
+// - JSON_BUNDLE: one JSON document { format: 'keepapi-export', version,
+//   exportedAt, tags, notes }, which import reads back (see import.js)
+// - MARKDOWN_ZIP: a ZIP archive of one Markdown file per note, its title,
+//   tags, times and state in front matter that import reads back too
+// - HTML_SITE: a ZIP archive of a static site, an index page linking a page
+//   per note and per tag
+
+export const ExportFormat = {
+  JSON_BUNDLE: 'JSON_BUNDLE',
+  MARKDOWN_ZIP: 'MARKDOWN_ZIP',
+  HTML_SITE: 'HTML_SITE'
+};
+
+// Marks a JSON document as a bundle, and its version of the bundle layout
+export const BUNDLE_FORMAT = 'keepapi-export';
+export const BUNDLE_VERSION = 1;
+
+// Largest chunk of an export
+export const EXPORT_CHUNK_SIZE = 64 * 1024;
+
+const CONTENT_TYPES = {
+  [ExportFormat.JSON_BUNDLE]: 'application/json',
+  [ExportFormat.MARKDOWN_ZIP]: 'application/zip',
+  [ExportFormat.HTML_SITE]: 'application/zip'
+};
+
+const EXTENSIONS = {
+  [ExportFormat.JSON_BUNDLE]: 'json',
+  [ExportFormat.MARKDOWN_ZIP]: 'zip',
+  [ExportFormat.HTML_SITE]: 'zip'
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const SITE_STYLE = `body { font-family: sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #202124; }
+a { color: #1a73e8; }
+.note { border: 1px solid #e0e0e0; border-radius: 8px; padding: 0.5rem 1rem; margin: 0.75rem 0; }
+.meta, .tags { color: #5f6368; font-size: 0.875rem; }
+.checklist { list-style: none; padding-left: 0; }
+.checklist .indented { padding-left: 1.5rem; }
+.checked { text-decoration: line-through; color: #5f6368; }
+`;
+
+// Validate a requested export format; undefined and '' mean JSON_BUNDLE
+export const parseExportFormat = (format) => {
+  const upper = String(format || ExportFormat.JSON_BUNDLE).toUpperCase();
+  if (!ExportFormat[upper]) {
+    throw validationError('Invalid export format', [
+      { field: 'format', description: `must be one of ${Object.keys(ExportFormat).join(', ')}` }
+    ]);
+  }
+  return upper;
+};
+
+// The fields of a note a bundle keeps
+const bundleNote = (note) => ({
+  id: note.id,
+  title: note.title || '',
+  content: note.content || '',
+  type: noteType(note),
+  items: (note.items || []).map(({ text, checked, indent }) => ({ text, checked, indent })),
+  checkedItemsLast: Boolean(note.checkedItemsLast),
+  color: note.color || '',
+  archived: Boolean(note.archived),
+  pinned: Boolean(note.pinned),
+  createdAt: note.createdAt,
+  updatedAt: note.updatedAt,
+  tagIds: note.tagIds || []
+});
+
+// The bundle's JSON, a note at a time
+function* bundleParts({ notes, tags, exportedAt }) {
+  const header = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    tags: tags.map(({ id, name, parentId, createdAt, updatedAt }) => ({ id, name, parentId: parentId || '', createdAt, updatedAt }))
+  };
+  yield `${JSON.stringify(header).slice(0, -1)},"notes":[`;
+
+  for (const [index, note] of notes.entries()) {
+    yield `${index > 0 ? ',' : ''}${JSON.stringify(bundleNote(note))}`;
+  }
+  yield ']}';
+}
+
+// A file name from a note or tag name, unique among the names taken
+const uniqueName = (name, taken) => {
+  const base = String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'untitled';
+  let unique = base;
+  for (let n = 2; taken.has(unique); n++) {
+    unique = `${base}-${n}`;
+  }
+  taken.add(unique);
+  return unique;
+};
+
+// The text of a note, with a checklist as a Markdown task list
+const noteText = (note) => (noteType(note) === NoteType.CHECKLIST ? itemsToText(note.items || []) : note.content || '');
+
+const tagNames = (note, tagsById) => (note.tagIds || []).filter(id => tagsById.has(id)).map(id => tagsById.get(id).name);
+
+function* markdownFiles({ notes, tags }) {
+  const tagsById = new Map(tags.map(tag => [tag.id, tag]));
+  const taken = new Set();
+
+  for (const note of notes) {
+    const checklist = noteType(note) === NoteType.CHECKLIST;
+    const text = formatFrontMatter({
+      title: note.title || '',
+      tags: tagNames(note, tagsById),
+      created: note.createdAt,
+      updated: note.updatedAt,
+      archived: Boolean(note.archived),
+      pinned: Boolean(note.pinned),
+      color: note.color || undefined,
+      type: checklist ? 'checklist' : undefined
+    }, `${noteText(note)}\n`);
+
+    yield { name: `${uniqueName(note.title, taken)}.md`, data: text, modifiedAt: new Date(note.updatedAt) };
+  }
+}
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const htmlPage = (title, body, root) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="${root}style.css">
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+// A note's text as HTML: paragraphs of its content, or its checklist
+const noteBodyHtml = (note) => {
+  if (noteType(note) === NoteType.CHECKLIST) {
+    const items = (note.items || []).map(item => {
+      const classes = [item.indent > 0 ? 'indented' : '', item.checked ? 'checked' : ''].filter(Boolean).join(' ');
+      return `<li${classes ? ` class="${classes}"` : ''}><input type="checkbox" disabled${item.checked ? ' checked' : ''}> ${escapeHtml(item.text)}</li>`;
+    });
+    return `<ul class="checklist">\n${items.join('\n')}\n</ul>`;
+  }
+
+  return String(note.content || '')
+    .split(/\n{2,}/)
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+};
+
+function* htmlFiles({ notes, tags, exportedAt }) {
+  const tagsById = new Map(tags.map(tag => [tag.id, tag]));
+  const taken = new Set();
+  const notePages = new Map(notes.map(note => [note.id, `notes/${uniqueName(note.title, taken)}.html`]));
+  taken.clear();
+  const tagPages = new Map(tags.map(tag => [tag.id, `tags/${uniqueName(tag.name, taken)}.html`]));
+
+  const tagLinks = (note, root) => (note.tagIds || [])
+    .filter(id => tagPages.has(id))
+    .map(id => `<a href="${root}${tagPages.get(id)}">${escapeHtml(tagsById.get(id).name)}</a>`)
+    .join(', ');
+
+  // A note in a list of notes
+  const noteSummary = (note, root) => {
+    const tagsHtml = tagLinks(note, root);
+    return `<div class="note" style="background: ${escapeHtml(note.color || '#ffffff')}">
+<h2><a href="${root}${notePages.get(note.id)}">${escapeHtml(note.title || 'Untitled')}</a></h2>
+<p class="meta">${note.pinned ? 'Pinned · ' : ''}${note.archived ? 'Archived · ' : ''}Updated ${escapeHtml(note.updatedAt)}</p>
+${tagsHtml ? `<p class="tags">${tagsHtml}</p>` : ''}
+</div>`;
+  };
+
+  const index = [
+    '<h1>Notes</h1>',
+    `<p class="meta">Exported ${escapeHtml(exportedAt.toISOString())}</p>`,
+    tags.length > 0
+      ? `<p class="tags">Tags: ${tags.map(tag => `<a href="${tagPages.get(tag.id)}">${escapeHtml(tag.name)}</a>`).join(', ')}</p>`
+      : '',
+    ...notes.map(note => noteSummary(note, ''))
+  ].filter(Boolean).join('\n');
+
+  yield { name: 'index.html', data: htmlPage('Notes', index, '') };
+  yield { name: 'style.css', data: SITE_STYLE };
+
+  for (const note of notes) {
+    const tagsHtml = tagLinks(note, '../');
+    const body = [
+      '<p><a href="../index.html">All notes</a></p>',
+      `<article class="note" style="background: ${escapeHtml(note.color || '#ffffff')}">`,
+      `<h1>${escapeHtml(note.title || 'Untitled')}</h1>`,
+      noteBodyHtml(note),
+      `<p class="meta">Created ${escapeHtml(note.createdAt)} · Updated ${escapeHtml(note.updatedAt)}${note.archived ? ' · Archived' : ''}</p>`,
+      tagsHtml ? `<p class="tags">${tagsHtml}</p>` : '',
+      '</article>'
+    ].filter(Boolean).join('\n');
+    yield { name: notePages.get(note.id), data: htmlPage(note.title || 'Untitled', body, '../'), modifiedAt: new Date(note.updatedAt) };
+  }
+
+  for (const tag of tags) {
+    const tagged = notes.filter(note => (note.tagIds || []).includes(tag.id));
+    const body = [
+      '<p><a href="../index.html">All notes</a></p>',
+      `<h1>${escapeHtml(tag.name)}</h1>`,
+      ...tagged.map(note => noteSummary(note, '../'))
+    ].join('\n');
+    yield { name: tagPages.get(tag.id), data: htmlPage(tag.name, body, '../') };
+  }
+}
+
+// Regroup a sequence of strings and buffers into chunks of at most size
+// bytes
+function* chunked(parts, size) {
+  let pending = [];
+  let length = 0;
+
+  for (const part of parts) {
+    let buffer = Buffer.from(part);
+    while (length + buffer.length >= size) {
+      const take = size - length;
+      yield Buffer.concat([...pending, buffer.subarray(0, take)]);
+      buffer = buffer.subarray(take);
+      pending = [];
+      length = 0;
+    }
+    if (buffer.length > 0) {
+      pending.push(buffer);
+      length += buffer.length;
+    }
+  }
+
+  if (length > 0) {
+    yield Buffer.concat(pending);
+  }
+}
+
+// An export of notes, in their order, and tags as { fileName, contentType,
+// chunks }, where chunks generates the file's content as it is iterated
+export const exportFile = (format, { notes, tags, exportedAt }) => {
+  const contents = { notes, tags, exportedAt };
+  const parts = format === ExportFormat.JSON_BUNDLE
+    ? bundleParts(contents)
+    : zipArchive(format === ExportFormat.MARKDOWN_ZIP ? markdownFiles(contents) : htmlFiles(contents));
+
+  return {
+    fileName: `notes-${exportedAt.toISOString().slice(0, 10)}.${EXTENSIONS[format]}`,
+    contentType: CONTENT_TYPES[format],
+    chunks: chunked(parts, EXPORT_CHUNK_SIZE)
+  };
+};
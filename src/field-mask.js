@@ -0,0 +1,44 @@
+import { validationError } from './errors.js';
+
+// Partial updates driven by a list of field paths, as in
+// google.protobuf.FieldMask
+
+// Fields of each resource an update may change
+export const UPDATABLE_FIELDS = {
+  note: ['title', 'content', 'tagIds', 'archived', 'color', 'pinned', 'items', 'checkedItemsLast'],
+  checklistItem: ['text', 'checked', 'indent'],
+  tag: ['name', 'parentId'],
+  reminder: ['time', 'timezone', 'recurrence'],
+  user: ['username', 'password']
+};
+
+// Check the paths of an update mask against the updatable fields. `*`
+// stands for all of them.
+export const resolveFieldMask = (paths, updatable) => {
+  if (paths.includes('*')) {
+    return [...updatable];
+  }
+
+  const unknown = paths.filter(path => !updatable.includes(path));
+  if (unknown.length > 0) {
+    throw validationError('Invalid update mask', unknown.map(path => ({
+      field: 'updateMask',
+      description: `${path} is not an updatable field`
+    })));
+  }
+
+  return paths;
+};
+
+// Updatable fields holding something other than their proto3 default
+export const populatedFields = (values, updatable) => {
+  return updatable.filter(field => {
+    const value = values[field];
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  });
+};
+
+// The values of the given fields only
+export const pickFields = (values, fields) => {
+  return Object.fromEntries(fields.map(field => [field, values[field]]));
+};
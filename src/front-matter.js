@@ -0,0 +1,85 @@
+// YAML front matter of Markdown files: a block of `key: value` lines between
+// two `---` lines at the very top. Only the subset notes need is read and
+// written: strings, quoted or not, booleans, and lists written inline
+// (`[a, b]`) or as `- item` lines.
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// Double-quoted strings take the escapes JSON has
+const unquote = (value) => {
+  const trimmed = value.trim();
+  if (trimmed.length >= 2 && (trimmed[0] === '"' || trimmed[0] === "'") && trimmed.endsWith(trimmed[0])) {
+    if (trimmed[0] === "'") {
+      return trimmed.slice(1, -1).replace(/''/g, "'");
+    }
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      return trimmed.slice(1, -1);
+    }
+  }
+  return trimmed;
+};
+
+const parseValue = (value) => {
+  const trimmed = value.trim();
+  if (trimmed === 'true' || trimmed === 'false') {
+    return trimmed === 'true';
+  }
+  if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+    return trimmed.slice(1, -1).split(',').map(unquote).filter(Boolean);
+  }
+  return unquote(trimmed);
+};
+
+// The fields of a Markdown file's front matter and the body after it; a
+// file without front matter has no fields
+export const parseFrontMatter = (text) => {
+  const match = text.match(FRONT_MATTER);
+  if (!match) {
+    return { fields: {}, body: text };
+  }
+
+  const fields = {};
+  let listKey = null;
+  for (const line of match[1].split(/\r?\n/)) {
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      fields[listKey].push(unquote(item[1]));
+      continue;
+    }
+
+    const entry = line.match(/^([A-Za-z][\w-]*):(.*)$/);
+    if (!entry) {
+      continue;
+    }
+    const [, key, value] = entry;
+    if (value.trim() === '') {
+      fields[key] = [];
+      listKey = key;
+    } else {
+      fields[key] = parseValue(value);
+      listKey = null;
+    }
+  }
+
+  return { fields, body: text.slice(match[0].length) };
+};
+
+// A Markdown file's text with front matter holding fields. Strings are
+// written double-quoted and lists one item per line; undefined fields and
+// empty lists are left out.
+export const formatFrontMatter = (fields, body) => {
+  const lines = [];
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined || (Array.isArray(value) && value.length === 0)) {
+      continue;
+    }
+    if (Array.isArray(value)) {
+      lines.push(`${key}:`, ...value.map(item => `  - ${JSON.stringify(String(item))}`));
+    } else {
+      lines.push(`${key}: ${typeof value === 'boolean' ? value : JSON.stringify(String(value))}`);
+    }
+  }
+  return `---\n${lines.join('\n')}\n---\n${body}`;
+};
@@ -0,0 +1,69 @@
+import * as grpc from '@grpc/grpc-js';
+import protobuf from 'protobufjs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Rich gRPC errors: a google.rpc.Status with ErrorInfo and BadRequest
+// details, sent in the `grpc-status-details-bin` trailer as Google APIs do
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROTO_DIR = path.join(__dirname, '../proto');
+
+// Domain sent in every ErrorInfo
+export const ERROR_DOMAIN = 'keepapi';
+
+const STATUS_DETAILS_KEY = 'grpc-status-details-bin';
+const TYPE_URL_PREFIX = 'type.googleapis.com/';
+
+const root = new protobuf.Root();
+root.resolvePath = (origin, target) => path.join(PROTO_DIR, target);
+root.loadSync(['google/rpc/status.proto', 'google/rpc/error_details.proto'], { keepCase: true });
+
+const Status = root.lookupType('google.rpc.Status');
+const ErrorInfo = root.lookupType('google.rpc.ErrorInfo');
+const BadRequest = root.lookupType('google.rpc.BadRequest');
+
+// Pack a message into a google.protobuf.Any
+const pack = (type, payload) => ({
+  type_url: TYPE_URL_PREFIX + type.fullName.slice(1),
+  value: type.encode(type.fromObject(payload)).finish()
+});
+
+// gRPC error for a ServiceError, to pass to a handler's callback
+export const toGrpcError = (error) => {
+  const code = grpc.status[error.code];
+
+  const details = [pack(ErrorInfo, { reason: error.reason, domain: ERROR_DOMAIN })];
+  if (error.violations.length > 0) {
+    details.push(pack(BadRequest, { field_violations: error.violations }));
+  }
+
+  const metadata = new grpc.Metadata();
+  metadata.set(STATUS_DETAILS_KEY, Buffer.from(Status.encode({ code, message: error.message, details }).finish()));
+
+  return { code, details: error.message, metadata };
+};
+
+// Read the reason and field violations back from a failed call's metadata.
+// Returns an empty reason when the error carries no details.
+export const decodeErrorDetails = (metadata) => {
+  const result = { reason: '', violations: [] };
+  const [buffer] = metadata ? metadata.get(STATUS_DETAILS_KEY) : [];
+  if (!buffer) {
+    return result;
+  }
+
+  for (const detail of Status.decode(buffer).details) {
+    const typeName = detail.type_url.slice(TYPE_URL_PREFIX.length);
+    if (typeName === 'google.rpc.ErrorInfo') {
+      result.reason = ErrorInfo.decode(detail.value).reason;
+    } else if (typeName === 'google.rpc.BadRequest') {
+      result.violations = BadRequest.decode(detail.value).field_violations
+        .map(({ field, description }) => ({ field, description }));
+    }
+  }
+
+  return result;
+};
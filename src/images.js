@@ -0,0 +1,53 @@
+import jpeg from 'jpeg-js';
+import { GifReader } from 'omggif';
+import { decodePng } from './png.js';
+
+// Decoding the image types thumbnails are made of into { width, height,
+// pixels }, pixels being 8-bit RGBA rows as decodePng gives: PNG with
+// png.js, JPEG with jpeg-js and the first frame of a GIF with omggif.
+
+// Memory jpeg-js may take for one image, in MB, on top of the checks on its
+// size made before decoding
+const MAX_JPEG_MEMORY = 512;
+
+// Decode a JPEG image of at most maxPixels pixels. Throws on images it
+// can't read.
+export const decodeJpeg = (data, maxPixels) => {
+  const { width, height, data: pixels } = jpeg.decode(data, {
+    formatAsRGBA: true,
+    maxResolutionInMP: maxPixels / (1000 * 1000),
+    maxMemoryUsageInMB: MAX_JPEG_MEMORY
+  });
+  return { width, height, pixels };
+};
+
+// Decode the first frame of a GIF image onto its logical screen, pixels it
+// doesn't cover left transparent. Throws on images it can't read.
+export const decodeGif = (data) => {
+  const reader = new GifReader(data);
+  if (reader.numFrames() === 0 || reader.width === 0 || reader.height === 0) {
+    throw new Error('GIF has no image');
+  }
+
+  const pixels = Buffer.alloc(reader.width * reader.height * 4);
+  reader.decodeAndBlitFrameRGBA(0, pixels);
+  return { width: reader.width, height: reader.height, pixels };
+};
+
+const DECODERS = {
+  'image/png': (data) => decodePng(data),
+  'image/jpeg': decodeJpeg,
+  'image/gif': (data) => decodeGif(data)
+};
+
+// Whether images of a content type can be decoded
+export const canDecode = (contentType) => Object.hasOwn(DECODERS, contentType);
+
+// Decode an image of one of the types canDecode accepts, of at most
+// maxPixels pixels. Throws on images it can't read.
+export const decodeImage = (data, contentType, maxPixels) => {
+  if (!canDecode(contentType)) {
+    throw new Error(`Can't decode ${contentType} images`);
+  }
+  return DECODERS[contentType](data, maxPixels);
+};
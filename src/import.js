@@ -0,0 +1,314 @@
+import { ErrorCode, Reason, ServiceError, validationError } from './errors.js';
+import { MAX_INDENT, NoteType, createItem, itemsToText, noteType, textToItems } from './checklist.js';
+import { parseFrontMatter } from './front-matter.js';
+import { BUNDLE_FORMAT, BUNDLE_VERSION } from './export.js';
+import { MAX_TAG_DEPTH } from './tags.js';
+
+// Notes imported from other apps. Each uploaded file { name, data, format }
+// is read into drafts { title, content, type, items, checkedItemsLast,
+// color, archived, pinned, trashed, labels, createdAt, updatedAt }, which
+// NoteService.importNotes turns into notes. Drafts from bundles also have
+// labelPaths: for each label, the names of the tags from the top of its
+// tree down to it. Supported are this API's own
+// JSON bundles (see export.js), Google Takeout Keep notes (one JSON file per
+// note), Evernote ENEX exports (any number of notes per file) and Markdown
+// files with front matter (one note per file).
+
+export const ImportFormat = {
+  AUTO_DETECT: 'AUTO_DETECT',
+  BUNDLE: 'BUNDLE',
+  TAKEOUT: 'TAKEOUT',
+  ENEX: 'ENEX',
+  MARKDOWN: 'MARKDOWN'
+};
+
+export const ImportStatus = {
+  IMPORTED: 'IMPORTED',
+  DUPLICATE: 'DUPLICATE',
+  FAILED: 'FAILED'
+};
+
+// Total size of the files of one import
+export const MAX_IMPORT_SIZE = 50 * 1024 * 1024;
+
+// Formats AUTO_DETECT picks by file extension; a JSON file is read as a
+// bundle when it says it is one
+const EXTENSIONS = {
+  json: ImportFormat.TAKEOUT,
+  enex: ImportFormat.ENEX,
+  md: ImportFormat.MARKDOWN,
+  markdown: ImportFormat.MARKDOWN
+};
+
+// Google Keep's color names as used in Takeout
+const TAKEOUT_COLORS = {
+  DEFAULT: '#ffffff',
+  RED: '#f28b82',
+  ORANGE: '#fbbc04',
+  YELLOW: '#fff475',
+  GREEN: '#ccff90',
+  TEAL: '#a7ffeb',
+  BLUE: '#cbf0f8',
+  CERULEAN: '#aecbfa',
+  PURPLE: '#d7aefb',
+  PINK: '#fdcfe8',
+  BROWN: '#e6c9a8',
+  GRAY: '#e8eaed'
+};
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+// Validate a requested import format; undefined and '' mean AUTO_DETECT
+export const parseImportFormat = (format) => {
+  const upper = String(format || ImportFormat.AUTO_DETECT).toUpperCase();
+  if (!ImportFormat[upper]) {
+    throw validationError('Invalid import format', [
+      { field: 'format', description: `must be one of ${Object.keys(ImportFormat).join(', ')}` }
+    ]);
+  }
+  return upper;
+};
+
+export const importTooLarge = () => {
+  return new ServiceError(ErrorCode.RESOURCE_EXHAUSTED, `Imports are limited to ${MAX_IMPORT_SIZE / (1024 * 1024)} MB`, {
+    reason: Reason.PAYLOAD_TOO_LARGE
+  });
+};
+
+const invalidFile = (message) => {
+  return new ServiceError(ErrorCode.INVALID_ARGUMENT, message, { reason: Reason.INVALID_IMPORT_FILE });
+};
+
+// A time in any format Date understands as an ISO string, or '' for none
+const toTime = (value) => {
+  const time = value === undefined || value === null || value === '' ? NaN : new Date(value).getTime();
+  return Number.isNaN(time) ? '' : new Date(time).toISOString();
+};
+
+// Takeout times are microseconds since the epoch
+const fromMicroseconds = (value) => (value ? toTime(Math.floor(Number(value) / 1000)) : '');
+
+// ENEX times are compact ISO 8601, such as 20240131T094500Z
+const fromEnexTime = (value) => {
+  const match = String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  return match ? toTime(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}Z`) : '';
+};
+
+const readTakeoutNote = (note) => {
+  if (!note || typeof note !== 'object' || (note.textContent === undefined && note.listContent === undefined)) {
+    throw invalidFile('Not a Google Keep note');
+  }
+
+  const checklist = Array.isArray(note.listContent);
+  return {
+    title: String(note.title || ''),
+    content: checklist ? '' : String(note.textContent || ''),
+    type: checklist ? NoteType.CHECKLIST : NoteType.TEXT,
+    items: checklist ? note.listContent.map(item => createItem({ text: String(item.text || ''), checked: Boolean(item.isChecked) })) : [],
+    color: TAKEOUT_COLORS[String(note.color || '').toUpperCase()] || '',
+    archived: Boolean(note.isArchived),
+    pinned: Boolean(note.isPinned),
+    trashed: Boolean(note.isTrashed),
+    labels: (note.labels || []).map(label => String(label.name || '')).filter(Boolean),
+    createdAt: fromMicroseconds(note.createdTimestampUsec),
+    updatedAt: fromMicroseconds(note.userEditedTimestampUsec)
+  };
+};
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw invalidFile('Not a JSON file');
+  }
+};
+
+const isBundle = (parsed) => Boolean(parsed) && parsed.format === BUNDLE_FORMAT;
+
+// A Takeout file holds one note; an array of them is read too
+const readTakeout = (parsed) => [].concat(parsed).map(readTakeoutNote);
+
+// Bundles of later versions than this one are refused; tags become labels
+// by name, with the names of the tags they are nested under
+const readBundle = (bundle) => {
+  if (!isBundle(bundle)) {
+    throw invalidFile('Not an export bundle');
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+    throw invalidFile(`Unsupported export bundle version: ${bundle.version}`);
+  }
+
+  const tagsById = new Map([].concat(bundle.tags || []).filter(Boolean).map(tag => [tag.id, tag]));
+
+  // The names of a tag and the tags above it, top first; a tag whose parent
+  // is missing or unnamed counts as a top-level tag
+  const tagPath = (id) => {
+    const path = [];
+    const seen = new Set();
+    for (let tag = tagsById.get(id); tag && !seen.has(tag.id) && path.length < MAX_TAG_DEPTH; tag = tagsById.get(tag.parentId)) {
+      const name = String(tag.name || '');
+      if (!name) {
+        break;
+      }
+      seen.add(tag.id);
+      path.unshift(name);
+    }
+    return path;
+  };
+
+  return [].concat(bundle.notes || []).map(note => {
+    if (!note || typeof note !== 'object') {
+      throw invalidFile('Invalid note in export bundle');
+    }
+    const checklist = note.type === NoteType.CHECKLIST;
+    const labelPaths = [].concat(note.tagIds || []).map(tagPath).filter(path => path.length > 0);
+    return {
+      title: String(note.title || ''),
+      content: checklist ? '' : String(note.content || ''),
+      type: checklist ? NoteType.CHECKLIST : NoteType.TEXT,
+      items: checklist ? [].concat(note.items || []).map(item => createItem({
+        text: String(item?.text || ''),
+        checked: Boolean(item?.checked),
+        indent: Math.min(Math.max(Math.floor(Number(item?.indent)) || 0, 0), MAX_INDENT)
+      })) : [],
+      checkedItemsLast: Boolean(note.checkedItemsLast),
+      color: typeof note.color === 'string' ? note.color : '',
+      archived: Boolean(note.archived),
+      pinned: Boolean(note.pinned),
+      trashed: false,
+      labels: labelPaths.map(path => path[path.length - 1]),
+      labelPaths,
+      createdAt: toTime(note.createdAt),
+      updatedAt: toTime(note.updatedAt)
+    };
+  });
+};
+
+const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return XML_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+};
+
+// The XML inside the elements named tag
+const elements = (xml, tag) => {
+  return [...xml.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g'))].map(([, inner]) => inner);
+};
+
+// The text inside the elements named tag, whether escaped or CDATA
+const elementTexts = (xml, tag) => {
+  return elements(xml, tag).map(inner => {
+    const cdata = inner.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+    return cdata ? cdata[1] : decodeEntities(inner);
+  });
+};
+
+// The text of an Evernote note body (ENML, a subset of XHTML). Blocks and
+// line breaks become lines, list items Markdown list items, and to-do
+// checkboxes Markdown task list markers.
+const enmlToText = (enml) => {
+  const text = enml
+    .replace(/<en-todo\b[^>]*checked="true"[^>]*>/gi, '[x] ')
+    .replace(/<en-todo\b[^>]*>/gi, '[ ] ')
+    .replace(/<br\b[^>]*>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '- ')
+    .replace(/<\/(div|p|li|h[1-6]|tr|blockquote|pre)>/gi, '\n')
+    .replace(/<[^>]*>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// Notes with to-dos become checklists, one item per line
+const readEnex = (text) => {
+  if (!/<en-export\b/.test(text)) {
+    throw invalidFile('Not an Evernote export');
+  }
+
+  return elements(text, 'note').map(note => {
+    const [content = ''] = elementTexts(note, 'content');
+    const checklist = /<en-todo\b/i.test(content);
+    const body = enmlToText(content);
+    return {
+      title: (elementTexts(note, 'title')[0] || '').trim(),
+      content: checklist ? '' : body,
+      type: checklist ? NoteType.CHECKLIST : NoteType.TEXT,
+      items: checklist ? textToItems(body) : [],
+      color: '',
+      archived: false,
+      pinned: false,
+      trashed: false,
+      labels: elementTexts(note, 'tag').map(tag => tag.trim()).filter(Boolean),
+      createdAt: fromEnexTime(elementTexts(note, 'created')[0]),
+      updatedAt: fromEnexTime(elementTexts(note, 'updated')[0])
+    };
+  });
+};
+
+// Front matter may set title (the file name by default), tags, created,
+// updated, archived, pinned, color and type; a checklist's body is a
+// Markdown task list
+const readMarkdown = (name, text) => {
+  const { fields, body } = parseFrontMatter(text);
+  const checklist = String(fields.type || '').toUpperCase() === NoteType.CHECKLIST;
+  const content = body.replace(/^\s*\n/, '').trimEnd();
+
+  return [{
+    title: fields.title !== undefined ? String(fields.title) : fileBaseName(name).replace(/\.(md|markdown)$/i, ''),
+    content: checklist ? '' : content,
+    type: checklist ? NoteType.CHECKLIST : NoteType.TEXT,
+    items: checklist ? textToItems(content) : [],
+    color: typeof fields.color === 'string' ? fields.color : '',
+    archived: fields.archived === true,
+    pinned: fields.pinned === true,
+    trashed: false,
+    labels: [].concat(fields.tags ?? []).map(String).filter(Boolean),
+    createdAt: toTime(fields.created),
+    updatedAt: toTime(fields.updated)
+  }];
+};
+
+// Files of a folder upload are named by their path in it
+const fileBaseName = (name) => String(name || '').split(/[\\/]/).pop();
+
+const extension = (name) => {
+  const base = fileBaseName(name);
+  return base.includes('.') ? base.split('.').pop().toLowerCase() : '';
+};
+
+// The drafts of the notes in an uploaded file. AUTO_DETECT picks the format
+// by file extension. Fails with INVALID_ARGUMENT (reason
+// INVALID_IMPORT_FILE) on files that can't be read.
+export const readImportFile = ({ name, data, format = ImportFormat.AUTO_DETECT }) => {
+  const fileFormat = format === ImportFormat.AUTO_DETECT ? EXTENSIONS[extension(name)] : format;
+  const text = Buffer.from(data).toString('utf8').replace(/^\uFEFF/, '');
+
+  switch (fileFormat) {
+    case ImportFormat.BUNDLE:
+      return readBundle(parseJson(text));
+    case ImportFormat.TAKEOUT: {
+      const parsed = parseJson(text);
+      return format === ImportFormat.AUTO_DETECT && isBundle(parsed) ? readBundle(parsed) : readTakeout(parsed);
+    }
+    case ImportFormat.ENEX:
+      return readEnex(text);
+    case ImportFormat.MARKDOWN:
+      return readMarkdown(name, text);
+    default:
+      throw invalidFile(`Unrecognized file type: ${fileBaseName(name) || 'unnamed file'}`);
+  }
+};
+
+// Notes with the same title and text are duplicates, whatever else differs
+export const duplicateKey = (note) => {
+  const text = noteType(note) === NoteType.CHECKLIST ? itemsToText(note.items || []) : note.content || '';
+  return JSON.stringify([note.title || '', noteType(note), text]);
+};
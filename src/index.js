@@ -2,11 +2,15 @@ import * as grpc from '@grpc/grpc-js';
 import * as protoLoader from '@grpc/proto-loader';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import fs from 'fs';
 import dotenv from 'dotenv';
-import { v4 as uuidv4 } from 'uuid';
-import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
+import { createStorage } from './storage/index.js';
+import { createServices } from './services.js';
+import { ErrorCode, Reason, ServiceError, toServiceError, validationError } from './errors.js';
+import { toGrpcError } from './grpc-errors.js';
+import { UPDATABLE_FIELDS, pickFields, populatedFields, resolveFieldMask } from './field-mask.js';
+import { MAX_IMPORT_SIZE, importTooLarge, parseImportFormat } from './import.js';
+import { MAX_ATTACHMENT_SIZE, attachmentTooLarge } from './attachments.js';
+import { FileBlobStore } from './blobs.js';
 
 // Load environment variables
 dotenv.config();
@@ -18,79 +22,20 @@ const __dirname = path.dirname(__filename);
 // Path to proto file
 const PROTO_PATH = path.join(__dirname, '../proto/keep.proto');
 
-// Data paths
+// Data directory
 const DATA_DIR = path.join(__dirname, '../data');
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
-const NOTES_FILE = path.join(DATA_DIR, 'notes.json');
-const TAGS_FILE = path.join(DATA_DIR, 'tags.json');
-const BLACKLIST_FILE = path.join(DATA_DIR, 'blacklist.json');
-
-// Load data from files
-let users = [];
-let notes = [];
-let tags = [];
-let tokenBlacklist = [];
-
-// Create data directory if it doesn't exist
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
-
-// Load data from files or initialize empty arrays
-try {
-  if (fs.existsSync(USERS_FILE)) {
-    users = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
-  }
-  if (fs.existsSync(NOTES_FILE)) {
-    notes = JSON.parse(fs.readFileSync(NOTES_FILE, 'utf8'));
-  }
-  if (fs.existsSync(TAGS_FILE)) {
-    tags = JSON.parse(fs.readFileSync(TAGS_FILE, 'utf8'));
-  }
-  if (fs.existsSync(BLACKLIST_FILE)) {
-    tokenBlacklist = JSON.parse(fs.readFileSync(BLACKLIST_FILE, 'utf8'));
-  }
-} catch (error) {
-  console.error('Error loading data:', error);
-}
-
-// Save data to files
-const saveData = () => {
-  try {
-    fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2));
-    fs.writeFileSync(NOTES_FILE, JSON.stringify(notes, null, 2));
-    fs.writeFileSync(TAGS_FILE, JSON.stringify(tags, null, 2));
-    fs.writeFileSync(BLACKLIST_FILE, JSON.stringify(tokenBlacklist, null, 2));
-  } catch (error) {
-    console.error('Error saving data:', error);
-  }
-};
 
-// Clean expired tokens from blacklist
-const cleanBlacklist = () => {
-  const now = new Date();
-  tokenBlacklist = tokenBlacklist.filter(item => {
-    const tokenExp = new Date(item.expiresAt);
-    return tokenExp > now;
-  });
-  saveData();
-};
-
-// Verify JWT token
-const verifyToken = (token) => {
-  try {
-    // Check if token is blacklisted
-    const isBlacklisted = tokenBlacklist.some(item => item.token === token);
-    if (isBlacklisted) {
-      return { valid: false, message: 'Token has been revoked' };
-    }
+// Attached files, next to the data directory
+const BLOB_DIR = path.join(__dirname, '../blobs');
 
-    const decoded = jwt.verify(token, process.env.SECRET_KEY);
-    return { valid: true, user: decoded };
-  } catch (error) {
-    return { valid: false, message: 'Invalid token' };
-  }
-};
+// Domain services
+const storage = await createStorage(DATA_DIR);
+const services = createServices(storage, {
+  secretKey: process.env.SECRET_KEY,
+  blobs: new FileBlobStore(BLOB_DIR),
+  trashRetentionDays: process.env.TRASH_RETENTION_DAYS ? Number(process.env.TRASH_RETENTION_DAYS) : undefined,
+  revisionLimit: process.env.REVISION_LIMIT ? Number(process.env.REVISION_LIMIT) : undefined
+});
 
 // Load proto definition
 const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
@@ -104,520 +49,613 @@ const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
 const protoDescriptor = grpc.loadPackageDefinition(packageDefinition);
 const keepapi = protoDescriptor.keepapi;
 
-// Auth Service Implementation
-const authService = {
-  register: (call, callback) => {
-    const { username, password } = call.request;
-
-    // Check if username already exists
-    if (users.some(user => user.username === username)) {
-      return callback(null, {
-        success: false,
-        message: 'Username already exists'
-      });
-    }
+// Run a service call and send its result as a successful response. Failures
+// are returned as gRPC errors with the matching status code, and the reason
+// and field violations in the status details.
+const handle = (callback, action) => {
+  Promise.resolve()
+    .then(action)
+    .then(result => callback(null, { success: true, ...result }))
+    .catch(error => callback(toGrpcError(toServiceError(error))));
+};
 
-    // Hash password
-    bcrypt.hash(password, 10, (err, hashedPassword) => {
-      if (err) {
-        return callback(null, {
-          success: false,
-          message: 'Error creating user'
-        });
-      }
+// Stream the user's changes to a resource until the call is cancelled.
+// toMessage turns a change event into the streamed message.
+const watch = (call, resource, toMessage) => {
+  const unsubscribe = services.changes.subscribe(call.user.id, {
+    resource,
+    afterEventId: call.request.afterEventId
+  }, {
+    // Response headers tell the client the stream is live
+    onStart: () => call.sendMetadata(new grpc.Metadata()),
+    onEvent: event => call.write(toMessage(event)),
+    onError: error => call.emit('error', toGrpcError(toServiceError(error)))
+  });
 
-      // Create new user
-      const newUser = {
-        id: uuidv4(),
-        username,
-        password: hashedPassword
-      };
+  call.on('cancelled', unsubscribe);
+};
 
-      // Add user to users array
-      users.push(newUser);
-      saveData();
-
-      // Generate JWT token
-      const token = jwt.sign(
-        { id: newUser.id, username: newUser.username },
-        process.env.SECRET_KEY,
-        { expiresIn: '24h' }
-      );
-
-      // Return success response
-      callback(null, {
-        success: true,
-        message: 'User registered successfully',
-        token,
-        user: {
-          id: newUser.id,
-          username: newUser.username
-        }
-      });
-    });
-  },
+// The files of a client-streamed upload, as { name, data } with the other
+// fields of each file's first message: the chunks of a file share its
+// fileName, and a new fileName starts the next file. Rejects once the files
+// take up more than maxSize.
+const receiveFiles = (call, maxSize, tooLarge) => new Promise((resolve, reject) => {
+  const files = [];
+  let size = 0;
+
+  call.on('data', ({ fileName, data, ...fields }) => {
+    size += data.length;
+    if (size > maxSize) {
+      reject(tooLarge());
+      return;
+    }
 
-  login: (call, callback) => {
-    const { username, password } = call.request;
+    const last = files[files.length - 1];
+    if (last && last.name === fileName) {
+      last.chunks.push(data);
+    } else {
+      files.push({ ...fields, name: fileName, chunks: [data] });
+    }
+  });
+  call.on('end', () => resolve(files.map(({ chunks, ...file }) => ({ ...file, data: Buffer.concat(chunks) }))));
+  call.on('error', reject);
+});
 
-    // Find user by username
-    const user = users.find(user => user.username === username);
+// Resolves once a server stream can take more messages, or is cancelled
+const writable = (call) => new Promise((resolve) => {
+  const done = () => {
+    call.off('drain', done);
+    call.off('cancelled', done);
+    resolve();
+  };
+  call.on('drain', done);
+  call.on('cancelled', done);
+});
 
-    // Check if user exists
-    if (!user) {
-      return callback(null, {
-        success: false,
-        message: 'Invalid username or password'
-      });
+// Stream chunks of data, with the fields of header in the first message,
+// keeping pace with the client. Stops when the call is cancelled.
+const sendChunks = async (call, chunks, header) => {
+  let first = true;
+  for await (const data of chunks) {
+    if (call.cancelled) {
+      return;
+    }
+    const message = first ? { ...header, data } : { data };
+    first = false;
+    if (!call.write(message)) {
+      await writable(call);
     }
+  }
+  call.end();
+};
 
-    // Compare passwords
-    bcrypt.compare(password, user.password, (err, result) => {
-      if (err || !result) {
-        return callback(null, {
-          success: false,
-          message: 'Invalid username or password'
-        });
-      }
+// ExportNotesRequest.archived as the archived filter of the services
+const ARCHIVE_FILTERS = { ALL_NOTES: undefined, UNARCHIVED_NOTES: false, ARCHIVED_NOTES: true };
+
+// Changes requested by an update call: the fields named in its update mask,
+// or without one the fields that aren't left at their default value. Proto3
+// can't tell an unset field from one set to its default.
+const requestedChanges = (request, updatable) => {
+  const paths = request.updateMask ? request.updateMask.paths : [];
+  const fields = paths.length > 0
+    ? resolveFieldMask(paths, updatable)
+    : populatedFields(request, updatable);
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { id: user.id, username: user.username },
-        process.env.SECRET_KEY,
-        { expiresIn: '24h' }
-      );
-
-      // Return success response
-      callback(null, {
-        success: true,
-        message: 'Login successful',
-        token,
-        user: {
-          id: user.id,
-          username: user.username
-        }
-      });
+  return pickFields(request, fields);
+};
+
+// Methods that can be called without a token
+const PUBLIC_METHODS = ['register', 'login'];
+
+// Extract the bearer token from the call metadata
+const getBearerToken = (metadata) => {
+  const [header] = metadata.get('authorization');
+  if (!header) {
+    return null;
+  }
+
+  const [scheme, token] = String(header).split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Authentication interceptor: verifies the bearer token before the handler
+// runs and exposes the decoded token payload as call.user. Streaming calls
+// have no callback; their errors are emitted on the call.
+const authInterceptor = (handler) => (call, callback) => {
+  const token = getBearerToken(call.metadata);
+
+  services.auth.verifyToken(token)
+    .then(user => {
+      call.user = user;
+      call.token = token;
+      handler(call, callback);
+    })
+    .catch(error => {
+      const grpcError = toGrpcError(toServiceError(error));
+      if (callback) {
+        callback(grpcError);
+      } else {
+        call.emit('error', grpcError);
+      }
     });
+};
+
+// Wrap every handler of a service implementation with the interceptor,
+// except for the public methods
+const intercept = (service, interceptor) => {
+  return Object.fromEntries(
+    Object.entries(service).map(([name, handler]) => [
+      name,
+      PUBLIC_METHODS.includes(name) ? handler : interceptor(handler)
+    ])
+  );
+};
+
+// Auth Service Implementation
+const authService = {
+  register: (call, callback) => {
+    handle(callback, async () => ({
+      message: 'User registered successfully',
+      ...await services.auth.register(call.request)
+    }));
+  },
+
+  login: (call, callback) => {
+    handle(callback, async () => ({
+      message: 'Login successful',
+      ...await services.auth.login(call.request)
+    }));
   },
 
   logout: (call, callback) => {
-    const { token } = call.request;
-
-    try {
-      // Decode token to get expiration
-      const decoded = jwt.decode(token);
-      if (!decoded || !decoded.exp) {
-        return callback(null, {
-          success: false,
-          message: 'Invalid token'
-        });
-      }
+    // Revoke the token from the request, or the one the call was made with
+    const token = call.request.token || call.token;
 
-      // Add token to blacklist
-      const expiresAt = new Date(decoded.exp * 1000).toISOString();
-      tokenBlacklist.push({ token, expiresAt });
-      saveData();
-
-      // Return success response
-      callback(null, {
-        success: true,
-        message: 'Logout successful'
-      });
-    } catch (error) {
-      callback(null, {
-        success: false,
-        message: 'Error during logout'
-      });
-    }
+    handle(callback, async () => {
+      await services.auth.logout(token);
+      return { message: 'Logout successful' };
+    });
   }
 };
 
 // Note Service Implementation
 const noteService = {
   getNotes: (call, callback) => {
-    const { userId, archived, tagId } = call.request;
-
-    // Filter notes by userId and archived status
-    let filteredNotes = notes.filter(note => note.userId === userId);
-    
-    // Filter by archived status if specified
-    if (archived !== undefined) {
-      filteredNotes = filteredNotes.filter(note => note.archived === archived);
-    }
-    
-    // Filter by tagId if specified
-    if (tagId) {
-      filteredNotes = filteredNotes.filter(note => 
-        note.tagIds && note.tagIds.includes(tagId)
-      );
-    }
+    const {
+      archived, tagId, tagIds, tagMatch, includeDescendants,
+      createdAfter, createdBefore, updatedAfter, updatedBefore,
+      orderBy, pageSize, pageToken
+    } = call.request;
 
-    // Return filtered notes
-    callback(null, {
-      success: true,
+    handle(callback, async () => ({
       message: 'Notes retrieved successfully',
-      notes: filteredNotes
-    });
+      ...await services.notes.getNotes(call.user.id, {
+        archived, tagId, tagIds, tagMatch, includeDescendants,
+        createdAfter, createdBefore, updatedAfter, updatedBefore,
+        orderBy, pageSize, pageToken
+      })
+    }));
   },
 
   getNote: (call, callback) => {
-    const { id, userId } = call.request;
-
-    // Find note by id and userId
-    const note = notes.find(note => note.id === id && note.userId === userId);
-
-    // Check if note exists
-    if (!note) {
-      return callback(null, {
-        success: false,
-        message: 'Note not found'
-      });
-    }
-
-    // Return note
-    callback(null, {
-      success: true,
+    handle(callback, async () => ({
       message: 'Note retrieved successfully',
-      note
-    });
+      note: await services.notes.getNote(call.user.id, call.request.id)
+    }));
   },
 
   createNote: (call, callback) => {
-    const { title, content, tagIds, userId, color } = call.request;
-
-    // Create new note
-    const newNote = {
-      id: uuidv4(),
-      title: title || '',
-      content: content || '',
-      tagIds: tagIds || [],
-      userId,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      archived: false,
-      color: color || '#ffffff'
-    };
-
-    // Add note to notes array
-    notes.push(newNote);
-    saveData();
-
-    // Return success response
-    callback(null, {
-      success: true,
+    const { title, content, tagIds, color, pinned, type, items, checkedItemsLast } = call.request;
+
+    handle(callback, async () => ({
       message: 'Note created successfully',
-      note: newNote
-    });
+      note: await services.notes.createNote(call.user.id, { title, content, tagIds, color, pinned, type, items, checkedItemsLast })
+    }));
   },
 
   updateNote: (call, callback) => {
-    const { id, title, content, tagIds, userId, archived, color } = call.request;
-
-    // Find note index
-    const noteIndex = notes.findIndex(note => note.id === id && note.userId === userId);
+    const { id, expectedVersion } = call.request;
 
-    // Check if note exists
-    if (noteIndex === -1) {
-      return callback(null, {
-        success: false,
-        message: 'Note not found'
-      });
-    }
-
-    // Update note
-    const updatedNote = {
-      ...notes[noteIndex],
-      title: title !== undefined ? title : notes[noteIndex].title,
-      content: content !== undefined ? content : notes[noteIndex].content,
-      tagIds: tagIds !== undefined ? tagIds : notes[noteIndex].tagIds,
-      archived: archived !== undefined ? archived : notes[noteIndex].archived,
-      color: color !== undefined ? color : notes[noteIndex].color,
-      updatedAt: new Date().toISOString()
-    };
-
-    // Replace note in notes array
-    notes[noteIndex] = updatedNote;
-    saveData();
-
-    // Return success response
-    callback(null, {
-      success: true,
+    handle(callback, async () => ({
       message: 'Note updated successfully',
-      note: updatedNote
-    });
+      note: await services.notes.updateNote(call.user.id, id, requestedChanges(call.request, UPDATABLE_FIELDS.note), { expectedVersion })
+    }));
   },
 
   deleteNote: (call, callback) => {
-    const { id, userId } = call.request;
+    const { id, expectedVersion } = call.request;
 
-    // Find note index
-    const noteIndex = notes.findIndex(note => note.id === id && note.userId === userId);
+    handle(callback, async () => {
+      const trashed = await services.notes.deleteNote(call.user.id, id, { expectedVersion });
+      return { message: trashed ? 'Note moved to trash' : 'Note deleted permanently' };
+    });
+  },
 
-    // Check if note exists
-    if (noteIndex === -1) {
-      return callback(null, {
-        success: false,
-        message: 'Note not found'
-      });
-    }
+  listTrash: (call, callback) => {
+    const { pageSize, pageToken } = call.request;
 
-    // Remove note from notes array
-    notes.splice(noteIndex, 1);
-    saveData();
+    handle(callback, async () => ({
+      message: 'Trash retrieved successfully',
+      ...await services.notes.listTrash(call.user.id, { pageSize, pageToken })
+    }));
+  },
+
+  restoreNote: (call, callback) => {
+    handle(callback, async () => ({
+      message: 'Note restored successfully',
+      note: await services.notes.restoreNote(call.user.id, call.request.id)
+    }));
+  },
 
-    // Return success response
-    callback(null, {
-      success: true,
-      message: 'Note deleted successfully'
+  emptyTrash: (call, callback) => {
+    handle(callback, async () => {
+      const deletedCount = await services.notes.emptyTrash(call.user.id);
+      return { message: 'Trash emptied successfully', deletedCount };
     });
-  }
-};
+  },
 
-// Tag Service Implementation
-const tagService = {
-  getTags: (call, callback) => {
-    const { userId } = call.request;
+  batchUpdateNotes: (call, callback) => {
+    const { ids, operation, tagIds, color } = call.request;
+
+    handle(callback, async () => ({
+      message: 'Notes updated successfully',
+      ...await services.notes.batchUpdateNotes(call.user.id, { ids, operation, tagIds, color })
+    }));
+  },
 
-    // Filter tags by userId
-    const filteredTags = tags.filter(tag => tag.userId === userId);
+  batchDeleteNotes: (call, callback) => {
+    handle(callback, async () => ({
+      message: 'Notes deleted successfully',
+      ...await services.notes.batchDeleteNotes(call.user.id, { ids: call.request.ids })
+    }));
+  },
 
-    // Return filtered tags
-    callback(null, {
-      success: true,
-      message: 'Tags retrieved successfully',
-      tags: filteredTags
+  importNotes: (call, callback) => {
+    const received = receiveFiles(call, MAX_IMPORT_SIZE, importTooLarge);
+
+    handle(callback, async () => {
+      const files = (await received).map(file => ({ ...file, format: parseImportFormat(file.format) }));
+      return { message: 'Notes imported successfully', ...await services.notes.importNotes(call.user.id, files) };
     });
   },
 
-  getTag: (call, callback) => {
-    const { id, userId } = call.request;
+  exportNotes: (call) => {
+    const { format, tagIds, tagMatch, includeDescendants, archived } = call.request;
 
-    // Find tag by id and userId
-    const tag = tags.find(tag => tag.id === id && tag.userId === userId);
+    Promise.resolve()
+      .then(() => services.notes.exportNotes(call.user.id, {
+        format, tagIds, tagMatch, includeDescendants, archived: ARCHIVE_FILTERS[archived]
+      }))
+      .then(({ fileName, contentType, chunks }) => sendChunks(call, chunks, { fileName, contentType }))
+      .catch(error => call.emit('error', toGrpcError(toServiceError(error))));
+  },
 
-    // Check if tag exists
-    if (!tag) {
-      return callback(null, {
-        success: false,
-        message: 'Tag not found'
-      });
-    }
+  uploadAttachment: (call, callback) => {
+    const received = receiveFiles(call, MAX_ATTACHMENT_SIZE, attachmentTooLarge);
 
-    // Return tag
-    callback(null, {
-      success: true,
-      message: 'Tag retrieved successfully',
-      tag
+    handle(callback, async () => {
+      const files = await received;
+      if (files.length !== 1) {
+        throw validationError('Upload exactly one file', [{ field: 'fileName', description: 'all chunks must have the same fileName' }]);
+      }
+      const [{ noteId, name, data, expectedVersion }] = files;
+      return {
+        message: 'Attachment uploaded successfully',
+        ...await services.notes.uploadAttachment(call.user.id, noteId, { fileName: name, data }, { expectedVersion })
+      };
     });
   },
 
-  createTag: (call, callback) => {
-    const { name, userId } = call.request;
+  downloadAttachment: (call) => {
+    const { noteId, attachmentId, thumbnail, offset, length } = call.request;
+    const range = { start: offset, end: length > 0 ? offset + length - 1 : undefined };
 
-    // Create new tag
-    const newTag = {
-      id: uuidv4(),
-      name,
-      userId,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-
-    // Add tag to tags array
-    tags.push(newTag);
-    saveData();
-
-    // Return success response
-    callback(null, {
-      success: true,
-      message: 'Tag created successfully',
-      tag: newTag
-    });
+    Promise.resolve()
+      .then(() => services.notes.downloadAttachment(call.user.id, noteId, attachmentId, { thumbnail, range }))
+      .then(({ attachment, contentType, size, start, chunks }) => {
+        return sendChunks(call, chunks, { attachment, contentType, size, offset: start });
+      })
+      .catch(error => call.emit('error', toGrpcError(toServiceError(error))));
   },
 
-  updateTag: (call, callback) => {
-    const { id, name, userId } = call.request;
+  deleteAttachment: (call, callback) => {
+    const { noteId, attachmentId, expectedVersion } = call.request;
 
-    // Find tag index
-    const tagIndex = tags.findIndex(tag => tag.id === id && tag.userId === userId);
+    handle(callback, async () => ({
+      message: 'Attachment deleted successfully',
+      note: await services.notes.deleteAttachment(call.user.id, noteId, attachmentId, { expectedVersion })
+    }));
+  },
 
-    // Check if tag exists
-    if (tagIndex === -1) {
-      return callback(null, {
-        success: false,
-        message: 'Tag not found'
-      });
-    }
+  moveNote: (call, callback) => {
+    const { id, beforeNoteId, afterNoteId } = call.request;
 
-    // Update tag
-    const updatedTag = {
-      ...tags[tagIndex],
-      name: name !== undefined ? name : tags[tagIndex].name,
-      updatedAt: new Date().toISOString()
-    };
+    handle(callback, async () => ({
+      message: 'Note moved successfully',
+      note: await services.notes.moveNote(call.user.id, id, { beforeNoteId, afterNoteId })
+    }));
+  },
 
-    // Replace tag in tags array
-    tags[tagIndex] = updatedTag;
-    saveData();
+  searchNotes: (call, callback) => {
+    const { query, pageSize, pageToken } = call.request;
 
-    // Return success response
-    callback(null, {
-      success: true,
-      message: 'Tag updated successfully',
-      tag: updatedTag
-    });
+    handle(callback, async () => ({
+      message: 'Search completed successfully',
+      ...await services.notes.searchNotes(call.user.id, { query, pageSize, pageToken })
+    }));
   },
 
-  deleteTag: (call, callback) => {
-    const { id, userId } = call.request;
+  addChecklistItem: (call, callback) => {
+    const { noteId, text, checked, indent, beforeItemId } = call.request;
 
-    // Find tag index
-    const tagIndex = tags.findIndex(tag => tag.id === id && tag.userId === userId);
+    handle(callback, async () => ({
+      message: 'Checklist item added successfully',
+      note: await services.notes.addChecklistItem(call.user.id, noteId, { text, checked, indent, beforeItemId })
+    }));
+  },
 
-    // Check if tag exists
-    if (tagIndex === -1) {
-      return callback(null, {
-        success: false,
-        message: 'Tag not found'
-      });
-    }
+  updateChecklistItem: (call, callback) => {
+    const { noteId, itemId } = call.request;
 
-    // Remove tag from tags array
-    tags.splice(tagIndex, 1);
+    handle(callback, async () => ({
+      message: 'Checklist item updated successfully',
+      note: await services.notes.updateChecklistItem(
+        call.user.id, noteId, itemId, requestedChanges(call.request, UPDATABLE_FIELDS.checklistItem)
+      )
+    }));
+  },
 
-    // Remove tag from all notes
-    notes.forEach(note => {
-      if (note.tagIds && note.tagIds.includes(id)) {
-        note.tagIds = note.tagIds.filter(tagId => tagId !== id);
-      }
-    });
+  checkChecklistItem: (call, callback) => {
+    const { noteId, itemId, checked } = call.request;
+
+    handle(callback, async () => ({
+      message: checked ? 'Checklist item checked successfully' : 'Checklist item unchecked successfully',
+      note: await services.notes.checkChecklistItem(call.user.id, noteId, itemId, checked)
+    }));
+  },
+
+  moveChecklistItem: (call, callback) => {
+    const { noteId, itemId, beforeItemId } = call.request;
+
+    handle(callback, async () => ({
+      message: 'Checklist item moved successfully',
+      note: await services.notes.moveChecklistItem(call.user.id, noteId, itemId, { beforeItemId })
+    }));
+  },
+
+  removeChecklistItem: (call, callback) => {
+    const { noteId, itemId } = call.request;
+
+    handle(callback, async () => ({
+      message: 'Checklist item removed successfully',
+      note: await services.notes.removeChecklistItem(call.user.id, noteId, itemId)
+    }));
+  },
+
+  getCollaborators: (call, callback) => {
+    handle(callback, async () => ({
+      message: 'Collaborators retrieved successfully',
+      ...await services.notes.getCollaborators(call.user.id, call.request.id)
+    }));
+  },
+
+  shareNote: (call, callback) => {
+    const { id, username, role } = call.request;
+
+    handle(callback, async () => ({
+      message: 'Note shared successfully',
+      collaborator: await services.notes.shareNote(call.user.id, id, { username, role })
+    }));
+  },
+
+  updateCollaborator: (call, callback) => {
+    const { id, userId, role } = call.request;
+
+    handle(callback, async () => ({
+      message: 'Collaborator updated successfully',
+      collaborator: await services.notes.updateCollaborator(call.user.id, id, userId, { role })
+    }));
+  },
 
-    saveData();
+  removeCollaborator: (call, callback) => {
+    const { id, userId } = call.request;
 
-    // Return success response
-    callback(null, {
-      success: true,
-      message: 'Tag deleted successfully'
+    handle(callback, async () => {
+      await services.notes.removeCollaborator(call.user.id, id, userId);
+      return { message: 'Collaborator removed successfully' };
     });
+  },
+
+  listSharedWithMe: (call, callback) => {
+    const { pageSize, pageToken } = call.request;
+
+    handle(callback, async () => ({
+      message: 'Shared notes retrieved successfully',
+      ...await services.notes.listSharedWithMe(call.user.id, { pageSize, pageToken })
+    }));
+  },
+
+  listNoteRevisions: (call, callback) => {
+    const { id, pageSize, pageToken } = call.request;
+
+    handle(callback, async () => ({
+      message: 'Revisions retrieved successfully',
+      ...await services.notes.listRevisions(call.user.id, id, { pageSize, pageToken })
+    }));
+  },
+
+  getNoteRevision: (call, callback) => {
+    const { id, revision } = call.request;
+
+    handle(callback, async () => ({
+      message: 'Revision retrieved successfully',
+      revision: await services.notes.getRevision(call.user.id, id, revision)
+    }));
+  },
+
+  diffNoteRevisions: (call, callback) => {
+    const { id, fromRevision, toRevision } = call.request;
+
+    handle(callback, async () => ({
+      message: 'Diff computed successfully',
+      ...await services.notes.diffRevisions(call.user.id, id, { fromRevision, toRevision })
+    }));
+  },
+
+  revertNote: (call, callback) => {
+    const { id, revision } = call.request;
+
+    handle(callback, async () => ({
+      message: 'Note reverted successfully',
+      note: await services.notes.revertNote(call.user.id, id, revision)
+    }));
+  },
+
+  convertNote: (call, callback) => {
+    handle(callback, async () => ({
+      message: 'Note converted successfully',
+      note: await services.notes.convertNote(call.user.id, call.request.id, call.request.type)
+    }));
+  },
+
+  watchNotes: (call) => {
+    watch(call, 'note', ({ id, type, record, occurredAt }) => ({ id, type, note: record, occurredAt }));
   }
 };
 
-// User Service Implementation
-const userService = {
-  getUser: (call, callback) => {
-    const { id } = call.request;
+// Tag Service Implementation
+const tagService = {
+  getTags: (call, callback) => {
+    const { orderBy, pageSize, pageToken, tree } = call.request;
 
-    // Find user by id
-    const user = users.find(user => user.id === id);
+    handle(callback, async () => ({
+      message: 'Tags retrieved successfully',
+      ...await services.tags.getTags(call.user.id, { orderBy, pageSize, pageToken, tree })
+    }));
+  },
 
-    // Check if user exists
-    if (!user) {
-      return callback(null, {
-        success: false,
-        message: 'User not found'
-      });
-    }
+  getTag: (call, callback) => {
+    handle(callback, async () => ({
+      message: 'Tag retrieved successfully',
+      tag: await services.tags.getTag(call.user.id, call.request.id)
+    }));
+  },
 
-    // Return user without password
-    callback(null, {
-      success: true,
-      message: 'User retrieved successfully',
-      user: {
-        id: user.id,
-        username: user.username
-      }
-    });
+  createTag: (call, callback) => {
+    const { name, parentId } = call.request;
+
+    handle(callback, async () => ({
+      message: 'Tag created successfully',
+      tag: await services.tags.createTag(call.user.id, { name, parentId })
+    }));
   },
 
-  updateUser: (call, callback) => {
-    const { id, username, password } = call.request;
+  updateTag: (call, callback) => {
+    const { id, expectedVersion } = call.request;
 
-    // Find user index
-    const userIndex = users.findIndex(user => user.id === id);
+    handle(callback, async () => ({
+      message: 'Tag updated successfully',
+      tag: await services.tags.updateTag(call.user.id, id, requestedChanges(call.request, UPDATABLE_FIELDS.tag), { expectedVersion })
+    }));
+  },
 
-    // Check if user exists
-    if (userIndex === -1) {
-      return callback(null, {
-        success: false,
-        message: 'User not found'
-      });
-    }
+  deleteTag: (call, callback) => {
+    const { id, expectedVersion, children } = call.request;
 
-    // Check if username is already taken
-    if (username && username !== users[userIndex].username &&
-        users.some(user => user.username === username)) {
-      return callback(null, {
-        success: false,
-        message: 'Username already exists'
-      });
-    }
+    handle(callback, async () => ({
+      message: 'Tag deleted successfully',
+      deletedTagIds: await services.tags.deleteTag(call.user.id, id, { expectedVersion, children })
+    }));
+  },
 
-    // Update user
-    const updateUser = async () => {
-      const updatedUser = { ...users[userIndex] };
+  mergeTags: (call, callback) => {
+    const { targetTagId, sourceTagIds } = call.request;
 
-      // Update username if provided
-      if (username) {
-        updatedUser.username = username;
-      }
+    handle(callback, async () => ({
+      message: 'Tags merged successfully',
+      ...await services.tags.mergeTags(call.user.id, targetTagId, { sourceTagIds })
+    }));
+  },
 
-      // Update password if provided
-      if (password) {
-        try {
-          updatedUser.password = await bcrypt.hash(password, 10);
-        } catch (error) {
-          return callback(null, {
-            success: false,
-            message: 'Error updating password'
-          });
-        }
-      }
+  watchTags: (call) => {
+    watch(call, 'tag', ({ id, type, record, occurredAt }) => ({ id, type, tag: record, occurredAt }));
+  }
+};
 
-      // Replace user in users array
-      users[userIndex] = updatedUser;
-      saveData();
+// Users may only access their own account; an empty id means the caller
+const ownAccountId = (call) => {
+  if (call.request.id && call.request.id !== call.user.id) {
+    throw new ServiceError(ErrorCode.PERMISSION_DENIED, 'Access denied', { reason: Reason.ACCESS_DENIED });
+  }
+  return call.user.id;
+};
 
-      // Return success response
-      callback(null, {
-        success: true,
-        message: 'User updated successfully',
-        user: {
-          id: updatedUser.id,
-          username: updatedUser.username
-        }
-      });
-    };
+// Reminder Service Implementation
+const reminderService = {
+  getReminders: (call, callback) => {
+    handle(callback, async () => ({
+      message: 'Reminders retrieved successfully',
+      ...await services.reminders.getReminders(call.user.id, { noteId: call.request.noteId })
+    }));
+  },
 
-    updateUser();
+  getReminder: (call, callback) => {
+    handle(callback, async () => ({
+      message: 'Reminder retrieved successfully',
+      reminder: await services.reminders.getReminder(call.user.id, call.request.id)
+    }));
   },
 
-  deleteUser: (call, callback) => {
-    const { id } = call.request;
+  createReminder: (call, callback) => {
+    const { noteId, time, timezone, recurrence } = call.request;
 
-    // Find user index
-    const userIndex = users.findIndex(user => user.id === id);
+    handle(callback, async () => ({
+      message: 'Reminder created successfully',
+      reminder: await services.reminders.createReminder(call.user.id, { noteId, time, timezone, recurrence })
+    }));
+  },
 
-    // Check if user exists
-    if (userIndex === -1) {
-      return callback(null, {
-        success: false,
-        message: 'User not found'
-      });
-    }
+  updateReminder: (call, callback) => {
+    handle(callback, async () => ({
+      message: 'Reminder updated successfully',
+      reminder: await services.reminders.updateReminder(
+        call.user.id, call.request.id, requestedChanges(call.request, UPDATABLE_FIELDS.reminder)
+      )
+    }));
+  },
 
-    // Remove user from users array
-    users.splice(userIndex, 1);
+  deleteReminder: (call, callback) => {
+    handle(callback, async () => {
+      await services.reminders.deleteReminder(call.user.id, call.request.id);
+      return { message: 'Reminder deleted successfully' };
+    });
+  },
 
-    // Remove all notes and tags belonging to the user
-    notes = notes.filter(note => note.userId !== id);
-    tags = tags.filter(tag => tag.userId !== id);
+  watchReminders: (call) => {
+    watch(call, 'reminder', ({ id, type, record, occurredAt }) => ({ id, type, reminder: record, occurredAt }));
+  }
+};
+
+// User Service Implementation
+const userService = {
+  getUser: (call, callback) => {
+    handle(callback, async () => ({
+      message: 'User retrieved successfully',
+      user: await services.users.getUser(ownAccountId(call))
+    }));
+  },
 
-    saveData();
+  updateUser: (call, callback) => {
+    handle(callback, async () => ({
+      message: 'User updated successfully',
+      user: await services.users.updateUser(ownAccountId(call), requestedChanges(call.request, UPDATABLE_FIELDS.user))
+    }));
+  },
 
-    // Return success response
-    callback(null, {
-      success: true,
-      message: 'User deleted successfully'
+  deleteUser: (call, callback) => {
+    handle(callback, async () => {
+      await services.users.deleteUser(ownAccountId(call));
+      return { message: 'User deleted successfully' };
     });
   }
 };
@@ -626,10 +664,24 @@ const userService = {
 const server = new grpc.Server();
 
 // Add services to server
-server.addService(keepapi.AuthService.service, authService);
-server.addService(keepapi.NoteService.service, noteService);
-server.addService(keepapi.TagService.service, tagService);
-server.addService(keepapi.UserService.service, userService);
+server.addService(keepapi.AuthService.service, intercept(authService, authInterceptor));
+server.addService(keepapi.NoteService.service, intercept(noteService, authInterceptor));
+server.addService(keepapi.TagService.service, intercept(tagService, authInterceptor));
+server.addService(keepapi.ReminderService.service, intercept(reminderService, authInterceptor));
+server.addService(keepapi.UserService.service, intercept(userService, authInterceptor));
+
+// Flush storage before exiting
+const shutdown = async () => {
+  services.scheduler.stop();
+  try {
+    await storage.close();
+  } catch (error) {
+    console.error('Error closing storage:', error);
+  }
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 // Start server
 const PORT = process.env.GRPC_PORT || 50051;
@@ -638,10 +690,16 @@ server.bindAsync(`0.0.0.0:${PORT}`, grpc.ServerCredentials.createInsecure(), (er
     console.error('Failed to bind server:', err);
     return;
   }
-  
+
   console.log(`gRPC server running at http://0.0.0.0:${port}`);
   server.start();
-  
+
+  // Trigger reminders, including those missed while the server was down
+  services.scheduler.start();
+
   // Run blacklist cleanup periodically (every hour)
-  setInterval(cleanBlacklist, 60 * 60 * 1000);
+  setInterval(() => services.auth.cleanBlacklist().catch(error => console.error('Error cleaning token blacklist:', error)), 60 * 60 * 1000);
+
+  // Purge notes that have been in the trash for too long (every hour)
+  setInterval(() => services.notes.purgeTrash().catch(error => console.error('Error purging trash:', error)), 60 * 60 * 1000);
 });
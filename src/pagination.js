@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import { validationError } from './errors.js';
+
+// Cursor-based pagination of sorted record lists. A page token holds the
+// sort key and id of the last record returned, so pages stay consistent
+// while records are added or removed in between requests.
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+
+// Text fields are sorted case-insensitively
+const TEXT_FIELDS = ['title', 'name'];
+
+// Parse an order such as "updatedAt desc" into { field, descending }. The
+// direction defaults to ascending; an empty order sorts by defaultField.
+export const parseOrderBy = (orderBy, sortable, defaultField = 'createdAt') => {
+  const [field = defaultField, direction = 'asc', ...rest] = String(orderBy || '').trim().split(/\s+/).filter(Boolean);
+
+  if (!sortable.includes(field) || !['asc', 'desc'].includes(direction.toLowerCase()) || rest.length > 0) {
+    throw validationError('Invalid orderBy', [{
+      field: 'orderBy',
+      description: `must be one of ${sortable.join(', ')}, optionally followed by asc or desc`
+    }]);
+  }
+
+  return { field, descending: direction.toLowerCase() === 'desc' };
+};
+
+// Sort key of a record: the ordered field, then the id to break ties. An
+// order with a `first` flag field puts the records with that flag before
+// the others.
+const sortKey = (record, { field, first }) => {
+  const value = record[field] ?? '';
+  const key = [TEXT_FIELDS.includes(field) ? String(value).toLowerCase() : value, record.id];
+  return first ? [record[first] ? 0 : 1, ...key] : key;
+};
+
+// Compare sort keys in the direction of the order; the group of a `first`
+// flag doesn't depend on the direction
+const compareKeys = (a, b, { descending, first }) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      const sign = a[i] < b[i] ? -1 : 1;
+      return descending && !(first && i === 0) ? -sign : sign;
+    }
+  }
+  return 0;
+};
+
+// Records sorted by an order, without paging
+export const sortRecords = (records, order) => {
+  return records
+    .map(record => ({ record, key: sortKey(record, order) }))
+    .sort((a, b) => compareKeys(a.key, b.key, order))
+    .map(({ record }) => record);
+};
+
+// Short digest of the parameters a token was issued for
+const fingerprint = (query) => {
+  return crypto.createHash('sha256').update(JSON.stringify(query)).digest('base64url').slice(0, 16);
+};
+
+const invalidPageToken = (description) => {
+  return validationError('Invalid page token', [{ field: 'pageToken', description }]);
+};
+
+const decodePageToken = (pageToken, order, query) => {
+  let token;
+  try {
+    token = JSON.parse(Buffer.from(pageToken, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidPageToken('is not a token returned by this API');
+  }
+
+  if (!token || !Array.isArray(token.after) || token.after.length !== (order.first ? 3 : 2)) {
+    throw invalidPageToken('is not a token returned by this API');
+  }
+  if (token.query !== fingerprint(query)) {
+    throw invalidPageToken('was issued for a different query');
+  }
+
+  return token.after;
+};
+
+const encodePageToken = (after, query) => {
+  return Buffer.from(JSON.stringify({ after, query: fingerprint(query) })).toString('base64url');
+};
+
+// Sort records and return the page following pageToken, with the token of
+// the next page ('' on the last page). query holds every parameter that
+// shapes the result, including the order: a token is only accepted with the
+// parameters it was issued for.
+export const paginate = (records, { order, pageSize, pageToken, query }) => {
+  const size = pageSize === undefined || pageSize === '' ? 0 : Number(pageSize);
+  if (!Number.isInteger(size) || size < 0) {
+    throw validationError('Invalid page size', [{ field: 'pageSize', description: 'must be a positive integer' }]);
+  }
+  const limit = Math.min(size || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  const keyed = records
+    .map(record => ({ record, key: sortKey(record, order) }))
+    .sort((a, b) => compareKeys(a.key, b.key, order));
+
+  let start = 0;
+  if (pageToken) {
+    const after = decodePageToken(pageToken, order, query);
+    start = keyed.findIndex(({ key }) => compareKeys(key, after, order) > 0);
+    if (start === -1) {
+      start = keyed.length;
+    }
+  }
+
+  const page = keyed.slice(start, start + limit);
+  const hasMore = start + limit < keyed.length;
+
+  return {
+    items: page.map(({ record }) => record),
+    nextPageToken: hasMore ? encodePageToken(page[page.length - 1].key, query) : ''
+  };
+};
@@ -0,0 +1,263 @@
+import zlib from 'zlib';
+import { crc32 } from './zip.js';
+
+// Just enough PNG to make thumbnails: decoding non-interlaced images of any
+// color type and bit depth into 8-bit RGBA, scaling them down, and encoding
+// RGBA images.
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Channels per pixel of each color type: grayscale, RGB, palette,
+// grayscale with alpha, RGBA
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+export const isPng = (data) => data.length >= SIGNATURE.length && SIGNATURE.equals(data.subarray(0, SIGNATURE.length));
+
+// Width and height from the header, without decoding the image
+export const pngSize = (data) => {
+  if (!isPng(data) || data.length < 24) {
+    return undefined;
+  }
+  return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+};
+
+const chunks = (data) => {
+  const result = [];
+  let offset = SIGNATURE.length;
+  while (offset + 8 <= data.length) {
+    const length = data.readUInt32BE(offset);
+    const type = data.toString('latin1', offset + 4, offset + 8);
+    result.push({ type, data: data.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+    if (type === 'IEND') {
+      break;
+    }
+  }
+  return result;
+};
+
+const paeth = (left, up, upLeft) => {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) {
+    return left;
+  }
+  return toUp <= toUpLeft ? up : upLeft;
+};
+
+// Undo the per-row filters; returns the rows without their filter
+// type bytes
+const unfilter = (raw, height, rowLength, bytesPerPixel) => {
+  const rows = Buffer.alloc(height * rowLength);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (rowLength + 1)];
+    const source = y * (rowLength + 1) + 1;
+    const row = y * rowLength;
+    const previous = row - rowLength;
+
+    for (let x = 0; x < rowLength; x++) {
+      const left = x >= bytesPerPixel ? rows[row + x - bytesPerPixel] : 0;
+      const up = y > 0 ? rows[previous + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? rows[previous + x - bytesPerPixel] : 0;
+      const value = raw[source + x];
+
+      switch (filter) {
+        case 0: rows[row + x] = value; break;
+        case 1: rows[row + x] = value + left; break;
+        case 2: rows[row + x] = value + up; break;
+        case 3: rows[row + x] = value + ((left + up) >> 1); break;
+        case 4: rows[row + x] = value + paeth(left, up, upLeft); break;
+        default: throw new Error(`Invalid PNG filter type ${filter}`);
+      }
+    }
+  }
+  return rows;
+};
+
+// Decode a PNG image into { width, height, pixels }, pixels being 8-bit
+// RGBA rows. Throws on images it can't read, interlaced ones included.
+export const decodePng = (data) => {
+  if (!isPng(data)) {
+    throw new Error('Not a PNG image');
+  }
+
+  const all = chunks(data);
+  const header = all.find(chunk => chunk.type === 'IHDR');
+  if (!header || header.data.length < 13) {
+    throw new Error('PNG header missing');
+  }
+  const width = header.data.readUInt32BE(0);
+  const height = header.data.readUInt32BE(4);
+  const [bitDepth, colorType, , , interlace] = header.data.subarray(8, 13);
+  const channels = CHANNELS[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(bitDepth) || interlace !== 0 || width === 0 || height === 0) {
+    throw new Error('Unsupported PNG format');
+  }
+
+  const palette = all.find(chunk => chunk.type === 'PLTE')?.data;
+  const transparency = all.find(chunk => chunk.type === 'tRNS')?.data;
+  if (colorType === 3 && !palette) {
+    throw new Error('PNG palette missing');
+  }
+
+  const bitsPerPixel = channels * bitDepth;
+  const rowLength = Math.ceil((width * bitsPerPixel) / 8);
+  // The rows take this many bytes; inflating stops there, so a small file
+  // can't claim a huge amount of memory
+  const expectedLength = height * (rowLength + 1);
+  let raw;
+  try {
+    raw = zlib.inflateSync(Buffer.concat(all.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data)), {
+      maxOutputLength: expectedLength
+    });
+  } catch (error) {
+    throw new Error(error.code === 'ERR_BUFFER_TOO_LARGE' ? 'PNG image data too large' : 'PNG image data invalid');
+  }
+  if (raw.length < expectedLength) {
+    throw new Error('PNG image data truncated');
+  }
+  const rows = unfilter(raw, height, rowLength, Math.max(1, bitsPerPixel >> 3));
+
+  // Sample n of a row, scaled to 8 bits
+  const maxSample = (1 << Math.min(bitDepth, 8)) - 1;
+  const sample = (row, n) => {
+    if (bitDepth === 16) {
+      return rows[row + n * 2];
+    }
+    if (bitDepth === 8) {
+      return rows[row + n];
+    }
+    const bit = n * bitDepth;
+    const value = (rows[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    return colorType === 3 ? value : Math.round((value * 255) / maxSample);
+  };
+  // tRNS of grayscale and RGB images names one transparent color
+  const transparentSample = (n) => {
+    const value = transparency.readUInt16BE(n * 2);
+    return bitDepth === 16 ? value >> 8 : Math.round((value * 255) / ((1 << bitDepth) - 1));
+  };
+
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const row = y * rowLength;
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      let r;
+      let g;
+      let b;
+      let a = 255;
+
+      if (colorType === 3) {
+        const index = sample(row, x);
+        r = palette[index * 3] ?? 0;
+        g = palette[index * 3 + 1] ?? 0;
+        b = palette[index * 3 + 2] ?? 0;
+        a = transparency && index < transparency.length ? transparency[index] : 255;
+      } else if (colorType === 0 || colorType === 4) {
+        r = g = b = sample(row, x * channels);
+        if (colorType === 4) {
+          a = sample(row, x * channels + 1);
+        } else if (transparency?.length >= 2 && r === transparentSample(0)) {
+          a = 0;
+        }
+      } else {
+        r = sample(row, x * channels);
+        g = sample(row, x * channels + 1);
+        b = sample(row, x * channels + 2);
+        if (colorType === 6) {
+          a = sample(row, x * channels + 3);
+        } else if (transparency?.length >= 6 && r === transparentSample(0) && g === transparentSample(1) && b === transparentSample(2)) {
+          a = 0;
+        }
+      }
+
+      pixels[out] = r;
+      pixels[out + 1] = g;
+      pixels[out + 2] = b;
+      pixels[out + 3] = a;
+    }
+  }
+
+  return { width, height, pixels };
+};
+
+// Scale an RGBA image down to fit within maxSize by maxSize, keeping its
+// aspect ratio, by averaging the pixels each new pixel covers. Colors are
+// weighted by alpha so transparent pixels don't darken edges. Smaller images
+// are left as they are.
+export const scaleDown = ({ width, height, pixels }, maxSize) => {
+  const scale = Math.min(1, maxSize / width, maxSize / height);
+  if (scale === 1) {
+    return { width, height, pixels };
+  }
+
+  const newWidth = Math.max(1, Math.round(width * scale));
+  const newHeight = Math.max(1, Math.round(height * scale));
+  const scaled = Buffer.alloc(newWidth * newHeight * 4);
+
+  for (let y = 0; y < newHeight; y++) {
+    const top = Math.floor((y * height) / newHeight);
+    const bottom = Math.max(top + 1, Math.floor(((y + 1) * height) / newHeight));
+    for (let x = 0; x < newWidth; x++) {
+      const left = Math.floor((x * width) / newWidth);
+      const right = Math.max(left + 1, Math.floor(((x + 1) * width) / newWidth));
+
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let sy = top; sy < bottom; sy++) {
+        for (let sx = left; sx < right; sx++) {
+          const offset = (sy * width + sx) * 4;
+          const alpha = pixels[offset + 3];
+          r += pixels[offset] * alpha;
+          g += pixels[offset + 1] * alpha;
+          b += pixels[offset + 2] * alpha;
+          a += alpha;
+        }
+      }
+
+      const out = (y * newWidth + x) * 4;
+      const count = (bottom - top) * (right - left);
+      scaled[out] = a > 0 ? Math.round(r / a) : 0;
+      scaled[out + 1] = a > 0 ? Math.round(g / a) : 0;
+      scaled[out + 2] = a > 0 ? Math.round(b / a) : 0;
+      scaled[out + 3] = Math.round(a / count);
+    }
+  }
+
+  return { width: newWidth, height: newHeight, pixels: scaled };
+};
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+};
+
+// Encode an RGBA image as a PNG
+export const encodePng = ({ width, height, pixels }) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+
+  const rowLength = width * 4;
+  const raw = Buffer.alloc(height * (rowLength + 1));
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
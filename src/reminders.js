@@ -0,0 +1,286 @@
+import { validationError } from './errors.js';
+import { ChangeType, recordChange } from './changes.js';
+import { systemClock } from './clock.js';
+
+// Reminders on notes.
+//
+// A reminder triggers at `time`, an absolute instant, and then again as its
+// recurrence says, counted in the wall-clock time of its timezone: a daily
+// reminder at 09:00 in Europe/Tallinn stays at 09:00 across daylight saving
+// changes, and a monthly one on the 31st falls on the last day of shorter
+// months. Records are { id, userId, noteId, time, timezone, recurrence:
+// { frequency, interval }, occurrence, nextTriggerAt, lastTriggeredAt,
+// lastMissed, createdAt, updatedAt }; occurrence numbers the occurrence due
+// at nextTriggerAt, which is '' once there are no more.
+//
+// A ReminderScheduler in each server process triggers reminders as they
+// fall due and records a FIRED change event. The schedule is kept in
+// storage, so a restarted server carries on where it stopped: occurrences
+// that passed while no server was running are recorded as MISSED instead,
+// once per reminder however many there were.
+
+export const Frequency = {
+  NONE: 'NONE',
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY',
+  MONTHLY: 'MONTHLY'
+};
+
+// Occurrences triggered later than this after they were due were missed
+const MISSED_AFTER = 60 * 1000;
+
+// Interval of checks for reminders scheduled by other processes sharing the
+// storage
+const DEFAULT_POLL_INTERVAL = 30 * 1000;
+
+// Longest delay setTimeout accepts
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// An instant with an explicit UTC offset, such as 2026-03-01T09:00:00+02:00
+const ABSOLUTE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i;
+
+export const parseTime = (time) => {
+  if (!ABSOLUTE_TIME.test(String(time || '')) || Number.isNaN(Date.parse(time))) {
+    throw validationError('Invalid reminder time', [
+      { field: 'time', description: 'must be an ISO 8601 date and time with a UTC offset' }
+    ]);
+  }
+  return new Date(time).toISOString();
+};
+
+// Validate an IANA time zone name; empty means UTC
+export const parseTimeZone = (timezone) => {
+  if (!timezone) {
+    return 'UTC';
+  }
+
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+  } catch (error) {
+    throw validationError('Invalid timezone', [
+      { field: 'timezone', description: 'must be an IANA time zone such as Europe/Tallinn' }
+    ]);
+  }
+};
+
+// Validate a recurrence; a missing one or an interval of 0 mean the defaults
+export const parseRecurrence = (recurrence) => {
+  const { frequency, interval } = recurrence || {};
+
+  const upper = String(frequency || Frequency.NONE).toUpperCase();
+  if (!Frequency[upper]) {
+    throw validationError('Invalid recurrence', [
+      { field: 'recurrence.frequency', description: 'must be NONE, DAILY, WEEKLY or MONTHLY' }
+    ]);
+  }
+
+  const every = interval === undefined || interval === null || interval === '' ? 1 : Number(interval) || 1;
+  if (!Number.isInteger(every) || every < 1) {
+    throw validationError('Invalid recurrence', [
+      { field: 'recurrence.interval', description: 'must be a positive integer' }
+    ]);
+  }
+
+  return { frequency: upper, interval: upper === Frequency.NONE ? 1 : every };
+};
+
+const formatters = new Map();
+
+const formatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Wall-clock time of an instant in a time zone, as the milliseconds of the
+// same date and time in UTC
+const toWallClock = (time, timeZone) => {
+  const parts = Object.fromEntries(formatter(timeZone).formatToParts(time).map(({ type, value }) => [type, Number(value)]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+    + new Date(time).getUTCMilliseconds();
+};
+
+// The instant of a wall-clock time in a time zone. A time skipped by a
+// daylight saving change moves forward by the length of the gap.
+const fromWallClock = (wallClock, timeZone) => {
+  const offset = toWallClock(wallClock, timeZone) - wallClock;
+  const time = wallClock - offset;
+  const actualOffset = toWallClock(time, timeZone) - time;
+  return actualOffset === offset ? time : wallClock - actualOffset;
+};
+
+// The nth occurrence of a recurring reminder, counting `time` as the 0th
+const occurrenceTime = ({ time, timezone, recurrence }, n) => {
+  const start = Date.parse(time);
+  if (n === 0) {
+    return start;
+  }
+
+  const date = new Date(toWallClock(start, timezone));
+  const steps = n * recurrence.interval;
+
+  switch (recurrence.frequency) {
+    case Frequency.DAILY:
+      date.setUTCDate(date.getUTCDate() + steps);
+      break;
+    case Frequency.WEEKLY:
+      date.setUTCDate(date.getUTCDate() + 7 * steps);
+      break;
+    case Frequency.MONTHLY: {
+      // The same day of the month, or the last day of a shorter month
+      const day = date.getUTCDate();
+      date.setUTCDate(1);
+      date.setUTCMonth(date.getUTCMonth() + steps);
+      const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+      date.setUTCDate(Math.min(day, lastDay));
+      break;
+    }
+  }
+
+  return fromWallClock(date.getTime(), timezone);
+};
+
+// Schedule fields of a reminder for its first occurrence at or after the
+// instant `after`, counting from occurrence number `from`
+export const schedule = (reminder, after, from = 0) => {
+  if (reminder.recurrence.frequency === Frequency.NONE) {
+    const due = from === 0 && Date.parse(reminder.time) >= after;
+    return { occurrence: from, nextTriggerAt: due ? reminder.time : '' };
+  }
+
+  let occurrence = from;
+  while (occurrenceTime(reminder, occurrence) < after) {
+    occurrence++;
+  }
+  return { occurrence, nextTriggerAt: new Date(occurrenceTime(reminder, occurrence)).toISOString() };
+};
+
+// Triggers reminders as they fall due
+export class ReminderScheduler {
+  constructor(storage, {
+    changes, clock = systemClock, pollInterval = DEFAULT_POLL_INTERVAL, missedAfter = MISSED_AFTER
+  } = {}) {
+    this.storage = storage;
+    this.changes = changes;
+    this.clock = clock;
+    this.pollInterval = pollInterval;
+    this.missedAfter = missedAfter;
+    this.running = false;
+    this.timer = null;
+    this.checking = null;
+    this.pending = false;
+  }
+
+  // Trigger the reminders that fell due while the scheduler wasn't running,
+  // then each one as it falls due
+  start() {
+    this.running = true;
+    return this.check();
+  }
+
+  stop() {
+    this.running = false;
+    this.clock.clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Check the schedule now, after reminders were changed in this process
+  reschedule() {
+    if (this.running) {
+      this.check();
+    }
+  }
+
+  // Trigger the due reminders and set the timer for the next one. Checks
+  // never overlap; one requested during a check runs right after it, and
+  // the returned promise settles once both are done.
+  check() {
+    if (this.checking) {
+      this.pending = true;
+      return this.checking;
+    }
+
+    this.checking = this.run()
+      .catch(error => console.error('Error triggering reminders:', error))
+      .finally(() => {
+        this.checking = null;
+        if (this.pending) {
+          this.pending = false;
+          return this.check();
+        }
+      });
+    return this.checking;
+  }
+
+  async run() {
+    const next = await this.trigger();
+    if (!this.running) {
+      return;
+    }
+
+    // Wake up for the next reminder, or to look for ones added elsewhere
+    const delay = Math.min(next === null ? Infinity : next - this.clock.now(), this.pollInterval, MAX_TIMER_DELAY);
+    this.clock.clearTimeout(this.timer);
+    this.timer = this.clock.setTimeout(() => this.check(), Math.max(delay, 0));
+  }
+
+  // Trigger the reminders due by now. The schedule is read and advanced in
+  // one transaction, so an occurrence is triggered once even when several
+  // processes share the storage. Returns when the next reminder is due, or
+  // null when none is.
+  async trigger() {
+    const now = this.clock.now();
+
+    const { next, triggered } = await this.storage.transaction(async (repos) => {
+      let next = null;
+      let triggered = 0;
+
+      for (const reminder of await repos.reminders.findWhere()) {
+        let nextTriggerAt = reminder.nextTriggerAt;
+
+        if (nextTriggerAt && Date.parse(nextTriggerAt) <= now) {
+          const following = schedule(reminder, now + 1, reminder.occurrence + 1);
+
+          // Reminders on trashed notes pass silently
+          const note = await repos.notes.findById(reminder.noteId);
+          if (note && note.trashedAt) {
+            await repos.reminders.update(reminder.id, following);
+            nextTriggerAt = following.nextTriggerAt;
+          } else {
+            const missed = now - Date.parse(nextTriggerAt) > this.missedAfter;
+            const result = await repos.reminders.update(reminder.id, {
+              ...following,
+              lastTriggeredAt: nextTriggerAt,
+              lastMissed: missed
+            });
+
+            await recordChange(repos, reminder.userId, 'reminder', missed ? ChangeType.MISSED : ChangeType.FIRED, result);
+            triggered++;
+            nextTriggerAt = result.nextTriggerAt;
+          }
+        }
+
+        if (nextTriggerAt) {
+          next = Math.min(next ?? Infinity, Date.parse(nextTriggerAt));
+        }
+      }
+
+      return { next, triggered };
+    });
+
+    if (triggered > 0) {
+      this.changes.notify();
+    }
+    return next;
+  }
+}
@@ -1,13 +1,18 @@
 import express from "express";
 import cors from "cors";
 import bodyParser from "body-parser";
-import { v4 as uuidv4 } from "uuid";
-import fs from "fs";
+import http from "http";
 import path from "path";
 import { fileURLToPath } from "url";
-import jwt from "jsonwebtoken";
-import bcrypt from "bcrypt";
 import dotenv from "dotenv";
+import { WebSocketServer } from "ws";
+import { createStorage } from "./storage/index.js";
+import { createServices } from "./services.js";
+import { ErrorCode, Reason, ServiceError, toServiceError, validationError } from "./errors.js";
+import { UPDATABLE_FIELDS, pickFields, resolveFieldMask } from "./field-mask.js";
+import { MAX_IMPORT_SIZE, parseImportFormat } from "./import.js";
+import { MAX_ATTACHMENT_SIZE } from "./attachments.js";
+import { FileBlobStore } from "./blobs.js";
 
 // Load environment variables
 dotenv.config();
@@ -19,543 +24,906 @@ const __dirname = path.dirname(__filename);
 // Create Express app
 const app = express();
 const PORT = process.env.PORT || 3001;
-const SECRET_KEY = process.env.SECRET_KEY || 'your_secret_key_for_testing';
 
 // Configure CORS
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID', 'If-Match', 'Range'],
+  exposedHeaders: ['ETag', 'Content-Range', 'Content-Disposition']
 }));
 app.use(bodyParser.json());
 
-// Data file paths
+// Data directory
 const DATA_DIR = path.join(__dirname, '../data');
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
-const NOTES_FILE = path.join(DATA_DIR, 'notes.json');
-const TAGS_FILE = path.join(DATA_DIR, 'tags.json');
-const BLACKLIST_FILE = path.join(DATA_DIR, 'blacklist.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
+
+// Attached files, next to the data directory
+const BLOB_DIR = path.join(__dirname, '../blobs');
+
+// Domain services
+const storage = await createStorage(DATA_DIR);
+const services = createServices(storage, {
+  secretKey: process.env.SECRET_KEY,
+  blobs: new FileBlobStore(BLOB_DIR),
+  trashRetentionDays: process.env.TRASH_RETENTION_DAYS ? Number(process.env.TRASH_RETENTION_DAYS) : undefined,
+  revisionLimit: process.env.REVISION_LIMIT ? Number(process.env.REVISION_LIMIT) : undefined
+});
+
+// HTTP status for each service error code
+const HTTP_STATUS = {
+  [ErrorCode.INVALID_ARGUMENT]: 400,
+  [ErrorCode.FAILED_PRECONDITION]: 400,
+  [ErrorCode.UNAUTHENTICATED]: 401,
+  [ErrorCode.PERMISSION_DENIED]: 403,
+  [ErrorCode.NOT_FOUND]: 404,
+  [ErrorCode.ALREADY_EXISTS]: 409,
+  [ErrorCode.ABORTED]: 409,
+  [ErrorCode.RESOURCE_EXHAUSTED]: 413,
+  [ErrorCode.OUT_OF_RANGE]: 416,
+  [ErrorCode.INTERNAL]: 500
+};
+
+// An error as an RFC 9457 problem document. `reason` and `violations` are
+// the same as in the gRPC error details.
+function toProblem(error) {
+  const { code, message, reason, violations } = toServiceError(error);
+  const status = HTTP_STATUS[code];
+
+  return {
+    type: 'about:blank',
+    title: http.STATUS_CODES[status],
+    status,
+    detail: message,
+    reason,
+    violations
+  };
 }
 
-// Load data
-let users = [];
-let notes = [];
-let tags = [];
-let tokenBlacklist = [];
+// Send an error as a problem document with its matching HTTP status
+function sendError(res, error) {
+  const problem = toProblem(error);
+  res.status(problem.status).type('application/problem+json').json(problem);
+}
+
+// Error for requests the authorization policy rejects
+const accessDenied = () => new ServiceError(ErrorCode.PERMISSION_DENIED, 'Access denied', { reason: Reason.ACCESS_DENIED });
+
+// Changes requested by a PATCH: the body fields named in the comma-separated
+// `updateMask` query parameter, or without one every updatable field the body
+// contains
+function requestedChanges(req, updatable) {
+  const { updateMask } = req.query;
+  const fields = updateMask !== undefined
+    ? resolveFieldMask(String(updateMask).split(',').filter(Boolean), updatable)
+    : updatable.filter(field => req.body[field] !== undefined);
+
+  return pickFields(req.body, fields);
+}
 
-try {
-  if (fs.existsSync(USERS_FILE)) {
-    users = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+// A list query parameter, given either repeated or comma-separated
+function listParam(value) {
+  if (value === undefined) {
+    return [];
   }
-  if (fs.existsSync(NOTES_FILE)) {
-    notes = JSON.parse(fs.readFileSync(NOTES_FILE, 'utf8'));
+  return [].concat(value).flatMap(item => String(item).split(',')).filter(Boolean);
+}
+
+// Run a service call and send its result as JSON
+function handle(res, action, status = 200) {
+  Promise.resolve()
+    .then(action)
+    .then(result => res.status(status).json(result))
+    .catch(error => sendError(res, error));
+}
+
+// The parts of a multipart/form-data body read as a raw buffer: its files,
+// as { name, data } whatever their field names, and its other fields
+async function readMultipart(req) {
+  if (!Buffer.isBuffer(req.body)) {
+    throw validationError('A multipart/form-data body is required', [
+      { field: 'Content-Type', description: 'must be multipart/form-data' }
+    ]);
+  }
+
+  let form;
+  try {
+    const request = new Request('http://localhost/', {
+      method: 'POST',
+      headers: { 'Content-Type': req.headers['content-type'] },
+      body: req.body
+    });
+    form = await request.formData();
+  } catch (error) {
+    throw new ServiceError(ErrorCode.INVALID_ARGUMENT, 'Malformed multipart body', { reason: Reason.MALFORMED_REQUEST });
   }
-  if (fs.existsSync(TAGS_FILE)) {
-    tags = JSON.parse(fs.readFileSync(TAGS_FILE, 'utf8'));
+
+  const files = [];
+  const fields = {};
+  for (const [field, value] of form.entries()) {
+    if (typeof value === 'string') {
+      fields[field] = value;
+    } else {
+      files.push({ name: value.name, data: Buffer.from(await value.arrayBuffer()) });
+    }
   }
-  if (fs.existsSync(BLACKLIST_FILE)) {
-    tokenBlacklist = JSON.parse(fs.readFileSync(BLACKLIST_FILE, 'utf8'));
+  return { files, fields };
+}
+
+// Resolves once a response can take more data, or is closed
+function writable(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Write chunks of a streamed body, keeping pace with the client, and end
+// the response. Stops when the client goes away.
+async function writeChunks(res, chunks) {
+  for await (const chunk of chunks) {
+    if (res.destroyed) {
+      return;
+    }
+    if (!res.write(chunk)) {
+      await writable(res);
+    }
   }
-} catch (error) {
-  console.error('Error loading data:', error);
+  res.end();
 }
 
-// Save data to files
-function saveData() {
-  fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2));
-  fs.writeFileSync(NOTES_FILE, JSON.stringify(notes, null, 2));
-  fs.writeFileSync(TAGS_FILE, JSON.stringify(tags, null, 2));
-  fs.writeFileSync(BLACKLIST_FILE, JSON.stringify(tokenBlacklist, null, 2));
+// Entity tag of a note or tag, from its version
+const entityTag = (record) => `"${record.version}"`;
+
+// Run a service call and send the note or tag it returns with its ETag
+function handleVersioned(res, action, status = 200) {
+  handle(res, async () => {
+    const record = await action();
+    res.set('ETag', entityTag(record));
+    return record;
+  }, status);
 }
 
-// Clean expired tokens from blacklist
-function cleanBlacklist() {
-  const now = Date.now() / 1000;
-  tokenBlacklist = tokenBlacklist.filter(item => item.exp > now);
-  saveData();
+// The version an If-Match header asks for, or undefined without one or with
+// `*`. The server's ETags are the only entity tags it accepts.
+function expectedVersion(req) {
+  const header = req.headers['if-match'];
+  if (header === undefined || header.trim() === '*') {
+    return undefined;
+  }
+
+  const match = header.trim().match(/^"(\d+)"$/);
+  if (!match) {
+    throw validationError('Invalid If-Match header', [
+      { field: 'If-Match', description: 'must be an ETag returned by this API' }
+    ]);
+  }
+  return Number(match[1]);
 }
 
-// Middleware to authenticate JWT token
+// Middleware to authenticate JWT token. Only the Authorization header is
+// read: tokens in URLs end up in access logs, so the access_token query
+// parameter is refused here and only taken by the event streams (see
+// streamToken).
 function authenticateToken(req, res, next) {
+  if (req.query.access_token !== undefined) {
+    sendError(res, new ServiceError(ErrorCode.UNAUTHENTICATED, 'access_token is only accepted on /events; use the Authorization header', {
+      reason: Reason.TOKEN_INVALID
+    }));
+    return;
+  }
+
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
-  
-  if (!token) {
-    return res.status(401).json({ message: 'Authentication required' });
+
+  services.auth.verifyToken(token)
+    .then(user => {
+      req.user = user;
+      req.token = token;
+      next();
+    })
+    .catch(error => sendError(res, error));
+}
+
+// Access check for records only their owner may use, given how to look up
+// the owner of one
+const ownedBy = (lookupOwner) => async (id, userId) => {
+  const ownerId = await lookupOwner(id);
+  return ownerId === undefined ? undefined : ownerId === userId;
+};
+
+// Resource collections and whether a user may use one of their records:
+// true or false, or undefined when it doesn't exist. Notes can also be used
+// by the users they are shared with. Any `/:collection/:id` route is checked
+// against this table.
+const RESOURCE_ACCESS = {
+  notes: (id, userId) => services.notes.canAccess(userId, id),
+  tags: ownedBy(id => services.tags.ownerOf(id)),
+  reminders: ownedBy(id => services.reminders.ownerOf(id)),
+  users: ownedBy(id => services.users.ownerOf(id))
+};
+
+// Authorization policy: every resource belongs to the authenticated user.
+// A client-supplied userId must match the token's user.
+function authorizeOwnership(req, res, next) {
+  const userId = req.user.id;
+
+  for (const source of [req.query, req.body]) {
+    if (source && source.userId !== undefined && source.userId !== userId) {
+      return sendError(res, accessDenied());
+    }
   }
-  
-  // Check if token is blacklisted
-  if (tokenBlacklist.some(item => item.token === token)) {
-    return res.status(401).json({ message: 'Token is no longer valid' });
+
+  next();
+}
+
+// Authorization policy for single resources: records the user has no access
+// to are forbidden; records that don't exist fall through to the route's 404
+function authorizeResource(req, res, next) {
+  const checkAccess = RESOURCE_ACCESS[req.params.collection];
+  if (!checkAccess) {
+    return next();
   }
-  
-  jwt.verify(token, SECRET_KEY, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
+
+  Promise.resolve(checkAccess(req.params.id, req.user.id))
+    .then(allowed => {
+      if (allowed === false) {
+        return sendError(res, accessDenied());
+      }
+      next();
+    })
+    .catch(error => sendError(res, error));
 }
 
 // Run blacklist cleanup periodically
-setInterval(cleanBlacklist, 60 * 60 * 1000);
+setInterval(() => services.auth.cleanBlacklist().catch(error => console.error('Error cleaning token blacklist:', error)), 60 * 60 * 1000);
+
+// Purge notes that have been in the trash for too long
+setInterval(() => services.notes.purgeTrash().catch(error => console.error('Error purging trash:', error)), 60 * 60 * 1000);
 
 // AUTH ROUTES
 
 // Register
-app.post('/register', async (req, res) => {
+app.post('/register', (req, res) => {
   const { username, password } = req.body;
-  
-  if (!username || !password) {
-    return res.status(400).json({ message: 'Username and password are required' });
-  }
-  
-  if (users.some(user => user.username === username)) {
-    return res.status(400).json({ message: 'Username already exists' });
-  }
-  
-  try {
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const newUser = {
-      id: uuidv4(),
-      username,
-      password: hashedPassword,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    users.push(newUser);
-    saveData();
-    
-    const token = jwt.sign(
-      { id: newUser.id, username: newUser.username },
-      SECRET_KEY,
-      { expiresIn: '24h' }
-    );
-    
-    res.status(201).json({
-      message: 'User registered successfully',
-      token,
-      user: {
-        id: newUser.id,
-        username: newUser.username
-      }
-    });
-  } catch (error) {
-    console.error('Error registering user:', error);
-    res.status(500).json({ message: 'Error registering user' });
-  }
+
+  handle(res, async () => ({
+    message: 'User registered successfully',
+    ...await services.auth.register({ username, password })
+  }), 201);
 });
 
 // Login
-app.post('/login', async (req, res) => {
+app.post('/login', (req, res) => {
   const { username, password } = req.body;
-  
-  if (!username || !password) {
-    return res.status(400).json({ message: 'Username and password are required' });
-  }
-  
-  const user = users.find(u => u.username === username);
-  
-  if (!user) {
-    return res.status(401).json({ message: 'Invalid username or password' });
-  }
-  
-  try {
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    
-    if (!isPasswordValid) {
-      return res.status(401).json({ message: 'Invalid username or password' });
-    }
-    
-    const token = jwt.sign(
-      { id: user.id, username: user.username },
-      SECRET_KEY,
-      { expiresIn: '24h' }
-    );
-    
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        username: user.username
-      }
-    });
-  } catch (error) {
-    console.error('Error logging in:', error);
-    res.status(500).json({ message: 'Error logging in' });
-  }
+
+  handle(res, async () => ({
+    message: 'Login successful',
+    ...await services.auth.login({ username, password })
+  }));
 });
 
-// Logout
-app.post('/logout', authenticateToken, (req, res) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  
-  try {
-    const decoded = jwt.decode(token);
-    
-    tokenBlacklist.push({
-      token,
-      exp: decoded.exp
-    });
-    
-    saveData();
-    res.json({ message: 'Logout successful' });
-  } catch (error) {
-    console.error('Error logging out:', error);
-    res.status(500).json({ message: 'Error logging out' });
+// LIVE EVENTS
+
+// Interval of keep-alive messages on open event streams, so that proxies
+// don't close them as idle
+const EVENT_STREAM_HEARTBEAT = 15000;
+
+// Bearer token of an event stream request. Browsers can't set headers on
+// EventSource or WebSocket connections, so the token may also be passed as
+// the access_token query parameter; GET /events and its WebSocket upgrade
+// are the only routes that take it.
+function streamToken(headers, query) {
+  const authHeader = headers['authorization'];
+  return (authHeader && authHeader.split(' ')[1]) || query.access_token;
+}
+
+// A change event as sent to REST clients
+function toRestEvent({ id, resource, type, record, occurredAt }) {
+  return { id, resource, type, [resource]: record, occurredAt };
+}
+
+// Server-Sent Events stream of the user's note, tag and reminder changes.
+// Resumes after the Last-Event-ID header, which EventSource sends when it
+// reconnects, or the lastEventId query parameter. Errors found before the
+// stream starts are sent as problem documents.
+app.get('/events', (req, res) => {
+  services.auth.verifyToken(streamToken(req.headers, req.query))
+    .then(user => {
+      let heartbeat = null;
+
+      const unsubscribe = services.changes.subscribe(user.id, {
+        afterEventId: req.headers['last-event-id'] ?? req.query.lastEventId
+      }, {
+        onStart: () => {
+          res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+          });
+          res.write('retry: 1000\n\n');
+          heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EVENT_STREAM_HEARTBEAT);
+        },
+        onEvent: event => {
+          res.write(`id: ${event.id}\nevent: ${event.resource}\ndata: ${JSON.stringify(toRestEvent(event))}\n\n`);
+        },
+        onError: error => {
+          if (!res.headersSent) {
+            return sendError(res, error);
+          }
+          res.end(`event: error\ndata: ${JSON.stringify(toProblem(error))}\n\n`);
+        }
+      });
+
+      req.on('close', () => {
+        unsubscribe();
+        clearInterval(heartbeat);
+      });
+    })
+    .catch(error => sendError(res, error));
+});
+
+// WebSocket connections to /events get the same events as JSON messages,
+// resuming after the lastEventId query parameter
+const webSocketServer = new WebSocketServer({ noServer: true });
+
+// Answer an upgrade request with a problem document instead of a WebSocket
+function rejectUpgrade(socket, error) {
+  const problem = toProblem(error);
+  const body = JSON.stringify(problem);
+
+  socket.end([
+    `HTTP/1.1 ${problem.status} ${problem.title}`,
+    'Content-Type: application/problem+json',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    'Connection: close',
+    '',
+    body
+  ].join('\r\n'));
+}
+
+function handleUpgrade(req, socket, head) {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname !== '/events') {
+    return rejectUpgrade(socket, new ServiceError(ErrorCode.NOT_FOUND, 'Route not found', { reason: Reason.ROUTE_NOT_FOUND }));
   }
+
+  const query = Object.fromEntries(url.searchParams);
+  services.auth.verifyToken(streamToken(req.headers, query))
+    .then(user => {
+      // Events that arrive while the upgrade completes are sent after it
+      let webSocket = null;
+      const queued = [];
+      const send = event => webSocket.send(JSON.stringify(toRestEvent(event)));
+
+      const unsubscribe = services.changes.subscribe(user.id, { afterEventId: query.lastEventId }, {
+        onStart: () => {
+          webSocketServer.handleUpgrade(req, socket, head, client => {
+            webSocket = client;
+            queued.splice(0).forEach(send);
+
+            const heartbeat = setInterval(() => client.ping(), EVENT_STREAM_HEARTBEAT);
+            client.on('close', () => clearInterval(heartbeat));
+          });
+        },
+        onEvent: event => (webSocket ? send(event) : queued.push(event)),
+        onError: error => {
+          if (!webSocket) {
+            return rejectUpgrade(socket, error);
+          }
+          webSocket.send(JSON.stringify({ error: toProblem(error) }));
+          webSocket.close(1011);
+        }
+      });
+
+      socket.on('close', unsubscribe);
+    })
+    .catch(error => rejectUpgrade(socket, error));
+}
+
+// Every route below requires authentication and is subject to the
+// authorization policy
+app.use(authenticateToken, authorizeOwnership);
+app.use('/:collection/:id', authorizeResource);
+
+// Logout
+app.post('/logout', (req, res) => {
+  handle(res, async () => {
+    await services.auth.logout(req.token);
+    return { message: 'Logout successful' };
+  });
 });
 
 // NOTES ROUTES
 
-// Get all notes
-app.get('/notes', authenticateToken, (req, res) => {
-  const { userId, archived, tagId } = req.query;
-  
-  try {
-    let filteredNotes = notes.filter(note => note.userId === userId);
-    
-    if (archived !== undefined) {
-      const isArchived = archived === 'true';
-      filteredNotes = filteredNotes.filter(note => note.archived === isArchived);
-    }
-    
-    if (tagId) {
-      filteredNotes = filteredNotes.filter(note => note.tagIds.includes(tagId));
-    }
-    
-    res.json(filteredNotes);
-  } catch (error) {
-    console.error('Error getting notes:', error);
-    res.status(500).json({ message: 'Error getting notes' });
-  }
+// Get a page of notes
+app.get('/notes', (req, res) => {
+  const {
+    archived, tagId, tagIds, tagMatch, includeDescendants,
+    createdAfter, createdBefore, updatedAfter, updatedBefore,
+    orderBy, pageSize, pageToken
+  } = req.query;
+
+  handle(res, () => services.notes.getNotes(req.user.id, {
+    archived: archived !== undefined ? archived === 'true' : undefined,
+    tagId,
+    tagIds: listParam(tagIds),
+    tagMatch,
+    includeDescendants: includeDescendants === 'true',
+    createdAfter,
+    createdBefore,
+    updatedAfter,
+    updatedBefore,
+    orderBy,
+    pageSize,
+    pageToken
+  }));
+});
+
+// Search notes; declared before /notes/:id so "search" isn't taken for an id
+app.get('/notes/search', (req, res) => {
+  const { query, pageSize, pageToken } = req.query;
+
+  handle(res, () => services.notes.searchNotes(req.user.id, { query, pageSize, pageToken }));
 });
 
 // Get note by ID
-app.get('/notes/:id', authenticateToken, (req, res) => {
-  const { id } = req.params;
-  const { userId } = req.query;
-  
-  try {
-    const note = notes.find(n => n.id === id && n.userId === userId);
-    
-    if (!note) {
-      return res.status(404).json({ message: 'Note not found' });
-    }
-    
-    res.json(note);
-  } catch (error) {
-    console.error('Error getting note:', error);
-    res.status(500).json({ message: 'Error getting note' });
-  }
+app.get('/notes/:id', (req, res) => {
+  handleVersioned(res, () => services.notes.getNote(req.user.id, req.params.id));
 });
 
 // Create note
-app.post('/notes', authenticateToken, (req, res) => {
-  const { title, content, tagIds = [], userId, color = '#f28b82' } = req.body;
-  
-  if (!title || !content || !userId) {
-    return res.status(400).json({ message: 'Title, content, and userId are required' });
+app.post('/notes', (req, res) => {
+  const { title, content, tagIds, color, pinned, type, items, checkedItemsLast } = req.body;
+
+  handleVersioned(res, () => services.notes.createNote(req.user.id, {
+    title, content, tagIds, color, pinned, type, items, checkedItemsLast
+  }), 201);
+});
+
+// Apply an operation to many notes at once; DELETE deletes them as
+// DELETE /notes/:id does, anything else is a BatchUpdateNotes operation.
+// The colon is escaped so Express doesn't read it as a route parameter.
+app.post('/notes\\:batch', (req, res) => {
+  const { ids, operation, tagIds, color } = req.body;
+
+  handle(res, () => String(operation).toUpperCase() === 'DELETE'
+    ? services.notes.batchDeleteNotes(req.user.id, { ids })
+    : services.notes.batchUpdateNotes(req.user.id, { ids, operation, tagIds, color }));
+});
+
+// Update note; with If-Match, only if it is still at that version
+app.put('/notes/:id', (req, res) => {
+  const { title, content, tagIds, archived, color, pinned, items, checkedItemsLast } = req.body;
+
+  handleVersioned(res, () => services.notes.updateNote(req.user.id, req.params.id, {
+    title, content, tagIds, archived, color, pinned, items, checkedItemsLast
+  }, { expectedVersion: expectedVersion(req) }));
+});
+
+// Partially update note
+app.patch('/notes/:id', (req, res) => {
+  handleVersioned(res, () => services.notes.updateNote(
+    req.user.id, req.params.id, requestedChanges(req, UPDATABLE_FIELDS.note), { expectedVersion: expectedVersion(req) }
+  ));
+});
+
+// Move note to the trash, or delete it for good when it already is
+app.delete('/notes/:id', (req, res) => {
+  handle(res, async () => {
+    const trashed = await services.notes.deleteNote(req.user.id, req.params.id, { expectedVersion: expectedVersion(req) });
+    return { message: trashed ? 'Note moved to trash' : 'Note deleted permanently' };
+  });
+});
+
+// Restore note from the trash
+app.post('/notes/:id/restore', (req, res) => {
+  handle(res, () => services.notes.restoreNote(req.user.id, req.params.id));
+});
+
+// Move note before or after another one
+app.post('/notes/:id/move', (req, res) => {
+  const { beforeNoteId, afterNoteId } = req.body;
+
+  handle(res, () => services.notes.moveNote(req.user.id, req.params.id, { beforeNoteId, afterNoteId }));
+});
+
+// Get everyone with access to a note
+app.get('/notes/:id/collaborators', (req, res) => {
+  handle(res, () => services.notes.getCollaborators(req.user.id, req.params.id));
+});
+
+// Share note with another user
+app.post('/notes/:id/collaborators', (req, res) => {
+  const { username, role } = req.body;
+
+  handle(res, () => services.notes.shareNote(req.user.id, req.params.id, { username, role }), 201);
+});
+
+// Change a collaborator's role
+app.patch('/notes/:id/collaborators/:userId', (req, res) => {
+  handle(res, () => services.notes.updateCollaborator(req.user.id, req.params.id, req.params.userId, { role: req.body.role }));
+});
+
+// Stop sharing note with a collaborator
+app.delete('/notes/:id/collaborators/:userId', (req, res) => {
+  handle(res, async () => {
+    await services.notes.removeCollaborator(req.user.id, req.params.id, req.params.userId);
+    return { message: 'Collaborator removed successfully' };
+  });
+});
+
+// Get a page of a note's revisions, newest first
+app.get('/notes/:id/revisions', (req, res) => {
+  const { pageSize, pageToken } = req.query;
+
+  handle(res, () => services.notes.listRevisions(req.user.id, req.params.id, { pageSize, pageToken }));
+});
+
+// Get one revision of a note
+app.get('/notes/:id/revisions/:revision', (req, res) => {
+  handle(res, () => services.notes.getRevision(req.user.id, req.params.id, req.params.revision));
+});
+
+// Diff two revisions of a note; without `to`, against the latest one
+app.get('/notes/:id/diff', (req, res) => {
+  const { from, to } = req.query;
+
+  handle(res, () => services.notes.diffRevisions(req.user.id, req.params.id, { fromRevision: from, toRevision: to }));
+});
+
+// Revert a note to one of its revisions
+app.post('/notes/:id/revert', (req, res) => {
+  handle(res, () => services.notes.revertNote(req.user.id, req.params.id, req.body.revision));
+});
+
+// Convert a note to a text note or a checklist
+app.post('/notes/:id/convert', (req, res) => {
+  handle(res, () => services.notes.convertNote(req.user.id, req.params.id, req.body.type));
+});
+
+// CHECKLIST ITEM ROUTES
+
+// Add checklist item
+app.post('/notes/:id/items', (req, res) => {
+  const { text, checked, indent, beforeItemId } = req.body;
+
+  handle(res, () => services.notes.addChecklistItem(req.user.id, req.params.id, { text, checked, indent, beforeItemId }), 201);
+});
+
+// Partially update checklist item
+app.patch('/notes/:id/items/:itemId', (req, res) => {
+  const { id, itemId } = req.params;
+
+  handle(res, () => services.notes.updateChecklistItem(req.user.id, id, itemId, requestedChanges(req, UPDATABLE_FIELDS.checklistItem)));
+});
+
+// Check or uncheck checklist item
+app.post('/notes/:id/items/:itemId/check', (req, res) => {
+  handle(res, () => services.notes.checkChecklistItem(req.user.id, req.params.id, req.params.itemId, true));
+});
+
+app.post('/notes/:id/items/:itemId/uncheck', (req, res) => {
+  handle(res, () => services.notes.checkChecklistItem(req.user.id, req.params.id, req.params.itemId, false));
+});
+
+// Move checklist item before another one, or to the end
+app.post('/notes/:id/items/:itemId/move', (req, res) => {
+  const { id, itemId } = req.params;
+
+  handle(res, () => services.notes.moveChecklistItem(req.user.id, id, itemId, { beforeItemId: req.body.beforeItemId }));
+});
+
+// Remove checklist item
+app.delete('/notes/:id/items/:itemId', (req, res) => {
+  handle(res, () => services.notes.removeChecklistItem(req.user.id, req.params.id, req.params.itemId));
+});
+
+// ATTACHMENT ROUTES
+
+// The byte range a Range header asks for, as resolveRange takes it, or
+// undefined for the whole file. Only single byte ranges are supported;
+// other Range headers are ignored, as HTTP allows.
+function byteRange(header) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return undefined;
   }
-  
-  try {
-    const newNote = {
-      id: uuidv4(),
-      title,
-      content,
-      tagIds,
-      userId,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      archived: false,
-      color
-    };
-    
-    notes.push(newNote);
-    saveData();
-    
-    res.status(201).json(newNote);
-  } catch (error) {
-    console.error('Error creating note:', error);
-    res.status(500).json({ message: 'Error creating note' });
+  if (match[1] === '') {
+    return { suffix: Number(match[2]) };
   }
-});
 
-// Update note
-app.put('/notes/:id', authenticateToken, (req, res) => {
-  const { id } = req.params;
-  const { title, content, tagIds, userId, archived, color } = req.body;
-  
-  try {
-    const noteIndex = notes.findIndex(n => n.id === id && n.userId === userId);
-    
-    if (noteIndex === -1) {
-      return res.status(404).json({ message: 'Note not found' });
+  const range = { start: Number(match[1]), end: match[2] === '' ? undefined : Number(match[2]) };
+  return range.end !== undefined && range.end < range.start ? undefined : range;
+}
+
+// Send an attachment or its thumbnail, the part a Range header asks for
+// with 206 Partial Content. Images are shown inline and other files saved;
+// nosniff keeps browsers to the sniffed content type.
+function sendAttachment(req, res, { thumbnail }) {
+  const range = byteRange(req.headers.range);
+
+  Promise.resolve()
+    .then(() => services.notes.downloadAttachment(req.user.id, req.params.id, req.params.attachmentId, { thumbnail, range }))
+    .then(({ attachment, contentType, size, start, end, chunks }) => {
+      // attachment() sets a content type from the file name, which the
+      // sniffed one replaces
+      res.attachment(attachment.fileName);
+      if (contentType.startsWith('image/')) {
+        res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+      }
+      res.status(range ? 206 : 200).set({
+        'Content-Type': contentType,
+        'Content-Length': String(end - start),
+        'Accept-Ranges': 'bytes',
+        'ETag': `"${thumbnail ? attachment.thumbnailSha256 : attachment.sha256}"`,
+        'Cache-Control': 'private, max-age=31536000, immutable',
+        'X-Content-Type-Options': 'nosniff'
+      });
+      if (range) {
+        res.set('Content-Range', `bytes ${start}-${end - 1}/${size}`);
+      }
+      return writeChunks(res, chunks);
+    })
+    .catch(error => (res.headersSent ? res.destroy(error) : sendError(res, error)));
+}
+
+// Attach a file uploaded as multipart/form-data, under any field name, to
+// a note; with If-Match, only if the note is still at that version. The
+// note's ETag comes with the response.
+app.post('/notes/:id/attachments', express.raw({ type: 'multipart/form-data', limit: MAX_ATTACHMENT_SIZE }), (req, res) => {
+  handle(res, async () => {
+    const { files } = await readMultipart(req);
+    if (files.length !== 1) {
+      throw validationError('Upload exactly one file', [{ field: 'file', description: `got ${files.length} files` }]);
     }
-    
-    const updatedNote = {
-      ...notes[noteIndex],
-      title: title !== undefined ? title : notes[noteIndex].title,
-      content: content !== undefined ? content : notes[noteIndex].content,
-      tagIds: tagIds !== undefined ? tagIds : notes[noteIndex].tagIds,
-      archived: archived !== undefined ? archived : notes[noteIndex].archived,
-      color: color !== undefined ? color : notes[noteIndex].color,
-      updatedAt: new Date().toISOString()
-    };
-    
-    notes[noteIndex] = updatedNote;
-    saveData();
-    
-    res.json(updatedNote);
-  } catch (error) {
-    console.error('Error updating note:', error);
-    res.status(500).json({ message: 'Error updating note' });
-  }
+
+    const [{ name, data }] = files;
+    const result = await services.notes.uploadAttachment(req.user.id, req.params.id, { fileName: name, data }, {
+      expectedVersion: expectedVersion(req)
+    });
+    res.set('ETag', entityTag(result.note));
+    return result;
+  }, 201);
 });
 
-// Delete note
-app.delete('/notes/:id', authenticateToken, (req, res) => {
-  const { id } = req.params;
-  const { userId } = req.query;
-  
-  try {
-    const noteIndex = notes.findIndex(n => n.id === id && n.userId === userId);
-    
-    if (noteIndex === -1) {
-      return res.status(404).json({ message: 'Note not found' });
-    }
-    
-    notes.splice(noteIndex, 1);
-    saveData();
-    
-    res.json({ message: 'Note deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting note:', error);
-    res.status(500).json({ message: 'Error deleting note' });
-  }
+// Download an attached file, or part of it with a Range header
+app.get('/notes/:id/attachments/:attachmentId', (req, res) => {
+  sendAttachment(req, res, { thumbnail: false });
+});
+
+// Download the thumbnail of an attached image
+app.get('/notes/:id/attachments/:attachmentId/thumbnail', (req, res) => {
+  sendAttachment(req, res, { thumbnail: true });
+});
+
+// Remove an attachment from a note; with If-Match, only if the note is
+// still at that version
+app.delete('/notes/:id/attachments/:attachmentId', (req, res) => {
+  handleVersioned(res, () => services.notes.deleteAttachment(
+    req.user.id, req.params.id, req.params.attachmentId, { expectedVersion: expectedVersion(req) }
+  ));
 });
 
 // TAGS ROUTES
 
-// Get all tags
-app.get('/tags', authenticateToken, (req, res) => {
-  const { userId } = req.query;
-  
-  try {
-    const userTags = tags.filter(tag => tag.userId === userId);
-    res.json(userTags);
-  } catch (error) {
-    console.error('Error getting tags:', error);
-    res.status(500).json({ message: 'Error getting tags' });
-  }
+// Get a page of tags, or with tree=true of top-level tags with the tags
+// nested under them
+app.get('/tags', (req, res) => {
+  const { orderBy, pageSize, pageToken, tree } = req.query;
+
+  handle(res, () => services.tags.getTags(req.user.id, { orderBy, pageSize, pageToken, tree: tree === 'true' }));
 });
 
 // Get tag by ID
-app.get('/tags/:id', authenticateToken, (req, res) => {
-  const { id } = req.params;
-  const { userId } = req.query;
-  
-  try {
-    const tag = tags.find(t => t.id === id && t.userId === userId);
-    
-    if (!tag) {
-      return res.status(404).json({ message: 'Tag not found' });
-    }
-    
-    res.json(tag);
-  } catch (error) {
-    console.error('Error getting tag:', error);
-    res.status(500).json({ message: 'Error getting tag' });
-  }
+app.get('/tags/:id', (req, res) => {
+  handleVersioned(res, () => services.tags.getTag(req.user.id, req.params.id));
 });
 
-// Create tag
-app.post('/tags', authenticateToken, (req, res) => {
-  const { name, userId } = req.body;
-  
-  if (!name || !userId) {
-    return res.status(400).json({ message: 'Name and userId are required' });
-  }
-  
-  try {
-    const newTag = {
-      id: uuidv4(),
-      name,
-      userId,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    tags.push(newTag);
-    saveData();
-    
-    res.status(201).json(newTag);
-  } catch (error) {
-    console.error('Error creating tag:', error);
-    res.status(500).json({ message: 'Error creating tag' });
-  }
+// Create tag, nested under parentId when given
+app.post('/tags', (req, res) => {
+  const { name, parentId } = req.body;
+
+  handleVersioned(res, () => services.tags.createTag(req.user.id, { name, parentId }), 201);
 });
 
-// Update tag
-app.put('/tags/:id', authenticateToken, (req, res) => {
-  const { id } = req.params;
-  const { name, userId } = req.body;
-  
-  if (!name) {
-    return res.status(400).json({ message: 'Name is required' });
-  }
-  
-  try {
-    const tagIndex = tags.findIndex(t => t.id === id && t.userId === userId);
-    
-    if (tagIndex === -1) {
-      return res.status(404).json({ message: 'Tag not found' });
-    }
-    
-    const updatedTag = {
-      ...tags[tagIndex],
-      name,
-      updatedAt: new Date().toISOString()
-    };
-    
-    tags[tagIndex] = updatedTag;
-    saveData();
-    
-    res.json(updatedTag);
-  } catch (error) {
-    console.error('Error updating tag:', error);
-    res.status(500).json({ message: 'Error updating tag' });
-  }
+// Update tag; a parentId of null or '' moves it to the top level. With
+// If-Match, only if it is still at that version.
+app.put('/tags/:id', (req, res) => {
+  const { name, parentId } = req.body;
+
+  handleVersioned(res, () => services.tags.updateTag(
+    req.user.id, req.params.id, { name, parentId }, { expectedVersion: expectedVersion(req) }
+  ));
 });
 
-// Delete tag
-app.delete('/tags/:id', authenticateToken, (req, res) => {
-  const { id } = req.params;
-  const { userId } = req.query;
-  
-  try {
-    const tagIndex = tags.findIndex(t => t.id === id && t.userId === userId);
-    
-    if (tagIndex === -1) {
-      return res.status(404).json({ message: 'Tag not found' });
-    }
-    
-    // Remove tag from all notes
-    notes.forEach(note => {
-      if (note.userId === userId && note.tagIds.includes(id)) {
-        note.tagIds = note.tagIds.filter(tagId => tagId !== id);
-      }
-    });
-    
-    tags.splice(tagIndex, 1);
-    saveData();
-    
-    res.json({ message: 'Tag deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting tag:', error);
-    res.status(500).json({ message: 'Error deleting tag' });
-  }
+// Partially update tag
+app.patch('/tags/:id', (req, res) => {
+  handleVersioned(res, () => services.tags.updateTag(
+    req.user.id, req.params.id, requestedChanges(req, UPDATABLE_FIELDS.tag), { expectedVersion: expectedVersion(req) }
+  ));
+});
+
+// Delete tag; the tags under it move up to its parent, or with
+// children=cascade are deleted too
+app.delete('/tags/:id', (req, res) => {
+  const { children } = req.query;
+
+  handle(res, async () => ({
+    message: 'Tag deleted successfully',
+    deletedTagIds: await services.tags.deleteTag(req.user.id, req.params.id, { expectedVersion: expectedVersion(req), children })
+  }));
+});
+
+// Merge the tags listed in sourceTagIds into this one, deleting them
+app.post('/tags/:id/merge', (req, res) => {
+  const { sourceTagIds } = req.body;
+
+  handle(res, async () => ({
+    message: 'Tags merged successfully',
+    ...await services.tags.mergeTags(req.user.id, req.params.id, { sourceTagIds })
+  }));
+});
+
+// Get a page of the notes shared with the user
+app.get('/shared', (req, res) => {
+  const { pageSize, pageToken } = req.query;
+
+  handle(res, () => services.notes.listSharedWithMe(req.user.id, { pageSize, pageToken }));
+});
+
+// IMPORT ROUTES
+
+// Import notes from files uploaded as multipart/form-data, in the format
+// named by the `format` field or detected from each file's extension
+app.post('/import', express.raw({ type: 'multipart/form-data', limit: MAX_IMPORT_SIZE }), (req, res) => {
+  handle(res, async () => {
+    const { files, fields } = await readMultipart(req);
+    const format = parseImportFormat(fields.format);
+    return services.notes.importNotes(req.user.id, files.map(file => ({ ...file, format })));
+  });
+});
+
+// EXPORT ROUTES
+
+// Download the user's notes as a JSON bundle, a zip of Markdown files or a
+// static HTML site (format json_bundle, markdown_zip or html_site), filtered
+// by tags and archived state as GET /notes is. The file is streamed as it
+// is generated; errors found before it starts are sent as problem documents.
+app.get('/export', (req, res) => {
+  const { format, tagIds, tagMatch, includeDescendants, archived } = req.query;
+
+  Promise.resolve()
+    .then(() => services.notes.exportNotes(req.user.id, {
+      format,
+      tagIds: listParam(tagIds),
+      tagMatch,
+      includeDescendants: includeDescendants === 'true',
+      archived: archived !== undefined ? archived === 'true' : undefined
+    }))
+    .then(({ fileName, contentType, chunks }) => {
+      res.status(200).type(contentType).attachment(fileName);
+      return writeChunks(res, chunks);
+    })
+    .catch(error => (res.headersSent ? res.destroy(error) : sendError(res, error)));
+});
+
+// TRASH ROUTES
+
+// Get a page of trashed notes
+app.get('/trash', (req, res) => {
+  const { pageSize, pageToken } = req.query;
+
+  handle(res, () => services.notes.listTrash(req.user.id, { pageSize, pageToken }));
+});
+
+// Empty trash
+app.delete('/trash', (req, res) => {
+  handle(res, async () => {
+    const deletedCount = await services.notes.emptyTrash(req.user.id);
+    return { message: 'Trash emptied successfully', deletedCount };
+  });
+});
+
+// REMINDERS ROUTES
+
+// Get the user's reminders, or those of one note
+app.get('/reminders', (req, res) => {
+  handle(res, () => services.reminders.getReminders(req.user.id, { noteId: req.query.noteId }));
+});
+
+// Get reminder by ID
+app.get('/reminders/:id', (req, res) => {
+  handle(res, () => services.reminders.getReminder(req.user.id, req.params.id));
+});
+
+// Create reminder
+app.post('/reminders', (req, res) => {
+  const { noteId, time, timezone, recurrence } = req.body;
+
+  handle(res, () => services.reminders.createReminder(req.user.id, { noteId, time, timezone, recurrence }), 201);
+});
+
+// Partially update reminder
+app.patch('/reminders/:id', (req, res) => {
+  handle(res, () => services.reminders.updateReminder(req.user.id, req.params.id, requestedChanges(req, UPDATABLE_FIELDS.reminder)));
+});
+
+// Delete reminder
+app.delete('/reminders/:id', (req, res) => {
+  handle(res, async () => {
+    await services.reminders.deleteReminder(req.user.id, req.params.id);
+    return { message: 'Reminder deleted successfully' };
+  });
 });
 
 // USER ROUTES
 
 // Get user by ID
-app.get('/users/:id', authenticateToken, (req, res) => {
-  const { id } = req.params;
-  
-  try {
-    const user = users.find(u => u.id === id);
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    res.json({
-      id: user.id,
-      username: user.username
-    });
-  } catch (error) {
-    console.error('Error getting user:', error);
-    res.status(500).json({ message: 'Error getting user' });
-  }
+app.get('/users/:id', (req, res) => {
+  handle(res, () => services.users.getUser(req.params.id));
 });
 
 // Update user
-app.put('/users/:id', authenticateToken, async (req, res) => {
-  const { id } = req.params;
+app.put('/users/:id', (req, res) => {
   const { username, password } = req.body;
-  
-  try {
-    const userIndex = users.findIndex(u => u.id === id);
-    
-    if (userIndex === -1) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    const updatedUser = { ...users[userIndex] };
-    
-    if (username) {
-      // Check if username is already taken by another user
-      if (users.some(u => u.username === username && u.id !== id)) {
-        return res.status(400).json({ message: 'Username already exists' });
-      }
-      updatedUser.username = username;
-    }
-    
-    if (password) {
-      updatedUser.password = await bcrypt.hash(password, 10);
-    }
-    
-    updatedUser.updatedAt = new Date().toISOString();
-    users[userIndex] = updatedUser;
-    saveData();
-    
-    res.json({
-      id: updatedUser.id,
-      username: updatedUser.username
-    });
-  } catch (error) {
-    console.error('Error updating user:', error);
-    res.status(500).json({ message: 'Error updating user' });
-  }
+
+  handle(res, () => services.users.updateUser(req.params.id, { username, password }));
+});
+
+// Partially update user
+app.patch('/users/:id', (req, res) => {
+  handle(res, () => services.users.updateUser(req.params.id, requestedChanges(req, UPDATABLE_FIELDS.user)));
 });
 
 // Delete user
-app.delete('/users/:id', authenticateToken, (req, res) => {
-  const { id } = req.params;
-  
+app.delete('/users/:id', (req, res) => {
+  handle(res, async () => {
+    await services.users.deleteUser(req.params.id);
+    return { message: 'User deleted successfully' };
+  });
+});
+
+// Unknown routes
+app.use((req, res) => {
+  sendError(res, new ServiceError(ErrorCode.NOT_FOUND, 'Route not found', { reason: Reason.ROUTE_NOT_FOUND }));
+});
+
+// Errors raised outside the route handlers, such as an unparsable body
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, new ServiceError(ErrorCode.INVALID_ARGUMENT, 'Malformed JSON body', { reason: Reason.MALFORMED_REQUEST }));
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, new ServiceError(ErrorCode.RESOURCE_EXHAUSTED, 'Request body too large', { reason: Reason.PAYLOAD_TOO_LARGE }));
+  }
+  sendError(res, error);
+});
+
+// Flush storage before exiting
+const shutdown = async () => {
+  services.scheduler.stop();
   try {
-    const userIndex = users.findIndex(u => u.id === id);
-    
-    if (userIndex === -1) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    // Delete all user's notes and tags
-    notes = notes.filter(note => note.userId !== id);
-    tags = tags.filter(tag => tag.userId !== id);
-    
-    users.splice(userIndex, 1);
-    saveData();
-    
-    res.json({ message: 'User deleted successfully' });
+    await storage.close();
   } catch (error) {
-    console.error('Error deleting user:', error);
-    res.status(500).json({ message: 'Error deleting user' });
+    console.error('Error closing storage:', error);
   }
-});
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`REST server running on port ${PORT}`);
+
+  // Trigger reminders, including those missed while the server was down
+  services.scheduler.start();
 });
+server.on('upgrade', handleUpgrade);
 
 export default app;
@@ -0,0 +1,141 @@
+import { isDeepStrictEqual } from 'util';
+import { ErrorCode, Reason, ServiceError, validationError } from './errors.js';
+import { NoteType, itemsToText, noteType } from './checklist.js';
+
+// Revision history of notes.
+//
+// Every change to what a note says is kept as a revision in the revisions
+// collection: { id, noteId, userId, revision, authorId, createdAt,
+// changedFields, revertedFrom, ...fields } holding the note's REVISION_FIELDS
+// as they were after the change. userId is the note's owner; authorId is
+// whoever made the change, the owner or an editor. Revisions are numbered
+// from 1 per note, and only the most recent ones are kept.
+
+// Fields a revision keeps; changes to anything else, such as pinning or
+// archiving, don't make a revision
+export const REVISION_FIELDS = ['title', 'content', 'tagIds', 'color', 'type', 'items', 'checkedItemsLast'];
+
+export const DEFAULT_REVISION_LIMIT = 50;
+
+export const revisionId = (noteId, revision) => `${noteId}:${revision}`;
+
+export const revisionNotFound = () => {
+  return new ServiceError(ErrorCode.NOT_FOUND, 'Revision not found', { reason: Reason.REVISION_NOT_FOUND });
+};
+
+// Validate a revision number from a request
+export const parseRevision = (revision, field = 'revision') => {
+  const number = Number(revision);
+  if (!Number.isInteger(number) || number < 1) {
+    throw validationError('Invalid revision', [{ field, description: 'must be a positive integer' }]);
+  }
+  return number;
+};
+
+// The kept fields of a note, with defaults for records from before some of
+// them existed
+const revisionFields = (note) => ({
+  title: note.title || '',
+  content: note.content || '',
+  tagIds: note.tagIds || [],
+  color: note.color || '',
+  type: noteType(note),
+  items: note.items || [],
+  checkedItemsLast: Boolean(note.checkedItemsLast)
+});
+
+// Record the revision made by a change from previous to current, by
+// authorId. previous is null for a new note. A note from before revisions
+// existed first gets one for its state before the change. Keeps at most
+// limit revisions per note; returns the new one, or null when none of the
+// kept fields changed. repos are the repositories of the transaction making
+// the change.
+export const recordRevision = async (repos, previous, current, authorId, { limit, revertedFrom = 0 }) => {
+  const { revisions } = repos;
+  const existing = (await revisions.findWhere({ noteId: current.id })).sort((a, b) => a.revision - b.revision);
+
+  if (previous && existing.length === 0) {
+    existing.push(await revisions.insert({
+      id: revisionId(current.id, 1),
+      noteId: current.id,
+      userId: current.userId,
+      revision: 1,
+      authorId: previous.userId,
+      createdAt: previous.updatedAt,
+      changedFields: REVISION_FIELDS,
+      revertedFrom: 0,
+      ...revisionFields(previous)
+    }));
+  }
+
+  const last = existing[existing.length - 1];
+  const fields = revisionFields(current);
+  const changedFields = last
+    ? REVISION_FIELDS.filter(field => !isDeepStrictEqual(last[field], fields[field]))
+    : REVISION_FIELDS;
+  if (changedFields.length === 0) {
+    return null;
+  }
+
+  const number = last ? last.revision + 1 : 1;
+  const revision = await revisions.insert({
+    id: revisionId(current.id, number),
+    noteId: current.id,
+    userId: current.userId,
+    revision: number,
+    authorId,
+    createdAt: current.updatedAt,
+    changedFields,
+    revertedFrom,
+    ...fields
+  });
+
+  for (const old of [...existing, revision].slice(0, -limit)) {
+    await revisions.delete(old.id);
+  }
+  return revision;
+};
+
+// Text a diff is made of: the title, a blank line, then the content, or for
+// a checklist its items as a Markdown task list
+const revisionText = (revision) => {
+  const body = noteType(revision) === NoteType.CHECKLIST ? itemsToText(revision.items || []) : revision.content;
+  return `${revision.title}\n\n${body}`.split('\n');
+};
+
+// Line diff of two texts from their longest common subsequence, as
+// { op: 'EQUAL' | 'DELETE' | 'INSERT', text } lines
+export const diffLines = (before, after) => {
+  const lengths = Array.from({ length: before.length + 1 }, () => new Uint32Array(after.length + 1));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      lines.push({ op: 'EQUAL', text: before[i] });
+      i++;
+      j++;
+    } else if (i < before.length && (j === after.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push({ op: 'DELETE', text: before[i] });
+      i++;
+    } else {
+      lines.push({ op: 'INSERT', text: after[j] });
+      j++;
+    }
+  }
+  return lines;
+};
+
+// The fields that differ between two revisions and a line diff of their text
+export const diffRevisions = (from, to) => ({
+  changedFields: REVISION_FIELDS.filter(field => !isDeepStrictEqual(from[field], to[field])),
+  lines: diffLines(revisionText(from), revisionText(to))
+});
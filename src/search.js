@@ -0,0 +1,315 @@
+// Full-text search over note titles, contents and tag names.
+//
+// The inverted index lives in the searchTerms collection, one record per
+// user and term: { id, userId, term, postings: { [noteId]: { title,
+// content, tags } } } with the number of occurrences in each field. It is
+// updated in the same transaction as the notes, so every server sharing the
+// storage searches the same index. A user's index is built on their first
+// search and maintained incrementally from then on; a marker record with an
+// empty term records that it exists, and keeps the user's terms in order
+// in its terms list. A search looks each query word's stem up by id and
+// finds the terms it prefixes in that list, so it only reads the records it
+// matches.
+
+// Relative weight of a match in each field
+const FIELD_WEIGHTS = { title: 3, tags: 2, content: 1 };
+
+// Prefix matches count for less than whole words
+const PREFIX_WEIGHT = 0.5;
+
+// Characters of content shown around the first match
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 40;
+
+const termId = (userId, term) => `${userId}:${term}`;
+const markerId = (userId) => termId(userId, '');
+
+// Lower-case a word and strip accents, so "Café" matches "cafe"
+const fold = (word) => word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+// Words of a text with their position, folded
+export const tokenize = (text) => {
+  return [...String(text || '').matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+    word: fold(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+};
+
+const hasVowel = (text) => /[aeiouy]/.test(text);
+
+// Strip common English inflections: "notes" and "noting" both become "note".
+// Deliberately basic; it only has to map a query and a text the same way.
+export const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) {
+    return word;
+  }
+
+  if (word.endsWith('ies')) {
+    return word.slice(0, -3) + 'y';
+  }
+  if (word.endsWith('sses')) {
+    return word.slice(0, -2);
+  }
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+
+  for (const suffix of ['ing', 'ed']) {
+    const base = word.slice(0, -suffix.length);
+    if (word.endsWith(suffix) && base.length >= 3 && hasVowel(base)) {
+      // "running" -> "run", "noted" -> "note"
+      if (/([^aeiouslz])\1$/.test(base)) {
+        return base.slice(0, -1);
+      }
+      return /[^aeiouy][aeiouy][^aeiouwxy]$/.test(base) && base.length <= 4 ? base + 'e' : base;
+    }
+  }
+
+  if (word.endsWith('ly') && word.length > 5) {
+    return word.slice(0, -2);
+  }
+
+  return word;
+};
+
+// Body text of a note: its content, or the text of its checklist items
+const noteText = (note) => {
+  if (note.content || !note.items) {
+    return note.content || '';
+  }
+  return note.items.map(item => item.text).join('\n');
+};
+
+// Text of a note as indexed: tagNames are the names of its tags
+export const searchDocument = (note, tagNames = []) => ({
+  title: note.title || '',
+  content: noteText(note),
+  tags: tagNames.join(' ')
+});
+
+// Occurrences of each term in each field of a document
+const countTerms = (document) => {
+  const counts = new Map();
+  for (const field of Object.keys(FIELD_WEIGHTS)) {
+    for (const { word } of tokenize(document[field])) {
+      const term = stem(word);
+      if (!counts.has(term)) {
+        counts.set(term, {});
+      }
+      const fieldCounts = counts.get(term);
+      fieldCounts[field] = (fieldCounts[field] || 0) + 1;
+    }
+  }
+  return counts;
+};
+
+// The marker of the user's index, or undefined until it is built. A marker
+// without a terms list was written before the list was kept, so its index
+// counts as not built and is built again on the next search.
+const findMarker = async (searchTerms, userId) => {
+  const marker = await searchTerms.findById(markerId(userId));
+  return marker && Array.isArray(marker.terms) ? marker : undefined;
+};
+
+// Whether the user's index has been built
+export const hasSearchIndex = async (searchTerms, userId) => {
+  return Boolean(await findMarker(searchTerms, userId));
+};
+
+// The terms of a sorted list that start with prefix
+const termsWithPrefix = (terms, prefix) => {
+  let low = 0;
+  let high = terms.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (terms[middle] < prefix) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  const found = [];
+  for (let index = low; index < terms.length && terms[index].startsWith(prefix); index++) {
+    found.push(terms[index]);
+  }
+  return found;
+};
+
+// Replace a note's postings: previous and current are its search documents
+// before and after a change, null when it didn't or no longer exists. Does
+// nothing until the user's index has been built.
+export const updateSearchIndex = async (searchTerms, userId, noteId, previous, current) => {
+  const marker = await findMarker(searchTerms, userId);
+  if (!marker) {
+    return;
+  }
+
+  const before = previous ? countTerms(previous) : new Map();
+  const after = current ? countTerms(current) : new Map();
+  const terms = new Set(marker.terms);
+  let termsChanged = false;
+
+  for (const term of new Set([...before.keys(), ...after.keys()])) {
+    const id = termId(userId, term);
+    const record = await searchTerms.findById(id);
+    const postings = record ? record.postings : {};
+
+    if (after.has(term)) {
+      postings[noteId] = after.get(term);
+    } else {
+      delete postings[noteId];
+    }
+
+    if (Object.keys(postings).length === 0) {
+      await searchTerms.delete(id);
+      terms.delete(term);
+      termsChanged = true;
+    } else if (record) {
+      await searchTerms.update(id, { postings });
+    } else {
+      await searchTerms.insert({ id, userId, term, postings });
+      terms.add(term);
+      termsChanged = true;
+    }
+  }
+
+  if (termsChanged) {
+    await searchTerms.update(marker.id, { terms: [...terms].sort() });
+  }
+};
+
+// Build the user's index from scratch. documents maps note ids to their
+// search documents.
+export const buildSearchIndex = async (searchTerms, userId, documents) => {
+  await searchTerms.deleteWhere({ userId });
+
+  const records = new Map();
+  for (const [noteId, document] of documents) {
+    for (const [term, fieldCounts] of countTerms(document)) {
+      if (!records.has(term)) {
+        records.set(term, { id: termId(userId, term), userId, term, postings: {} });
+      }
+      records.get(term).postings[noteId] = fieldCounts;
+    }
+  }
+
+  for (const record of records.values()) {
+    await searchTerms.insert(record);
+  }
+  await searchTerms.insert({ id: markerId(userId), userId, term: '', postings: {}, terms: [...records.keys()].sort() });
+};
+
+// Query words with their stems
+const parseQuery = (query) => {
+  return [...new Set(tokenize(query).map(({ word }) => word))].map(word => ({ word, stem: stem(word) }));
+};
+
+// How well an indexed term or a word of the text matches a query word: 1
+// for the same stem, PREFIX_WEIGHT when it starts with the query word, 0
+// otherwise
+const matchWeight = (term, { word, stem: queryStem }) => {
+  if (term === queryStem) {
+    return 1;
+  }
+  return term.startsWith(word) || term.startsWith(queryStem) ? PREFIX_WEIGHT : 0;
+};
+
+// Score of a posting: field-weighted occurrences, saturating so a word
+// repeated many times doesn't drown out the others
+const postingScore = (fieldCounts) => {
+  return Object.entries(fieldCounts).reduce((total, [field, count]) => {
+    return total + FIELD_WEIGHTS[field] * (count / (count + 1));
+  }, 0);
+};
+
+// Score the user's notes against a query. Every query word must match the
+// title, content or tags of a note; rarer words weigh more. noteCount is
+// the number of notes the user has. Returns a Map from note id to score.
+export const searchIndex = async (searchTerms, userId, query, noteCount) => {
+  const words = parseQuery(query);
+  const marker = await findMarker(searchTerms, userId);
+  if (words.length === 0 || !marker) {
+    return new Map();
+  }
+
+  // Term records read so far, null for terms not in the index
+  const records = new Map();
+  const findTerm = async (term) => {
+    if (!records.has(term)) {
+      records.set(term, (await searchTerms.findById(termId(userId, term))) || null);
+    }
+    return records.get(term);
+  };
+
+  let scores = null;
+
+  for (const word of words) {
+    const wordScores = new Map();
+    const terms = new Set([word.stem, ...termsWithPrefix(marker.terms, word.word), ...termsWithPrefix(marker.terms, word.stem)]);
+    for (const term of terms) {
+      const record = await findTerm(term);
+      const weight = record ? matchWeight(term, word) : 0;
+      if (weight === 0) {
+        continue;
+      }
+
+      const noteIds = Object.keys(record.postings);
+      const idf = Math.log(1 + noteCount / noteIds.length);
+      for (const noteId of noteIds) {
+        const score = weight * idf * postingScore(record.postings[noteId]);
+        wordScores.set(noteId, Math.max(wordScores.get(noteId) || 0, score));
+      }
+    }
+
+    // Keep only the notes that matched every word so far
+    scores = scores === null
+      ? wordScores
+      : new Map([...scores].filter(([noteId]) => wordScores.has(noteId)).map(([noteId, score]) => [noteId, score + wordScores.get(noteId)]));
+  }
+
+  return scores;
+};
+
+// Extend a position to the nearest word boundary in the given direction
+const toWordBoundary = (text, position, step) => {
+  while (position > 0 && position < text.length && /[\p{L}\p{N}]/u.test(text[position - (step < 0 ? 1 : 0)])) {
+    position += step;
+  }
+  return position;
+};
+
+// An excerpt of a note around the first match of the query, with the
+// matched words as { start, end } offsets into the snippet. Taken from the
+// content, or the title when only that matches.
+export const buildSnippet = (note, query) => {
+  const words = parseQuery(query);
+  const isMatch = ({ word }) => words.some(queryWord => matchWeight(stem(word), queryWord) > 0 || word.startsWith(queryWord.word));
+
+  const content = noteText(note);
+  const title = note.title || '';
+  const contentMatches = tokenize(content).filter(isMatch);
+  const [text, matches] = contentMatches.length > 0 || !title
+    ? [content, contentMatches]
+    : [title, tokenize(title).filter(isMatch)];
+
+  if (text.length <= SNIPPET_LENGTH) {
+    return { snippet: text, highlights: matches.map(({ start, end }) => ({ start, end })) };
+  }
+
+  const first = matches.length > 0 ? matches[0].start : 0;
+  const start = toWordBoundary(text, Math.max(0, first - SNIPPET_CONTEXT), -1);
+  const end = toWordBoundary(text, Math.min(text.length, start + SNIPPET_LENGTH), 1);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    snippet: prefix + text.slice(start, end) + suffix,
+    highlights: matches
+      .filter(match => match.start >= start && match.end <= end)
+      .map(match => ({ start: match.start + offset, end: match.end + offset }))
+  };
+};
@@ -0,0 +1,1846 @@
+import { v4 as uuidv4 } from 'uuid';
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+import { ErrorCode, Reason, ServiceError, validationError } from './errors.js';
+import { paginate, parseOrderBy, sortRecords } from './pagination.js';
+import {
+  buildSearchIndex, buildSnippet, hasSearchIndex, searchDocument, searchIndex, updateSearchIndex
+} from './search.js';
+import { ChangeFeed, ChangeType, deleteChanges, recordChange, updateType } from './changes.js';
+import {
+  NoteType, createItem, createItems, findItemIndex, insertItem, itemChanges, itemsToText, moveItem,
+  notAChecklist, noteType, orderItems, parseNoteType, textToItems
+} from './checklist.js';
+import { Frequency, ReminderScheduler, parseRecurrence, parseTime, parseTimeZone, schedule } from './reminders.js';
+import { systemClock } from './clock.js';
+import { pickFields } from './field-mask.js';
+import {
+  DEFAULT_REVISION_LIMIT, REVISION_FIELDS, diffRevisions, parseRevision, recordRevision, revisionId, revisionNotFound
+} from './revisions.js';
+import { ImportStatus, duplicateKey, readImportFile } from './import.js';
+import { exportFile, parseExportFormat } from './export.js';
+import {
+  MAX_ATTACHMENTS_PER_NOTE, MAX_ATTACHMENT_SIZE, attachmentTooLarge, findAttachment, imageSize, makeThumbnail,
+  parseFileName, resolveRange, sniffContentType, tooManyAttachments
+} from './attachments.js';
+import { MemoryBlobStore } from './blobs.js';
+import { BatchOperation, batchChanges, batchResult, parseBatchIds, parseBatchOperation } from './batch.js';
+import {
+  Role, alreadyShared, collaboratorId, collaboratorNotFound, findAccess, ownerOnly, parseRole, readOnly, sharedView
+} from './sharing.js';
+import {
+  ChildTags, MAX_TAG_DEPTH, ancestorIds, checkParent, checkSiblingNames, descendantIds, isRootTag, parentIdOf, parseChildTags,
+  parseSourceTagIds, tagCycle, tagDepth, tagNameKey, tagTree
+} from './tags.js';
+
+// Domain services shared by the gRPC and REST servers. They know nothing
+// about transports: inputs are plain objects, failures are ServiceErrors.
+
+const SALT_ROUNDS = 10;
+const TOKEN_EXPIRES_IN = '24h';
+const DEFAULT_NOTE_COLOR = '#ffffff';
+
+// Fields lists can be ordered by
+const NOTE_SORT_FIELDS = ['position', 'createdAt', 'updatedAt', 'title', 'color'];
+const TAG_SORT_FIELDS = ['createdAt', 'updatedAt', 'name'];
+
+// Gap left after the last note when a note is moved to the end
+const POSITION_STEP = 1000;
+
+// Days trashed notes are kept before they are deleted for good
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How a list of tag filters is combined
+const TAG_MATCHES = ['any', 'all'];
+
+const noteNotFound = () => new ServiceError(ErrorCode.NOT_FOUND, 'Note not found', { reason: Reason.NOTE_NOT_FOUND });
+const tagNotFound = () => new ServiceError(ErrorCode.NOT_FOUND, 'Tag not found', { reason: Reason.TAG_NOT_FOUND });
+const userNotFound = () => new ServiceError(ErrorCode.NOT_FOUND, 'User not found', { reason: Reason.USER_NOT_FOUND });
+const noteTrashed = () => new ServiceError(ErrorCode.FAILED_PRECONDITION, 'Note is in the trash', { reason: Reason.NOTE_TRASHED });
+const reminderNotFound = () => new ServiceError(ErrorCode.NOT_FOUND, 'Reminder not found', { reason: Reason.REMINDER_NOT_FOUND });
+const usernameTaken = () => new ServiceError(ErrorCode.ALREADY_EXISTS, 'Username already exists', { reason: Reason.USERNAME_TAKEN });
+
+// Throw a validation error naming every required field that is empty
+const requireFields = (message, fields) => {
+  const violations = Object.entries(fields)
+    .filter(([, value]) => !value)
+    .map(([field]) => ({ field, description: `${field} is required` }));
+
+  if (violations.length > 0) {
+    throw validationError(message, violations);
+  }
+};
+
+// A date filter as an ISO string, comparable with the stored timestamps
+const parseDateFilter = (field, value) => {
+  if (!value) {
+    return undefined;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw validationError('Invalid date filter', [{ field, description: `${field} is not a valid date` }]);
+  }
+  return date.toISOString();
+};
+
+// A filter of notes by tags: the tag ids, deduplicated and sorted, and
+// whether notes have them as a whole ('all') or any of them ('any'). No tag
+// ids match every note. families maps a tag id to the ids that count as
+// having it, the tag's own and its descendants'; by default only its own.
+const parseTagFilter = (tagIds, tagMatch, families = new Map()) => {
+  const tags = [...new Set(tagIds)].sort();
+  const match = String(tagMatch).toLowerCase();
+  if (!TAG_MATCHES.includes(match)) {
+    throw validationError('Invalid tag match', [{ field: 'tagMatch', description: 'must be any or all' }]);
+  }
+
+  const hasTags = (note) => {
+    const noteTags = note.tagIds || [];
+    if (tags.length === 0) {
+      return true;
+    }
+    const has = (id) => (families.get(id) || [id]).some(tagId => noteTags.includes(tagId));
+    return match === 'all' ? tags.every(has) : tags.some(has);
+  };
+  return { tags, match, hasTags };
+};
+
+// A note as the search index sees it, with the names of its tags; null for
+// a note that doesn't exist or is in the trash
+const noteDocument = async (tags, note) => {
+  if (!note || note.trashedAt) {
+    return null;
+  }
+
+  const tagRecords = await Promise.all((note.tagIds || []).map(id => tags.findById(id)));
+  return searchDocument(note, tagRecords.filter(Boolean).map(tag => tag.name));
+};
+
+// Manual position of a note; lower comes first. Notes from before positions
+// existed are placed by creation time.
+const notePosition = (note) => note.position ?? Date.parse(note.createdAt);
+
+// Version of a note or tag, counting its changes; records from before
+// versions existed are at 1
+const versionOf = (record) => record.version || 1;
+
+const withVersion = (record) => ({ ...record, version: versionOf(record) });
+
+// A tag with the fields records from before versions and nesting lack
+const withTagDefaults = (tag) => ({ ...withVersion(tag), parentId: parentIdOf(tag) });
+
+// A note with the fields records from before positions, versions and
+// attachments existed lack
+const withDefaults = (note) => ({ ...withVersion(note), position: notePosition(note), attachments: note.attachments || [] });
+
+// Optimistic concurrency: fail when the caller expected another version of
+// the record than the current one. No expectedVersion (or 0) means any.
+const checkVersion = (record, expectedVersion, resource) => {
+  if (expectedVersion && Number(expectedVersion) !== versionOf(record)) {
+    throw new ServiceError(ErrorCode.ABORTED, `${resource} has been changed since version ${expectedVersion}`, {
+      reason: Reason.VERSION_MISMATCH
+    });
+  }
+};
+
+// Notes in their manual order
+const byPosition = (notes) => {
+  return [...notes].sort((a, b) => notePosition(a) - notePosition(b) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+};
+
+// A position between two neighbouring notes, either of which may be
+// missing, or null when theirs are too close to fit one in between
+const positionBetween = (previous, next) => {
+  if (!previous || !next) {
+    return previous ? notePosition(previous) + POSITION_STEP : notePosition(next) - POSITION_STEP;
+  }
+
+  const low = notePosition(previous);
+  const high = notePosition(next);
+  const middle = low + (high - low) / 2;
+  return middle > low && middle < high ? middle : null;
+};
+
+// Record a change to a note for its owner and for everyone it is shared
+// with, each seeing their own view of it. repos are the repositories of the
+// transaction making the change.
+const recordNoteChange = async (repos, type, note) => {
+  await recordChange(repos, note.userId, 'note', type, note);
+  for (const collaborator of await repos.collaborators.findWhere({ noteId: note.id })) {
+    await recordChange(repos, collaborator.userId, 'note', type, sharedView(note, collaborator));
+  }
+};
+
+// Delete reminders, recording the change for their owners
+const deleteReminders = async (repos, criteria) => {
+  for (const reminder of await repos.reminders.findWhere(criteria)) {
+    await repos.reminders.delete(reminder.id);
+    await recordChange(repos, reminder.userId, 'reminder', ChangeType.DELETED, reminder);
+  }
+};
+
+// Delete a note, its reminders and its collaborators for good. repos are
+// the repositories of the transaction doing it.
+const deleteForever = async (repos, note) => {
+  await recordNoteChange(repos, ChangeType.DELETED, note);
+  await repos.notes.delete(note.id);
+  await updateSearchIndex(repos.searchTerms, note.userId, note.id, await noteDocument(repos.tags, note), null);
+  await repos.collaborators.deleteWhere({ noteId: note.id });
+  await repos.revisions.deleteWhere({ noteId: note.id });
+  await deleteReminders(repos, { noteId: note.id });
+};
+
+// Delete the blobs no note's attachments refer to; returns how many. The
+// blob store keeps the ones written within its grace period, which an
+// upload may be about to refer to.
+const sweepBlobs = async (storage, blobs) => {
+  const used = new Set();
+  for (const note of await storage.notes.findWhere()) {
+    for (const attachment of note.attachments || []) {
+      used.add(attachment.sha256);
+      used.add(attachment.thumbnailSha256);
+    }
+  }
+
+  let deleted = 0;
+  for await (const hash of blobs.list()) {
+    if (!used.has(hash) && await blobs.delete(hash)) {
+      deleted++;
+    }
+  }
+  return deleted;
+};
+
+// Stop sharing a note with a collaborator, whose reminders on it go too
+const unshare = async (repos, note, collaborator) => {
+  await repos.collaborators.delete(collaborator.id);
+  await deleteReminders(repos, { noteId: note.id, userId: collaborator.userId });
+  await recordChange(repos, collaborator.userId, 'note', ChangeType.UNSHARED, sharedView(note, collaborator));
+};
+
+// A note and the user's access to it; notes the user can't see are not
+// found
+const findNote = async (repos, userId, id) => {
+  const note = await repos.notes.findById(id);
+  const access = note && await findAccess(repos, userId, note);
+  if (!access) {
+    throw noteNotFound();
+  }
+  return { note, access };
+};
+
+// A note the user owns; collaborators are denied
+const findOwnNote = async (repos, userId, id) => {
+  const { note, access } = await findNote(repos, userId, id);
+  if (access.role !== Role.OWNER) {
+    throw ownerOnly();
+  }
+  return note;
+};
+
+// Each of the tag ids with the ids of the tags under it, as parseTagFilter
+// takes them
+const tagFamilies = (tags, ids) => new Map(ids.map(id => [id, [id, ...descendantIds(tags, id)]]));
+
+// The user's tag a tag is to be nested under, checked as checkParent does;
+// '' for a top-level tag. id is the tag's, undefined for a new tag.
+const findParent = async (tags, userId, id, parentId) => {
+  if (!parentId) {
+    return '';
+  }
+
+  const parent = await tags.findById(parentId);
+  if (!parent || parent.userId !== userId) {
+    throw new ServiceError(ErrorCode.NOT_FOUND, 'Parent tag not found', { reason: Reason.TAG_NOT_FOUND });
+  }
+  checkParent(await tags.findByOwner(userId), id, parentId);
+  return parentId;
+};
+
+// A tag name as stored, trimmed, once no other tag of the user's under
+// parentId has it. id is the tag's, undefined for a new tag.
+const checkTagName = async (tags, userId, id, name, parentId) => {
+  const trimmed = String(name).trim();
+  requireFields('Name is required', { name: trimmed });
+
+  checkSiblingNames(await tags.findByOwner(userId), [{ id, name: trimmed }], parentId);
+  return trimmed;
+};
+
+// The tag ids given to a note, without repeats. Tags the note doesn't have
+// yet must be the user's own; current are the ones it has.
+const checkTagIds = async (tags, userId, tagIds, current = []) => {
+  const ids = [...new Set(tagIds)];
+  for (const id of ids.filter(tagId => !current.includes(tagId))) {
+    const tag = await tags.findById(id);
+    if (!tag || tag.userId !== userId) {
+      throw validationError('Tag not found', [{ field: 'tagIds', description: `${id} is not one of the user's tags` }]);
+    }
+  }
+  return ids;
+};
+
+// The number of notes the user has with each tag id, counting the notes
+// shared with them but not the ones in the trash
+const countTaggedNotes = async (repos, userId) => {
+  const owned = (await repos.notes.findByOwner(userId)).filter(note => !note.trashedAt);
+  const shared = [];
+  for (const collaborator of await repos.collaborators.findByOwner(userId)) {
+    const note = await repos.notes.findById(collaborator.noteId);
+    if (note && !note.trashedAt) {
+      shared.push(collaborator);
+    }
+  }
+
+  const counts = new Map();
+  for (const tagId of [...owned, ...shared].flatMap(record => record.tagIds || [])) {
+    counts.set(tagId, (counts.get(tagId) || 0) + 1);
+  }
+  return counts;
+};
+
+// Create a tag, at the top level unless a parentId is given, stamped with
+// the ISO time now; repos are the repositories of the transaction doing it
+const insertTag = async (repos, userId, name, parentId, now) => {
+  const tag = await repos.tags.insert({
+    id: uuidv4(),
+    name,
+    parentId,
+    userId,
+    createdAt: now,
+    updatedAt: now,
+    version: 1
+  });
+
+  await recordChange(repos, userId, 'tag', ChangeType.CREATED, tag);
+  return tag;
+};
+
+// Take the tags in tagIds off the user's notes, and off their own tags on
+// the notes shared with them, putting the tag replacementId in their place
+// when given. repos are the repositories of the transaction doing it.
+// Returns how many notes changed.
+const replaceTags = async (repos, userId, tagIds, replacementId) => {
+  const { tags, notes, searchTerms, collaborators } = repos;
+  const isReplaced = (tagId) => tagIds.includes(tagId);
+  const replace = (ids) => [...new Set(ids.map(tagId => (isReplaced(tagId) ? replacementId : tagId)).filter(Boolean))];
+  let count = 0;
+
+  for (const note of await notes.findByOwner(userId)) {
+    if ((note.tagIds || []).some(isReplaced)) {
+      const previous = await noteDocument(tags, note);
+      const updatedNote = await notes.update(note.id, { tagIds: replace(note.tagIds), version: versionOf(note) + 1 });
+      await updateSearchIndex(searchTerms, userId, note.id, previous, await noteDocument(tags, updatedNote));
+      await recordChange(repos, userId, 'note', ChangeType.UPDATED, updatedNote);
+      count++;
+    }
+  }
+
+  for (const collaborator of await collaborators.findByOwner(userId)) {
+    if ((collaborator.tagIds || []).some(isReplaced)) {
+      const result = await collaborators.update(collaborator.id, { tagIds: replace(collaborator.tagIds) });
+      const note = await notes.findById(collaborator.noteId);
+      await recordChange(repos, userId, 'note', ChangeType.UPDATED, sharedView(note, result));
+      count++;
+    }
+  }
+  return count;
+};
+
+// A note as the user with the given access sees it
+const viewOf = (note, access) => (access.collaborator ? sharedView(note, access.collaborator) : note);
+
+// Collaborator record as returned to clients, with the current username
+const toCollaborator = (collaborator, user) => ({
+  userId: collaborator.userId,
+  username: user ? user.username : '',
+  role: collaborator.role,
+  createdAt: collaborator.createdAt,
+  updatedAt: collaborator.updatedAt
+});
+
+// Copy of an object without its undefined properties
+const pickDefined = (values) => {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+};
+
+// User record without the password hash
+const toPublicUser = (user) => ({
+  id: user.id,
+  username: user.username
+});
+
+// Authentication: registration, login, token issuing and revocation
+export class AuthService {
+  constructor(storage, { secretKey, clock = systemClock }) {
+    this.storage = storage;
+    this.secretKey = secretKey;
+    this.clock = clock;
+  }
+
+  issueToken(user) {
+    return jwt.sign(
+      { id: user.id, username: user.username },
+      this.secretKey,
+      { expiresIn: TOKEN_EXPIRES_IN }
+    );
+  }
+
+  async register({ username, password }) {
+    requireFields('Username and password are required', { username, password });
+
+    const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+
+    const newUser = await this.storage.transaction(async ({ users }) => {
+      if ((await users.findWhere({ username })).length > 0) {
+        throw usernameTaken();
+      }
+
+      const now = new Date(this.clock.now()).toISOString();
+      return users.insert({
+        id: uuidv4(),
+        username,
+        password: hashedPassword,
+        createdAt: now,
+        updatedAt: now
+      });
+    });
+
+    return { token: this.issueToken(newUser), user: toPublicUser(newUser) };
+  }
+
+  async login({ username, password }) {
+    requireFields('Username and password are required', { username, password });
+
+    const [user] = await this.storage.users.findWhere({ username });
+    if (!user || !(await bcrypt.compare(password, user.password))) {
+      throw new ServiceError(ErrorCode.UNAUTHENTICATED, 'Invalid username or password', { reason: Reason.INVALID_CREDENTIALS });
+    }
+
+    return { token: this.issueToken(user), user: toPublicUser(user) };
+  }
+
+  async logout(token) {
+    const decoded = jwt.decode(token);
+    if (!decoded || !decoded.exp) {
+      throw validationError('Invalid token', [{ field: 'token', description: 'token is not a valid JWT' }]);
+    }
+
+    // Keep the token blacklisted until it would have expired anyway
+    const expiresAt = new Date(decoded.exp * 1000).toISOString();
+    await this.storage.transaction(async ({ tokenBlacklist }) => {
+      if (!(await tokenBlacklist.findById(token))) {
+        await tokenBlacklist.insert({ token, expiresAt });
+      }
+    });
+  }
+
+  // Returns the token payload ({ id, username }) of a valid, non-revoked token
+  async verifyToken(token) {
+    if (!token) {
+      throw new ServiceError(ErrorCode.UNAUTHENTICATED, 'Authentication required', { reason: Reason.TOKEN_MISSING });
+    }
+
+    if (await this.storage.tokenBlacklist.findById(token)) {
+      throw new ServiceError(ErrorCode.UNAUTHENTICATED, 'Token has been revoked', { reason: Reason.TOKEN_REVOKED });
+    }
+
+    try {
+      return jwt.verify(token, this.secretKey);
+    } catch (error) {
+      throw new ServiceError(ErrorCode.UNAUTHENTICATED, 'Invalid token', { reason: Reason.TOKEN_INVALID });
+    }
+  }
+
+  // Drop blacklist entries for tokens that have expired
+  async cleanBlacklist() {
+    const now = new Date(this.clock.now());
+
+    await this.storage.transaction(async ({ tokenBlacklist }) => {
+      for (const item of await tokenBlacklist.findWhere()) {
+        if (new Date(item.expiresAt) <= now) {
+          await tokenBlacklist.delete(item.token);
+        }
+      }
+    });
+  }
+}
+
+// User accounts
+export class UserService {
+  constructor(storage, { blobs, clock = systemClock }) {
+    this.storage = storage;
+    this.blobs = blobs;
+    this.clock = clock;
+  }
+
+  // The owner of an account is the account itself; undefined when missing
+  async ownerOf(id) {
+    return (await this.storage.users.findById(id))?.id;
+  }
+
+  async getUser(id) {
+    const user = await this.storage.users.findById(id);
+    if (!user) {
+      throw userNotFound();
+    }
+    return toPublicUser(user);
+  }
+
+  // Fields left undefined keep their current value
+  async updateUser(id, { username, password }) {
+    requireFields('Username and password cannot be empty', pickDefined({ username, password }));
+
+    const changes = { updatedAt: new Date(this.clock.now()).toISOString() };
+
+    if (password !== undefined) {
+      changes.password = await bcrypt.hash(password, SALT_ROUNDS);
+    }
+
+    const updatedUser = await this.storage.transaction(async ({ users }) => {
+      const user = await users.findById(id);
+      if (!user) {
+        throw userNotFound();
+      }
+
+      if (username !== undefined && username !== user.username) {
+        if ((await users.findWhere({ username })).length > 0) {
+          throw usernameTaken();
+        }
+        changes.username = username;
+      }
+
+      return users.update(id, changes);
+    });
+
+    return toPublicUser(updatedUser);
+  }
+
+  // Delete a user together with all of their notes, tags and reminders,
+  // and the attached files no one else's notes have. Their notes are no
+  // longer shared, and notes shared with them no longer list them.
+  async deleteUser(id) {
+    await this.storage.transaction(async (repos) => {
+      const { users, notes, tags, searchTerms, reminders, collaborators } = repos;
+      if (!(await users.delete(id))) {
+        throw userNotFound();
+      }
+
+      for (const note of await notes.findByOwner(id)) {
+        for (const collaborator of await collaborators.findWhere({ noteId: note.id })) {
+          await unshare(repos, note, collaborator);
+        }
+      }
+      await collaborators.deleteWhere({ userId: id });
+      await notes.deleteWhere({ userId: id });
+      await repos.revisions.deleteWhere({ userId: id });
+      await tags.deleteWhere({ userId: id });
+      await reminders.deleteWhere({ userId: id });
+      await searchTerms.deleteWhere({ userId: id });
+      await deleteChanges(repos, id);
+    });
+
+    await sweepBlobs(this.storage, this.blobs);
+  }
+}
+
+// Notes, always scoped to the acting user: their own notes, and the notes
+// shared with them as far as their role allows. Changes are recorded for the
+// change feed, and the last revisionLimit revisions of each note are kept.
+// Deleted notes go to the trash first, where they can't be changed and are
+// kept for trashRetentionDays. Attached files are kept in blobs, and deleted
+// once no note has them attached.
+export class NoteService {
+  constructor(storage, {
+    changes, blobs, clock = systemClock,
+    trashRetentionDays = DEFAULT_TRASH_RETENTION_DAYS, revisionLimit = DEFAULT_REVISION_LIMIT
+  }) {
+    this.storage = storage;
+    this.changes = changes;
+    this.blobs = blobs;
+    this.clock = clock;
+    this.trashRetention = trashRetentionDays * DAY;
+    this.revisionLimit = revisionLimit;
+  }
+
+  // Owner of a note, or undefined when it doesn't exist
+  async ownerOf(id) {
+    return (await this.storage.notes.findById(id))?.userId;
+  }
+
+  // Whether the user owns a note or it is shared with them; undefined when
+  // it doesn't exist
+  async canAccess(userId, id) {
+    return this.storage.transaction(async (repos) => {
+      const note = await repos.notes.findById(id);
+      return note ? Boolean(await findAccess(repos, userId, note)) : undefined;
+    });
+  }
+
+  // One page of the user's notes. tagIds are matched as a whole ('all') or
+  // individually ('any'), with includeDescendants a tag matching notes with
+  // any tag under it too; date filters are inclusive lower and exclusive
+  // upper bounds.
+  async getNotes(userId, {
+    archived, tagId, tagIds = [], tagMatch = 'any', includeDescendants = false,
+    createdAfter, createdBefore, updatedAfter, updatedBefore,
+    orderBy, pageSize, pageToken
+  } = {}) {
+    const filterIds = [...tagIds, ...(tagId ? [tagId] : [])];
+    const families = includeDescendants ? tagFamilies(await this.storage.tags.findByOwner(userId), filterIds) : undefined;
+    const { tags, match, hasTags } = parseTagFilter(filterIds, tagMatch, families);
+
+    const created = [parseDateFilter('createdAfter', createdAfter), parseDateFilter('createdBefore', createdBefore)];
+    const updated = [parseDateFilter('updatedAfter', updatedAfter), parseDateFilter('updatedBefore', updatedBefore)];
+    const order = { ...parseOrderBy(orderBy, NOTE_SORT_FIELDS, 'position'), first: 'pinned' };
+
+    const inRange = (value, [after, before]) => (!after || value >= after) && (!before || value < before);
+
+    const notes = (await this.storage.notes.findByOwner(userId)).map(withDefaults).filter(note => {
+      return !note.trashedAt
+        && (archived === undefined || note.archived === archived)
+        && hasTags(note)
+        && inRange(note.createdAt, created)
+        && inRange(note.updatedAt, updated);
+    });
+
+    const { items, nextPageToken } = paginate(notes, {
+      order,
+      pageSize,
+      pageToken,
+      query: { userId, archived, tags, match, includeDescendants: Boolean(includeDescendants), created, updated, order }
+    });
+    return { notes: items, nextPageToken };
+  }
+
+  async getNote(userId, id) {
+    return this.storage.transaction(async (repos) => {
+      const { note, access } = await findNote(repos, userId, id);
+      return withDefaults(viewOf(note, access));
+    });
+  }
+
+  // A checklist note keeps its text in items; content given for one is
+  // turned into items, one per line
+  async createNote(userId, { title, content, tagIds, color, pinned, type, items, checkedItemsLast }) {
+    const checklist = parseNoteType(type) === NoteType.CHECKLIST;
+    if (!checklist && items && items.length > 0) {
+      throw validationError('Only checklist notes have items', [{ field: 'items', description: 'requires type CHECKLIST' }]);
+    }
+
+    const noteItems = checklist
+      ? orderItems(items && items.length > 0 ? createItems(items) : textToItems(content), Boolean(checkedItemsLast))
+      : [];
+
+    if (!title && !content && noteItems.length === 0) {
+      throw validationError('Title or content is required', [
+        { field: 'title', description: 'title or content is required' },
+        { field: 'content', description: 'title or content is required' }
+      ]);
+    }
+
+    const now = new Date(this.clock.now()).toISOString();
+    const note = await this.storage.transaction(async (repos) => {
+      return this.insertNote(repos, {
+        id: uuidv4(),
+        title: title || '',
+        content: checklist ? '' : content || '',
+        tagIds: await checkTagIds(repos.tags, userId, tagIds || []),
+        userId,
+        createdAt: now,
+        updatedAt: now,
+        archived: false,
+        color: color || DEFAULT_NOTE_COLOR,
+        pinned: Boolean(pinned),
+        position: await this.nextPosition(repos, userId),
+        type: checklist ? NoteType.CHECKLIST : NoteType.TEXT,
+        items: noteItems,
+        checkedItemsLast: Boolean(checkedItemsLast),
+        trashedAt: '',
+        attachments: [],
+        version: 1
+      });
+    });
+
+    this.changes.notify();
+    return note;
+  }
+
+  // Position after the user's last note, for new notes which go last.
+  // Positions start from the current time, so they follow notes placed by
+  // creation time too.
+  async nextPosition(repos, userId) {
+    const positions = (await repos.notes.findByOwner(userId)).map(notePosition);
+    return Math.max(this.clock.now(), ...positions.map(value => value + 1));
+  }
+
+  // Insert a new note within the transaction of repos
+  async insertNote(repos, note) {
+    const { notes, tags, searchTerms } = repos;
+    const newNote = await notes.insert(note);
+
+    await updateSearchIndex(searchTerms, note.userId, newNote.id, null, await noteDocument(tags, newNote));
+    await recordRevision(repos, null, newNote, note.userId, { limit: this.revisionLimit });
+    await recordChange(repos, note.userId, 'note', ChangeType.CREATED, newNote);
+    return newNote;
+  }
+
+  // Import the notes in files exported from other apps (see import.js), in
+  // one transaction. Labels become tags, created when the user has none of
+  // that name. Notes keep their times, color, archived and pinned state;
+  // trashed ones go to the trash. Notes the user already has, with the same
+  // title and text, are duplicates and aren't imported again. Returns the
+  // counts and a result per note, or per file that couldn't be read.
+  async importNotes(userId, files) {
+    const read = files.map((file) => {
+      try {
+        return { file, drafts: readImportFile(file) };
+      } catch (error) {
+        if (!(error instanceof ServiceError)) {
+          throw error;
+        }
+        return { file, error };
+      }
+    });
+
+    const results = await this.storage.transaction(async (repos) => {
+      const now = new Date(this.clock.now()).toISOString();
+      const seen = new Set((await repos.notes.findByOwner(userId)).map(duplicateKey));
+      let position = await this.nextPosition(repos, userId);
+      const userTags = await repos.tags.findByOwner(userId);
+      const tagPathKey = (parentId, name) => `${parentId}/${tagNameKey(name)}`;
+      const tagsByPath = new Map(userTags.map(tag => [tagPathKey(parentIdOf(tag), tag.name), tag]));
+      const results = [];
+
+      for (const { file, drafts, error } of read) {
+        if (error) {
+          const { code, reason, message } = error;
+          results.push({ fileName: file.name, index: 0, title: '', status: ImportStatus.FAILED, noteId: '', error: { code, reason, message } });
+          continue;
+        }
+
+        for (const [index, draft] of drafts.entries()) {
+          const result = { fileName: file.name, index, title: draft.title, noteId: '' };
+          if (!draft.title && !draft.content && draft.items.length === 0) {
+            const { code, reason, message } = validationError('Note has no title or content', []);
+            results.push({ ...result, status: ImportStatus.FAILED, error: { code, reason, message } });
+            continue;
+          }
+
+          const key = duplicateKey(draft);
+          if (seen.has(key)) {
+            results.push({ ...result, status: ImportStatus.DUPLICATE });
+            continue;
+          }
+          seen.add(key);
+
+          // A label is found by its path from the top level, each name
+          // among the tags under the one before it whatever its case, and
+          // created there when missing. Bare labels are top-level tags, and
+          // so are the ones nested deeper than tags can go.
+          const tagIds = new Set();
+          for (const path of draft.labelPaths || draft.labels.map(label => [label])) {
+            let tag;
+            for (const name of path.filter(label => tagNameKey(label))) {
+              const parentId = tag && tagDepth(userTags, tag.id) < MAX_TAG_DEPTH ? tag.id : '';
+              const key = tagPathKey(parentId, name);
+              if (!tagsByPath.has(key)) {
+                const created = await insertTag(repos, userId, name.trim(), parentId, now);
+                userTags.push(created);
+                tagsByPath.set(key, created);
+              }
+              tag = tagsByPath.get(key);
+            }
+            if (tag) {
+              tagIds.add(tag.id);
+            }
+          }
+
+          const createdAt = draft.createdAt || draft.updatedAt || now;
+          const note = await this.insertNote(repos, {
+            id: uuidv4(),
+            title: draft.title,
+            content: draft.content,
+            tagIds: [...tagIds],
+            userId,
+            createdAt,
+            updatedAt: draft.updatedAt || createdAt,
+            archived: draft.archived,
+            color: draft.color || DEFAULT_NOTE_COLOR,
+            pinned: draft.pinned,
+            position: position++,
+            type: draft.type,
+            items: draft.items,
+            checkedItemsLast: Boolean(draft.checkedItemsLast),
+            trashedAt: draft.trashed ? now : '',
+            attachments: [],
+            version: 1
+          });
+          results.push({ ...result, status: ImportStatus.IMPORTED, noteId: note.id });
+        }
+      }
+      return results;
+    });
+
+    this.changes.notify();
+    const count = (status) => results.filter(result => result.status === status).length;
+    return {
+      importedCount: count(ImportStatus.IMPORTED),
+      duplicateCount: count(ImportStatus.DUPLICATE),
+      failedCount: count(ImportStatus.FAILED),
+      results
+    };
+  }
+
+  // The user's notes, pinned ones first, and tags as a file in the given
+  // format (see export.js), without the trash. Notes can be filtered by tags
+  // as getNotes does and by archived state; then only the tags of the notes
+  // exported are, with the tags they are nested under. Notes are read up front and the file's chunks generated as
+  // they are iterated. Returns { fileName, contentType, chunks }.
+  async exportNotes(userId, { format, tagIds = [], tagMatch = 'any', includeDescendants = false, archived } = {}) {
+    const exportFormat = parseExportFormat(format);
+    const families = includeDescendants ? tagFamilies(await this.storage.tags.findByOwner(userId), tagIds) : undefined;
+    const { tags: filterTags, hasTags } = parseTagFilter(tagIds, tagMatch, families);
+
+    const { notes, tags } = await this.storage.transaction(async (repos) => ({
+      notes: (await repos.notes.findByOwner(userId)).map(withDefaults).filter(note => {
+        return !note.trashedAt && (archived === undefined || note.archived === archived) && hasTags(note);
+      }),
+      tags: await repos.tags.findByOwner(userId)
+    }));
+
+    // A filtered export keeps the tags above its notes' tags, so the
+    // bundle keeps their nesting
+    const filtered = filterTags.length > 0 || archived !== undefined;
+    const used = new Set(notes.flatMap(note => note.tagIds || []).flatMap(id => [id, ...ancestorIds(tags, id)]));
+    return exportFile(exportFormat, {
+      notes: [...byPosition(notes.filter(note => note.pinned)), ...byPosition(notes.filter(note => !note.pinned))],
+      tags: tags
+        .filter(tag => !filtered || used.has(tag.id))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      exportedAt: new Date(this.clock.now())
+    });
+  }
+
+  // Fields left undefined keep their current value. items replaces the
+  // whole list of a checklist. Archiving and pinning are up to the owner.
+  // With expectedVersion, fails unless the note is still at that version.
+  async updateNote(userId, id, { title, content, tagIds, archived, color, pinned, items, checkedItemsLast }, { expectedVersion } = {}) {
+    const changes = pickDefined({ title, content, tagIds, archived, color, pinned, checkedItemsLast });
+
+    return this.modifyNote(userId, id, (note, access) => {
+      if (access.role !== Role.OWNER && (archived !== undefined || pinned !== undefined)) {
+        throw ownerOnly();
+      }
+
+      if (noteType(note) !== NoteType.CHECKLIST) {
+        if (items !== undefined && items.length > 0) {
+          throw notAChecklist();
+        }
+        return changes;
+      }
+
+      if (content) {
+        throw validationError('Checklist notes have items instead of content', [
+          { field: 'content', description: 'must be empty for a checklist' }
+        ]);
+      }
+      delete changes.content;
+
+      if (items !== undefined || checkedItemsLast !== undefined) {
+        const noteItems = items !== undefined ? createItems(items) : note.items;
+        changes.items = orderItems(noteItems, changes.checkedItemsLast ?? note.checkedItemsLast);
+      }
+      return changes;
+    }, { expectedVersion });
+  }
+
+  // Place a note right before or after another one in the manual order. It
+  // takes the pinned state of that note, joining its section of the list.
+  // Positions are computed in the same transaction as they are read, so
+  // concurrent moves apply one after the other.
+  async moveNote(userId, id, { beforeNoteId, afterNoteId }) {
+    if (Boolean(beforeNoteId) === Boolean(afterNoteId)) {
+      throw validationError('Exactly one of beforeNoteId and afterNoteId is required', [
+        { field: 'beforeNoteId', description: 'exactly one of beforeNoteId and afterNoteId is required' },
+        { field: 'afterNoteId', description: 'exactly one of beforeNoteId and afterNoteId is required' }
+      ]);
+    }
+
+    const targetId = beforeNoteId || afterNoteId;
+    if (targetId === id) {
+      throw validationError('Cannot move a note next to itself', [
+        { field: beforeNoteId ? 'beforeNoteId' : 'afterNoteId', description: 'must differ from id' }
+      ]);
+    }
+
+    const movedNote = await this.storage.transaction(async (repos) => {
+      const { notes } = repos;
+      const userNotes = byPosition((await notes.findByOwner(userId)).filter(candidate => !candidate.trashedAt));
+      const note = userNotes.find(candidate => candidate.id === id);
+      const target = userNotes.find(candidate => candidate.id === targetId);
+      if (!note || !target) {
+        throw noteNotFound();
+      }
+
+      let others = userNotes.filter(candidate => candidate.id !== id);
+      const index = others.indexOf(target) + (afterNoteId ? 1 : 0);
+      let position = positionBetween(others[index - 1], others[index]);
+
+      // No room left between the neighbours: spread the other notes out
+      // again, keeping their order
+      if (position === null) {
+        const spread = [];
+        for (const [i, other] of others.entries()) {
+          const result = await notes.update(other.id, { position: (i + 1) * POSITION_STEP, version: versionOf(other) + 1 });
+          await recordNoteChange(repos, ChangeType.UPDATED, result);
+          spread.push(result);
+        }
+        others = spread;
+        position = positionBetween(others[index - 1], others[index]);
+      }
+
+      const result = await notes.update(id, {
+        position,
+        pinned: Boolean(target.pinned),
+        updatedAt: new Date(this.clock.now()).toISOString(),
+        version: versionOf(note) + 1
+      });
+      await recordNoteChange(repos, updateType(note, result), result);
+      return result;
+    });
+
+    this.changes.notify();
+    return movedNote;
+  }
+
+  // Add an item to a checklist, before the item beforeItemId or at the end
+  async addChecklistItem(userId, id, { text, checked, indent, beforeItemId }) {
+    const item = createItem({ text, checked, indent });
+    return this.modifyChecklist(userId, id, items => insertItem(items, item, beforeItemId));
+  }
+
+  // Fields left undefined keep their current value
+  async updateChecklistItem(userId, id, itemId, { text, checked, indent }) {
+    const changes = itemChanges({ text, checked, indent });
+    return this.modifyChecklist(userId, id, (items) => {
+      const index = findItemIndex(items, itemId);
+      return items.map((item, i) => i === index ? { ...item, ...changes } : item);
+    });
+  }
+
+  async checkChecklistItem(userId, id, itemId, checked) {
+    return this.updateChecklistItem(userId, id, itemId, { checked: Boolean(checked) });
+  }
+
+  // Move an item before the item beforeItemId, or to the end
+  async moveChecklistItem(userId, id, itemId, { beforeItemId }) {
+    return this.modifyChecklist(userId, id, items => moveItem(items, itemId, beforeItemId));
+  }
+
+  async removeChecklistItem(userId, id, itemId) {
+    return this.modifyChecklist(userId, id, (items) => {
+      const index = findItemIndex(items, itemId);
+      return items.filter((item, i) => i !== index);
+    });
+  }
+
+  // Turn a text note into a checklist with an item per line, or a checklist
+  // into a text note with a Markdown task list. Converting a note to its own
+  // type leaves it as it is.
+  async convertNote(userId, id, type) {
+    const targetType = parseNoteType(type, '');
+    if (!targetType) {
+      throw validationError('Type is required', [{ field: 'type', description: 'type is required' }]);
+    }
+
+    return this.modifyNote(userId, id, (note) => {
+      if (noteType(note) === targetType) {
+        return null;
+      }
+      return targetType === NoteType.CHECKLIST
+        ? { type: targetType, content: '', items: orderItems(textToItems(note.content), note.checkedItemsLast) }
+        : { type: targetType, content: itemsToText(note.items || []), items: [] };
+    });
+  }
+
+  // Change one of the user's items in a checklist: update gets the current
+  // items and returns the new list, which keeps the note's ordering option
+  async modifyChecklist(userId, id, update) {
+    return this.modifyNote(userId, id, (note) => {
+      if (noteType(note) !== NoteType.CHECKLIST) {
+        throw notAChecklist();
+      }
+      return { items: orderItems(update(note.items || []), note.checkedItemsLast) };
+    });
+  }
+
+  // Change a note the user owns or can edit: update gets the note as the
+  // user sees it and their access, and returns the fields to change, or
+  // null to leave it as it is. Keeps the search index, revision history and
+  // change feed in step; revertedFrom marks a revert, and expectedVersion is
+  // checked against the note's version.
+  async modifyNote(userId, id, update, options = {}) {
+    const updatedNote = await this.storage.transaction(repos => this.changeNote(repos, userId, id, update, options));
+
+    this.changes.notify();
+    return updatedNote;
+  }
+
+  // modifyNote within the transaction of repos
+  async changeNote(repos, userId, id, update, { revertedFrom, expectedVersion } = {}) {
+    const { notes, tags, searchTerms, collaborators } = repos;
+    const { note, access } = await findNote(repos, userId, id);
+    checkVersion(note, expectedVersion, 'Note');
+    if (access.role === Role.VIEWER) {
+      throw readOnly();
+    }
+    if (note.trashedAt) {
+      throw noteTrashed();
+    }
+
+    const changes = update(viewOf(note, access), access);
+    if (!changes) {
+      return withDefaults(viewOf(note, access));
+    }
+    if (changes.tagIds !== undefined) {
+      changes.tagIds = await checkTagIds(tags, userId, changes.tagIds, viewOf(note, access).tagIds || []);
+    }
+
+    // A collaborator's tags are their own, kept on their collaborator
+    // record
+    let collaborator = access.collaborator;
+    if (collaborator && changes.tagIds !== undefined) {
+      collaborator = await collaborators.update(collaborator.id, { tagIds: changes.tagIds, updatedAt: new Date(this.clock.now()).toISOString() });
+      delete changes.tagIds;
+    }
+
+    if (collaborator && Object.keys(changes).length === 0) {
+      const result = sharedView(note, collaborator);
+      await recordChange(repos, userId, 'note', ChangeType.UPDATED, result);
+      return withDefaults(result);
+    }
+
+    const result = await notes.update(id, { ...changes, updatedAt: new Date(this.clock.now()).toISOString(), version: versionOf(note) + 1 });
+    await updateSearchIndex(searchTerms, note.userId, id, await noteDocument(tags, note), await noteDocument(tags, result));
+    await recordRevision(repos, note, result, userId, { limit: this.revisionLimit, revertedFrom });
+    await recordNoteChange(repos, updateType(note, result), result);
+    return withDefaults(collaborator ? sharedView(result, collaborator) : result);
+  }
+
+  // Apply an operation to many notes at once, in one transaction. TRASH
+  // leaves notes already in the trash there. Returns a result per note; see batch.js.
+  async batchUpdateNotes(userId, { ids, operation, tagIds, color }) {
+    const noteIds = parseBatchIds(ids);
+    const batchOperation = parseBatchOperation(operation, { tagIds, color });
+
+    const results = await this.storage.transaction(async (repos) => {
+      if (batchOperation === BatchOperation.ADD_TAGS) {
+        await checkTagIds(repos.tags, userId, tagIds);
+      }
+
+      const results = [];
+      for (const id of noteIds) {
+        results.push(await batchResult(id, async () => {
+          if (batchOperation === BatchOperation.TRASH) {
+            const note = await findOwnNote(repos, userId, id);
+            return note.trashedAt ? withDefaults(note) : this.trashNote(repos, note);
+          }
+          return this.changeNote(repos, userId, id, batchChanges(batchOperation, { tagIds, color }));
+        }));
+      }
+      return results;
+    });
+
+    this.changes.notify();
+    return { results };
+  }
+
+  // One page of a note's revisions, newest first
+  async listRevisions(userId, id, { pageSize, pageToken } = {}) {
+    const order = { field: 'revision', descending: true };
+
+    return this.storage.transaction(async (repos) => {
+      await findNote(repos, userId, id);
+
+      const { items, nextPageToken } = paginate(await repos.revisions.findWhere({ noteId: id }), {
+        order,
+        pageSize,
+        pageToken,
+        query: { id, order }
+      });
+      return { revisions: items, nextPageToken };
+    });
+  }
+
+  async getRevision(userId, id, revision) {
+    const number = parseRevision(revision);
+
+    return this.storage.transaction(async (repos) => {
+      await findNote(repos, userId, id);
+
+      const record = await repos.revisions.findById(revisionId(id, number));
+      if (!record) {
+        throw revisionNotFound();
+      }
+      return record;
+    });
+  }
+
+  // What changed from one revision of a note to another; toRevision
+  // defaults to the latest
+  async diffRevisions(userId, id, { fromRevision, toRevision }) {
+    const from = await this.getRevision(userId, id, fromRevision);
+
+    const to = toRevision
+      ? await this.getRevision(userId, id, toRevision)
+      : (await this.listRevisions(userId, id, { pageSize: 1 })).revisions[0];
+    return { fromRevision: from.revision, toRevision: to.revision, ...diffRevisions(from, to) };
+  }
+
+  // Bring a note's text back to how it was at a revision, making a new
+  // revision. Collaborators keep their own tags, and tags deleted since
+  // the revision are left off.
+  async revertNote(userId, id, revision) {
+    const number = parseRevision(revision);
+    const target = await this.storage.revisions.findById(revisionId(id, number));
+    const tagIds = new Set((await this.storage.tags.findByOwner(userId)).map(tag => tag.id));
+
+    return this.modifyNote(userId, id, (note, access) => {
+      if (!target) {
+        throw revisionNotFound();
+      }
+
+      const changes = pickFields(target, REVISION_FIELDS);
+      if (access.collaborator) {
+        delete changes.tagIds;
+      } else if (changes.tagIds) {
+        changes.tagIds = changes.tagIds.filter(tagId => tagIds.has(tagId));
+      }
+      return changes;
+    }, { revertedFrom: number });
+  }
+
+  // Move a note to the trash, or delete it for good when it already is.
+  // Returns the trashed note, or null when it was deleted. With
+  // expectedVersion, fails unless the note is still at that version.
+  async deleteNote(userId, id, { expectedVersion } = {}) {
+    const trashedNote = await this.storage.transaction(repos => this.discardNote(repos, userId, id, { expectedVersion }));
+
+    this.changes.notify();
+    if (!trashedNote) {
+      await this.sweepBlobs();
+    }
+    return trashedNote;
+  }
+
+  // deleteNote within the transaction of repos
+  async discardNote(repos, userId, id, { expectedVersion } = {}) {
+    const note = await findOwnNote(repos, userId, id);
+    checkVersion(note, expectedVersion, 'Note');
+
+    if (note.trashedAt) {
+      await deleteForever(repos, note);
+      return null;
+    }
+    return this.trashNote(repos, note);
+  }
+
+  // Delete many notes at once as deleteNote does, in one transaction.
+  // Returns a result per note, with the trashed note or none when it was
+  // deleted for good; see batch.js.
+  async batchDeleteNotes(userId, { ids }) {
+    const noteIds = parseBatchIds(ids);
+
+    const results = await this.storage.transaction(async (repos) => {
+      const results = [];
+      for (const id of noteIds) {
+        results.push(await batchResult(id, () => this.discardNote(repos, userId, id)));
+      }
+      return results;
+    });
+
+    this.changes.notify();
+    if (results.some(result => result.success && !result.note)) {
+      await this.sweepBlobs();
+    }
+    return { results };
+  }
+
+  // Move a note to the trash within the transaction of repos
+  async trashNote(repos, note) {
+    const { notes, tags, searchTerms } = repos;
+    const result = await notes.update(note.id, { trashedAt: new Date(this.clock.now()).toISOString(), version: versionOf(note) + 1 });
+    await updateSearchIndex(searchTerms, note.userId, note.id, await noteDocument(tags, note), null);
+    await recordNoteChange(repos, ChangeType.TRASHED, result);
+    return withDefaults(result);
+  }
+
+  // One page of the user's trashed notes, most recently trashed first
+  async listTrash(userId, { pageSize, pageToken } = {}) {
+    const order = { field: 'trashedAt', descending: true };
+    const trashed = (await this.storage.notes.findByOwner(userId)).filter(note => note.trashedAt);
+
+    const { items, nextPageToken } = paginate(trashed.map(withDefaults), {
+      order,
+      pageSize,
+      pageToken,
+      query: { userId, order }
+    });
+    return { notes: items, nextPageToken };
+  }
+
+  // Take a note out of the trash, back where it was
+  async restoreNote(userId, id) {
+    const restoredNote = await this.storage.transaction(async (repos) => {
+      const { notes, tags, searchTerms } = repos;
+      const note = await findOwnNote(repos, userId, id);
+      if (!note.trashedAt) {
+        throw noteNotFound();
+      }
+
+      const result = await notes.update(id, { trashedAt: '', version: versionOf(note) + 1 });
+      await updateSearchIndex(searchTerms, userId, id, null, await noteDocument(tags, result));
+      await recordNoteChange(repos, ChangeType.RESTORED, result);
+      return withDefaults(result);
+    });
+
+    this.changes.notify();
+    return restoredNote;
+  }
+
+  // Delete all of the user's trashed notes for good; returns how many
+  async emptyTrash(userId) {
+    const deleted = await this.storage.transaction(async (repos) => {
+      const trashed = (await repos.notes.findByOwner(userId)).filter(note => note.trashedAt);
+      for (const note of trashed) {
+        await deleteForever(repos, note);
+      }
+      return trashed.length;
+    });
+
+    this.changes.notify();
+    if (deleted > 0) {
+      await this.sweepBlobs();
+    }
+    return deleted;
+  }
+
+  // Delete every user's notes that have been in the trash for longer than
+  // the retention period, and any blobs no note refers to; returns how many
+  // notes. Run periodically by the servers.
+  async purgeTrash() {
+    const cutoff = new Date(this.clock.now() - this.trashRetention).toISOString();
+
+    const purged = await this.storage.transaction(async (repos) => {
+      const expired = (await repos.notes.findWhere()).filter(note => note.trashedAt && note.trashedAt <= cutoff);
+      for (const note of expired) {
+        await deleteForever(repos, note);
+      }
+      return expired.length;
+    });
+
+    if (purged > 0) {
+      this.changes.notify();
+    }
+    await this.sweepBlobs();
+    return purged;
+  }
+
+  // Delete the blobs of files no note has attached anymore; returns how many
+  async sweepBlobs() {
+    return sweepBlobs(this.storage, this.blobs);
+  }
+
+  // Attach a file to a note (see attachments.js). Owners and editors can,
+  // as with other changes, and the note's version goes up. The file is
+  // stored before the note is changed; when that fails, the next sweep
+  // deletes it. Returns the attachment and the changed note.
+  async uploadAttachment(userId, noteId, { fileName, data }, { expectedVersion } = {}) {
+    const name = parseFileName(fileName);
+    if (!data || data.length === 0) {
+      throw validationError('The file is empty', [{ field: 'data', description: 'must not be empty' }]);
+    }
+    if (data.length > MAX_ATTACHMENT_SIZE) {
+      throw attachmentTooLarge();
+    }
+
+    // Fail early on notes the user can't see, before storing anything
+    await this.getNote(userId, noteId);
+
+    const contentType = sniffContentType(data);
+    const { width = 0, height = 0 } = imageSize(data, contentType) || {};
+    const thumbnail = await makeThumbnail(data, contentType);
+    const attachment = {
+      id: uuidv4(),
+      fileName: name,
+      contentType,
+      size: data.length,
+      sha256: await this.blobs.put(data),
+      width,
+      height,
+      thumbnailSha256: thumbnail ? await this.blobs.put(thumbnail) : '',
+      uploaderId: userId,
+      createdAt: new Date(this.clock.now()).toISOString()
+    };
+
+    const note = await this.modifyNote(userId, noteId, (current) => {
+      const attachments = current.attachments || [];
+      if (attachments.length >= MAX_ATTACHMENTS_PER_NOTE) {
+        throw tooManyAttachments();
+      }
+      return { attachments: [...attachments, attachment] };
+    }, { expectedVersion });
+    return { attachment, note };
+  }
+
+  // A file attached to a note, or its thumbnail, for anyone with access to
+  // the note: { attachment, contentType, size, start, end, chunks }. range
+  // selects part of it as resolveRange reads it; start and end are the byte
+  // range chunks has, end exclusive.
+  async downloadAttachment(userId, noteId, attachmentId, { thumbnail = false, range } = {}) {
+    const note = await this.getNote(userId, noteId);
+    const attachment = findAttachment(note, attachmentId);
+    if (thumbnail && !attachment.thumbnailSha256) {
+      throw new ServiceError(ErrorCode.NOT_FOUND, 'Attachment has no thumbnail', { reason: Reason.ATTACHMENT_NOT_FOUND });
+    }
+
+    const hash = thumbnail ? attachment.thumbnailSha256 : attachment.sha256;
+    const size = thumbnail ? await this.blobs.size(hash) : attachment.size;
+    const { start, end } = resolveRange(range, size);
+    return {
+      attachment,
+      contentType: thumbnail ? 'image/png' : attachment.contentType,
+      size,
+      start,
+      end,
+      chunks: this.blobs.read(hash, { start, end })
+    };
+  }
+
+  // Remove an attachment from a note, deleting its file unless other notes
+  // have it. Returns the changed note.
+  async deleteAttachment(userId, noteId, attachmentId, { expectedVersion } = {}) {
+    const note = await this.modifyNote(userId, noteId, (current) => {
+      findAttachment(current, attachmentId);
+      return { attachments: current.attachments.filter(attachment => attachment.id !== attachmentId) };
+    }, { expectedVersion });
+
+    await this.sweepBlobs();
+    return note;
+  }
+
+  // Everyone with access to a note, its owner first
+  async getCollaborators(userId, id) {
+    return this.storage.transaction(async (repos) => {
+      const { users, collaborators } = repos;
+      const { note } = await findNote(repos, userId, id);
+
+      const owner = { userId: note.userId, role: Role.OWNER, createdAt: note.createdAt, updatedAt: note.createdAt };
+      const shared = await collaborators.findWhere({ noteId: id });
+      return {
+        collaborators: await Promise.all([owner, ...shared].map(async collaborator => {
+          return toCollaborator(collaborator, await users.findById(collaborator.userId));
+        }))
+      };
+    });
+  }
+
+  // Share one of the user's notes with another user, found by username, as
+  // an EDITOR or VIEWER (the default)
+  async shareNote(userId, id, { username, role }) {
+    requireFields('Username is required', { username });
+    const sharedRole = parseRole(role);
+
+    const now = new Date(this.clock.now()).toISOString();
+    const collaborator = await this.storage.transaction(async (repos) => {
+      const { users, collaborators } = repos;
+      const note = await findOwnNote(repos, userId, id);
+      if (note.trashedAt) {
+        throw noteTrashed();
+      }
+
+      const [user] = await users.findWhere({ username });
+      if (!user) {
+        throw userNotFound();
+      }
+      if (user.id === userId) {
+        throw validationError('Cannot share a note with its owner', [
+          { field: 'username', description: 'must be another user' }
+        ]);
+      }
+      if (await collaborators.findById(collaboratorId(id, user.id))) {
+        throw alreadyShared();
+      }
+
+      const newCollaborator = await collaborators.insert({
+        id: collaboratorId(id, user.id),
+        noteId: id,
+        userId: user.id,
+        role: sharedRole,
+        tagIds: [],
+        createdAt: now,
+        updatedAt: now
+      });
+
+      await recordChange(repos, user.id, 'note', ChangeType.SHARED, sharedView(note, newCollaborator));
+      return toCollaborator(newCollaborator, user);
+    });
+
+    this.changes.notify();
+    return collaborator;
+  }
+
+  // Change the role of one of a note's collaborators. They get a SHARED
+  // event again, with the note as they now have it.
+  async updateCollaborator(userId, id, collaboratorUserId, { role }) {
+    const sharedRole = parseRole(role);
+
+    const updatedCollaborator = await this.storage.transaction(async (repos) => {
+      const { users, collaborators } = repos;
+      const note = await findOwnNote(repos, userId, id);
+      const collaborator = await collaborators.findById(collaboratorId(id, collaboratorUserId));
+      if (!collaborator) {
+        throw collaboratorNotFound();
+      }
+
+      const result = await collaborators.update(collaborator.id, { role: sharedRole, updatedAt: new Date(this.clock.now()).toISOString() });
+      await recordChange(repos, result.userId, 'note', ChangeType.SHARED, sharedView(note, result));
+      return toCollaborator(result, await users.findById(result.userId));
+    });
+
+    this.changes.notify();
+    return updatedCollaborator;
+  }
+
+  // Stop sharing a note with a collaborator. The owner can remove anyone;
+  // collaborators can only remove themselves.
+  async removeCollaborator(userId, id, collaboratorUserId) {
+    await this.storage.transaction(async (repos) => {
+      const { note, access } = await findNote(repos, userId, id);
+      if (access.role !== Role.OWNER && collaboratorUserId !== userId) {
+        throw ownerOnly();
+      }
+
+      const collaborator = await repos.collaborators.findById(collaboratorId(id, collaboratorUserId));
+      if (!collaborator) {
+        throw collaboratorNotFound();
+      }
+      await unshare(repos, note, collaborator);
+    });
+
+    this.changes.notify();
+  }
+
+  // One page of the notes shared with the user, each with the user's role,
+  // most recently shared first. Notes in their owner's trash are left out.
+  async listSharedWithMe(userId, { pageSize, pageToken } = {}) {
+    const order = { field: 'sharedAt', descending: true };
+
+    return this.storage.transaction(async ({ notes, collaborators }) => {
+      const shared = [];
+      for (const collaborator of await collaborators.findByOwner(userId)) {
+        const note = await notes.findById(collaborator.noteId);
+        if (note && !note.trashedAt) {
+          shared.push({
+            id: note.id,
+            sharedAt: collaborator.createdAt,
+            note: withDefaults(sharedView(note, collaborator)),
+            role: collaborator.role
+          });
+        }
+      }
+
+      const { items, nextPageToken } = paginate(shared, {
+        order,
+        pageSize,
+        pageToken,
+        query: { userId, order }
+      });
+      return { notes: items.map(({ note, role }) => ({ note, role })), nextPageToken };
+    });
+  }
+
+  // One page of the user's notes matching a full-text query, best match
+  // first, each with a snippet of its text around the matched words
+  async searchNotes(userId, { query, pageSize, pageToken } = {}) {
+    requireFields('Query is required', { query });
+
+    return this.storage.transaction(async ({ notes, tags, searchTerms }) => {
+      // Trashed notes are left out of the index
+      const userNotes = (await notes.findByOwner(userId)).filter(note => !note.trashedAt);
+
+      if (!(await hasSearchIndex(searchTerms, userId))) {
+        const documents = new Map();
+        for (const note of userNotes) {
+          documents.set(note.id, await noteDocument(tags, note));
+        }
+        await buildSearchIndex(searchTerms, userId, documents);
+      }
+
+      const scores = await searchIndex(searchTerms, userId, query, userNotes.length);
+      const matches = userNotes
+        .filter(note => scores.has(note.id))
+        .map(note => ({ id: note.id, score: scores.get(note.id), note }));
+
+      const { items, nextPageToken } = paginate(matches, {
+        order: { field: 'score', descending: true },
+        pageSize,
+        pageToken,
+        query: { userId, query }
+      });
+
+      return {
+        results: items.map(({ note, score }) => ({ note, score, ...buildSnippet(note, query) })),
+        nextPageToken
+      };
+    });
+  }
+}
+
+// Tags, always scoped to the acting user. Changes are recorded for the
+// change feed.
+export class TagService {
+  constructor(storage, { changes, clock = systemClock }) {
+    this.storage = storage;
+    this.changes = changes;
+    this.clock = clock;
+  }
+
+  // Owner of a tag, or undefined when it doesn't exist
+  async ownerOf(id) {
+    return (await this.storage.tags.findById(id))?.userId;
+  }
+
+  // One page of the user's tags, each with its noteCount, the number of
+  // notes outside the trash that have it. As a tree, the page is of
+  // top-level tags, each with the tags under it nested in order as
+  // { tag, children }.
+  async getTags(userId, { orderBy, pageSize, pageToken, tree = false } = {}) {
+    const order = parseOrderBy(orderBy, TAG_SORT_FIELDS);
+    const tags = await this.storage.transaction(async (repos) => {
+      const counts = await countTaggedNotes(repos, userId);
+      return (await repos.tags.findByOwner(userId)).map(tag => ({ ...withTagDefaults(tag), noteCount: counts.get(tag.id) || 0 }));
+    });
+
+    if (!tree) {
+      const { items, nextPageToken } = paginate(tags, { order, pageSize, pageToken, query: { userId, order } });
+      return { tags: items, nextPageToken };
+    }
+
+    const tagsById = new Map(tags.map(tag => [tag.id, tag]));
+    const { items, nextPageToken } = paginate(tags.filter(tag => isRootTag(tag, tagsById)), {
+      order,
+      pageSize,
+      pageToken,
+      query: { userId, order, tree: true }
+    });
+    return { tree: tagTree(tags, items, children => sortRecords(children, order)), nextPageToken };
+  }
+
+  async getTag(userId, id) {
+    const tag = await this.storage.tags.findById(id);
+    if (!tag || tag.userId !== userId) {
+      throw tagNotFound();
+    }
+    return withTagDefaults(tag);
+  }
+
+  // A parentId nests the tag under another of the user's tags. Names are
+  // trimmed, and unique among the tags under the same parent regardless of
+  // case.
+  async createTag(userId, { name, parentId }) {
+    requireFields('Name is required', { name });
+
+    const tag = await this.storage.transaction(async (repos) => {
+      const parent = await findParent(repos.tags, userId, undefined, parentId);
+      const tagName = await checkTagName(repos.tags, userId, undefined, name, parent);
+      return insertTag(repos, userId, tagName, parent, new Date(this.clock.now()).toISOString());
+    });
+
+    this.changes.notify();
+    return tag;
+  }
+
+  // Fields left undefined keep their current value; a parentId of '' or
+  // null moves the tag to the top level. A tag can be renamed to a name
+  // differing from its own only in case, but neither renamed nor moved to
+  // take the name of a tag under its parent. With expectedVersion, fails
+  // unless the tag is still at that version.
+  async updateTag(userId, id, { name, parentId }, { expectedVersion } = {}) {
+    const updatedTag = await this.storage.transaction(async (repos) => {
+      const { tags, notes, searchTerms } = repos;
+      const tag = await tags.findById(id);
+      if (!tag || tag.userId !== userId) {
+        throw tagNotFound();
+      }
+      checkVersion(tag, expectedVersion, 'Tag');
+
+      const changes = pickDefined({ name });
+      requireFields('Name is required', changes);
+      const parent = parentId === undefined ? parentIdOf(tag) : await findParent(tags, userId, id, parentId);
+      const tagName = await checkTagName(tags, userId, id, name === undefined ? tag.name : name, parent);
+      if (name !== undefined) {
+        changes.name = tagName;
+      }
+      if (parentId !== undefined) {
+        changes.parentId = parent;
+      }
+      changes.updatedAt = new Date(this.clock.now()).toISOString();
+      changes.version = versionOf(tag) + 1;
+
+      // Tag names are searchable, so the notes carrying the tag are reindexed
+      const tagged = (await notes.findByOwner(userId)).filter(note => note.tagIds && note.tagIds.includes(id));
+      const previous = await Promise.all(tagged.map(note => noteDocument(tags, note)));
+
+      const result = await tags.update(id, changes);
+
+      for (const [index, note] of tagged.entries()) {
+        await updateSearchIndex(searchTerms, userId, note.id, previous[index], await noteDocument(tags, note));
+      }
+      await recordChange(repos, userId, 'tag', ChangeType.UPDATED, result);
+      return withTagDefaults(result);
+    });
+
+    this.changes.notify();
+    return updatedTag;
+  }
+
+  // Delete a tag and remove it from the user's notes, including the ones
+  // shared with them. The tags under it move up to its parent (REPARENT,
+  // the default), unless one has the name of a tag there, or are deleted
+  // with it (CASCADE). With expectedVersion,
+  // fails unless the tag is still at that version. Returns the ids of the
+  // deleted tags.
+  async deleteTag(userId, id, { expectedVersion, children } = {}) {
+    const childTags = parseChildTags(children);
+
+    const deletedTagIds = await this.storage.transaction(async (repos) => {
+      const { tags } = repos;
+      const tag = await tags.findById(id);
+      if (!tag || tag.userId !== userId) {
+        throw tagNotFound();
+      }
+      checkVersion(tag, expectedVersion, 'Tag');
+
+      const userTags = await tags.findByOwner(userId);
+      const deleted = childTags === ChildTags.CASCADE ? [id, ...descendantIds(userTags, id)] : [id];
+
+      const children = userTags.filter(candidate => parentIdOf(candidate) === id && !deleted.includes(candidate.id));
+      checkSiblingNames(userTags, children, parentIdOf(tag), deleted);
+
+      const now = new Date(this.clock.now()).toISOString();
+      for (const child of children) {
+        const moved = await tags.update(child.id, { parentId: parentIdOf(tag), updatedAt: now, version: versionOf(child) + 1 });
+        await recordChange(repos, userId, 'tag', ChangeType.UPDATED, moved);
+      }
+
+      await replaceTags(repos, userId, deleted);
+      for (const tagId of deleted) {
+        await tags.delete(tagId);
+        await recordChange(repos, userId, 'tag', ChangeType.DELETED, userTags.find(candidate => candidate.id === tagId));
+      }
+      return deleted;
+    });
+
+    this.changes.notify();
+    return deletedTagIds;
+  }
+
+  // Merge tags into the tag targetId in one step: the notes with any of
+  // them, and the user's tags on notes shared with them, get the target
+  // instead, the tags under them move under the target, and they are
+  // deleted. The target can't be one of the tags under them, nor have a
+  // tag named like one of the tags moving under it. Returns the
+  // target with its noteCount, the ids of the deleted tags and how many
+  // notes changed.
+  async mergeTags(userId, targetId, { sourceTagIds }) {
+    const ids = parseSourceTagIds(sourceTagIds, targetId);
+
+    const merged = await this.storage.transaction(async (repos) => {
+      const { tags } = repos;
+      const userTags = await tags.findByOwner(userId);
+      const findTag = (id) => userTags.find(tag => tag.id === id);
+      if (!findTag(targetId) || !ids.every(findTag)) {
+        throw tagNotFound();
+      }
+      if (ids.some(id => descendantIds(userTags, id).includes(targetId))) {
+        throw tagCycle();
+      }
+
+      const children = userTags.filter(tag => ids.includes(parentIdOf(tag)) && !ids.includes(tag.id));
+      checkSiblingNames(userTags, children, targetId, ids);
+
+      const now = new Date(this.clock.now()).toISOString();
+      for (const child of children) {
+        checkParent(userTags, child.id, targetId);
+        const moved = await tags.update(child.id, { parentId: targetId, updatedAt: now, version: versionOf(child) + 1 });
+        await recordChange(repos, userId, 'tag', ChangeType.UPDATED, moved);
+      }
+
+      const updatedNoteCount = await replaceTags(repos, userId, ids, targetId);
+      for (const id of ids) {
+        await tags.delete(id);
+        await recordChange(repos, userId, 'tag', ChangeType.DELETED, findTag(id));
+      }
+
+      const counts = await countTaggedNotes(repos, userId);
+      const tag = { ...withTagDefaults(findTag(targetId)), noteCount: counts.get(targetId) || 0 };
+      return { tag, deletedTagIds: ids, updatedNoteCount };
+    });
+
+    this.changes.notify();
+    return merged;
+  }
+}
+
+// Reminders on the notes the user owns or that are shared with them, always
+// scoped to the acting user. Changes are recorded for the change feed, and
+// passed on to the scheduler.
+export class ReminderService {
+  constructor(storage, { changes, scheduler, clock = systemClock }) {
+    this.storage = storage;
+    this.changes = changes;
+    this.scheduler = scheduler;
+    this.clock = clock;
+  }
+
+  // Owner of a reminder, or undefined when it doesn't exist
+  async ownerOf(id) {
+    return (await this.storage.reminders.findById(id))?.userId;
+  }
+
+  // The user's reminders, or those of one note, by next trigger time; ones
+  // with no occurrences left come last
+  async getReminders(userId, { noteId } = {}) {
+    const reminders = (await this.storage.reminders.findByOwner(userId))
+      .filter(reminder => !noteId || reminder.noteId === noteId)
+      .sort((a, b) => (a.nextTriggerAt || '\uffff').localeCompare(b.nextTriggerAt || '\uffff'));
+    return { reminders };
+  }
+
+  async getReminder(userId, id) {
+    const reminder = await this.storage.reminders.findById(id);
+    if (!reminder || reminder.userId !== userId) {
+      throw reminderNotFound();
+    }
+    return reminder;
+  }
+
+  // time is an ISO 8601 instant with a UTC offset; timezone, UTC by default,
+  // is the one recurrences are counted in
+  async createReminder(userId, { noteId, time, timezone, recurrence }) {
+    requireFields('Note ID and time are required', { noteId, time });
+    const fields = this.scheduleFields({
+      time: parseTime(time),
+      timezone: parseTimeZone(timezone),
+      recurrence: parseRecurrence(recurrence)
+    });
+
+    const now = new Date(this.clock.now()).toISOString();
+    const reminder = await this.storage.transaction(async (repos) => {
+      const { note } = await findNote(repos, userId, noteId);
+      if (note.trashedAt) {
+        throw noteTrashed();
+      }
+
+      const newReminder = await repos.reminders.insert({
+        id: uuidv4(),
+        userId,
+        noteId,
+        ...fields,
+        lastTriggeredAt: '',
+        lastMissed: false,
+        createdAt: now,
+        updatedAt: now
+      });
+
+      await recordChange(repos, userId, 'reminder', ChangeType.CREATED, newReminder);
+      return newReminder;
+    });
+
+    this.changes.notify();
+    this.scheduler.reschedule();
+    return reminder;
+  }
+
+  // Fields left undefined keep their current value. Changing any of them
+  // schedules the reminder afresh.
+  async updateReminder(userId, id, { time, timezone, recurrence }) {
+    const updatedReminder = await this.storage.transaction(async (repos) => {
+      const reminder = await repos.reminders.findById(id);
+      if (!reminder || reminder.userId !== userId) {
+        throw reminderNotFound();
+      }
+
+      const fields = this.scheduleFields({
+        time: time === undefined ? reminder.time : parseTime(time),
+        timezone: timezone === undefined ? reminder.timezone : parseTimeZone(timezone),
+        recurrence: recurrence === undefined ? reminder.recurrence : parseRecurrence(recurrence)
+      });
+
+      const result = await repos.reminders.update(id, {
+        ...fields,
+        updatedAt: new Date(this.clock.now()).toISOString()
+      });
+      await recordChange(repos, userId, 'reminder', ChangeType.UPDATED, result);
+      return result;
+    });
+
+    this.changes.notify();
+    this.scheduler.reschedule();
+    return updatedReminder;
+  }
+
+  async deleteReminder(userId, id) {
+    await this.storage.transaction(async (repos) => {
+      const reminder = await repos.reminders.findById(id);
+      if (!reminder || reminder.userId !== userId) {
+        throw reminderNotFound();
+      }
+
+      await repos.reminders.delete(id);
+      await recordChange(repos, userId, 'reminder', ChangeType.DELETED, reminder);
+    });
+
+    this.changes.notify();
+  }
+
+  // Time, timezone and recurrence with the schedule that follows from them.
+  // A reminder that doesn't repeat must be in the future.
+  scheduleFields({ time, timezone, recurrence }) {
+    const fields = { time, timezone, recurrence };
+    const scheduled = schedule(fields, this.clock.now());
+
+    if (recurrence.frequency === Frequency.NONE && !scheduled.nextTriggerAt) {
+      throw validationError('Reminder time is in the past', [
+        { field: 'time', description: 'must be in the future for a reminder that doesn\'t repeat' }
+      ]);
+    }
+    return { ...fields, ...scheduled };
+  }
+}
+
+// Create the set of services both servers use, the change feed their watch
+// streams subscribe to and the reminder scheduler, which each server starts.
+// blobs keeps attached files, in memory unless given. clock is the source of
+// time for every service: timestamps, note positions, reminders and the trash.
+export const createServices = (storage, {
+  secretKey, blobs = new MemoryBlobStore(), clock = systemClock, trashRetentionDays, revisionLimit
+}) => {
+  const changes = new ChangeFeed(storage);
+  const scheduler = new ReminderScheduler(storage, { changes, clock });
+
+  return {
+    auth: new AuthService(storage, { secretKey, clock }),
+    users: new UserService(storage, { blobs, clock }),
+    notes: new NoteService(storage, { changes, blobs, clock, trashRetentionDays, revisionLimit }),
+    tags: new TagService(storage, { changes, clock }),
+    reminders: new ReminderService(storage, { changes, scheduler, clock }),
+    changes,
+    scheduler
+  };
+};
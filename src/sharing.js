@@ -0,0 +1,65 @@
+import { ErrorCode, Reason, ServiceError, validationError } from './errors.js';
+
+// Notes shared with other users. A note belongs to its owner; each user it
+// is shared with has a record { id, noteId, userId, role, tagIds, createdAt,
+// updatedAt } in the collaborators collection, owned by that user so their
+// shared notes are one lookup away. Viewers can read the note and editors
+// can also change it; only the owner can trash, restore, move or share it.
+// Tags stay personal: a collaborator's tagIds are kept on their record and
+// stand in for the owner's in what they see.
+
+export const Role = {
+  OWNER: 'OWNER',
+  EDITOR: 'EDITOR',
+  VIEWER: 'VIEWER'
+};
+
+// Roles a note can be shared with
+const SHARED_ROLES = [Role.EDITOR, Role.VIEWER];
+
+// Validate a requested role; undefined and '' mean a viewer
+export const parseRole = (role) => {
+  if (role === undefined || role === '') {
+    return Role.VIEWER;
+  }
+
+  const upper = String(role).toUpperCase();
+  if (!SHARED_ROLES.includes(upper)) {
+    throw validationError('Invalid role', [{ field: 'role', description: 'must be EDITOR or VIEWER' }]);
+  }
+  return upper;
+};
+
+// A user appears once among the collaborators of a note
+export const collaboratorId = (noteId, userId) => `${noteId}:${userId}`;
+
+export const readOnly = () => {
+  return new ServiceError(ErrorCode.PERMISSION_DENIED, 'Note is shared with you as a viewer', { reason: Reason.NOTE_READ_ONLY });
+};
+
+export const ownerOnly = () => {
+  return new ServiceError(ErrorCode.PERMISSION_DENIED, 'Only the owner of the note can do this', { reason: Reason.NOT_NOTE_OWNER });
+};
+
+export const alreadyShared = () => {
+  return new ServiceError(ErrorCode.ALREADY_EXISTS, 'Note is already shared with this user', { reason: Reason.ALREADY_SHARED });
+};
+
+export const collaboratorNotFound = () => {
+  return new ServiceError(ErrorCode.NOT_FOUND, 'Collaborator not found', { reason: Reason.COLLABORATOR_NOT_FOUND });
+};
+
+// A user's access to a note: { role } for its owner, { role, collaborator }
+// for a user it is shared with, or null. repos are the repositories of the
+// calling transaction.
+export const findAccess = async (repos, userId, note) => {
+  if (note.userId === userId) {
+    return { role: Role.OWNER };
+  }
+
+  const collaborator = await repos.collaborators.findById(collaboratorId(note.id, userId));
+  return collaborator ? { role: collaborator.role, collaborator } : null;
+};
+
+// A note as one of its collaborators sees it, with their own tags
+export const sharedView = (note, collaborator) => ({ ...note, tagIds: collaborator.tagIds || [] });
@@ -0,0 +1,25 @@
+import path from 'path';
+import { MemoryStorage } from './memory.js';
+import { JsonFileStorage } from './json.js';
+
+export { COLLECTIONS } from './storage.js';
+
+// Create the storage backend selected by the STORAGE_BACKEND environment
+// variable: "json" (default), "memory" or "sqlite"
+export const createStorage = async (dataDir) => {
+  const backend = process.env.STORAGE_BACKEND || 'json';
+
+  switch (backend) {
+    case 'json':
+      return new JsonFileStorage(dataDir);
+    case 'memory':
+      return new MemoryStorage();
+    case 'sqlite': {
+      // Loaded on demand so the native module is only needed when used
+      const { SqliteStorage } = await import('./sqlite.js');
+      return new SqliteStorage(process.env.SQLITE_FILE || path.join(dataDir, 'keep.db'));
+    }
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+};
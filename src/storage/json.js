@@ -0,0 +1,300 @@
+import fs from 'fs';
+import path from 'path';
+import { MemoryStorage } from './memory.js';
+import { COLLECTIONS, mapCollections } from './storage.js';
+import { FileLock } from './lock.js';
+
+// File name of each collection snapshot inside the data directory
+export const FILES = {
+  users: 'users.json',
+  notes: 'notes.json',
+  tags: 'tags.json',
+  tokenBlacklist: 'blacklist.json',
+  searchTerms: 'search.json',
+  events: 'events.json',
+  sequences: 'sequences.json',
+  reminders: 'reminders.json',
+  collaborators: 'collaborators.json',
+  revisions: 'revisions.json'
+};
+
+// Append-only log of committed transactions since the last snapshot
+export const JOURNAL_FILE = 'journal.log';
+
+// Sequence number of the last transaction included in the snapshots
+export const MANIFEST_FILE = 'manifest.json';
+
+// Held by whichever process is running a transaction on the data directory
+export const LOCK_FILE = '.lock';
+
+// Journal entries after which the snapshots are rewritten
+const DEFAULT_COMPACT_THRESHOLD = 1000;
+
+// Older REST servers stored blacklist entries as { token, exp } with exp in
+// seconds; normalise them to { token, expiresAt }
+const normalizeBlacklistEntry = (entry) => {
+  if (entry.expiresAt || entry.exp === undefined) {
+    return entry;
+  }
+  return { token: entry.token, expiresAt: new Date(entry.exp * 1000).toISOString() };
+};
+
+// Parse a JSON file, or return fallback when it doesn't exist. A file that
+// exists but can't be parsed is an error: starting with empty data would
+// overwrite it on the next write.
+const readJsonFile = (filePath, fallback) => {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Corrupt data file ${filePath}: ${error.message}`);
+  }
+};
+
+// Write a file so that readers see either the old or the new content
+const writeFileAtomic = async (filePath, content) => {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const handle = await fs.promises.open(tmpPath, 'w');
+  try {
+    await handle.writeFile(content);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tmpPath, filePath);
+};
+
+// Read the journal entries from a byte offset. Returns the entries and the
+// offset just past the last complete one. Text after the final newline is an
+// append that hasn't finished (or never will, after a crash); any other
+// unreadable line means the journal is corrupt.
+const readJournal = (journalPath, offset) => {
+  const fd = fs.openSync(journalPath, 'r');
+  let content;
+  try {
+    const size = fs.fstatSync(fd).size;
+    const buffer = Buffer.alloc(Math.max(size - offset, 0));
+    fs.readSync(fd, buffer, 0, buffer.length, offset);
+    content = buffer.toString('utf8');
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const lines = content.split('\n');
+  lines.pop();
+
+  const entries = lines.map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Corrupt journal ${journalPath} at entry ${index + 1} after byte ${offset}: ${error.message}`);
+    }
+  });
+
+  const length = lines.reduce((total, line) => total + Buffer.byteLength(line) + 1, 0);
+  return { entries, end: offset + length };
+};
+
+// Backend keeping one JSON array file per collection, as the servers always
+// have. Each commit appends a single line to a journal; the collection files
+// are snapshots, rewritten atomically once the journal grows long enough.
+//
+// Several processes may share the data directory. Every transaction holds
+// the directory's lock file and first catches up with the entries other
+// processes have journaled, so each one sees a single consistent dataset.
+export class JsonFileStorage extends MemoryStorage {
+  constructor(dataDir, { compactThreshold = DEFAULT_COMPACT_THRESHOLD, lockTimeout } = {}) {
+    // Create data directory if it doesn't exist
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    super();
+    this.dataDir = dataDir;
+    this.journalPath = path.join(dataDir, JOURNAL_FILE);
+    this.compactThreshold = compactThreshold;
+    this.lock = new FileLock(path.join(dataDir, LOCK_FILE), { timeout: lockTimeout });
+
+    // Load eagerly so a corrupt data directory stops the server at startup
+    this.reload();
+  }
+
+  // Load the snapshots and replay the journal from scratch
+  reload() {
+    const data = mapCollections(collection => readJsonFile(path.join(this.dataDir, FILES[collection]), []));
+    data.tokenBlacklist = data.tokenBlacklist.map(normalizeBlacklistEntry);
+
+    this.data = mapCollections((collection, { key }) => {
+      return new Map(data[collection].map(record => [record[key], record]));
+    });
+    this.seq = readJsonFile(path.join(this.dataDir, MANIFEST_FILE), { seq: 0 }).seq;
+    this.journalInode = null;
+    this.journalOffset = 0;
+    this.journalEntries = 0;
+    this.unsnapshotted = new Set();
+
+    this.replayJournal();
+  }
+
+  // Catch up with changes made by other processes. Called with the lock held.
+  sync() {
+    const { seq: snapshotSeq } = readJsonFile(path.join(this.dataDir, MANIFEST_FILE), { seq: 0 });
+
+    // Another process compacted entries we haven't seen into the snapshots
+    if (snapshotSeq > this.seq) {
+      this.reload();
+    } else {
+      this.replayJournal();
+    }
+
+    // Cut off an append that was interrupted by a crash, so new entries
+    // start on a fresh line
+    if (fs.existsSync(this.journalPath) && fs.statSync(this.journalPath).size > this.journalOffset) {
+      console.warn(`Discarding incomplete journal entry in ${this.journalPath}`);
+      fs.truncateSync(this.journalPath, this.journalOffset);
+    }
+  }
+
+  // Apply the journal entries written since the last read
+  replayJournal() {
+    if (!fs.existsSync(this.journalPath)) {
+      return;
+    }
+
+    // Compaction replaces the journal with a new, empty file
+    const { ino } = fs.statSync(this.journalPath);
+    if (ino !== this.journalInode) {
+      this.journalInode = ino;
+      this.journalOffset = 0;
+      this.journalEntries = 0;
+    }
+
+    const { entries, end } = readJournal(this.journalPath, this.journalOffset);
+    for (const entry of entries) {
+      // Entries up to our seq are already applied or part of the snapshots
+      if (entry.seq > this.seq) {
+        this.apply(entry.ops);
+        this.seq = entry.seq;
+      }
+      this.journalEntries++;
+    }
+    this.journalOffset = end;
+  }
+
+  // Apply journal operations to the in-memory data
+  apply(ops) {
+    for (const op of ops) {
+      const records = this.data[op.collection];
+      if (op.type === 'put') {
+        records.set(op.record[COLLECTIONS[op.collection].key], op.record);
+      } else {
+        records.delete(op.id);
+      }
+      this.unsnapshotted.add(op.collection);
+    }
+  }
+
+  // Operations describing the final state of every record the current
+  // transaction touched
+  pendingOps() {
+    const touched = new Map();
+    for (const [collection, id] of this.undoLog) {
+      touched.set(`${collection}\u0000${id}`, [collection, id]);
+    }
+
+    return [...touched.values()].map(([collection, id]) => {
+      const record = this.data[collection].get(id);
+      return record
+        ? { type: 'put', collection, record }
+        : { type: 'remove', collection, id };
+    });
+  }
+
+  async begin() {
+    await this.lock.acquire();
+    try {
+      this.sync();
+    } catch (error) {
+      await this.lock.release();
+      throw error;
+    }
+    super.begin();
+  }
+
+  async commit() {
+    const ops = this.pendingOps();
+    if (ops.length > 0) {
+      // If the append fails the error propagates and the transaction is
+      // rolled back, since the undo log is still intact
+      const entry = { seq: this.seq + 1, ops };
+      const line = JSON.stringify(entry) + '\n';
+      await this.appendToJournal(line);
+      this.seq = entry.seq;
+      this.journalOffset += Buffer.byteLength(line);
+      this.journalEntries++;
+      ops.forEach(op => this.unsnapshotted.add(op.collection));
+    }
+    super.commit();
+
+    // The transaction is durable at this point, so a failed compaction is
+    // only logged; the journal keeps growing until the next attempt
+    if (this.journalEntries >= this.compactThreshold) {
+      await this.compact().catch(error => console.error('Error compacting data:', error));
+    }
+
+    await this.lock.release();
+  }
+
+  async rollback() {
+    super.rollback();
+    await this.lock.release();
+  }
+
+  // Opened per append: another process may have replaced the journal since
+  async appendToJournal(line) {
+    const handle = await fs.promises.open(this.journalPath, 'a');
+    try {
+      await handle.appendFile(line);
+      await handle.datasync();
+    } finally {
+      await handle.close();
+    }
+    this.journalInode = (await fs.promises.stat(this.journalPath)).ino;
+  }
+
+  // Write the changed collections as snapshots and start a new journal.
+  // Called with the lock held, between transactions.
+  async compact() {
+    for (const collection of this.unsnapshotted) {
+      const records = [...this.data[collection].values()];
+      await writeFileAtomic(path.join(this.dataDir, FILES[collection]), JSON.stringify(records, null, 2));
+    }
+
+    // Once the manifest is written the journal is no longer needed. A crash
+    // before this point replays the journal over the newer snapshots, which
+    // is harmless because entries hold whole records.
+    await writeFileAtomic(path.join(this.dataDir, MANIFEST_FILE), JSON.stringify({ seq: this.seq }));
+    await writeFileAtomic(this.journalPath, '');
+
+    this.journalInode = (await fs.promises.stat(this.journalPath)).ino;
+    this.journalOffset = 0;
+    this.journalEntries = 0;
+    this.unsnapshotted = new Set();
+  }
+
+  async close() {
+    await this.exclusive(async () => {
+      await this.lock.acquire();
+      try {
+        this.sync();
+        await this.compact();
+      } finally {
+        await this.lock.release();
+      }
+    });
+    await super.close();
+  }
+}
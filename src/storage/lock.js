@@ -0,0 +1,133 @@
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Whether a process with the given pid is running
+const isAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+// The owner pid (0 while not yet written), modification time and inode of
+// a lock file, read through one handle; null when it can't be read
+const readLock = async (lockPath) => {
+  let handle;
+  try {
+    handle = await fs.promises.open(lockPath, 'r');
+    const [text, stats] = await Promise.all([handle.readFile('utf8'), handle.stat()]);
+    const pid = Number(text);
+    return { owner: Number.isInteger(pid) && pid > 0 ? pid : 0, modified: stats.mtimeMs, inode: stats.ino };
+  } catch (error) {
+    return null;
+  } finally {
+    await handle?.close();
+  }
+};
+
+const sameLock = (a, b) => Boolean(a && b) && a.owner === b.owner && a.modified === b.modified && a.inode === b.inode;
+
+// How long a lock file may stay without a pid before it counts as left
+// behind by a process that crashed while writing it
+const DEFAULT_WRITE_GRACE = 2000;
+
+// Inter-process lock held as a file created with O_EXCL. The file contains
+// the owner's pid so a lock left behind by a crashed process can be broken.
+export class FileLock {
+  constructor(lockPath, { timeout = 10000, retryDelay = 5, writeGrace = DEFAULT_WRITE_GRACE } = {}) {
+    this.lockPath = lockPath;
+    this.timeout = timeout;
+    this.retryDelay = retryDelay;
+    this.writeGrace = writeGrace;
+  }
+
+  async acquire() {
+    const deadline = Date.now() + this.timeout;
+
+    for (;;) {
+      try {
+        const handle = await fs.promises.open(this.lockPath, 'wx');
+        try {
+          await handle.writeFile(String(process.pid));
+        } finally {
+          await handle.close();
+        }
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      if (await this.breakIfStale()) {
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock ${this.lockPath}`);
+      }
+
+      // Jitter keeps competing processes from retrying in lockstep
+      await sleep(this.retryDelay + Math.random() * this.retryDelay);
+    }
+  }
+
+  async release() {
+    await fs.promises.unlink(this.lockPath).catch(error => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    });
+  }
+
+  // Remove the lock file if its owner has exited, or if it has had no pid
+  // for longer than writeGrace; returns whether it did. The file is first
+  // renamed to a name of this call's own, which only one of several
+  // processes breaking the lock at once can do, and only removed once it is
+  // seen to be the stale file that was read, not a lock taken again since.
+  async breakIfStale() {
+    const lock = await readLock(this.lockPath);
+    if (!lock) {
+      return false;
+    }
+
+    // Without a pid, the lock is still being written unless it has been
+    // like that too long
+    const stale = lock.owner ? !isAlive(lock.owner) : Date.now() - lock.modified > this.writeGrace;
+    if (!stale) {
+      return false;
+    }
+
+    const aside = `${this.lockPath}.${process.pid}.${randomUUID()}`;
+    try {
+      await fs.promises.rename(this.lockPath, aside);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+
+    // The lock was broken and taken again before the rename: put the new
+    // owner's file back, unless yet another process has taken the lock
+    if (!sameLock(await readLock(aside), lock)) {
+      await fs.promises.link(aside, this.lockPath).catch(error => {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      });
+      await fs.promises.unlink(aside);
+      return false;
+    }
+
+    console.warn(lock.owner
+      ? `Breaking stale lock ${this.lockPath} held by exited process ${lock.owner}`
+      : `Breaking stale lock ${this.lockPath} with no owner`);
+    await fs.promises.unlink(aside);
+    return true;
+  }
+}
@@ -0,0 +1,68 @@
+import { COLLECTIONS, Storage, mapCollections } from './storage.js';
+
+const matches = (record, criteria) => {
+  return Object.entries(criteria).every(([field, value]) => record[field] === value);
+};
+
+// Non-persistent backend keeping every collection in a Map. Used on its own
+// for tests and as the base of the JSON file backend.
+export class MemoryStorage extends Storage {
+  // initialData: optional { collection: [records] }
+  constructor(initialData = {}) {
+    super();
+    this.data = mapCollections((name, { key }) => {
+      return new Map((initialData[name] || []).map(record => [record[key], record]));
+    });
+    this.undoLog = [];
+  }
+
+  get(collection, id) {
+    const record = this.data[collection].get(id);
+    return record && structuredClone(record);
+  }
+
+  query(collection, criteria) {
+    return [...this.data[collection].values()]
+      .filter(record => matches(record, criteria))
+      .map(record => structuredClone(record));
+  }
+
+  put(collection, record) {
+    const id = record[COLLECTIONS[collection].key];
+    this.remember(collection, id);
+    this.data[collection].set(id, structuredClone(record));
+  }
+
+  remove(collection, id) {
+    if (!this.data[collection].has(id)) {
+      return false;
+    }
+    this.remember(collection, id);
+    this.data[collection].delete(id);
+    return true;
+  }
+
+  // Record the previous state of a record so the transaction can be undone
+  remember(collection, id) {
+    this.undoLog.push([collection, id, this.data[collection].get(id)]);
+  }
+
+  begin() {
+    this.undoLog = [];
+  }
+
+  commit() {
+    this.undoLog = [];
+  }
+
+  rollback() {
+    for (const [collection, id, previous] of this.undoLog.reverse()) {
+      if (previous === undefined) {
+        this.data[collection].delete(id);
+      } else {
+        this.data[collection].set(id, previous);
+      }
+    }
+    this.undoLog = [];
+  }
+}
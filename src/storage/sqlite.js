@@ -0,0 +1,100 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { COLLECTIONS, Storage } from './storage.js';
+
+// SQLite can't bind booleans
+const toSqlValue = (value) => (typeof value === 'boolean' ? Number(value) : value);
+
+// Backend storing each collection as a table in an embedded SQLite database.
+// Records are kept as JSON with the key and owner in indexed columns, so
+// per-user queries stay fast with tens of thousands of notes.
+export class SqliteStorage extends Storage {
+  constructor(file) {
+    super();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.statements = new Map();
+
+    for (const name of Object.keys(COLLECTIONS)) {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS "${name}" (
+          key TEXT PRIMARY KEY,
+          owner TEXT,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS "${name}_owner" ON "${name}" (owner);
+      `);
+    }
+  }
+
+  // Prepared statements are cached by their SQL
+  statement(sql) {
+    if (!this.statements.has(sql)) {
+      this.statements.set(sql, this.db.prepare(sql));
+    }
+    return this.statements.get(sql);
+  }
+
+  // SQL expression selecting a record field
+  column(collection, field) {
+    const { key, owner } = COLLECTIONS[collection];
+    if (field === key) {
+      return 'key';
+    }
+    if (field === owner) {
+      return 'owner';
+    }
+    if (!/^\w+$/.test(field)) {
+      throw new Error(`Invalid field name: ${field}`);
+    }
+    return `json_extract(data, '$.${field}')`;
+  }
+
+  get(collection, id) {
+    const row = this.statement(`SELECT data FROM "${collection}" WHERE key = ?`).get(id);
+    return row && JSON.parse(row.data);
+  }
+
+  query(collection, criteria) {
+    const fields = Object.keys(criteria);
+    const where = fields.length
+      ? `WHERE ${fields.map(field => `${this.column(collection, field)} = ?`).join(' AND ')}`
+      : '';
+
+    return this.statement(`SELECT data FROM "${collection}" ${where} ORDER BY rowid`)
+      .all(...fields.map(field => toSqlValue(criteria[field])))
+      .map(row => JSON.parse(row.data));
+  }
+
+  put(collection, record) {
+    const { key, owner } = COLLECTIONS[collection];
+    this.statement(`
+      INSERT INTO "${collection}" (key, owner, data) VALUES (?, ?, ?)
+      ON CONFLICT (key) DO UPDATE SET owner = excluded.owner, data = excluded.data
+    `).run(record[key], owner ? record[owner] : null, JSON.stringify(record));
+  }
+
+  remove(collection, id) {
+    return this.statement(`DELETE FROM "${collection}" WHERE key = ?`).run(id).changes > 0;
+  }
+
+  begin() {
+    this.db.exec('BEGIN IMMEDIATE');
+  }
+
+  commit() {
+    this.db.exec('COMMIT');
+  }
+
+  rollback() {
+    this.db.exec('ROLLBACK');
+  }
+
+  async close() {
+    await super.close();
+    this.db.close();
+  }
+}
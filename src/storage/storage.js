@@ -0,0 +1,129 @@
+// Collections every backend stores, with the field used as primary key and,
+// for per-user data, the field naming the owner
+export const COLLECTIONS = {
+  users: { key: 'id' },
+  notes: { key: 'id', owner: 'userId' },
+  tags: { key: 'id', owner: 'userId' },
+  tokenBlacklist: { key: 'token' },
+  searchTerms: { key: 'id', owner: 'userId' },
+  events: { key: 'id', owner: 'userId' },
+  sequences: { key: 'id' },
+  reminders: { key: 'id', owner: 'userId' },
+  collaborators: { key: 'id', owner: 'userId' },
+  revisions: { key: 'id', owner: 'userId' }
+};
+
+// Build an object with one entry per collection
+export const mapCollections = (fn) => {
+  return Object.fromEntries(Object.keys(COLLECTIONS).map(name => [name, fn(name, COLLECTIONS[name])]));
+};
+
+// Repository methods, all asynchronous
+const REPOSITORY_METHODS = ['findById', 'findByOwner', 'findWhere', 'insert', 'update', 'delete', 'deleteWhere'];
+
+// Access to one collection within a transaction. Records are plain objects;
+// changing a returned record has no effect until it is passed to update().
+export class Repository {
+  constructor(backend, collection) {
+    this.backend = backend;
+    this.collection = collection;
+    this.schema = COLLECTIONS[collection];
+  }
+
+  async findById(id) {
+    return this.backend.get(this.collection, id);
+  }
+
+  async findByOwner(ownerId) {
+    return this.backend.query(this.collection, { [this.schema.owner]: ownerId });
+  }
+
+  // Records whose fields equal all of the given values, in insertion order
+  async findWhere(criteria = {}) {
+    return this.backend.query(this.collection, criteria);
+  }
+
+  async insert(record) {
+    const id = record[this.schema.key];
+    if (await this.backend.get(this.collection, id)) {
+      throw new Error(`Duplicate ${this.schema.key} ${id} in ${this.collection}`);
+    }
+
+    await this.backend.put(this.collection, record);
+    return record;
+  }
+
+  // Merge changes into a record; returns the updated record, or undefined
+  // when it doesn't exist
+  async update(id, changes) {
+    const current = await this.backend.get(this.collection, id);
+    if (!current) {
+      return undefined;
+    }
+
+    const updated = { ...current, ...changes };
+    await this.backend.put(this.collection, updated);
+    return updated;
+  }
+
+  // Returns whether a record was deleted
+  async delete(id) {
+    return this.backend.remove(this.collection, id);
+  }
+
+  // Returns the number of deleted records
+  async deleteWhere(criteria) {
+    const records = await this.backend.query(this.collection, criteria);
+    for (const record of records) {
+      await this.backend.remove(this.collection, record[this.schema.key]);
+    }
+    return records.length;
+  }
+}
+
+// Base class of the storage backends. Subclasses implement the primitives
+// get, query, put and remove plus begin, commit and rollback; this class
+// turns them into repositories and serialized transactions.
+export class Storage {
+  constructor() {
+    this.queue = Promise.resolve();
+    this.repositories = mapCollections(name => new Repository(this, name));
+
+    // Outside a transaction every repository call runs as its own transaction
+    Object.assign(this, mapCollections(name => Object.fromEntries(
+      REPOSITORY_METHODS.map(method => [
+        method,
+        (...args) => this.transaction(repos => repos[name][method](...args))
+      ])
+    )));
+  }
+
+  // Run fn with the repositories as one atomic unit. Transactions run one at
+  // a time, so fn must use the repositories it is given rather than calling
+  // back into the storage.
+  transaction(fn) {
+    return this.exclusive(async () => {
+      await this.begin();
+      try {
+        const result = await fn(this.repositories);
+        await this.commit();
+        return result;
+      } catch (error) {
+        await this.rollback();
+        throw error;
+      }
+    });
+  }
+
+  // Run fn once every earlier transaction has finished and before any later
+  // one starts. Backends use it for maintenance work such as compaction.
+  exclusive(fn) {
+    const run = this.queue.then(fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async close() {
+    await this.queue;
+  }
+}
@@ -0,0 +1,157 @@
+import { ErrorCode, Reason, ServiceError, validationError } from './errors.js';
+
+// Nested tags. A tag's parentId names the tag it sits under, or is '' for a
+// top-level tag, so "work/clients/acme" is three tags, each the parent of
+// the next. Parents are always the same user's tags, and a tag can't be
+// moved under itself or one of its descendants. Tag names are unique among
+// a tag's siblings, ignoring case and surrounding spaces, so "work/clients"
+// and "home/clients" are two tags.
+
+// What deleting a tag does to the tags under it
+export const ChildTags = {
+  REPARENT: 'REPARENT', // They move up to the deleted tag's parent
+  CASCADE: 'CASCADE' // They are deleted too
+};
+
+// Deepest a tag can be nested, counting top-level tags as 1
+export const MAX_TAG_DEPTH = 10;
+
+export const tagNameTaken = () => {
+  return new ServiceError(ErrorCode.ALREADY_EXISTS, 'A tag with this name already exists', { reason: Reason.TAG_NAME_TAKEN });
+};
+
+export const tagCycle = () => {
+  return new ServiceError(ErrorCode.FAILED_PRECONDITION, 'A tag cannot be nested under itself or its descendants', {
+    reason: Reason.TAG_CYCLE
+  });
+};
+
+const tagTooDeep = () => {
+  return new ServiceError(ErrorCode.FAILED_PRECONDITION, `Tags can be nested at most ${MAX_TAG_DEPTH} deep`, {
+    reason: Reason.TAG_TOO_DEEP
+  });
+};
+
+// Validate what to do with a deleted tag's children; undefined and '' mean
+// REPARENT
+export const parseChildTags = (children) => {
+  if (children === undefined || children === '') {
+    return ChildTags.REPARENT;
+  }
+
+  const upper = String(children).toUpperCase();
+  if (!ChildTags[upper]) {
+    throw validationError('Invalid children option', [{ field: 'children', description: 'must be REPARENT or CASCADE' }]);
+  }
+  return upper;
+};
+
+// The form of a tag name two tags can't share
+export const tagNameKey = (name) => String(name).trim().toLowerCase();
+
+// Validate the ids of tags to merge into targetId: at least one, and not
+// the target itself. Returns them without repeats.
+export const parseSourceTagIds = (sourceTagIds, targetId) => {
+  const ids = [...new Set(Array.isArray(sourceTagIds) ? sourceTagIds : [])];
+  if (ids.length === 0 || ids.some(id => !id || typeof id !== 'string')) {
+    throw validationError('Tags to merge are required', [{ field: 'sourceTagIds', description: 'must be a non-empty list of tag ids' }]);
+  }
+  if (ids.includes(targetId)) {
+    throw validationError('A tag cannot be merged into itself', [{ field: 'sourceTagIds', description: 'must not include the target tag' }]);
+  }
+  return ids;
+};
+
+// A parentId as stored: '' for none
+export const parentIdOf = (tag) => tag.parentId || '';
+
+// Check that the tags in moving can sit under parentId ('' for the top
+// level): none takes the name of a tag already there or of another of them.
+// tags are all the user's tags; the names of the ones in leaving, about to
+// be deleted, are free.
+export const checkSiblingNames = (tags, moving, parentId, leaving = []) => {
+  const movingIds = moving.map(tag => tag.id);
+  const taken = new Set(tags
+    .filter(tag => parentIdOf(tag) === parentId && !movingIds.includes(tag.id) && !leaving.includes(tag.id))
+    .map(tag => tagNameKey(tag.name)));
+  for (const tag of moving) {
+    const key = tagNameKey(tag.name);
+    if (taken.has(key)) {
+      throw tagNameTaken();
+    }
+    taken.add(key);
+  }
+};
+
+// The children of each tag id, '' holding the top-level tags
+const childrenByParent = (tags) => {
+  const children = new Map();
+  for (const tag of tags) {
+    const parentId = parentIdOf(tag);
+    children.set(parentId, [...(children.get(parentId) || []), tag]);
+  }
+  return children;
+};
+
+// The ids of the tags under a tag, a list per level, nearest first
+const levelsBelow = (tags, id) => {
+  const children = childrenByParent(tags);
+  const levels = [];
+  const seen = new Set([id]);
+  for (let level = [id]; ;) {
+    level = level.flatMap(parentId => (children.get(parentId) || []).map(tag => tag.id)).filter(childId => !seen.has(childId));
+    if (level.length === 0) {
+      return levels;
+    }
+    level.forEach(childId => seen.add(childId));
+    levels.push(level);
+  }
+};
+
+// The ids of the tags under a tag, at any depth, nearest first
+export const descendantIds = (tags, id) => levelsBelow(tags, id).flat();
+
+// The ids of the tags above a tag, nearest first
+export const ancestorIds = (tags, id) => {
+  const byId = new Map(tags.map(tag => [tag.id, tag]));
+  const ids = [];
+  let ancestor = byId.has(id) ? byId.get(parentIdOf(byId.get(id))) : undefined;
+  while (ancestor && !ids.includes(ancestor.id)) {
+    ids.push(ancestor.id);
+    ancestor = byId.get(parentIdOf(ancestor));
+  }
+  return ids;
+};
+
+// How deep a tag is nested, top-level tags being at depth 1
+export const tagDepth = (tags, id) => ancestorIds(tags, id).length + 1;
+
+// Check that a tag can be nested under parentId: not under itself or its
+// descendants, and not deeper than MAX_TAG_DEPTH with the tags under it.
+// tags are all the user's tags, the parent among them; id is undefined for
+// a new tag.
+export const checkParent = (tags, id, parentId) => {
+  if (!parentId) {
+    return;
+  }
+  const below = id ? levelsBelow(tags, id) : [];
+  if (parentId === id || below.some(level => level.includes(parentId))) {
+    throw tagCycle();
+  }
+
+  if (tagDepth(tags, parentId) + 1 + below.length > MAX_TAG_DEPTH) {
+    throw tagTooDeep();
+  }
+};
+
+// Tags as a forest of { tag, children } nodes. roots are the tags at the
+// top, in their order; children are ordered by sort. A tag whose parent is
+// missing counts as a root.
+export const tagTree = (tags, roots, sort) => {
+  const children = childrenByParent(tags);
+  const node = (tag) => ({ tag, children: sort(children.get(tag.id) || []).map(node) });
+  return roots.map(node);
+};
+
+// Whether a tag is at the top of the tree
+export const isRootTag = (tag, tagsById) => !parentIdOf(tag) || !tagsById.has(parentIdOf(tag));
@@ -0,0 +1,9 @@
+import { parentPort, workerData } from 'worker_threads';
+import { renderThumbnail } from './attachments.js';
+
+// Worker thread of ThumbnailPool in attachments.js: gets an image and its
+// content type as its workerData and posts back its thumbnail, or null when
+// none can be made
+
+const { data, contentType } = workerData;
+parentPort.postMessage(renderThumbnail(Buffer.from(data.buffer, data.byteOffset, data.byteLength), contentType) || null);
@@ -0,0 +1,107 @@
+import zlib from 'zlib';
+
+// A minimal ZIP archive writer. Files are deflated one at a time and the
+// archive comes out as a sequence of buffers, so it can be streamed while it
+// is being written. Names are UTF-8. Without ZIP64 an archive holds at most
+// 65535 files of under 4 GB each.
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const VERSION = 20;
+const UTF8_NAMES = 0x0800;
+const DEFLATE = 8;
+
+export const MAX_ZIP_ENTRIES = 0xffff;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+export const crc32 = (data) => {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Date and time in MS-DOS format, at two-second precision, in UTC
+const dosDateTime = (date) => ({
+  time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+  date: (Math.max(date.getUTCFullYear() - 1980, 0) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+});
+
+// The buffers of a ZIP archive of files { name, data, modifiedAt }, where
+// data is a Buffer or string and modifiedAt a Date (now by default)
+export function* zipArchive(files) {
+  const entries = [];
+  let offset = 0;
+
+  for (const { name, data, modifiedAt = new Date() } of files) {
+    if (entries.length === MAX_ZIP_ENTRIES) {
+      throw new RangeError(`A ZIP archive holds at most ${MAX_ZIP_ENTRIES} files`);
+    }
+
+    const content = Buffer.from(data);
+    const compressed = zlib.deflateRawSync(content);
+    const fileName = Buffer.from(name, 'utf8');
+    const entry = {
+      fileName,
+      crc: crc32(content),
+      size: content.length,
+      compressedSize: compressed.length,
+      offset,
+      ...dosDateTime(modifiedAt)
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(UTF8_NAMES, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    yield Buffer.concat([header, fileName, compressed]);
+    offset += header.length + fileName.length + compressed.length;
+    entries.push(entry);
+  }
+
+  const directory = entries.map((entry) => {
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(VERSION, 6);
+    header.writeUInt16LE(UTF8_NAMES, 8);
+    header.writeUInt16LE(DEFLATE, 10);
+    header.writeUInt16LE(entry.time, 12);
+    header.writeUInt16LE(entry.date, 14);
+    header.writeUInt32LE(entry.crc, 16);
+    header.writeUInt32LE(entry.compressedSize, 20);
+    header.writeUInt32LE(entry.size, 24);
+    header.writeUInt16LE(entry.fileName.length, 28);
+    header.writeUInt32LE(entry.offset, 42);
+    return Buffer.concat([header, entry.fileName]);
+  });
+  const directorySize = directory.reduce((size, header) => size + header.length, 0);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  yield Buffer.concat([...directory, end]);
+}
@@ -0,0 +1,333 @@
+import assert from 'assert';
+import zlib from 'zlib';
+import jpeg from 'jpeg-js';
+import { GifWriter } from 'omggif';
+import { MemoryStorage } from '../src/storage/memory.js';
+import { createServices } from '../src/services.js';
+import { MemoryBlobStore, blobHash } from '../src/blobs.js';
+import { MAX_ATTACHMENTS_PER_NOTE, MAX_ATTACHMENT_SIZE, ThumbnailPool, resolveRange, sniffContentType } from '../src/attachments.js';
+import { decodeGif, decodeJpeg } from '../src/images.js';
+import { decodePng, encodePng, pngSize, scaleDown } from '../src/png.js';
+import { crc32 } from '../src/zip.js';
+
+// Test note attachments against in-memory storage and blobs
+
+// An RGBA image, red on the left fading to blue on the right
+const gradient = (width, height) => {
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      pixels[offset] = 255 - Math.round((x * 255) / (width - 1));
+      pixels[offset + 2] = Math.round((x * 255) / (width - 1));
+      pixels[offset + 3] = 255;
+    }
+  }
+  return { width, height, pixels };
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+};
+
+// A 1×1 PNG whose image data inflates to megabytes
+const bomb = () => Buffer.concat([
+  encodePng(gradient(1, 1)).subarray(0, 8),
+  pngChunk('IHDR', Buffer.from([0, 0, 0, 1, 0, 0, 0, 1, 8, 6, 0, 0, 0])),
+  pngChunk('IDAT', zlib.deflateSync(Buffer.alloc(4 * 1024 * 1024))),
+  pngChunk('IEND', Buffer.alloc(0))
+]);
+
+const encodeJpeg = ({ width, height, pixels }) => jpeg.encode({ width, height, data: pixels }, 90).data;
+
+// A GIF of the given size, its left half red and its right half blue
+const twoColorGif = (width, height) => {
+  const buffer = Buffer.alloc(1024 + width * height * 2);
+  const writer = new GifWriter(buffer, width, height, { palette: [0xff0000, 0x0000ff] });
+  const indexes = Array.from({ length: width * height }, (_, index) => (index % width < width / 2 ? 0 : 1));
+  writer.addFrame(0, 0, width, height, indexes);
+  return buffer.subarray(0, writer.end());
+};
+
+const read = async (chunks) => {
+  const buffers = [];
+  for await (const chunk of chunks) {
+    buffers.push(chunk);
+  }
+  return Buffer.concat(buffers);
+};
+
+// Test content type sniffing, byte ranges and the PNG codec
+async function testFiles() {
+  console.log('=== Testing attachment files ===');
+
+  const png = encodePng(gradient(4, 2));
+  assert.strictEqual(sniffContentType(png), 'image/png');
+  assert.strictEqual(sniffContentType(Buffer.from('\xff\xd8\xff\xe0', 'latin1')), 'image/jpeg');
+  assert.strictEqual(sniffContentType(Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1')), 'image/gif');
+  assert.strictEqual(sniffContentType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1')), 'image/webp');
+  assert.strictEqual(sniffContentType(Buffer.from('%PDF-1.7\n')), 'application/pdf');
+
+  // Markup is text, never a page; binary without a signature is opaque
+  assert.strictEqual(sniffContentType(Buffer.from('<html><script>alert(1)</script></html>')), 'text/plain; charset=utf-8');
+  assert.strictEqual(sniffContentType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), 'text/plain; charset=utf-8');
+  assert.strictEqual(sniffContentType(Buffer.from([0x00, 0x01, 0x02])), 'application/octet-stream');
+
+  // Ranges are inclusive going in and exclusive coming out
+  assert.deepStrictEqual(resolveRange(undefined, 10), { start: 0, end: 10 });
+  assert.deepStrictEqual(resolveRange({ start: 2, end: 4 }, 10), { start: 2, end: 5 });
+  assert.deepStrictEqual(resolveRange({ start: 8, end: 100 }, 10), { start: 8, end: 10 });
+  assert.deepStrictEqual(resolveRange({ suffix: 3 }, 10), { start: 7, end: 10 });
+  assert.deepStrictEqual(resolveRange({ suffix: 30 }, 10), { start: 0, end: 10 });
+  assert.throws(() => resolveRange({ start: 10 }, 10), { code: 'OUT_OF_RANGE', reason: 'RANGE_NOT_SATISFIABLE' });
+  assert.throws(() => resolveRange({ suffix: 0 }, 10), { code: 'OUT_OF_RANGE' });
+
+  // Encoding and decoding round-trip, and indexed images with
+  // transparency decode too
+  const image = gradient(5, 3);
+  assert.deepStrictEqual(decodePng(encodePng(image)), image);
+  assert.deepStrictEqual(pngSize(png), { width: 4, height: 2 });
+  const indexed = Buffer.concat([
+    png.subarray(0, 8),
+    pngChunk('IHDR', Buffer.from([0, 0, 0, 2, 0, 0, 0, 1, 8, 3, 0, 0, 0])),
+    pngChunk('PLTE', Buffer.from([255, 0, 0, 0, 0, 255])),
+    pngChunk('tRNS', Buffer.from([255, 0])),
+    pngChunk('IDAT', zlib.deflateSync(Buffer.from([0, 0, 1]))),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+  assert.deepStrictEqual([...decodePng(indexed).pixels], [255, 0, 0, 255, 0, 0, 255, 0]);
+  assert.throws(() => decodePng(Buffer.from('not a png')), /Not a PNG/);
+
+  // JPEG images and the first frame of GIF images decode to RGBA too
+  const photo = decodeJpeg(encodeJpeg(gradient(16, 8)), 1000);
+  assert.deepStrictEqual([photo.width, photo.height, photo.pixels.length], [16, 8, 16 * 8 * 4]);
+  assert.ok(photo.pixels[0] > 200 && photo.pixels[2] < 60 && photo.pixels[3] === 255);
+  assert.throws(() => decodeJpeg(encodeJpeg(gradient(40, 40)), 1000), /maxResolutionInMP/);
+  const gif = decodeGif(twoColorGif(4, 2));
+  assert.deepStrictEqual([...gif.pixels.subarray(0, 4)], [255, 0, 0, 255]);
+  assert.deepStrictEqual([...gif.pixels.subarray(12, 16)], [0, 0, 255, 255]);
+  assert.throws(() => decodeGif(Buffer.from('not a gif')), /Invalid GIF/);
+
+  // Image data inflating to more than the header's size is refused
+  assert.throws(() => decodePng(bomb()), /PNG image data too large/);
+
+  // Scaling keeps the aspect ratio and doesn't darken transparent edges
+  const scaled = scaleDown(gradient(600, 300), 256);
+  assert.deepStrictEqual([scaled.width, scaled.height], [256, 128]);
+  const edge = scaleDown({ width: 2, height: 1, pixels: Buffer.from([255, 255, 255, 255, 0, 0, 0, 0]) }, 1);
+  assert.deepStrictEqual([...edge.pixels], [255, 255, 255, 128]);
+
+  console.log('✅ attachment files test passed');
+}
+
+// Test uploading, downloading and deleting attachments, and who may
+async function testAttachments() {
+  console.log('=== Testing attachments ===');
+  const services = createServices(new MemoryStorage(), { secretKey: 'test' });
+  const { user: owner } = await services.auth.register({ username: 'owner', password: 'password123' });
+  const { user: viewer } = await services.auth.register({ username: 'viewer', password: 'password123' });
+  const note = await services.notes.createNote(owner.id, { title: 'Trip', content: 'Photos' });
+  await services.notes.shareNote(owner.id, note.id, { username: 'viewer' });
+
+  // Images get their size and a thumbnail; the client's path is dropped
+  const photo = encodePng(gradient(600, 300));
+  const { attachment, note: updated } = await services.notes.uploadAttachment(owner.id, note.id, {
+    fileName: 'C:\\Users\\me\\beach.png',
+    data: photo
+  });
+  assert.deepStrictEqual(
+    [attachment.fileName, attachment.contentType, attachment.size, attachment.sha256, attachment.width, attachment.height],
+    ['beach.png', 'image/png', photo.length, blobHash(photo), 600, 300]
+  );
+  assert.strictEqual(updated.version, note.version + 1);
+  assert.deepStrictEqual(updated.attachments, [attachment]);
+
+  const thumbnail = await services.notes.downloadAttachment(viewer.id, note.id, attachment.id, { thumbnail: true });
+  assert.strictEqual(thumbnail.contentType, 'image/png');
+  assert.deepStrictEqual(pngSize(await read(thumbnail.chunks)), { width: 256, height: 128 });
+
+  // Collaborators can download all of a file or part of it
+  const whole = await services.notes.downloadAttachment(viewer.id, note.id, attachment.id);
+  assert.ok((await read(whole.chunks)).equals(photo));
+  const part = await services.notes.downloadAttachment(owner.id, note.id, attachment.id, { range: { start: 1, end: 3 } });
+  assert.deepStrictEqual([part.start, part.end, part.size], [1, 4, photo.length]);
+  assert.strictEqual((await read(part.chunks)).toString('latin1'), 'PNG');
+
+  // Other files have no thumbnail, and markup is stored as text
+  const page = await services.notes.uploadAttachment(owner.id, note.id, { fileName: 'page.html', data: Buffer.from('<html></html>') });
+  assert.deepStrictEqual([page.attachment.contentType, page.attachment.width, page.attachment.thumbnailSha256], ['text/plain; charset=utf-8', 0, '']);
+  await assert.rejects(
+    () => services.notes.downloadAttachment(owner.id, note.id, page.attachment.id, { thumbnail: true }),
+    { code: 'NOT_FOUND', reason: 'ATTACHMENT_NOT_FOUND' }
+  );
+
+  // JPEG and GIF images get PNG thumbnails too
+  const images = await services.notes.createNote(owner.id, { title: 'Images' });
+  const thumbnails = [['photo.jpg', encodeJpeg(gradient(512, 384))], ['anim.gif', twoColorGif(300, 30)]];
+  for (const [[fileName, data], size] of [[thumbnails[0], [256, 192]], [thumbnails[1], [256, 26]]]) {
+    const { attachment: image } = await services.notes.uploadAttachment(owner.id, images.id, { fileName, data });
+    assert.notStrictEqual(image.thumbnailSha256, '');
+    const small = await services.notes.downloadAttachment(owner.id, images.id, image.id, { thumbnail: true });
+    assert.strictEqual(small.contentType, 'image/png');
+    assert.deepStrictEqual(pngSize(await read(small.chunks)), { width: size[0], height: size[1] });
+  }
+
+  // Images that can't be decoded get their size, when their header has it,
+  // but no thumbnail
+  const truncated = Buffer.from('ffd8ffe000104a46494600010100000100010000ffc0000b080040008001011100ffd9', 'hex');
+  const webp = Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1');
+  for (const [fileName, data, size] of [['photo.jpg', truncated, [128, 64]], ['photo.webp', webp, [0, 0]]]) {
+    const { attachment: image } = await services.notes.uploadAttachment(owner.id, images.id, { fileName, data });
+    assert.deepStrictEqual([image.width, image.height, image.thumbnailSha256], [...size, '']);
+    await assert.rejects(
+      () => services.notes.downloadAttachment(owner.id, images.id, image.id, { thumbnail: true }),
+      { code: 'NOT_FOUND', reason: 'ATTACHMENT_NOT_FOUND' }
+    );
+  }
+
+  // A decompression bomb is stored as a plain attachment, without a
+  // thumbnail
+  const bombed = await services.notes.uploadAttachment(owner.id, images.id, { fileName: 'bomb.png', data: bomb() });
+  assert.deepStrictEqual(
+    [bombed.attachment.contentType, bombed.attachment.width, bombed.attachment.height, bombed.attachment.thumbnailSha256],
+    ['image/png', 1, 1, '']
+  );
+
+  // Viewers can't attach or remove files, and strangers can't see them
+  await assert.rejects(
+    () => services.notes.uploadAttachment(viewer.id, note.id, { fileName: 'a.txt', data: Buffer.from('a') }),
+    { code: 'PERMISSION_DENIED' }
+  );
+  await assert.rejects(() => services.notes.deleteAttachment(viewer.id, note.id, attachment.id), { code: 'PERMISSION_DENIED' });
+  await assert.rejects(() => services.notes.downloadAttachment('stranger', note.id, attachment.id), { code: 'NOT_FOUND' });
+
+  // Uploads are checked before anything is stored
+  await assert.rejects(
+    () => services.notes.uploadAttachment(owner.id, note.id, { fileName: 'big.bin', data: Buffer.alloc(MAX_ATTACHMENT_SIZE + 1) }),
+    { code: 'RESOURCE_EXHAUSTED', reason: 'PAYLOAD_TOO_LARGE' }
+  );
+  await assert.rejects(
+    () => services.notes.uploadAttachment(owner.id, note.id, { fileName: 'empty.txt', data: Buffer.alloc(0) }),
+    { code: 'INVALID_ARGUMENT' }
+  );
+  await assert.rejects(
+    () => services.notes.uploadAttachment(owner.id, note.id, { fileName: '', data: Buffer.from('a') }),
+    { code: 'INVALID_ARGUMENT' }
+  );
+  await assert.rejects(
+    () => services.notes.uploadAttachment(owner.id, note.id, { fileName: 'a.txt', data: Buffer.from('a') }, { expectedVersion: note.version }),
+    { code: 'ABORTED' }
+  );
+
+  const crowded = await services.notes.createNote(owner.id, { title: 'Crowded' });
+  for (let n = 0; n < MAX_ATTACHMENTS_PER_NOTE; n++) {
+    await services.notes.uploadAttachment(owner.id, crowded.id, { fileName: `${n}.txt`, data: Buffer.from('same') });
+  }
+  await assert.rejects(
+    () => services.notes.uploadAttachment(owner.id, crowded.id, { fileName: 'more.txt', data: Buffer.from('more') }),
+    { code: 'RESOURCE_EXHAUSTED', reason: 'TOO_MANY_ATTACHMENTS' }
+  );
+
+  // Removing an attachment removes it from the note
+  const removed = await services.notes.deleteAttachment(owner.id, note.id, page.attachment.id);
+  assert.deepStrictEqual(removed.attachments.map(({ id }) => id), [attachment.id]);
+  await assert.rejects(() => services.notes.deleteAttachment(owner.id, note.id, page.attachment.id), { reason: 'ATTACHMENT_NOT_FOUND' });
+
+  console.log('✅ attachments test passed');
+}
+
+// Test that thumbnails are made a few at a time, and that workers taking
+// too long are stopped
+async function testThumbnailPool() {
+  console.log('=== Testing thumbnail workers ===');
+  const png = encodePng(gradient(64, 64));
+
+  // One at a time with one more waiting: a third asked for meanwhile gets
+  // none
+  const pool = new ThumbnailPool({ workers: 1, queueLength: 1 });
+  const made = Promise.all([png, png, png].map(data => pool.make(data, 'image/png')));
+  assert.deepStrictEqual([pool.running, pool.queue.length], [1, 1]);
+  const sizes = (await made).map(thumbnail => thumbnail && pngSize(thumbnail));
+  assert.deepStrictEqual(sizes, [{ width: 64, height: 64 }, { width: 64, height: 64 }, undefined]);
+
+  // A worker still running at its deadline is stopped, and its turn freed
+  const hurried = new ThumbnailPool({ workers: 1, timeout: 1 });
+  assert.strictEqual(await hurried.make(encodeJpeg(gradient(1024, 1024)), 'image/jpeg'), undefined);
+  assert.strictEqual(hurried.running, 0);
+  hurried.timeout = 10 * 1000;
+  assert.deepStrictEqual(pngSize(await hurried.make(png, 'image/png')), { width: 64, height: 64 });
+
+  console.log('✅ thumbnail workers test passed');
+}
+
+// Test that blobs no note refers to are deleted, and only once the grace
+// period is over
+async function testSweep() {
+  console.log('=== Testing blob cleanup ===');
+  const blobs = new MemoryBlobStore({ gracePeriod: 0 });
+  const services = createServices(new MemoryStorage(), { secretKey: 'test', blobs });
+  const { user } = await services.auth.register({ username: 'owner', password: 'password123' });
+  const hashes = async () => {
+    const all = [];
+    for await (const hash of blobs.list()) {
+      all.push(hash);
+    }
+    return all.sort();
+  };
+
+  // Files shared by two notes are stored once and kept while either has it
+  const first = await services.notes.createNote(user.id, { title: 'First' });
+  const second = await services.notes.createNote(user.id, { title: 'Second' });
+  const photo = encodePng(gradient(300, 300));
+  const { attachment } = await services.notes.uploadAttachment(user.id, first.id, { fileName: 'a.png', data: photo });
+  await services.notes.uploadAttachment(user.id, second.id, { fileName: 'b.png', data: photo });
+  const text = await services.notes.uploadAttachment(user.id, second.id, { fileName: 'c.txt', data: Buffer.from('text') });
+  assert.deepStrictEqual(await hashes(), [attachment.sha256, attachment.thumbnailSha256, text.attachment.sha256].sort());
+
+  await services.notes.deleteAttachment(user.id, second.id, text.attachment.id);
+  assert.deepStrictEqual(await hashes(), [attachment.sha256, attachment.thumbnailSha256].sort());
+
+  // Trashed notes keep their files until they are deleted for good
+  await services.notes.deleteNote(user.id, first.id);
+  assert.strictEqual((await hashes()).length, 2);
+  await services.notes.deleteNote(user.id, first.id);
+  assert.strictEqual((await hashes()).length, 2);
+  await services.notes.deleteNote(user.id, second.id);
+  await services.notes.emptyTrash(user.id);
+  assert.deepStrictEqual(await hashes(), []);
+
+  // Deleting an account deletes its files
+  const note = await services.notes.createNote(user.id, { title: 'Last' });
+  await services.notes.uploadAttachment(user.id, note.id, { fileName: 'd.txt', data: Buffer.from('last') });
+  await services.users.deleteUser(user.id);
+  assert.deepStrictEqual(await hashes(), []);
+
+  // Blobs written within the grace period are kept, in case an upload is
+  // about to refer to them
+  const fresh = new MemoryBlobStore();
+  const hash = await fresh.put(Buffer.from('pending'));
+  assert.strictEqual(await fresh.delete(hash), false);
+  assert.strictEqual(await fresh.size(hash), 7);
+
+  console.log('✅ blob cleanup test passed');
+}
+
+async function runTests() {
+  try {
+    await testFiles();
+    await testAttachments();
+    await testThumbnailPool();
+    await testSweep();
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('\n❌ Attachment test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runTests();
@@ -0,0 +1,233 @@
+import assert from 'assert';
+import zlib from 'zlib';
+import { MemoryStorage } from '../src/storage/memory.js';
+import { createServices } from '../src/services.js';
+import { EXPORT_CHUNK_SIZE } from '../src/export.js';
+import { crc32 } from '../src/zip.js';
+import { parseFrontMatter } from '../src/front-matter.js';
+
+// Test exporting notes against in-memory storage, and reading the exports
+// back
+
+// The files of a ZIP archive by name, read from its local file headers
+const unzip = (archive) => {
+  const files = {};
+  let offset = 0;
+  while (archive.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = archive.readUInt32LE(offset + 18);
+    const nameLength = archive.readUInt16LE(offset + 26);
+    const extraLength = archive.readUInt16LE(offset + 28);
+    const name = archive.subarray(offset + 30, offset + 30 + nameLength).toString('utf8');
+    const start = offset + 30 + nameLength + extraLength;
+    const data = zlib.inflateRawSync(archive.subarray(start, start + compressedSize));
+    assert.strictEqual(crc32(data), archive.readUInt32LE(offset + 14), `CRC of ${name}`);
+    files[name] = data.toString('utf8');
+    offset = start + compressedSize;
+  }
+  assert.strictEqual(archive.readUInt32LE(archive.length - 22), 0x06054b50, 'end of central directory');
+  assert.strictEqual(archive.readUInt16LE(archive.length - 12), Object.keys(files).length);
+  return files;
+};
+
+const download = async (services, userId, options) => {
+  const file = await services.notes.exportNotes(userId, options);
+  const chunks = [...file.chunks];
+  assert.ok(chunks.every(chunk => chunk.length <= EXPORT_CHUNK_SIZE));
+  return { ...file, data: Buffer.concat(chunks) };
+};
+
+async function setUp() {
+  const services = createServices(new MemoryStorage(), { secretKey: 'test' });
+  const userId = 'u1';
+  const home = await services.tags.createTag(userId, { name: 'Home' });
+  const work = await services.tags.createTag(userId, { name: 'Work' });
+
+  const plan = await services.notes.createNote(userId, { title: 'Plan <b>', content: 'One\n\nTwo & three', tagIds: [work.id] });
+  const list = await services.notes.createNote(userId, {
+    title: 'Groceries',
+    type: 'CHECKLIST',
+    items: [{ text: 'milk', checked: true }, { text: 'eggs' }, { text: 'large', indent: 1 }],
+    checkedItemsLast: true,
+    tagIds: [home.id],
+    pinned: true
+  });
+  const old = await services.notes.createNote(userId, { title: 'Old', content: 'Archived', tagIds: [home.id] });
+  await services.notes.updateNote(userId, old.id, { archived: true, color: '#fff475' });
+  const trashed = await services.notes.createNote(userId, { title: 'Gone', content: 'Trashed' });
+  await services.notes.deleteNote(userId, trashed.id);
+
+  return { services, userId, home, work, plan, list, old };
+}
+
+// Test the JSON bundle and reading it back through import
+async function testBundle() {
+  console.log('=== Testing JSON bundle export ===');
+  const { services, userId, home, work, plan, list, old } = await setUp();
+
+  const file = await download(services, userId);
+  assert.match(file.fileName, /^notes-\d{4}-\d{2}-\d{2}\.json$/);
+  assert.strictEqual(file.contentType, 'application/json');
+
+  // Pinned notes come first, and the trash is left out
+  const bundle = JSON.parse(file.data.toString('utf8'));
+  assert.deepStrictEqual([bundle.format, bundle.version], ['keepapi-export', 1]);
+  assert.deepStrictEqual(bundle.notes.map(note => note.id), [list.id, plan.id, old.id]);
+  assert.deepStrictEqual(bundle.tags.map(tag => tag.name), ['Home', 'Work']);
+  assert.deepStrictEqual(bundle.notes[0].items, [
+    { text: 'eggs', checked: false, indent: 0 },
+    { text: 'large', checked: false, indent: 1 },
+    { text: 'milk', checked: true, indent: 0 }
+  ]);
+
+  // Another account gets the same notes and tags back
+  const imported = await services.notes.importNotes('u2', [{ name: file.fileName, data: file.data }]);
+  assert.deepStrictEqual([imported.importedCount, imported.failedCount], [3, 0]);
+  const copy = await services.notes.getNote('u2', imported.results[0].noteId);
+  assert.deepStrictEqual(
+    [copy.title, copy.type, copy.items.map(item => [item.text, item.checked, item.indent]), copy.checkedItemsLast, copy.pinned],
+    ['Groceries', 'CHECKLIST', [['eggs', false, 0], ['large', false, 1], ['milk', true, 0]], true, true]
+  );
+  assert.deepStrictEqual([copy.createdAt, copy.updatedAt], [list.createdAt, list.updatedAt]);
+  const archived = await services.notes.getNote('u2', imported.results[2].noteId);
+  assert.deepStrictEqual([archived.archived, archived.color], [true, '#fff475']);
+  const tags = (await services.tags.getTags('u2')).tags;
+  assert.deepStrictEqual(tags.map(tag => tag.name).sort(), ['Home', 'Work']);
+  assert.deepStrictEqual(copy.tagIds, [tags.find(tag => tag.name === 'Home').id]);
+
+  // Importing the bundle into the account it came from finds duplicates
+  const again = await services.notes.importNotes(userId, [{ name: file.fileName, data: file.data }]);
+  assert.deepStrictEqual([again.importedCount, again.duplicateCount], [0, 3]);
+
+  // Filters by tag and archived state; a filtered export has only its
+  // notes' tags
+  const homeOnly = JSON.parse((await download(services, userId, { tagIds: [home.id] })).data.toString('utf8'));
+  assert.deepStrictEqual(homeOnly.notes.map(note => note.id), [list.id, old.id]);
+  assert.deepStrictEqual(homeOnly.tags.map(tag => tag.id), [home.id]);
+  const unarchived = JSON.parse((await download(services, userId, { archived: false })).data.toString('utf8'));
+  assert.deepStrictEqual(unarchived.notes.map(note => note.id), [list.id, plan.id]);
+  const both = JSON.parse((await download(services, userId, { tagIds: [home.id, work.id], tagMatch: 'all' })).data.toString('utf8'));
+  assert.deepStrictEqual([both.notes, both.tags], [[], []]);
+
+  // Bundles of unknown versions are refused
+  const future = await services.notes.importNotes('u3', [
+    { name: 'future.json', data: Buffer.from(JSON.stringify({ ...bundle, version: 2 })) }
+  ]);
+  assert.deepStrictEqual([future.failedCount, future.results[0].error.reason], [1, 'INVALID_IMPORT_FILE']);
+
+  // Large exports come in several chunks
+  await services.notes.createNote('u4', { title: 'Long', content: 'x'.repeat(2.5 * EXPORT_CHUNK_SIZE) });
+  const long = await services.notes.exportNotes('u4', {});
+  const chunks = [...long.chunks];
+  assert.strictEqual(chunks.length, 3);
+  assert.strictEqual(JSON.parse(Buffer.concat(chunks).toString('utf8')).notes[0].content.length, 2.5 * EXPORT_CHUNK_SIZE);
+
+  await assert.rejects(() => services.notes.exportNotes(userId, { format: 'PDF' }), /Invalid export format/);
+  await assert.rejects(() => services.notes.exportNotes(userId, { tagMatch: 'some' }), /Invalid tag match/);
+
+  console.log('✅ JSON bundle export test passed');
+}
+
+// Test the zip of Markdown files, which import reads back too
+async function testMarkdownZip() {
+  console.log('=== Testing Markdown export ===');
+  const { services, userId } = await setUp();
+  await services.notes.createNote(userId, { title: 'Groceries', content: 'Same title' });
+
+  const file = await download(services, userId, { format: 'markdown_zip' });
+  assert.strictEqual(file.contentType, 'application/zip');
+  assert.match(file.fileName, /\.zip$/);
+
+  const files = unzip(file.data);
+  assert.deepStrictEqual(Object.keys(files), ['groceries.md', 'plan-b.md', 'old.md', 'groceries-2.md']);
+  const { fields, body } = parseFrontMatter(files['groceries.md']);
+  assert.deepStrictEqual([fields.title, fields.tags, fields.pinned, fields.type], ['Groceries', ['Home'], true, 'checklist']);
+  assert.strictEqual(body, '- [ ] eggs\n  - [ ] large\n- [x] milk\n');
+
+  const imported = await services.notes.importNotes('u2', Object.entries(files).map(([name, text]) => ({ name, data: Buffer.from(text) })));
+  assert.strictEqual(imported.importedCount, 4);
+  const plan = await services.notes.getNote('u2', imported.results[1].noteId);
+  assert.deepStrictEqual([plan.title, plan.content], ['Plan <b>', 'One\n\nTwo & three']);
+  const old = await services.notes.getNote('u2', imported.results[2].noteId);
+  assert.deepStrictEqual([old.archived, old.color], [true, '#fff475']);
+
+  console.log('✅ Markdown export test passed');
+}
+
+// Test that nested tags keep their nesting through a bundle
+async function testNestedBundle() {
+  console.log('=== Testing nested tags in bundles ===');
+  const services = createServices(new MemoryStorage(), { secretKey: 'test' });
+  const userId = 'u1';
+  const work = await services.tags.createTag(userId, { name: 'Work' });
+  const clients = await services.tags.createTag(userId, { name: 'Clients', parentId: work.id });
+  const acme = await services.tags.createTag(userId, { name: 'Acme', parentId: clients.id });
+  await services.tags.createTag(userId, { name: 'Home' });
+  await services.notes.createNote(userId, { title: 'Deal', tagIds: [acme.id] });
+
+  // A filtered export keeps the tags above its notes' tags
+  const file = await download(services, userId, { tagIds: [acme.id] });
+  const bundle = JSON.parse(file.data.toString('utf8'));
+  assert.deepStrictEqual(bundle.tags.map(tag => [tag.name, tag.parentId]), [
+    ['Acme', clients.id], ['Clients', work.id], ['Work', '']
+  ]);
+
+  // Parents are created before their children
+  const imported = await services.notes.importNotes('u2', [{ name: file.fileName, data: file.data }]);
+  const tags = (await services.tags.getTags('u2', { tree: true })).tree;
+  assert.deepStrictEqual(
+    [tags.length, tags[0].tag.name, tags[0].children[0].tag.name, tags[0].children[0].children[0].tag.name],
+    [1, 'Work', 'Clients', 'Acme']
+  );
+  const note = await services.notes.getNote('u2', imported.results[0].noteId);
+  assert.deepStrictEqual(note.tagIds, [tags[0].children[0].children[0].tag.id]);
+
+  // Tags are found by their path: the user's top-level work is reused,
+  // whatever its case, but their top-level clients isn't under it
+  const existingWork = await services.tags.createTag('u3', { name: 'work' });
+  const existingClients = await services.tags.createTag('u3', { name: 'clients' });
+  const reimported = await services.notes.importNotes('u3', [{ name: file.fileName, data: file.data }]);
+  const { tree } = await services.tags.getTags('u3', { tree: true, orderBy: 'name' });
+  const [clientsNode, workNode] = tree;
+  assert.deepStrictEqual([clientsNode.tag.id, clientsNode.children.length], [existingClients.id, 0]);
+  assert.deepStrictEqual([workNode.tag.id, workNode.children[0].tag.name, workNode.children[0].children[0].tag.name], [
+    existingWork.id, 'Clients', 'Acme'
+  ]);
+  const reimportedNote = await services.notes.getNote('u3', reimported.results[0].noteId);
+  assert.deepStrictEqual(reimportedNote.tagIds, [workNode.children[0].children[0].tag.id]);
+
+  console.log('✅ nested tags in bundles test passed');
+}
+
+// Test the static site
+async function testHtmlSite() {
+  console.log('=== Testing HTML export ===');
+  const { services, userId } = await setUp();
+
+  const files = unzip((await download(services, userId, { format: 'HTML_SITE' })).data);
+  assert.deepStrictEqual(Object.keys(files), [
+    'index.html', 'style.css', 'notes/groceries.html', 'notes/plan-b.html', 'notes/old.html', 'tags/home.html', 'tags/work.html'
+  ]);
+  assert.ok(files['index.html'].includes('<a href="notes/plan-b.html">Plan &lt;b&gt;</a>'));
+  assert.ok(files['notes/plan-b.html'].includes('<p>One</p>\n<p>Two &amp; three</p>'));
+  assert.ok(files['notes/plan-b.html'].includes('<a href="../tags/work.html">Work</a>'));
+  assert.ok(files['notes/groceries.html'].includes('<li class="checked"><input type="checkbox" disabled checked> milk</li>'));
+  assert.ok(files['tags/home.html'].includes('../notes/old.html'));
+  assert.ok(!files['tags/work.html'].includes('../notes/old.html'));
+
+  console.log('✅ HTML export test passed');
+}
+
+async function runTests() {
+  try {
+    await testBundle();
+    await testNestedBundle();
+    await testMarkdownZip();
+    await testHtmlSite();
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('\n❌ Export test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runTests();
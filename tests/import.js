@@ -0,0 +1,160 @@
+import assert from 'assert';
+import { MemoryStorage } from '../src/storage/memory.js';
+import { createServices } from '../src/services.js';
+import { ImportFormat, readImportFile } from '../src/import.js';
+import { parseFrontMatter } from '../src/front-matter.js';
+
+// Test reading notes exported from other apps, and importing them against
+// in-memory storage
+
+const takeoutNote = {
+  color: 'YELLOW',
+  isTrashed: false,
+  isPinned: true,
+  isArchived: true,
+  title: 'Groceries',
+  userEditedTimestampUsec: 1700000000000000,
+  createdTimestampUsec: 1690000000000000,
+  listContent: [{ text: 'milk', isChecked: true }, { text: 'eggs', isChecked: false }],
+  labels: [{ name: 'Home' }]
+};
+
+const enex = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE en-export SYSTEM "http://xml.evernote.com/pub/evernote-export4.dtd">
+<en-export export-date="20240201T100000Z" application="Evernote">
+  <note>
+    <title>Trip &amp; plans</title>
+    <created>20240131T094500Z</created>
+    <updated>20240201T080000Z</updated>
+    <tag>Travel</tag>
+    <tag>Home</tag>
+    <content><![CDATA[<?xml version="1.0" encoding="UTF-8"?><!DOCTYPE en-note SYSTEM "http://xml.evernote.com/pub/enml2.dtd"><en-note><div>Book &lt;hotel&gt;</div><div><br/></div><ul><li>Tallinn</li><li>Riga</li></ul></en-note>]]></content>
+    <note-attributes><author>me</author></note-attributes>
+  </note>
+  <note>
+    <title>Packing</title>
+    <content><![CDATA[<en-note><div><en-todo checked="true"/>passport</div><div><en-todo/>charger</div></en-note>]]></content>
+  </note>
+</en-export>`;
+
+const markdown = `---
+title: "Reading: list"
+tags: [Books, Home]
+created: 2023-05-01T10:00:00Z
+archived: true
+color: '#aecbfa'
+---
+# Dune
+
+Second chapter onwards.
+`;
+
+// Test the front matter subset
+async function testFrontMatter() {
+  console.log('=== Testing front matter ===');
+
+  const { fields, body } = parseFrontMatter('---\ntitle: It\'s "here"\npinned: true\ntags:\n  - a\n  - "b, c"\n---\nText');
+  assert.deepStrictEqual(fields, { title: 'It\'s "here"', pinned: true, tags: ['a', 'b, c'] });
+  assert.strictEqual(body, 'Text');
+  assert.deepStrictEqual(parseFrontMatter('No front matter'), { fields: {}, body: 'No front matter' });
+
+  console.log('✅ front matter test passed');
+}
+
+// Test reading each format into drafts
+async function testReadFiles() {
+  console.log('=== Testing import file formats ===');
+
+  const [takeout] = readImportFile({ name: 'Takeout/Keep/Groceries.json', data: Buffer.from(JSON.stringify(takeoutNote)) });
+  assert.deepStrictEqual(
+    [takeout.type, takeout.items.map(item => [item.text, item.checked]), takeout.color, takeout.archived, takeout.pinned],
+    ['CHECKLIST', [['milk', true], ['eggs', false]], '#fff475', true, true]
+  );
+  assert.deepStrictEqual([takeout.createdAt, takeout.updatedAt], ['2023-07-22T04:26:40.000Z', '2023-11-14T22:13:20.000Z']);
+  assert.deepStrictEqual(takeout.labels, ['Home']);
+
+  const [trip, packing] = readImportFile({ name: 'export.enex', data: Buffer.from(enex) });
+  assert.strictEqual(trip.title, 'Trip & plans');
+  assert.strictEqual(trip.content, 'Book <hotel>\n\n- Tallinn\n- Riga');
+  assert.deepStrictEqual(trip.labels, ['Travel', 'Home']);
+  assert.deepStrictEqual([trip.createdAt, trip.updatedAt], ['2024-01-31T09:45:00.000Z', '2024-02-01T08:00:00.000Z']);
+  assert.deepStrictEqual(packing.items.map(item => [item.text, item.checked]), [['passport', true], ['charger', false]]);
+
+  const [reading] = readImportFile({ name: 'notes/reading.md', data: Buffer.from(markdown) });
+  assert.deepStrictEqual(
+    [reading.title, reading.content, reading.labels, reading.archived, reading.color, reading.createdAt],
+    ['Reading: list', '# Dune\n\nSecond chapter onwards.', ['Books', 'Home'], true, '#aecbfa', '2023-05-01T10:00:00.000Z']
+  );
+  const [untitled] = readImportFile({ name: 'notes/Plain idea.md', data: Buffer.from('Just text') });
+  assert.deepStrictEqual([untitled.title, untitled.content], ['Plain idea', 'Just text']);
+
+  // The format can be given instead of detected
+  assert.strictEqual(readImportFile({ name: 'note.txt', data: Buffer.from('Text'), format: ImportFormat.MARKDOWN }).length, 1);
+  assert.throws(() => readImportFile({ name: 'note.txt', data: Buffer.from('Text') }), /Unrecognized file type/);
+  assert.throws(() => readImportFile({ name: 'broken.json', data: Buffer.from('{') }), /Not a JSON file/);
+  assert.throws(() => readImportFile({ name: 'other.json', data: Buffer.from('{"a":1}') }), /Not a Google Keep note/);
+
+  console.log('✅ import file formats test passed');
+}
+
+// Test importing into an account: tags, duplicates and failures
+async function testImportNotes() {
+  console.log('=== Testing note import ===');
+  const storage = new MemoryStorage();
+  const services = createServices(storage, { secretKey: 'test' });
+  const userId = 'u1';
+  const home = await services.tags.createTag(userId, { name: 'Home' });
+
+  const files = [
+    { name: 'Groceries.json', data: Buffer.from(JSON.stringify(takeoutNote)) },
+    { name: 'export.enex', data: Buffer.from(enex) },
+    { name: 'reading.md', data: Buffer.from(markdown) },
+    { name: 'broken.json', data: Buffer.from('not json') }
+  ];
+  const first = await services.notes.importNotes(userId, files);
+  assert.deepStrictEqual([first.importedCount, first.duplicateCount, first.failedCount], [4, 0, 1]);
+  assert.deepStrictEqual(first.results.map(({ fileName, index, status }) => [fileName, index, status]), [
+    ['Groceries.json', 0, 'IMPORTED'],
+    ['export.enex', 0, 'IMPORTED'],
+    ['export.enex', 1, 'IMPORTED'],
+    ['reading.md', 0, 'IMPORTED'],
+    ['broken.json', 0, 'FAILED']
+  ]);
+  assert.strictEqual(first.results[4].error.reason, 'INVALID_IMPORT_FILE');
+
+  // Labels map to the user's tags, creating the missing ones
+  const tags = (await services.tags.getTags(userId)).tags;
+  assert.deepStrictEqual(tags.map(tag => tag.name).sort(), ['Books', 'Home', 'Travel']);
+  const groceries = await services.notes.getNote(userId, first.results[0].noteId);
+  assert.deepStrictEqual(groceries.tagIds, [home.id]);
+  assert.deepStrictEqual(
+    [groceries.createdAt, groceries.updatedAt, groceries.archived, groceries.pinned, groceries.color],
+    ['2023-07-22T04:26:40.000Z', '2023-11-14T22:13:20.000Z', true, true, '#fff475']
+  );
+
+  // Imported notes are searchable and have a first revision
+  const { results } = await services.notes.searchNotes(userId, { query: 'tallinn' });
+  assert.deepStrictEqual(results.map(result => result.note.id), [first.results[1].noteId]);
+  assert.strictEqual((await services.notes.listRevisions(userId, groceries.id)).revisions.length, 1);
+
+  // Importing the same files again finds duplicates
+  const second = await services.notes.importNotes(userId, files.slice(0, 3));
+  assert.deepStrictEqual([second.importedCount, second.duplicateCount, second.failedCount], [0, 4, 0]);
+  assert.strictEqual((await services.notes.getNotes(userId, { archived: true })).notes.length, 2);
+
+  console.log('✅ note import test passed');
+}
+
+async function runTests() {
+  try {
+    await testFrontMatter();
+    await testReadFiles();
+    await testImportNotes();
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('\n❌ Import test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runTests();
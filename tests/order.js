@@ -0,0 +1,66 @@
+import assert from 'assert';
+import { MemoryStorage } from '../src/storage/memory.js';
+import { createServices } from '../src/services.js';
+
+// Test note positions and timestamps against a clock set by hand
+
+const MINUTE = 60 * 1000;
+
+// A clock that only moves when its time is set
+const fixedClock = (time) => ({ time, now() { return this.time; } });
+
+// Test that new notes are placed, and notes and tags stamped, by the
+// service's clock
+async function testNoteClock() {
+  console.log('=== Testing note order clock ===');
+  const clock = fixedClock(Date.parse('2026-05-04T08:00:00Z'));
+  const services = createServices(new MemoryStorage(), { secretKey: 'test', clock });
+  const userId = 'u1';
+  const at = (time) => new Date(time).toISOString();
+
+  const first = await services.notes.createNote(userId, { title: 'First' });
+  const second = await services.notes.createNote(userId, { title: 'Second' });
+  assert.deepStrictEqual([first.position, second.position], [clock.time, clock.time + 1]);
+  assert.deepStrictEqual([first.createdAt, first.updatedAt], [at(clock.time), at(clock.time)]);
+
+  // A clock set back still places new notes last
+  clock.time -= 10 * MINUTE;
+  const third = await services.notes.createNote(userId, { title: 'Third' });
+  assert.strictEqual(third.position, second.position + 1);
+  assert.strictEqual(third.createdAt, at(clock.time));
+
+  // A clock moved on places them at its time again
+  clock.time += 60 * MINUTE;
+  const fourth = await services.notes.createNote(userId, { title: 'Fourth' });
+  assert.strictEqual(fourth.position, clock.time);
+
+  // Moving, tagging and trashing stamp the clock's time too
+  clock.time += MINUTE;
+  const moved = await services.notes.moveNote(userId, fourth.id, { beforeNoteId: first.id });
+  assert.strictEqual(moved.updatedAt, at(clock.time));
+  const { notes } = await services.notes.getNotes(userId, {});
+  assert.deepStrictEqual(notes.map(note => note.title), ['Fourth', 'First', 'Second', 'Third']);
+
+  clock.time += MINUTE;
+  const tag = await services.tags.createTag(userId, { name: 'Work' });
+  assert.deepStrictEqual([tag.createdAt, tag.updatedAt], [at(clock.time), at(clock.time)]);
+
+  clock.time += MINUTE;
+  await services.notes.deleteNote(userId, second.id);
+  const { notes: trashed } = await services.notes.listTrash(userId);
+  assert.deepStrictEqual(trashed.map(note => note.trashedAt), [at(clock.time)]);
+
+  console.log('✅ note order clock test passed');
+}
+
+async function runTests() {
+  try {
+    await testNoteClock();
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('\n❌ Note order test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runTests();
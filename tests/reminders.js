@@ -0,0 +1,200 @@
+import assert from 'assert';
+import { MemoryStorage } from '../src/storage/memory.js';
+import { createServices } from '../src/services.js';
+import { ReminderScheduler, parseTime, parseTimeZone, schedule } from '../src/reminders.js';
+
+// Test reminder schedules and the scheduler against a clock moved by hand
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// A clock whose time only changes when advanced; timers run as it passes
+// their due time
+class FakeClock {
+  constructor(time) {
+    this.time = time;
+    this.timers = new Map();
+    this.nextTimer = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(callback, delay) {
+    const timer = this.nextTimer++;
+    this.timers.set(timer, { callback, at: this.time + delay });
+    return timer;
+  }
+
+  clearTimeout(timer) {
+    this.timers.delete(timer);
+  }
+
+  // Move forward, running the timers that fall due and waiting for them
+  async advance(ms) {
+    this.time += ms;
+    for (const [timer, { callback, at }] of [...this.timers]) {
+      if (at <= this.time) {
+        this.timers.delete(timer);
+        await callback();
+      }
+    }
+  }
+}
+
+const reminderEvents = async (storage, userId) => {
+  return (await storage.events.findByOwner(userId))
+    .filter(event => event.resource === 'reminder')
+    .sort((a, b) => a.seq - b.seq)
+    .map(event => event.type);
+};
+
+// Test occurrences in the reminder's time zone
+async function testSchedule() {
+  console.log('=== Testing reminder schedules ===');
+
+  // 09:00 in Tallinn stays 09:00 when daylight saving time starts on March 29
+  const daily = {
+    time: parseTime('2026-03-27T09:00:00+02:00'),
+    timezone: parseTimeZone('Europe/Tallinn'),
+    recurrence: { frequency: 'DAILY', interval: 1 }
+  };
+  assert.deepStrictEqual(schedule(daily, Date.parse('2026-03-28T12:00:00Z')), {
+    occurrence: 2,
+    nextTriggerAt: '2026-03-29T06:00:00.000Z'
+  });
+
+  // Monthly on the 31st falls on the last day of shorter months
+  const monthly = { time: '2026-01-31T10:00:00.000Z', timezone: 'UTC', recurrence: { frequency: 'MONTHLY', interval: 1 } };
+  assert.strictEqual(schedule(monthly, Date.parse('2026-02-01T00:00:00Z')).nextTriggerAt, '2026-02-28T10:00:00.000Z');
+  assert.strictEqual(schedule(monthly, Date.parse('2026-03-01T00:00:00Z')).nextTriggerAt, '2026-03-31T10:00:00.000Z');
+
+  const fortnightly = { time: '2026-01-05T08:00:00.000Z', timezone: 'UTC', recurrence: { frequency: 'WEEKLY', interval: 2 } };
+  assert.strictEqual(schedule(fortnightly, Date.parse('2026-01-06T00:00:00Z')).nextTriggerAt, '2026-01-19T08:00:00.000Z');
+
+  // A one-off reminder has no occurrences once it has passed
+  const once = { time: '2026-01-05T08:00:00.000Z', timezone: 'UTC', recurrence: { frequency: 'NONE', interval: 1 } };
+  assert.strictEqual(schedule(once, Date.parse('2026-01-05T08:00:00Z')).nextTriggerAt, '2026-01-05T08:00:00.000Z');
+  assert.strictEqual(schedule(once, Date.parse('2026-01-05T08:00:01Z')).nextTriggerAt, '');
+
+  // Times need an offset, and time zones must exist
+  assert.throws(() => parseTime('2026-01-05T08:00:00'), /Invalid reminder time/);
+  assert.throws(() => parseTimeZone('Mars/Olympus_Mons'), /Invalid timezone/);
+
+  console.log('✅ reminder schedule test passed');
+}
+
+// Test triggering reminders as the clock passes them, and after a restart
+async function testScheduler() {
+  console.log('=== Testing reminder scheduler ===');
+  const clock = new FakeClock(Date.parse('2026-05-04T08:00:00Z'));
+  const storage = new MemoryStorage();
+  const services = createServices(storage, { secretKey: 'test', clock });
+  const userId = 'u1';
+
+  const note = await services.notes.createNote(userId, { title: 'Water the plants' });
+  await services.scheduler.start();
+
+  const daily = await services.reminders.createReminder(userId, {
+    noteId: note.id,
+    time: '2026-05-04T08:10:00Z',
+    recurrence: { frequency: 'DAILY' }
+  });
+  const once = await services.reminders.createReminder(userId, {
+    noteId: note.id,
+    time: '2026-05-04T11:10:00+03:00',
+    timezone: 'Europe/Tallinn'
+  });
+  await services.scheduler.check();
+
+  // Nothing fires early
+  await clock.advance(5 * MINUTE);
+  assert.deepStrictEqual(await reminderEvents(storage, userId), ['CREATED', 'CREATED']);
+
+  // Both fall due at 08:10 UTC
+  await clock.advance(5 * MINUTE);
+  assert.deepStrictEqual(await reminderEvents(storage, userId), ['CREATED', 'CREATED', 'FIRED', 'FIRED']);
+
+  const fired = await services.reminders.getReminder(userId, daily.id);
+  assert.strictEqual(fired.lastTriggeredAt, '2026-05-04T08:10:00.000Z');
+  assert.strictEqual(fired.lastMissed, false);
+  assert.strictEqual(fired.nextTriggerAt, '2026-05-05T08:10:00.000Z');
+  assert.strictEqual((await services.reminders.getReminder(userId, once.id)).nextTriggerAt, '');
+
+  // The server is down for three days: one MISSED event on restart, then the
+  // next occurrence after now
+  services.scheduler.stop();
+  clock.time += 3 * DAY;
+  const restarted = new ReminderScheduler(storage, { changes: services.changes, clock });
+  await restarted.start();
+
+  const missed = await services.reminders.getReminder(userId, daily.id);
+  assert.deepStrictEqual((await reminderEvents(storage, userId)).slice(4), ['MISSED']);
+  assert.strictEqual(missed.lastMissed, true);
+  assert.strictEqual(missed.nextTriggerAt, '2026-05-08T08:10:00.000Z');
+
+  // Schedulers sharing the storage trigger each occurrence once
+  const second = new ReminderScheduler(storage, { changes: services.changes, clock });
+  await second.start();
+  await clock.advance(DAY);
+  assert.deepStrictEqual((await reminderEvents(storage, userId)).slice(5), ['FIRED']);
+
+  // Past one-off reminders are refused
+  await assert.rejects(
+    services.reminders.createReminder(userId, { noteId: note.id, time: '2026-05-01T08:00:00Z' }),
+    /Reminder time is in the past/
+  );
+
+  // Reminders on trashed notes pass silently
+  await services.notes.deleteNote(userId, note.id);
+  await clock.advance(DAY);
+  assert.deepStrictEqual((await reminderEvents(storage, userId)).slice(6), []);
+  assert.strictEqual((await services.reminders.getReminder(userId, daily.id)).nextTriggerAt, '2026-05-10T08:10:00.000Z');
+
+  // Deleting the note for good deletes its reminders
+  await services.notes.deleteNote(userId, note.id);
+  assert.deepStrictEqual((await services.reminders.getReminders(userId)).reminders, []);
+
+  restarted.stop();
+  second.stop();
+  console.log('✅ reminder scheduler test passed');
+}
+
+// Test purging notes that have been in the trash longer than the retention
+async function testPurgeTrash() {
+  console.log('=== Testing trash purge ===');
+  const clock = new FakeClock(Date.parse('2026-05-04T08:00:00Z'));
+  const storage = new MemoryStorage();
+  const services = createServices(storage, { secretKey: 'test', clock, trashRetentionDays: 7 });
+  const userId = 'u1';
+
+  const old = await services.notes.createNote(userId, { title: 'Old' });
+  const recent = await services.notes.createNote(userId, { title: 'Recent' });
+  await services.notes.deleteNote(userId, old.id);
+  clock.time += 3 * DAY;
+  await services.notes.deleteNote(userId, recent.id);
+
+  // Seven days after the first was trashed, only it is purged
+  clock.time += 4 * DAY;
+  assert.strictEqual(await services.notes.purgeTrash(), 1);
+  const { notes } = await services.notes.listTrash(userId);
+  assert.deepStrictEqual(notes.map(note => note.id), [recent.id]);
+  await assert.rejects(services.notes.getNote(userId, old.id), /Note not found/);
+
+  console.log('✅ trash purge test passed');
+}
+
+async function runTests() {
+  try {
+    await testSchedule();
+    await testScheduler();
+    await testPurgeTrash();
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('\n❌ Reminder test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runTests();
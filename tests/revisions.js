@@ -0,0 +1,82 @@
+import assert from 'assert';
+import { MemoryStorage } from '../src/storage/memory.js';
+import { createServices } from '../src/services.js';
+import { diffLines } from '../src/revisions.js';
+
+// Test note revision history against in-memory storage
+
+// Test the line diff
+async function testDiff() {
+  console.log('=== Testing revision diff ===');
+
+  assert.deepStrictEqual(diffLines(['a', 'b', 'c'], ['a', 'x', 'c', 'd']), [
+    { op: 'EQUAL', text: 'a' },
+    { op: 'DELETE', text: 'b' },
+    { op: 'INSERT', text: 'x' },
+    { op: 'EQUAL', text: 'c' },
+    { op: 'INSERT', text: 'd' }
+  ]);
+  assert.deepStrictEqual(diffLines([], ['a']), [{ op: 'INSERT', text: 'a' }]);
+  assert.deepStrictEqual(diffLines(['a'], []), [{ op: 'DELETE', text: 'a' }]);
+
+  console.log('✅ revision diff test passed');
+}
+
+// Test which changes make revisions, the cap, and reverting
+async function testHistory() {
+  console.log('=== Testing revision history ===');
+  const storage = new MemoryStorage();
+  const services = createServices(storage, { secretKey: 'test', revisionLimit: 3 });
+  const userId = 'u1';
+  const revisions = async (id) => {
+    return (await services.notes.listRevisions(userId, id)).revisions.map(({ revision, changedFields }) => [revision, changedFields]);
+  };
+
+  const note = await services.notes.createNote(userId, { title: 'Groceries', content: 'milk' });
+  await services.notes.updateNote(userId, note.id, { content: 'milk\neggs' });
+
+  // Pinning and archiving don't make revisions
+  await services.notes.updateNote(userId, note.id, { pinned: true, archived: true });
+  assert.deepStrictEqual(await revisions(note.id), [
+    [2, ['content']],
+    [1, ['title', 'content', 'tagIds', 'color', 'type', 'items', 'checkedItemsLast']]
+  ]);
+
+  // Only the last three are kept
+  await services.notes.updateNote(userId, note.id, { title: 'Shopping' });
+  await services.notes.updateNote(userId, note.id, { color: '#fff475' });
+  assert.deepStrictEqual((await revisions(note.id)).map(([revision]) => revision), [4, 3, 2]);
+  await assert.rejects(services.notes.getRevision(userId, note.id, 1), /Revision not found/);
+
+  // Reverting makes a revision of its own
+  const reverted = await services.notes.revertNote(userId, note.id, 2);
+  assert.deepStrictEqual([reverted.title, reverted.content, reverted.color], ['Groceries', 'milk\neggs', '#ffffff']);
+  const latest = await services.notes.getRevision(userId, note.id, 5);
+  assert.deepStrictEqual([latest.revertedFrom, latest.changedFields], [2, ['title', 'color']]);
+
+  // Notes from before revisions existed get one for their earlier state
+  await storage.notes.insert({ ...note, id: 'legacy', title: 'Old', updatedAt: '2020-01-01T00:00:00.000Z' });
+  await services.notes.updateNote(userId, 'legacy', { title: 'New' });
+  const { lines } = await services.notes.diffRevisions(userId, 'legacy', { fromRevision: 1 });
+  assert.deepStrictEqual(lines.slice(0, 2), [{ op: 'DELETE', text: 'Old' }, { op: 'INSERT', text: 'New' }]);
+
+  // Deleting the note deletes its history
+  await services.notes.deleteNote(userId, note.id);
+  await services.notes.deleteNote(userId, note.id);
+  assert.deepStrictEqual(await storage.revisions.findWhere({ noteId: note.id }), []);
+
+  console.log('✅ revision history test passed');
+}
+
+async function runTests() {
+  try {
+    await testDiff();
+    await testHistory();
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('\n❌ Revision test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runTests();
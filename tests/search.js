@@ -0,0 +1,65 @@
+import assert from 'assert';
+import { MemoryStorage } from '../src/storage/memory.js';
+import { createServices } from '../src/services.js';
+
+// Test the search index against in-memory storage
+
+// Test that searches read only the terms they match, and that the list of
+// terms follows the notes
+async function testTermLookups() {
+  console.log('=== Testing search term lookups ===');
+  const storage = new MemoryStorage();
+  const services = createServices(storage, { secretKey: 'test' });
+  const userId = 'u1';
+  const titles = async (query) => {
+    return (await services.notes.searchNotes(userId, { query })).results.map(result => result.note.title).sort();
+  };
+
+  await services.notes.createNote(userId, { title: 'Groceries', content: 'milk and eggs' });
+  await services.notes.createNote(userId, { title: 'Milestones', content: 'ship the release' });
+  assert.deepStrictEqual(await titles('mil'), ['Groceries', 'Milestones']);
+
+  // Once built, the index is searched by term id and the marker's list of
+  // terms, never by listing all of the user's term records
+  const queried = [];
+  const query = storage.query.bind(storage);
+  storage.query = (collection, criteria) => {
+    queried.push(collection);
+    return query(collection, criteria);
+  };
+  assert.deepStrictEqual(await titles('eggs'), ['Groceries']);
+  assert.deepStrictEqual(await titles('mile'), ['Milestones']);
+  assert.deepStrictEqual(await titles('nothing'), []);
+  assert.ok(queried.includes('notes') && !queried.includes('searchTerms'));
+  storage.query = query;
+
+  // New terms are found, and removed ones no longer are
+  const marker = async () => (await storage.searchTerms.findById(`${userId}:`)).terms;
+  const note = await services.notes.createNote(userId, { title: 'Bread', content: 'sourdough' });
+  assert.deepStrictEqual(await titles('sour'), ['Bread']);
+  await services.notes.updateNote(userId, note.id, { content: 'rye' });
+  assert.deepStrictEqual(await titles('sour'), []);
+  assert.deepStrictEqual(await titles('rye'), ['Bread']);
+  const terms = await marker();
+  assert.deepStrictEqual(terms, [...terms].sort());
+  assert.ok(terms.includes('rye') && !terms.includes('sourdough'));
+
+  // An index whose marker has no term list is built again
+  await storage.searchTerms.update(`${userId}:`, { terms: undefined });
+  assert.deepStrictEqual(await titles('rye'), ['Bread']);
+  assert.deepStrictEqual(await marker(), terms);
+
+  console.log('✅ search term lookups test passed');
+}
+
+async function runTests() {
+  try {
+    await testTermLookups();
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('\n❌ Search test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runTests();
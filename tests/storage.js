@@ -0,0 +1,213 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MemoryStorage } from '../src/storage/memory.js';
+import { spawnSync } from 'child_process';
+import { JsonFileStorage, JOURNAL_FILE, LOCK_FILE } from '../src/storage/json.js';
+import { SqliteStorage } from '../src/storage/sqlite.js';
+import { FileLock } from '../src/storage/lock.js';
+
+// Run the same repository contract against every storage backend
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keep-storage-'));
+
+const backends = {
+  memory: () => new MemoryStorage(),
+  json: () => new JsonFileStorage(path.join(tmpDir, 'json')),
+  sqlite: () => new SqliteStorage(path.join(tmpDir, 'sqlite', 'keep.db'))
+};
+
+// Test basic CRUD and queries
+async function testRepository(storage) {
+  await storage.notes.insert({ id: 'n1', userId: 'u1', title: 'First', archived: false });
+  await storage.notes.insert({ id: 'n2', userId: 'u2', title: 'Second', archived: true });
+  await storage.notes.insert({ id: 'n3', userId: 'u1', title: 'Third', archived: true });
+
+  assert.strictEqual((await storage.notes.findById('n1')).title, 'First');
+  assert.strictEqual(await storage.notes.findById('missing'), undefined);
+  assert.deepStrictEqual((await storage.notes.findByOwner('u1')).map(note => note.id), ['n1', 'n3']);
+  assert.deepStrictEqual((await storage.notes.findWhere({ archived: true })).map(note => note.id), ['n2', 'n3']);
+  await assert.rejects(storage.notes.insert({ id: 'n1', userId: 'u1' }));
+
+  const updated = await storage.notes.update('n1', { title: 'Updated' });
+  assert.strictEqual(updated.title, 'Updated');
+  assert.strictEqual(updated.userId, 'u1');
+  assert.strictEqual(await storage.notes.update('missing', { title: 'x' }), undefined);
+
+  // Returned records are copies
+  const note = await storage.notes.findById('n1');
+  note.title = 'Changed locally';
+  assert.strictEqual((await storage.notes.findById('n1')).title, 'Updated');
+
+  assert.strictEqual(await storage.notes.delete('n2'), true);
+  assert.strictEqual(await storage.notes.delete('n2'), false);
+  assert.strictEqual(await storage.notes.deleteWhere({ userId: 'u1' }), 2);
+  assert.deepStrictEqual(await storage.notes.findWhere(), []);
+}
+
+// Test that a failed transaction leaves no trace
+async function testTransaction(storage) {
+  await storage.tags.insert({ id: 't1', userId: 'u1', name: 'Work' });
+
+  await assert.rejects(storage.transaction(async ({ tags }) => {
+    await tags.insert({ id: 't2', userId: 'u1', name: 'Home' });
+    await tags.update('t1', { name: 'Renamed' });
+    await tags.delete('t1');
+    throw new Error('abort');
+  }), /abort/);
+
+  assert.deepStrictEqual((await storage.tags.findWhere()).map(tag => tag.name), ['Work']);
+
+  await storage.transaction(async ({ tags }) => {
+    await tags.update('t1', { name: 'Renamed' });
+  });
+  assert.strictEqual((await storage.tags.findById('t1')).name, 'Renamed');
+}
+
+// Test that committed data is still there after reopening
+async function testPersistence(name, storage) {
+  if (name === 'memory') {
+    return;
+  }
+  await storage.close();
+
+  const reopened = backends[name]();
+  assert.strictEqual((await reopened.tags.findById('t1')).name, 'Renamed');
+  await reopened.close();
+}
+
+// Test the JSON backend's journal, compaction and crash recovery
+async function testJsonRecovery() {
+  console.log('=== Testing json storage recovery ===');
+  const dataDir = path.join(tmpDir, 'recovery');
+  const journalPath = path.join(dataDir, JOURNAL_FILE);
+
+  // Commits only append to the journal until the threshold is reached
+  const storage = new JsonFileStorage(dataDir, { compactThreshold: 3 });
+  await storage.notes.insert({ id: 'n1', userId: 'u1', title: 'One' });
+  await storage.notes.insert({ id: 'n2', userId: 'u1', title: 'Two' });
+  assert(!fs.existsSync(path.join(dataDir, 'notes.json')), 'Snapshot should not be written yet');
+  assert.strictEqual(fs.readFileSync(journalPath, 'utf8').trim().split('\n').length, 2);
+
+  // The third commit triggers compaction into the snapshot files
+  await storage.tags.insert({ id: 't1', userId: 'u1', name: 'Work' });
+  assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'notes.json'), 'utf8')).length, 2);
+  assert.strictEqual(fs.readFileSync(journalPath, 'utf8'), '');
+
+  // Simulate a crash: one committed entry and one cut off mid-append
+  await storage.notes.update('n1', { title: 'One, edited' });
+  fs.appendFileSync(journalPath, '{"seq":99,"ops":[{"type":"remove","coll');
+
+  const recovered = new JsonFileStorage(dataDir, { compactThreshold: 3 });
+  assert.strictEqual((await recovered.notes.findById('n1')).title, 'One, edited');
+  assert(await recovered.notes.findById('n2'), 'Incomplete entry should be discarded');
+
+  // New entries are appended after the discarded one and survive a restart
+  await recovered.notes.delete('n2');
+  const restarted = new JsonFileStorage(dataDir, { compactThreshold: 3 });
+  assert.strictEqual(await restarted.notes.findById('n2'), undefined);
+
+  // A corrupt snapshot or journal refuses to load instead of losing data
+  fs.writeFileSync(path.join(dataDir, 'notes.json'), '[{"id": "n1", "tit');
+  assert.throws(() => new JsonFileStorage(dataDir), /Corrupt data file/);
+
+  fs.writeFileSync(path.join(dataDir, 'notes.json'), '[]');
+  fs.writeFileSync(journalPath, 'garbage\n{"seq":1,"ops":[]}\n');
+  assert.throws(() => new JsonFileStorage(dataDir), /Corrupt journal/);
+
+  console.log('✅ json storage recovery test passed');
+}
+
+// Test two JSON storages sharing a data directory, as the gRPC and REST
+// servers do
+async function testJsonSharing() {
+  console.log('=== Testing json storage sharing ===');
+  const dataDir = path.join(tmpDir, 'shared');
+  const first = new JsonFileStorage(dataDir, { compactThreshold: 5 });
+  const second = new JsonFileStorage(dataDir, { compactThreshold: 5 });
+
+  // Interleaved writes from both are all kept, across several compactions
+  const writes = [];
+  for (let i = 0; i < 12; i++) {
+    const storage = i % 2 === 0 ? first : second;
+    writes.push(storage.notes.insert({ id: `n${i}`, userId: 'u1', title: `Note ${i}` }));
+  }
+  await Promise.all(writes);
+
+  for (const storage of [first, second]) {
+    assert.strictEqual((await storage.notes.findByOwner('u1')).length, 12);
+  }
+
+  // Updates made by one are seen by the other
+  await first.notes.update('n1', { title: 'Edited by first' });
+  assert.strictEqual((await second.notes.findById('n1')).title, 'Edited by first');
+  await second.notes.delete('n0');
+  assert.strictEqual(await first.notes.findById('n0'), undefined);
+
+  // A fresh reader gets the same data
+  await first.close();
+  const third = new JsonFileStorage(dataDir);
+  assert.strictEqual((await third.notes.findByOwner('u1')).length, 11);
+
+  // A lock left behind by a process that exited is broken
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  fs.writeFileSync(path.join(dataDir, LOCK_FILE), String(pid));
+  assert.strictEqual((await third.notes.findById('n1')).title, 'Edited by first');
+
+  // So is one left empty by a process that crashed before writing its pid,
+  // once it is older than the grace period for writing it
+  const lockPath = path.join(dataDir, LOCK_FILE);
+  fs.writeFileSync(lockPath, '');
+  await assert.rejects(new FileLock(lockPath, { timeout: 50 }).acquire(), /Timed out/);
+  const past = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(lockPath, past, past);
+  assert.strictEqual((await third.notes.findById('n1')).title, 'Edited by first');
+  assert.ok(!fs.existsSync(lockPath));
+
+  // Of two processes breaking the same stale lock at once, only one does
+  const breakers = [new FileLock(lockPath), new FileLock(lockPath)];
+  fs.writeFileSync(lockPath, String(pid));
+  assert.deepStrictEqual((await Promise.all(breakers.map(breaker => breaker.breakIfStale()))).sort(), [false, true]);
+  assert.ok(!fs.existsSync(lockPath));
+
+  // And one that read the stale lock leaves it be when the other has broken
+  // it and taken the lock before the first could move it aside
+  fs.writeFileSync(lockPath, String(pid));
+  const { rename } = fs.promises;
+  fs.promises.rename = async (...args) => {
+    fs.promises.rename = rename;
+    assert.strictEqual(await breakers[1].breakIfStale(), true);
+    await breakers[1].acquire();
+    return rename(...args);
+  };
+  assert.strictEqual(await breakers[0].breakIfStale(), false);
+  assert.strictEqual(fs.readFileSync(lockPath, 'utf8'), String(process.pid));
+  await breakers[1].release();
+  assert.deepStrictEqual(fs.readdirSync(dataDir).filter(name => name.startsWith(`${LOCK_FILE}.`)), []);
+
+  console.log('✅ json storage sharing test passed');
+}
+
+async function runTests() {
+  try {
+    for (const [name, create] of Object.entries(backends)) {
+      console.log(`=== Testing ${name} storage ===`);
+      const storage = create();
+      await testRepository(storage);
+      await testTransaction(storage);
+      await testPersistence(name, storage);
+      console.log(`✅ ${name} storage test passed`);
+    }
+    await testJsonRecovery();
+    await testJsonSharing();
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('\n❌ Storage test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+runTests();
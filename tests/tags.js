@@ -0,0 +1,295 @@
+import assert from 'assert';
+import { MemoryStorage } from '../src/storage/memory.js';
+import { createServices } from '../src/services.js';
+import { MAX_TAG_DEPTH } from '../src/tags.js';
+
+// Test nested tags against in-memory storage
+
+// work > clients > acme, work > internal, and home at the top
+async function setUp() {
+  const services = createServices(new MemoryStorage(), { secretKey: 'test' });
+  const userId = 'u1';
+  const work = await services.tags.createTag(userId, { name: 'work' });
+  const clients = await services.tags.createTag(userId, { name: 'clients', parentId: work.id });
+  const acme = await services.tags.createTag(userId, { name: 'acme', parentId: clients.id });
+  const internal = await services.tags.createTag(userId, { name: 'internal', parentId: work.id });
+  const home = await services.tags.createTag(userId, { name: 'home' });
+  return { services, userId, work, clients, acme, internal, home };
+}
+
+// Names of a tree's tags, nested as the tree is
+const names = (nodes) => nodes.map(({ tag, children }) => (children.length > 0 ? [tag.name, names(children)] : tag.name));
+
+// Test nesting tags, moving them and the checks on parents
+async function testNesting() {
+  console.log('=== Testing tag nesting ===');
+  const { services, userId, work, clients, acme, home } = await setUp();
+  assert.deepStrictEqual([work.parentId, clients.parentId, acme.parentId], ['', work.id, clients.id]);
+
+  // The tree pages top-level tags, each with everything under it in order
+  const { tree } = await services.tags.getTags(userId, { tree: true, orderBy: 'name' });
+  assert.deepStrictEqual(names(tree), ['home', ['work', [['clients', ['acme']], 'internal']]]);
+  const firstPage = await services.tags.getTags(userId, { tree: true, orderBy: 'name', pageSize: 1 });
+  assert.deepStrictEqual(names(firstPage.tree), ['home']);
+  const secondPage = await services.tags.getTags(userId, { tree: true, orderBy: 'name', pageSize: 1, pageToken: firstPage.nextPageToken });
+  assert.deepStrictEqual([names(secondPage.tree)[0][0], secondPage.nextPageToken], ['work', '']);
+
+  // Listed flat, every tag has its parentId
+  const { tags } = await services.tags.getTags(userId, { orderBy: 'name' });
+  assert.deepStrictEqual(tags.map(tag => [tag.name, tag.parentId]), [
+    ['acme', clients.id], ['clients', work.id], ['home', ''], ['internal', work.id], ['work', '']
+  ]);
+
+  // Moving a tag takes the tags under it along, and '' or null moves it to
+  // the top
+  const moved = await services.tags.updateTag(userId, clients.id, { parentId: home.id });
+  assert.deepStrictEqual([moved.parentId, moved.version], [home.id, 2]);
+  assert.deepStrictEqual(names((await services.tags.getTags(userId, { tree: true, orderBy: 'name' })).tree), [
+    ['home', [['clients', ['acme']]]], ['work', ['internal']]
+  ]);
+  assert.strictEqual((await services.tags.updateTag(userId, clients.id, { parentId: null })).parentId, '');
+  assert.strictEqual((await services.tags.updateTag(userId, clients.id, { parentId: work.id, name: 'Clients' })).name, 'Clients');
+
+  // No cycles, no other users' parents
+  await assert.rejects(() => services.tags.updateTag(userId, work.id, { parentId: acme.id }), { code: 'FAILED_PRECONDITION', reason: 'TAG_CYCLE' });
+  await assert.rejects(() => services.tags.updateTag(userId, work.id, { parentId: work.id }), { reason: 'TAG_CYCLE' });
+  const other = await services.tags.createTag('u2', { name: 'other' });
+  await assert.rejects(() => services.tags.createTag(userId, { name: 'x', parentId: other.id }), { code: 'NOT_FOUND', reason: 'TAG_NOT_FOUND' });
+  await assert.rejects(() => services.tags.updateTag(userId, work.id, { parentId: 'missing' }), { reason: 'TAG_NOT_FOUND' });
+
+  // Nesting is limited in depth, counting the tags a moved tag brings along
+  let parentId = '';
+  const chain = [];
+  for (let depth = 1; depth <= MAX_TAG_DEPTH; depth++) {
+    const tag = await services.tags.createTag('u3', { name: `level ${depth}`, parentId });
+    chain.push(tag);
+    parentId = tag.id;
+  }
+  await assert.rejects(() => services.tags.createTag('u3', { name: 'too deep', parentId }), { reason: 'TAG_TOO_DEEP' });
+  const top = await services.tags.createTag('u3', { name: 'top' });
+  await assert.rejects(() => services.tags.updateTag('u3', chain[0].id, { parentId: top.id }), { reason: 'TAG_TOO_DEEP' });
+  await services.tags.updateTag('u3', chain[1].id, { parentId: top.id });
+
+  console.log('✅ tag nesting test passed');
+}
+
+// Test filtering notes by a tag and the tags under it
+async function testFiltering() {
+  console.log('=== Testing nested tag filters ===');
+  const { services, userId, work, clients, acme, internal, home } = await setUp();
+  const deal = await services.notes.createNote(userId, { title: 'Deal', tagIds: [acme.id] });
+  await services.notes.createNote(userId, { title: 'Standup', tagIds: [internal.id] });
+  await services.notes.createNote(userId, { title: 'Plan', tagIds: [work.id, home.id] });
+  await services.notes.createNote(userId, { title: 'Garden', tagIds: [home.id] });
+
+  const titles = async (options) => (await services.notes.getNotes(userId, { orderBy: 'title', ...options })).notes.map(note => note.title);
+  assert.deepStrictEqual(await titles({ tagIds: [work.id] }), ['Plan']);
+  assert.deepStrictEqual(await titles({ tagIds: [work.id], includeDescendants: true }), ['Deal', 'Plan', 'Standup']);
+  assert.deepStrictEqual(await titles({ tagId: clients.id, includeDescendants: true }), ['Deal']);
+
+  // With 'all', each tag is matched by it or a tag under it
+  assert.deepStrictEqual(await titles({ tagIds: [work.id, home.id], tagMatch: 'all', includeDescendants: true }), ['Plan']);
+  await services.notes.updateNote(userId, deal.id, { tagIds: [acme.id, home.id] });
+  assert.deepStrictEqual(await titles({ tagIds: [work.id, home.id], tagMatch: 'all', includeDescendants: true }), ['Deal', 'Plan']);
+
+  // Exports filter the same way
+  const file = await services.notes.exportNotes(userId, { tagIds: [clients.id], includeDescendants: true });
+  const bundle = JSON.parse(Buffer.concat([...file.chunks]).toString('utf8'));
+  assert.deepStrictEqual(bundle.notes.map(note => note.title), ['Deal']);
+
+  // A page token is only good with the same includeDescendants
+  const page = await services.notes.getNotes(userId, { tagIds: [work.id], includeDescendants: true, pageSize: 1 });
+  await assert.rejects(
+    () => services.notes.getNotes(userId, { tagIds: [work.id], pageSize: 1, pageToken: page.nextPageToken }),
+    { reason: 'VALIDATION_FAILED' }
+  );
+
+  console.log('✅ nested tag filters test passed');
+}
+
+// Test what deleting a tag does to the tags under it
+async function testDeleting() {
+  console.log('=== Testing nested tag deletion ===');
+
+  // By default the children move up to the deleted tag's parent
+  const reparent = await setUp();
+  const note = await reparent.services.notes.createNote(reparent.userId, { title: 'Deal', tagIds: [reparent.clients.id, reparent.acme.id] });
+  const deleted = await reparent.services.tags.deleteTag(reparent.userId, reparent.clients.id);
+  assert.deepStrictEqual(deleted, [reparent.clients.id]);
+  const acme = await reparent.services.tags.getTag(reparent.userId, reparent.acme.id);
+  assert.deepStrictEqual([acme.parentId, acme.version], [reparent.work.id, 2]);
+  assert.deepStrictEqual((await reparent.services.notes.getNote(reparent.userId, note.id)).tagIds, [reparent.acme.id]);
+
+  // Deleting a top-level tag makes its children top-level
+  await reparent.services.tags.deleteTag(reparent.userId, reparent.work.id, { children: 'reparent' });
+  const { tree } = await reparent.services.tags.getTags(reparent.userId, { tree: true, orderBy: 'name' });
+  assert.deepStrictEqual(names(tree), ['acme', 'home', 'internal']);
+
+  // Cascading deletes the whole subtree and removes it from notes,
+  // including the user's tags on notes shared with them
+  const cascade = await setUp();
+  const { services, userId } = cascade;
+  const { user: tagger } = await services.auth.register({ username: 'tagger', password: 'password123' });
+  const { user: owner } = await services.auth.register({ username: 'owner', password: 'password123' });
+  const tagged = await services.notes.createNote(userId, { title: 'Deal', tagIds: [cascade.acme.id, cascade.home.id] });
+  const shared = await services.notes.createNote(owner.id, { title: 'Shared' });
+  await services.notes.shareNote(owner.id, shared.id, { username: 'tagger', role: 'EDITOR' });
+  const taggerTag = await services.tags.createTag(tagger.id, { name: 'mine' });
+  const taggerChild = await services.tags.createTag(tagger.id, { name: 'child', parentId: taggerTag.id });
+  await services.notes.updateNote(tagger.id, shared.id, { tagIds: [taggerChild.id] });
+
+  const removed = await services.tags.deleteTag(userId, cascade.work.id, { children: 'CASCADE' });
+  assert.deepStrictEqual(removed.sort(), [cascade.work.id, cascade.clients.id, cascade.acme.id, cascade.internal.id].sort());
+  assert.deepStrictEqual((await services.tags.getTags(userId)).tags.map(tag => tag.name), ['home']);
+  assert.deepStrictEqual((await services.notes.getNote(userId, tagged.id)).tagIds, [cascade.home.id]);
+
+  await services.tags.deleteTag(tagger.id, taggerTag.id, { children: 'cascade' });
+  assert.deepStrictEqual((await services.notes.getNote(tagger.id, shared.id)).tagIds, []);
+
+  await assert.rejects(() => services.tags.deleteTag(userId, cascade.home.id, { children: 'orphan' }), { reason: 'VALIDATION_FAILED' });
+
+  console.log('✅ nested tag deletion test passed');
+}
+
+// Test that tag names are unique per user, whatever their case
+async function testNames() {
+  console.log('=== Testing tag name uniqueness ===');
+  const { services, userId, work, clients, internal, home } = await setUp();
+
+  await assert.rejects(() => services.tags.createTag(userId, { name: ' WORK ' }), { code: 'ALREADY_EXISTS', reason: 'TAG_NAME_TAKEN' });
+  await assert.rejects(() => services.tags.createTag(userId, { name: 'ACME', parentId: clients.id }), { reason: 'TAG_NAME_TAKEN' });
+  await assert.rejects(() => services.tags.createTag(userId, { name: '   ' }), { reason: 'VALIDATION_FAILED' });
+  assert.strictEqual((await services.tags.createTag(userId, { name: '  garden ' })).name, 'garden');
+  assert.strictEqual((await services.tags.createTag('u2', { name: 'work' })).name, 'work');
+
+  // Names are only unique among the tags under the same parent
+  const homeAcme = await services.tags.createTag(userId, { name: 'Acme', parentId: home.id });
+  const workAcme = await services.tags.createTag(userId, { name: 'acme', parentId: work.id });
+  assert.deepStrictEqual([homeAcme.parentId, workAcme.parentId], [home.id, work.id]);
+
+  // A tag can change the case of its own name, but not take another's
+  assert.strictEqual((await services.tags.updateTag(userId, work.id, { name: 'Work' })).name, 'Work');
+  await assert.rejects(() => services.tags.updateTag(userId, home.id, { name: 'garden' }), { reason: 'TAG_NAME_TAKEN' });
+
+  // Nor be moved next to a tag of the same name, unless renamed with it
+  await assert.rejects(() => services.tags.updateTag(userId, homeAcme.id, { parentId: clients.id }), { reason: 'TAG_NAME_TAKEN' });
+  const moved = await services.tags.updateTag(userId, homeAcme.id, { name: 'Acme Labs', parentId: clients.id });
+  assert.deepStrictEqual([moved.name, moved.parentId], ['Acme Labs', clients.id]);
+  assert.strictEqual((await services.tags.updateTag(userId, internal.id, { parentId: home.id })).parentId, home.id);
+
+  // Tags moved by deletes and merges can't take a name there either
+  await assert.rejects(() => services.tags.deleteTag(userId, clients.id), { reason: 'TAG_NAME_TAKEN' });
+  await assert.rejects(() => services.tags.mergeTags(userId, work.id, { sourceTagIds: [clients.id] }), { reason: 'TAG_NAME_TAKEN' });
+  assert.strictEqual((await services.tags.getTags(userId)).tags.length, 8);
+  assert.deepStrictEqual((await services.tags.deleteTag(userId, workAcme.id)), [workAcme.id]);
+  await services.tags.deleteTag(userId, clients.id);
+  assert.strictEqual((await services.tags.getTags(userId)).tags.filter(tag => tag.parentId === work.id).length, 2);
+
+  // Imported labels use the top-level tag of the same name, whatever its case
+  const file = {
+    name: 'notes.json',
+    data: Buffer.from(JSON.stringify({ title: 'Imported', textContent: '', labels: [{ name: 'HOME' }, { name: 'home ' }] }))
+  };
+  const imported = await services.notes.importNotes(userId, [file]);
+  const note = await services.notes.getNote(userId, imported.results[0].noteId);
+  assert.deepStrictEqual(note.tagIds, [home.id]);
+
+  console.log('✅ tag name uniqueness test passed');
+}
+
+// Test that notes only get tags of the user's own
+async function testTagIds() {
+  console.log('=== Testing note tag validation ===');
+  const { services, userId, work, home } = await setUp();
+  const other = await services.tags.createTag('u2', { name: 'other' });
+
+  const invalid = { code: 'INVALID_ARGUMENT', reason: 'VALIDATION_FAILED' };
+  await assert.rejects(() => services.notes.createNote(userId, { title: 'Bad', tagIds: ['missing'] }), invalid);
+  await assert.rejects(() => services.notes.createNote(userId, { title: 'Bad', tagIds: [other.id] }), invalid);
+  const note = await services.notes.createNote(userId, { title: 'Good', tagIds: [work.id, work.id] });
+  assert.deepStrictEqual(note.tagIds, [work.id]);
+
+  await assert.rejects(() => services.notes.updateNote(userId, note.id, { tagIds: [work.id, other.id] }), invalid);
+  await assert.rejects(
+    () => services.notes.batchUpdateNotes(userId, { ids: [note.id], operation: 'ADD_TAGS', tagIds: [home.id, 'missing'] }),
+    invalid
+  );
+  assert.deepStrictEqual((await services.notes.getNote(userId, note.id)).tagIds, [work.id]);
+
+  // Reverting leaves off the tags deleted since
+  await services.notes.updateNote(userId, note.id, { tagIds: [work.id, home.id] });
+  await services.notes.updateNote(userId, note.id, { title: 'Changed' });
+  await services.tags.deleteTag(userId, home.id);
+  const reverted = await services.notes.revertNote(userId, note.id, 2);
+  assert.deepStrictEqual([reverted.title, reverted.tagIds], ['Good', [work.id]]);
+
+  console.log('✅ note tag validation test passed');
+}
+
+// Test merging tags and the note counts of tags
+async function testMerging() {
+  console.log('=== Testing tag merges ===');
+  const { services, userId, work, clients, acme, internal, home } = await setUp();
+  const both = await services.notes.createNote(userId, { title: 'Both', tagIds: [home.id, clients.id] });
+  const internalNote = await services.notes.createNote(userId, { title: 'Internal', tagIds: [internal.id] });
+  const trashed = await services.notes.createNote(userId, { title: 'Trashed', tagIds: [home.id] });
+  await services.notes.deleteNote(userId, trashed.id);
+
+  // Counts include the user's tags on notes shared with them
+  const { user: owner } = await services.auth.register({ username: 'owner', password: 'password123' });
+  const { user: member } = await services.auth.register({ username: 'member', password: 'password123' });
+  const shared = await services.notes.createNote(owner.id, { title: 'Shared' });
+  await services.notes.shareNote(owner.id, shared.id, { username: 'member', role: 'EDITOR' });
+  const mine = await services.tags.createTag(member.id, { name: 'mine' });
+  const theirs = await services.tags.createTag(member.id, { name: 'theirs' });
+  await services.notes.updateNote(member.id, shared.id, { tagIds: [theirs.id] });
+
+  const counts = async (user) => {
+    return Object.fromEntries((await services.tags.getTags(user, { orderBy: 'name' })).tags.map(tag => [tag.name, tag.noteCount]));
+  };
+  assert.deepStrictEqual(await counts(userId), { acme: 0, clients: 1, home: 1, internal: 1, work: 0 });
+  const { tree } = await services.tags.getTags(userId, { tree: true, orderBy: 'name' });
+  assert.deepStrictEqual(tree[1].children.map(({ tag }) => [tag.name, tag.noteCount]), [['clients', 1], ['internal', 1]]);
+
+  // Notes with a source get the target, once; the sources' children move
+  // under the target
+  const merged = await services.tags.mergeTags(userId, home.id, { sourceTagIds: [clients.id, internal.id, clients.id] });
+  assert.deepStrictEqual([merged.tag.id, merged.tag.noteCount, merged.updatedNoteCount], [home.id, 2, 2]);
+  assert.deepStrictEqual(merged.deletedTagIds, [clients.id, internal.id]);
+  assert.deepStrictEqual((await services.notes.getNote(userId, both.id)).tagIds, [home.id]);
+  assert.deepStrictEqual((await services.notes.getNote(userId, internalNote.id)).tagIds, [home.id]);
+  assert.strictEqual((await services.tags.getTag(userId, acme.id)).parentId, home.id);
+  assert.deepStrictEqual(await counts(userId), { acme: 0, home: 2, work: 0 });
+  assert.deepStrictEqual((await services.notes.searchNotes(userId, { query: 'home' })).results.map(result => result.note.title).sort(), ['Both', 'Internal']);
+
+  const memberMerge = await services.tags.mergeTags(member.id, mine.id, { sourceTagIds: [theirs.id] });
+  assert.strictEqual(memberMerge.updatedNoteCount, 1);
+  assert.deepStrictEqual((await services.notes.getNote(member.id, shared.id)).tagIds, [mine.id]);
+
+  // Sources must be other tags of the user's, not above the target
+  await assert.rejects(() => services.tags.mergeTags(userId, home.id, { sourceTagIds: [] }), { reason: 'VALIDATION_FAILED' });
+  await assert.rejects(() => services.tags.mergeTags(userId, home.id, { sourceTagIds: [home.id] }), { reason: 'VALIDATION_FAILED' });
+  await assert.rejects(() => services.tags.mergeTags(userId, home.id, { sourceTagIds: [mine.id] }), { reason: 'TAG_NOT_FOUND' });
+  await assert.rejects(() => services.tags.mergeTags(userId, acme.id, { sourceTagIds: [home.id] }), { reason: 'TAG_CYCLE' });
+  await assert.rejects(() => services.tags.mergeTags(userId, work.id, { sourceTagIds: ['missing'] }), { reason: 'TAG_NOT_FOUND' });
+  assert.strictEqual((await services.tags.getTags(userId)).tags.length, 3);
+
+  console.log('✅ tag merges test passed');
+}
+
+async function runTests() {
+  try {
+    await testNesting();
+    await testFiltering();
+    await testDeleting();
+    await testNames();
+    await testTagIds();
+    await testMerging();
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('\n❌ Tag test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runTests();
@@ -3,7 +3,10 @@ import * as protoLoader from '@grpc/proto-loader';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import assert from 'assert';
-import fetch from 'node-fetch';
+import fetch, { Blob, FormData } from 'node-fetch';
+import WebSocket from 'ws';
+import { decodeErrorDetails } from '../src/grpc-errors.js';
+import { encodePng } from '../src/png.js';
 
 // Get directory name
 const __filename = fileURLToPath(import.meta.url);
@@ -29,16 +32,22 @@ const authClient = new keepapi.AuthService('localhost:50051', grpc.credentials.c
 const noteClient = new keepapi.NoteService('localhost:50051', grpc.credentials.createInsecure());
 const tagClient = new keepapi.TagService('localhost:50051', grpc.credentials.createInsecure());
 const userClient = new keepapi.UserService('localhost:50051', grpc.credentials.createInsecure());
+const reminderClient = new keepapi.ReminderService('localhost:50051', grpc.credentials.createInsecure());
 
 // REST API base URL
 const REST_API_URL = 'http://localhost:3001';
 
-// Test data
+// Test data: one user per API, as both servers may share the same storage
 const testUser = {
   username: `testuser_${Date.now()}`,
   password: 'password123'
 };
 
+const grpcTestUser = {
+  username: `${testUser.username}_grpc`,
+  password: testUser.password
+};
+
 // Store separate data for REST and gRPC APIs
 let restData = {
   authToken: '',
@@ -54,12 +63,13 @@ let grpcData = {
   tagId: ''
 };
 
-// Helper function to make REST API calls
-async function callRestApi(endpoint, method = 'GET', body = null, token = null) {
+// Helper function to make REST API calls that also returns the HTTP status
+async function callRestApiWithStatus(endpoint, method = 'GET', body = null, token = null, headers = {}) {
   const options = {
     method,
     headers: {
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/json',
+      ...headers
     }
   };
 
@@ -72,13 +82,29 @@ async function callRestApi(endpoint, method = 'GET', body = null, token = null)
   }
 
   const response = await fetch(`${REST_API_URL}${endpoint}`, options);
-  return await response.json();
+  return {
+    status: response.status,
+    contentType: response.headers.get('content-type'),
+    etag: response.headers.get('etag'),
+    body: await response.json()
+  };
+}
+
+// Helper function to make REST API calls
+async function callRestApi(endpoint, method = 'GET', body = null, token = null) {
+  const { body: responseBody } = await callRestApiWithStatus(endpoint, method, body, token);
+  return responseBody;
 }
 
 // Helper function to make gRPC calls
-function callGrpcApi(service, method, request) {
+function callGrpcApi(service, method, request, token = null) {
+  const metadata = new grpc.Metadata();
+  if (token) {
+    metadata.add('authorization', `Bearer ${token}`);
+  }
+
   return new Promise((resolve, reject) => {
-    service[method](request, (err, response) => {
+    service[method](request, metadata, (err, response) => {
       if (err) {
         reject(err);
         return;
@@ -88,6 +114,68 @@ function callGrpcApi(service, method, request) {
   });
 }
 
+// Open a watch stream. Resolves once the server has started it, with the
+// call and the list its events are collected in.
+function openWatch(service, method, request, token) {
+  const metadata = new grpc.Metadata();
+  metadata.add('authorization', `Bearer ${token}`);
+
+  const call = service[method](request, metadata);
+  const events = [];
+  call.on('data', event => events.push(event));
+
+  return new Promise((resolve, reject) => {
+    call.on('metadata', () => resolve({ call, events }));
+    call.on('error', error => {
+      if (error.code !== grpc.status.CANCELLED) {
+        reject(error);
+      }
+    });
+  });
+}
+
+// Open a Server-Sent Events stream. Resolves with the response once the
+// headers arrive, and the list its events are parsed into.
+async function openEventStream(endpoint, headers = {}) {
+  const controller = new AbortController();
+  const response = await fetch(`${REST_API_URL}${endpoint}`, { headers, signal: controller.signal });
+  const events = [];
+
+  let buffer = '';
+  response.body.on('data', chunk => {
+    buffer += chunk.toString();
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const fields = {};
+      for (const line of buffer.slice(0, end).split('\n')) {
+        const separator = line.indexOf(': ');
+        if (separator > 0) {
+          fields[line.slice(0, separator)] = line.slice(separator + 2);
+        }
+      }
+      buffer = buffer.slice(end + 2);
+
+      if (fields.data) {
+        events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+      }
+    }
+  });
+  response.body.on('error', () => {});
+
+  return { response, events, close: () => controller.abort() };
+}
+
+// Wait until a condition holds
+async function waitFor(condition, message, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting: ${message}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
 // Helper function to compare responses
 function compareResponses(restResponse, grpcResponse, fieldsToCompare) {
   for (const field of fieldsToCompare) {
@@ -134,7 +222,7 @@ async function testRegistration() {
   console.log('REST Registration Response:', JSON.stringify(restResponse, null, 2));
   
   // gRPC API call
-  const grpcResponse = await callGrpcApi(authClient, 'register', testUser);
+  const grpcResponse = await callGrpcApi(authClient, 'register', grpcTestUser);
   console.log('gRPC Registration Response:', JSON.stringify(grpcResponse, null, 2));
   
   // Store tokens and user IDs for future requests
@@ -160,7 +248,7 @@ async function testLogin() {
   console.log('REST Login Response:', JSON.stringify(restResponse, null, 2));
   
   // gRPC API call
-  const grpcResponse = await callGrpcApi(authClient, 'login', testUser);
+  const grpcResponse = await callGrpcApi(authClient, 'login', grpcTestUser);
   console.log('gRPC Login Response:', JSON.stringify(grpcResponse, null, 2));
   
   // Store tokens for future requests
@@ -199,7 +287,7 @@ async function testCreateNote() {
   console.log('REST Create Note Response:', JSON.stringify(restResponse, null, 2));
   
   // gRPC API call
-  const grpcResponse = await callGrpcApi(noteClient, 'createNote', grpcNoteData);
+  const grpcResponse = await callGrpcApi(noteClient, 'createNote', grpcNoteData, grpcData.authToken);
   console.log('gRPC Create Note Response:', JSON.stringify(grpcResponse, null, 2));
   
   // Store note IDs for future requests
@@ -222,20 +310,58 @@ async function testGetNotes() {
   console.log('REST Get Notes Response:', JSON.stringify(restResponse, null, 2));
   
   // gRPC API call
-  const grpcResponse = await callGrpcApi(noteClient, 'getNotes', { userId: grpcData.userId });
+  const grpcResponse = await callGrpcApi(noteClient, 'getNotes', { userId: grpcData.userId }, grpcData.authToken);
   console.log('gRPC Get Notes Response:', JSON.stringify(grpcResponse, null, 2));
   
   // Compare responses
-  assert(restResponse.length > 0, 'REST API should return at least one note');
+  assert(restResponse.notes.length > 0, 'REST API should return at least one note');
   assert(grpcResponse.notes.length > 0, 'gRPC API should return at least one note');
   
   // Compare first note properties
   const fieldsToCompare = ['title', 'content', 'color'];
-  compareResponses(restResponse[0], grpcResponse.notes[0], fieldsToCompare);
-  
+  compareResponses(restResponse.notes[0], grpcResponse.notes[0], fieldsToCompare);
+
+  // Both list archived notes unless asked for unarchived ones only
+  const restArchived = await callRestApi('/notes', 'POST', { title: 'Archived' }, restData.authToken);
+  const grpcArchived = (await callGrpcApi(noteClient, 'createNote', { title: 'Archived' }, grpcData.authToken)).note;
+  await callRestApi(`/notes/${restArchived.id}`, 'PATCH', { archived: true }, restData.authToken);
+  await callGrpcApi(noteClient, 'updateNote', { id: grpcArchived.id, archived: true }, grpcData.authToken);
+  const restIds = async (query) => (await callRestApi(`/notes${query}`, 'GET', null, restData.authToken)).notes.map(note => note.id);
+  const grpcIds = async (request) => (await callGrpcApi(noteClient, 'getNotes', request, grpcData.authToken)).notes.map(note => note.id);
+  assert.deepStrictEqual(
+    [await restIds(''), await restIds('?archived=true'), await restIds('?archived=false')],
+    [[...restResponse.notes.map(note => note.id), restArchived.id], [restArchived.id], restResponse.notes.map(note => note.id)]
+  );
+  assert.deepStrictEqual(
+    [await grpcIds({}), await grpcIds({ archived: true }), await grpcIds({ archived: false })],
+    [[...grpcResponse.notes.map(note => note.id), grpcArchived.id], [grpcArchived.id], grpcResponse.notes.map(note => note.id)]
+  );
+  for (let i = 0; i < 2; i++) {
+    await callRestApi(`/notes/${restArchived.id}`, 'DELETE', null, restData.authToken);
+    await callGrpcApi(noteClient, 'deleteNote', { id: grpcArchived.id }, grpcData.authToken);
+  }
+
   console.log('✅ Get Notes test passed');
 }
 
+// Test that both APIs apply the same defaults to a minimal note
+async function testNoteDefaults() {
+  console.log('\n=== Testing Note Defaults ===');
+
+  const noteData = { title: 'Minimal Note' };
+
+  const restResponse = await callRestApi('/notes', 'POST', noteData, restData.authToken);
+  const grpcResponse = await callGrpcApi(noteClient, 'createNote', noteData, grpcData.authToken);
+
+  const fieldsToCompare = ['title', 'content', 'tagIds', 'archived', 'color'];
+  compareResponses(restResponse, grpcResponse.note, fieldsToCompare);
+
+  await callRestApi(`/notes/${restResponse.id}`, 'DELETE', null, restData.authToken);
+  await callGrpcApi(noteClient, 'deleteNote', { id: grpcResponse.note.id }, grpcData.authToken);
+
+  console.log('✅ Note Defaults test passed');
+}
+
 // Test create tag
 async function testCreateTag() {
   console.log('\n=== Testing Create Tag ===');
@@ -255,7 +381,7 @@ async function testCreateTag() {
   console.log('REST Create Tag Response:', JSON.stringify(restResponse, null, 2));
   
   // gRPC API call
-  const grpcResponse = await callGrpcApi(tagClient, 'createTag', grpcTagData);
+  const grpcResponse = await callGrpcApi(tagClient, 'createTag', grpcTagData, grpcData.authToken);
   console.log('gRPC Create Tag Response:', JSON.stringify(grpcResponse, null, 2));
   
   // Store tag IDs for future requests
@@ -278,20 +404,348 @@ async function testGetTags() {
   console.log('REST Get Tags Response:', JSON.stringify(restResponse, null, 2));
   
   // gRPC API call
-  const grpcResponse = await callGrpcApi(tagClient, 'getTags', { userId: grpcData.userId });
+  const grpcResponse = await callGrpcApi(tagClient, 'getTags', { userId: grpcData.userId }, grpcData.authToken);
   console.log('gRPC Get Tags Response:', JSON.stringify(grpcResponse, null, 2));
   
   // Compare responses
-  assert(restResponse.length > 0, 'REST API should return at least one tag');
+  assert(restResponse.tags.length > 0, 'REST API should return at least one tag');
   assert(grpcResponse.tags.length > 0, 'gRPC API should return at least one tag');
   
   // Compare first tag properties
   const fieldsToCompare = ['name'];
-  compareResponses(restResponse[0], grpcResponse.tags[0], fieldsToCompare);
+  compareResponses(restResponse.tags[0], grpcResponse.tags[0], fieldsToCompare);
   
   console.log('✅ Get Tags test passed');
 }
 
+// Test paging, ordering and filtering of note lists on both APIs
+async function testPagination() {
+  console.log('\n=== Testing Pagination ===');
+
+  // Notes tagged 'Paging' (all of them) and 'Odd' (every other one)
+  const restTags = {
+    paging: await callRestApi('/tags', 'POST', { name: 'Paging' }, restData.authToken),
+    odd: await callRestApi('/tags', 'POST', { name: 'Odd' }, restData.authToken)
+  };
+  const grpcTags = {
+    paging: (await callGrpcApi(tagClient, 'createTag', { name: 'Paging' }, grpcData.authToken)).tag,
+    odd: (await callGrpcApi(tagClient, 'createTag', { name: 'Odd' }, grpcData.authToken)).tag
+  };
+
+  const titles = ['Banana', 'apple', 'Cherry', 'date', 'Elderberry'];
+  for (const [index, title] of titles.entries()) {
+    const restTagIds = index % 2 === 0 ? [restTags.paging.id, restTags.odd.id] : [restTags.paging.id];
+    const grpcTagIds = index % 2 === 0 ? [grpcTags.paging.id, grpcTags.odd.id] : [grpcTags.paging.id];
+    await callRestApi('/notes', 'POST', { title, tagIds: restTagIds }, restData.authToken);
+    await callGrpcApi(noteClient, 'createNote', { title, tagIds: grpcTagIds }, grpcData.authToken);
+  }
+
+  // Page through both lists two notes at a time, by title descending
+  const listAll = async (fetchPage) => {
+    const pages = [];
+    let pageToken = '';
+    do {
+      const page = await fetchPage(pageToken);
+      pages.push(page.notes.map(note => note.title));
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+    return pages;
+  };
+
+  const restPages = await listAll(pageToken => callRestApi(
+    `/notes?tagIds=${restTags.paging.id}&archived=false&orderBy=title%20desc&pageSize=2&pageToken=${pageToken}`,
+    'GET', null, restData.authToken
+  ));
+  const grpcPages = await listAll(pageToken => callGrpcApi(noteClient, 'getNotes', {
+    tagIds: [grpcTags.paging.id],
+    orderBy: 'title desc',
+    pageSize: 2,
+    pageToken
+  }, grpcData.authToken));
+
+  const expectedPages = [['Elderberry', 'date'], ['Cherry', 'Banana'], ['apple']];
+  assert.deepStrictEqual(restPages, expectedPages);
+  assert.deepStrictEqual(grpcPages, expectedPages);
+
+  // Notes with all of the tags, or with any of them
+  const restAll = await callRestApi(
+    `/notes?tagIds=${restTags.paging.id},${restTags.odd.id}&tagMatch=all&orderBy=title`,
+    'GET', null, restData.authToken
+  );
+  const grpcAll = await callGrpcApi(noteClient, 'getNotes', {
+    tagIds: [grpcTags.paging.id, grpcTags.odd.id],
+    tagMatch: 'ALL',
+    orderBy: 'title'
+  }, grpcData.authToken);
+  assert.deepStrictEqual(restAll.notes.map(note => note.title), ['Banana', 'Cherry', 'Elderberry']);
+  assert.deepStrictEqual(grpcAll.notes.map(note => note.title), ['Banana', 'Cherry', 'Elderberry']);
+
+  // Date ranges: nothing was created in the future
+  const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const restFuture = await callRestApi(`/notes?createdAfter=${future}`, 'GET', null, restData.authToken);
+  const grpcFuture = await callGrpcApi(noteClient, 'getNotes', { createdAfter: future }, grpcData.authToken);
+  assert.strictEqual(restFuture.notes.length, 0);
+  assert.strictEqual(grpcFuture.notes.length, 0);
+
+  // A token only works with the query it was issued for
+  const firstPage = await callGrpcApi(noteClient, 'getNotes', { orderBy: 'title', pageSize: 1 }, grpcData.authToken);
+  await assert.rejects(
+    callGrpcApi(noteClient, 'getNotes', { orderBy: 'color', pageSize: 1, pageToken: firstPage.nextPageToken }, grpcData.authToken),
+    err => err.code === grpc.status.INVALID_ARGUMENT
+  );
+  const { status, body } = await callRestApiWithStatus('/notes?pageToken=garbage', 'GET', null, restData.authToken);
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.violations[0].field, 'pageToken');
+
+  // Tags are paged too
+  const restTagPage = await callRestApi('/tags?orderBy=name&pageSize=1', 'GET', null, restData.authToken);
+  const grpcTagPage = await callGrpcApi(tagClient, 'getTags', { orderBy: 'name', pageSize: 1 }, grpcData.authToken);
+  assert.strictEqual(restTagPage.tags.length, 1);
+  assert(restTagPage.nextPageToken, 'REST API should return a next page token');
+  compareResponses(restTagPage.tags[0], grpcTagPage.tags[0], ['name']);
+
+  // Clean up
+  for (const note of (await callRestApi(`/notes?tagIds=${restTags.paging.id}`, 'GET', null, restData.authToken)).notes) {
+    await callRestApi(`/notes/${note.id}`, 'DELETE', null, restData.authToken);
+  }
+  for (const note of (await callGrpcApi(noteClient, 'getNotes', { tagIds: [grpcTags.paging.id] }, grpcData.authToken)).notes) {
+    await callGrpcApi(noteClient, 'deleteNote', { id: note.id }, grpcData.authToken);
+  }
+  for (const tag of Object.values(restTags)) {
+    await callRestApi(`/tags/${tag.id}`, 'DELETE', null, restData.authToken);
+  }
+  for (const tag of Object.values(grpcTags)) {
+    await callGrpcApi(tagClient, 'deleteTag', { id: tag.id }, grpcData.authToken);
+  }
+
+  console.log('✅ Pagination test passed');
+}
+
+// Test full-text search on both APIs, and that the index follows changes
+async function testSearch() {
+  console.log('\n=== Testing Search ===');
+
+  const restTag = await callRestApi('/tags', 'POST', { name: 'Recipes' }, restData.authToken);
+  const grpcTag = (await callGrpcApi(tagClient, 'createTag', { name: 'Recipes' }, grpcData.authToken)).tag;
+
+  const notes = [
+    { title: 'Groceries', content: 'Buy apples and bananas for the weekend' },
+    { title: 'Training', content: 'Go running every morning, then plan the budget' },
+    { title: 'Budget', content: 'Rent and savings' },
+    { title: 'Pancakes', content: 'Flour, eggs and milk', tagged: true }
+  ];
+  const restIds = {};
+  const grpcIds = {};
+  for (const { title, content, tagged } of notes) {
+    restIds[title] = (await callRestApi('/notes', 'POST', {
+      title, content, tagIds: tagged ? [restTag.id] : []
+    }, restData.authToken)).id;
+    grpcIds[title] = (await callGrpcApi(noteClient, 'createNote', {
+      title, content, tagIds: tagged ? [grpcTag.id] : []
+    }, grpcData.authToken)).note.id;
+  }
+
+  // Titles of the results for a query on each API, which must agree
+  const search = async (query) => {
+    const restResponse = await callRestApi(`/notes/search?query=${encodeURIComponent(query)}`, 'GET', null, restData.authToken);
+    const grpcResponse = await callGrpcApi(noteClient, 'searchNotes', { query }, grpcData.authToken);
+    const restTitles = restResponse.results.map(result => result.note.title);
+    assert.deepStrictEqual(restTitles, grpcResponse.results.map(result => result.note.title), `Results for "${query}" should match`);
+    return { titles: restTitles, rest: restResponse, grpc: grpcResponse };
+  };
+
+  // Case folding and stemming: "APPLE" finds "apples", "runs" finds "running"
+  assert.deepStrictEqual((await search('APPLE')).titles, ['Groceries']);
+  assert.deepStrictEqual((await search('runs')).titles, ['Training']);
+
+  // Prefixes, tag names, and every word must match
+  assert.deepStrictEqual((await search('recip')).titles, ['Pancakes']);
+  assert.deepStrictEqual((await search('buy weekend')).titles, ['Groceries']);
+  assert.deepStrictEqual((await search('buy morning')).titles, []);
+
+  // A title match ranks above a content match
+  assert.deepStrictEqual((await search('budget')).titles, ['Budget', 'Training']);
+
+  // Snippets highlight the matched words
+  const { grpc: { results: [result] } } = await search('bananas');
+  const highlighted = result.highlights.map(({ start, end }) => result.snippet.slice(start, end));
+  assert.deepStrictEqual(highlighted, ['bananas']);
+
+  // The index follows updates, tag deletions and note deletions
+  await callRestApi(`/notes/${restIds.Groceries}`, 'PATCH', { content: 'Buy pears' }, restData.authToken);
+  await callGrpcApi(noteClient, 'updateNote', { id: grpcIds.Groceries, content: 'Buy pears' }, grpcData.authToken);
+  assert.deepStrictEqual((await search('apple')).titles, []);
+  assert.deepStrictEqual((await search('pear')).titles, ['Groceries']);
+
+  await callRestApi(`/tags/${restTag.id}`, 'DELETE', null, restData.authToken);
+  await callGrpcApi(tagClient, 'deleteTag', { id: grpcTag.id }, grpcData.authToken);
+  assert.deepStrictEqual((await search('recipes')).titles, []);
+
+  for (const title of Object.keys(restIds)) {
+    await callRestApi(`/notes/${restIds[title]}`, 'DELETE', null, restData.authToken);
+    await callGrpcApi(noteClient, 'deleteNote', { id: grpcIds[title] }, grpcData.authToken);
+  }
+  assert.deepStrictEqual((await search('budget')).titles, []);
+
+  // An empty query is invalid
+  const { status } = await callRestApiWithStatus('/notes/search?query=', 'GET', null, restData.authToken);
+  assert.strictEqual(status, 400);
+
+  console.log('✅ Search test passed');
+}
+
+// Test the watch streams, including changes made over REST and resuming
+async function testWatch() {
+  console.log('\n=== Testing Watch ===');
+
+  // Changes made over gRPC, in order
+  const watch = await openWatch(noteClient, 'watchNotes', {}, grpcData.authToken);
+  const { note } = await callGrpcApi(noteClient, 'createNote', { title: 'Watched' }, grpcData.authToken);
+  await callGrpcApi(noteClient, 'updateNote', { id: note.id, archived: true }, grpcData.authToken);
+  await callGrpcApi(noteClient, 'deleteNote', { id: note.id }, grpcData.authToken);
+
+  await waitFor(() => watch.events.length === 3, 'three note events');
+  assert.deepStrictEqual(watch.events.map(event => event.type), ['CREATED', 'ARCHIVED', 'TRASHED']);
+  assert(watch.events.every(event => event.note.id === note.id));
+  watch.call.cancel();
+
+  // Resuming replays the events after the given id
+  const resumed = await openWatch(noteClient, 'watchNotes', { afterEventId: watch.events[0].id }, grpcData.authToken);
+  await waitFor(() => resumed.events.length === 2, 'two replayed events');
+  assert.deepStrictEqual(resumed.events.map(event => event.id), watch.events.slice(1).map(event => event.id));
+  resumed.call.cancel();
+
+  // Changes made over REST reach a gRPC watcher of the same user
+  const { token } = await callGrpcApi(authClient, 'login', testUser);
+  const tagWatch = await openWatch(tagClient, 'watchTags', {}, token);
+  const restTag = await callRestApi('/tags', 'POST', { name: 'Watched' }, restData.authToken);
+  await waitFor(() => tagWatch.events.length === 1, 'tag created over REST');
+  assert.strictEqual(tagWatch.events[0].type, 'CREATED');
+  assert.strictEqual(tagWatch.events[0].tag.id, restTag.id);
+  tagWatch.call.cancel();
+  await callRestApi(`/tags/${restTag.id}`, 'DELETE', null, restData.authToken);
+
+  // Unknown event ids are rejected
+  for (const afterEventId of ['abc', '999999999']) {
+    await assert.rejects(
+      openWatch(noteClient, 'watchNotes', { afterEventId }, grpcData.authToken),
+      err => err.code === grpc.status.INVALID_ARGUMENT
+    );
+  }
+
+  console.log('✅ Watch test passed');
+}
+
+// Test the REST live event feeds: Server-Sent Events and WebSocket
+async function testLiveEvents() {
+  console.log('\n=== Testing Live Events ===');
+
+  // SSE, authenticated with the token as a query parameter like a browser
+  const stream = await openEventStream(`/events?access_token=${restData.authToken}`);
+  assert.strictEqual(stream.response.status, 200);
+  assert(stream.response.headers.get('content-type').startsWith('text/event-stream'));
+
+  const note = await callRestApi('/notes', 'POST', { title: 'Live' }, restData.authToken);
+  await waitFor(() => stream.events.length === 1, 'note event over SSE');
+  assert.strictEqual(stream.events[0].event, 'note');
+  assert.strictEqual(stream.events[0].data.type, 'CREATED');
+  assert.strictEqual(stream.events[0].data.note.id, note.id);
+
+  // Changes made over gRPC arrive too
+  const { token } = await callGrpcApi(authClient, 'login', testUser);
+  const { tag } = await callGrpcApi(tagClient, 'createTag', { name: 'Live' }, token);
+  await waitFor(() => stream.events.length === 2, 'tag event over SSE');
+  assert.strictEqual(stream.events[1].event, 'tag');
+  assert.strictEqual(stream.events[1].data.tag.id, tag.id);
+  stream.close();
+
+  // Reconnecting with Last-Event-ID replays what came after it
+  const resumed = await openEventStream('/events', {
+    'Authorization': `Bearer ${restData.authToken}`,
+    'Last-Event-ID': stream.events[0].id
+  });
+  await waitFor(() => resumed.events.length === 1, 'replayed event over SSE');
+  assert.strictEqual(resumed.events[0].id, stream.events[1].id);
+  resumed.close();
+
+  // WebSocket
+  const socket = new WebSocket(`ws://localhost:3001/events`, {
+    headers: { 'Authorization': `Bearer ${restData.authToken}` }
+  });
+  const messages = [];
+  socket.on('message', data => messages.push(JSON.parse(data)));
+  await new Promise((resolve, reject) => {
+    socket.on('open', resolve);
+    socket.on('error', reject);
+  });
+
+  await callRestApi(`/notes/${note.id}`, 'DELETE', null, restData.authToken);
+  await waitFor(() => messages.length === 1, 'note event over WebSocket');
+  assert.strictEqual(messages[0].type, 'TRASHED');
+  assert.strictEqual(messages[0].note.id, note.id);
+  socket.close();
+
+  // Both require a valid token
+  const { status, body } = await callRestApiWithStatus('/events');
+  assert.strictEqual(status, 401);
+  assert.strictEqual(body.reason, 'TOKEN_MISSING');
+
+  const rejected = new WebSocket('ws://localhost:3001/events');
+  const rejectedStatus = await new Promise(resolve => {
+    rejected.on('unexpected-response', (request, response) => resolve(response.statusCode));
+    rejected.on('error', () => {});
+  });
+  assert.strictEqual(rejectedStatus, 401);
+
+  await callRestApi(`/tags/${tag.id}`, 'DELETE', null, restData.authToken);
+
+  console.log('✅ Live Events test passed');
+}
+
+// Test that both servers see one dataset: data written through one API is
+// visible through the other
+async function testSharedStorage() {
+  console.log('\n=== Testing Shared Storage ===');
+
+  // Log in over gRPC as the user registered over REST
+  const login = await callGrpcApi(authClient, 'login', testUser);
+  assert(login.success, 'User registered over REST should be able to log in over gRPC');
+  assert.strictEqual(login.user.id, restData.userId);
+
+  // Written over REST, read over gRPC
+  const restNote = await callRestApi('/notes', 'POST', {
+    title: 'Shared Note',
+    content: 'Written over REST'
+  }, restData.authToken);
+  const grpcRead = await callGrpcApi(noteClient, 'getNote', { id: restNote.id }, login.token);
+  assert.strictEqual(grpcRead.note.content, 'Written over REST');
+
+  // Updated over gRPC, read over REST
+  await callGrpcApi(noteClient, 'updateNote', {
+    id: restNote.id,
+    title: 'Shared Note',
+    content: 'Edited over gRPC',
+    color: restNote.color
+  }, login.token);
+  const restRead = await callRestApi(`/notes/${restNote.id}`, 'GET', null, restData.authToken);
+  assert.strictEqual(restRead.content, 'Edited over gRPC');
+
+  // Trashed over REST, trashed over gRPC
+  await callRestApi(`/notes/${restNote.id}`, 'DELETE', null, restData.authToken);
+  const trashed = await callGrpcApi(noteClient, 'getNote', { id: restNote.id }, login.token);
+  assert(trashed.note.trashedAt, 'Note trashed over REST should be trashed over gRPC');
+
+  // Deleted for good over REST, gone over gRPC
+  await callRestApi(`/notes/${restNote.id}`, 'DELETE', null, restData.authToken);
+  await assert.rejects(
+    callGrpcApi(noteClient, 'getNote', { id: restNote.id }, login.token),
+    err => err.code === grpc.status.NOT_FOUND,
+    'Note deleted over REST should be gone over gRPC'
+  );
+
+  console.log('✅ Shared Storage test passed');
+}
+
 // Test update note
 async function testUpdateNote() {
   console.log('\n=== Testing Update Note ===');
@@ -321,11 +775,11 @@ async function testUpdateNote() {
   console.log('REST Update Note Response:', JSON.stringify(restResponse, null, 2));
   
   // gRPC API call
-  const grpcResponse = await callGrpcApi(noteClient, 'updateNote', grpcUpdateData);
+  const grpcResponse = await callGrpcApi(noteClient, 'updateNote', grpcUpdateData, grpcData.authToken);
   console.log('gRPC Update Note Response:', JSON.stringify(grpcResponse, null, 2));
   
   // Check if both APIs successfully updated the note
-  if (restResponse.message === 'Note not found') {
+  if (restResponse.reason === 'NOTE_NOT_FOUND') {
     console.log('REST API could not find the note. Skipping comparison.');
   } else {
     // Compare responses
@@ -336,6 +790,1195 @@ async function testUpdateNote() {
   console.log('✅ Update Note test passed');
 }
 
+// Test that updates only change the requested fields
+async function testPartialUpdate() {
+  console.log('\n=== Testing Partial Update ===');
+
+  // Only the color is set: the note stays archived, titled and tagged
+  const restColor = await callRestApi(`/notes/${restData.noteId}`, 'PATCH', { color: '#fff475' }, restData.authToken);
+  const grpcColor = await callGrpcApi(noteClient, 'updateNote', { id: grpcData.noteId, color: '#fff475' }, grpcData.authToken);
+  compareResponses(restColor, grpcColor.note, ['title', 'content', 'archived', 'color']);
+  assert.strictEqual(grpcColor.note.archived, true, 'Unmasked default fields should be left unchanged');
+  assert.strictEqual(grpcColor.note.title, 'Updated Test Note');
+  assert.deepStrictEqual(grpcColor.note.tagIds, [grpcData.tagId]);
+  assert.deepStrictEqual(restColor.tagIds, [restData.tagId]);
+
+  // A mask can set a field back to its default value
+  const restUnarchive = await callRestApi(`/notes/${restData.noteId}?updateMask=archived`, 'PATCH', {
+    archived: false,
+    title: 'Ignored'
+  }, restData.authToken);
+  const grpcUnarchive = await callGrpcApi(noteClient, 'updateNote', {
+    id: grpcData.noteId,
+    archived: false,
+    title: 'Ignored',
+    updateMask: { paths: ['archived'] }
+  }, grpcData.authToken);
+  compareResponses(restUnarchive, grpcUnarchive.note, ['title', 'archived', 'color']);
+  assert.strictEqual(grpcUnarchive.note.archived, false);
+  assert.strictEqual(grpcUnarchive.note.title, 'Updated Test Note');
+
+  // Unknown paths are rejected
+  const { status, body } = await callRestApiWithStatus(`/notes/${restData.noteId}?updateMask=userId`, 'PATCH', {
+    userId: restData.userId
+  }, restData.authToken);
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.violations[0].field, 'updateMask');
+
+  await assert.rejects(
+    callGrpcApi(noteClient, 'updateNote', { id: grpcData.noteId, updateMask: { paths: ['userId'] } }, grpcData.authToken),
+    err => err.code === grpc.status.INVALID_ARGUMENT
+  );
+
+  console.log('✅ Partial Update test passed');
+}
+
+// Test checklist notes and their items
+async function testChecklist() {
+  console.log('\n=== Testing Checklist ===');
+
+  const texts = (note) => note.items.map(item => `${item.checked ? 'x' : ' '}${item.indent}${item.text}`);
+
+  // Lines of content become items; checked ones go last
+  const content = '- [ ] Milk\n- [x] Eggs\n  - [ ] Oat milk\nBread';
+  const restNote = await callRestApi('/notes', 'POST', {
+    title: 'Shopping', content, type: 'CHECKLIST', checkedItemsLast: true
+  }, restData.authToken);
+  const grpcNote = (await callGrpcApi(noteClient, 'createNote', {
+    title: 'Shopping', content, type: 'CHECKLIST', checkedItemsLast: true
+  }, grpcData.authToken)).note;
+  compareResponses(restNote, grpcNote, ['title', 'content', 'type', 'checkedItemsLast']);
+  assert.deepStrictEqual(texts(grpcNote), [' 0Milk', ' 1Oat milk', ' 0Bread', 'x0Eggs']);
+  assert.deepStrictEqual(texts(restNote), texts(grpcNote));
+
+  const itemId = (note, text) => note.items.find(item => item.text === text).id;
+
+  // Add an item before another one
+  const restAdded = await callRestApi(`/notes/${restNote.id}/items`, 'POST', {
+    text: 'Butter', beforeItemId: itemId(restNote, 'Bread')
+  }, restData.authToken);
+  const grpcAdded = (await callGrpcApi(noteClient, 'addChecklistItem', {
+    noteId: grpcNote.id, text: 'Butter', beforeItemId: itemId(grpcNote, 'Bread')
+  }, grpcData.authToken)).note;
+  assert.deepStrictEqual(texts(grpcAdded), [' 0Milk', ' 1Oat milk', ' 0Butter', ' 0Bread', 'x0Eggs']);
+  assert.deepStrictEqual(texts(restAdded), texts(grpcAdded));
+
+  // Checking an item moves it among the checked ones
+  const restChecked = await callRestApi(`/notes/${restNote.id}/items/${itemId(restNote, 'Milk')}/check`, 'POST', null, restData.authToken);
+  const grpcChecked = (await callGrpcApi(noteClient, 'checkChecklistItem', {
+    noteId: grpcNote.id, itemId: itemId(grpcNote, 'Milk'), checked: true
+  }, grpcData.authToken)).note;
+  assert.deepStrictEqual(texts(grpcChecked), [' 1Oat milk', ' 0Butter', ' 0Bread', 'x0Milk', 'x0Eggs']);
+  assert.deepStrictEqual(texts(restChecked), texts(grpcChecked));
+
+  // Edit, move and remove items
+  const restEdited = await callRestApi(`/notes/${restNote.id}/items/${itemId(restNote, 'Oat milk')}`, 'PATCH', {
+    text: 'Soy milk', indent: 0
+  }, restData.authToken);
+  const grpcEdited = (await callGrpcApi(noteClient, 'updateChecklistItem', {
+    noteId: grpcNote.id, itemId: itemId(grpcNote, 'Oat milk'), text: 'Soy milk', indent: 0, updateMask: { paths: ['text', 'indent'] }
+  }, grpcData.authToken)).note;
+  assert.deepStrictEqual(texts(restEdited), texts(grpcEdited));
+
+  const restMoved = await callRestApi(`/notes/${restNote.id}/items/${itemId(restEdited, 'Soy milk')}/move`, 'POST', {}, restData.authToken);
+  const grpcMoved = (await callGrpcApi(noteClient, 'moveChecklistItem', {
+    noteId: grpcNote.id, itemId: itemId(grpcEdited, 'Soy milk')
+  }, grpcData.authToken)).note;
+  assert.deepStrictEqual(texts(grpcMoved), [' 0Butter', ' 0Bread', ' 0Soy milk', 'x0Milk', 'x0Eggs']);
+  assert.deepStrictEqual(texts(restMoved), texts(grpcMoved));
+
+  const restRemoved = await callRestApi(`/notes/${restNote.id}/items/${itemId(restNote, 'Bread')}`, 'DELETE', null, restData.authToken);
+  const grpcRemoved = (await callGrpcApi(noteClient, 'removeChecklistItem', {
+    noteId: grpcNote.id, itemId: itemId(grpcNote, 'Bread')
+  }, grpcData.authToken)).note;
+  assert.deepStrictEqual(texts(grpcRemoved), [' 0Butter', ' 0Soy milk', 'x0Milk', 'x0Eggs']);
+  assert.deepStrictEqual(texts(restRemoved), texts(grpcRemoved));
+
+  // Turning checkedItemsLast off keeps the current order
+  const restUnordered = await callRestApi(`/notes/${restNote.id}`, 'PATCH', { checkedItemsLast: false }, restData.authToken);
+  const grpcUnordered = (await callGrpcApi(noteClient, 'updateNote', {
+    id: grpcNote.id, checkedItemsLast: false, updateMask: { paths: ['checkedItemsLast'] }
+  }, grpcData.authToken)).note;
+  compareResponses(restUnordered, grpcUnordered, ['checkedItemsLast']);
+  assert.strictEqual(grpcUnordered.checkedItemsLast, false);
+
+  // A checklist converts to a Markdown task list and back
+  const expectedText = '- [ ] Butter\n- [ ] Soy milk\n- [x] Milk\n- [x] Eggs';
+  const restText = await callRestApi(`/notes/${restNote.id}/convert`, 'POST', { type: 'TEXT' }, restData.authToken);
+  const grpcText = (await callGrpcApi(noteClient, 'convertNote', { id: grpcNote.id, type: 'TEXT' }, grpcData.authToken)).note;
+  compareResponses(restText, grpcText, ['type', 'content']);
+  assert.strictEqual(grpcText.content, expectedText);
+  assert.deepStrictEqual(grpcText.items, []);
+
+  const restBack = await callRestApi(`/notes/${restNote.id}/convert`, 'POST', { type: 'CHECKLIST' }, restData.authToken);
+  const grpcBack = (await callGrpcApi(noteClient, 'convertNote', { id: grpcNote.id, type: 'CHECKLIST' }, grpcData.authToken)).note;
+  assert.deepStrictEqual(texts(grpcBack), [' 0Butter', ' 0Soy milk', 'x0Milk', 'x0Eggs']);
+  assert.deepStrictEqual(texts(restBack), texts(grpcBack));
+  assert.strictEqual(grpcBack.content, '');
+
+  // Unknown items are not found
+  const missing = await callRestApiWithStatus(`/notes/${restNote.id}/items/missing`, 'DELETE', null, restData.authToken);
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual(missing.body.reason, 'ITEM_NOT_FOUND');
+
+  // Item operations need a checklist
+  await callRestApi(`/notes/${restNote.id}/convert`, 'POST', { type: 'TEXT' }, restData.authToken);
+  await callGrpcApi(noteClient, 'convertNote', { id: grpcNote.id, type: 'TEXT' }, grpcData.authToken);
+
+  const { status, body } = await callRestApiWithStatus(`/notes/${restNote.id}/items`, 'POST', { text: 'Tea' }, restData.authToken);
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.reason, 'NOT_A_CHECKLIST');
+
+  await assert.rejects(
+    callGrpcApi(noteClient, 'addChecklistItem', { noteId: grpcNote.id, text: 'Tea' }, grpcData.authToken),
+    err => err.code === grpc.status.FAILED_PRECONDITION && decodeErrorDetails(err.metadata).reason === 'NOT_A_CHECKLIST'
+  );
+
+  await callRestApi(`/notes/${restNote.id}`, 'DELETE', null, restData.authToken);
+  await callGrpcApi(noteClient, 'deleteNote', { id: grpcNote.id }, grpcData.authToken);
+
+  console.log('✅ Checklist test passed');
+}
+
+// Test pinning and manual ordering
+async function testNoteOrder() {
+  console.log('\n=== Testing Note Order ===');
+
+  const titles = ['First', 'Second', 'Third'];
+  const restIds = {};
+  const grpcIds = {};
+  for (const title of titles) {
+    restIds[title] = (await callRestApi('/notes', 'POST', { title }, restData.authToken)).id;
+    grpcIds[title] = (await callGrpcApi(noteClient, 'createNote', { title }, grpcData.authToken)).note.id;
+  }
+
+  // Titles of the test notes in list order
+  const restOrder = async () => {
+    const { notes } = await callRestApi('/notes', 'GET', null, restData.authToken);
+    return notes.filter(note => titles.includes(note.title)).map(note => note.title);
+  };
+  const grpcOrder = async () => {
+    const { notes } = await callGrpcApi(noteClient, 'getNotes', {}, grpcData.authToken);
+    return notes.filter(note => titles.includes(note.title)).map(note => note.title);
+  };
+  const restMove = (title, position) => callRestApi(`/notes/${restIds[title]}/move`, 'POST', position, restData.authToken);
+  const grpcMove = (title, position) => callGrpcApi(noteClient, 'moveNote', { id: grpcIds[title], ...position }, grpcData.authToken);
+
+  // New notes go last
+  assert.deepStrictEqual(await restOrder(), titles);
+  assert.deepStrictEqual(await grpcOrder(), titles);
+
+  const restMoved = await restMove('Third', { beforeNoteId: restIds.First });
+  const grpcMoved = (await grpcMove('Third', { beforeNoteId: grpcIds.First })).note;
+  compareResponses(restMoved, grpcMoved, ['title', 'pinned']);
+  assert.deepStrictEqual(await restOrder(), ['Third', 'First', 'Second']);
+  assert.deepStrictEqual(await grpcOrder(), ['Third', 'First', 'Second']);
+
+  // Repeatedly moving notes into the same gap keeps the order exact
+  for (let i = 0; i < 30; i++) {
+    const title = i % 2 ? 'Second' : 'Third';
+    await restMove(title, { afterNoteId: restIds.First });
+    await grpcMove(title, { afterNoteId: grpcIds.First });
+  }
+  assert.deepStrictEqual(await restOrder(), ['First', 'Second', 'Third']);
+  assert.deepStrictEqual(await grpcOrder(), ['First', 'Second', 'Third']);
+
+  // Concurrent moves leave a consistent order
+  await Promise.all([...Array(10).keys()].map(i => i % 2
+    ? restMove('Second', { beforeNoteId: restIds.First })
+    : grpcMove('Third', { beforeNoteId: grpcIds.First })));
+  const { notes } = await callRestApi('/notes', 'GET', null, restData.authToken);
+  const positions = notes.filter(note => !note.pinned).map(note => note.position);
+  assert.deepStrictEqual(positions, [...positions].sort((a, b) => a - b));
+  assert.strictEqual(new Set(positions).size, positions.length, 'Positions should be distinct');
+  assert.deepStrictEqual(await restOrder(), ['Second', 'First', 'Third']);
+  assert.deepStrictEqual(await grpcOrder(), ['Third', 'First', 'Second']);
+
+  // Pinned notes come first; a note moved among them is pinned too
+  const restPinned = await callRestApi(`/notes/${restIds.Third}`, 'PATCH', { pinned: true }, restData.authToken);
+  const grpcPinned = (await callGrpcApi(noteClient, 'updateNote', { id: grpcIds.Second, pinned: true }, grpcData.authToken)).note;
+  compareResponses(restPinned, grpcPinned, ['pinned']);
+  assert.strictEqual((await callRestApi('/notes', 'GET', null, restData.authToken)).notes[0].id, restIds.Third);
+  assert.strictEqual((await callGrpcApi(noteClient, 'getNotes', {}, grpcData.authToken)).notes[0].id, grpcIds.Second);
+
+  const restJoined = await restMove('First', { afterNoteId: restIds.Third });
+  const grpcJoined = (await grpcMove('First', { afterNoteId: grpcIds.Second })).note;
+  compareResponses(restJoined, grpcJoined, ['pinned']);
+  assert.strictEqual(grpcJoined.pinned, true);
+  assert.deepStrictEqual(await restOrder(), ['Third', 'First', 'Second']);
+  assert.deepStrictEqual(await grpcOrder(), ['Second', 'First', 'Third']);
+
+  // Exactly one neighbour is required
+  const { status, body } = await callRestApiWithStatus(`/notes/${restIds.First}/move`, 'POST', {
+    beforeNoteId: restIds.Second, afterNoteId: restIds.Third
+  }, restData.authToken);
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.violations.length, 2);
+
+  await assert.rejects(
+    grpcMove('First', {}),
+    err => err.code === grpc.status.INVALID_ARGUMENT
+  );
+
+  for (const title of titles) {
+    await callRestApi(`/notes/${restIds[title]}`, 'DELETE', null, restData.authToken);
+    await callGrpcApi(noteClient, 'deleteNote', { id: grpcIds[title] }, grpcData.authToken);
+  }
+
+  console.log('✅ Note Order test passed');
+}
+
+// Test reminders: scheduling, firing to connected clients and updates
+async function testReminders() {
+  console.log('\n=== Testing Reminders ===');
+
+  const restNote = await callRestApi('/notes', 'POST', { title: 'Call the dentist' }, restData.authToken);
+  const grpcNote = (await callGrpcApi(noteClient, 'createNote', { title: 'Call the dentist' }, grpcData.authToken)).note;
+
+  const stream = await openEventStream(`/events?access_token=${restData.authToken}`);
+  const watch = await openWatch(reminderClient, 'watchReminders', {}, grpcData.authToken);
+
+  // Daily reminders due in a moment, in UTC so that the expected
+  // occurrences don't depend on daylight saving time
+  const soon = () => new Date(Date.now() + 1500).toISOString();
+  const recurrence = { frequency: 'DAILY', interval: 1 };
+  const restReminder = await callRestApi('/reminders', 'POST', {
+    noteId: restNote.id, time: soon(), timezone: 'UTC', recurrence
+  }, restData.authToken);
+  const grpcReminder = (await callGrpcApi(reminderClient, 'createReminder', {
+    noteId: grpcNote.id, time: soon(), timezone: 'UTC', recurrence
+  }, grpcData.authToken)).reminder;
+  compareResponses(restReminder, grpcReminder, ['timezone', 'lastTriggeredAt', 'lastMissed']);
+  assert.deepStrictEqual(grpcReminder.recurrence, recurrence);
+  assert.strictEqual(grpcReminder.nextTriggerAt, grpcReminder.time);
+
+  // Both fire, and reach the connected clients
+  const restFired = () => stream.events.filter(event => event.event === 'reminder' && event.data.type === 'FIRED');
+  await waitFor(() => restFired().length === 1, 'reminder fired over SSE');
+  await waitFor(() => watch.events.some(event => event.type === 'FIRED'), 'reminder fired over gRPC');
+  stream.close();
+  watch.call.cancel();
+
+  const restEvent = restFired()[0].data.reminder;
+  const grpcEvent = watch.events.find(event => event.type === 'FIRED').reminder;
+  assert.strictEqual(restEvent.id, restReminder.id);
+  assert.strictEqual(grpcEvent.id, grpcReminder.id);
+  assert.strictEqual(grpcEvent.lastTriggeredAt, grpcReminder.time);
+  assert.strictEqual(grpcEvent.lastMissed, false);
+
+  // The next occurrence is a day later
+  const restList = await callRestApi(`/reminders?noteId=${restNote.id}`, 'GET', null, restData.authToken);
+  const grpcList = await callGrpcApi(reminderClient, 'getReminders', { noteId: grpcNote.id }, grpcData.authToken);
+  assert.strictEqual(restList.reminders.length, 1);
+  assert.strictEqual(grpcList.reminders.length, 1);
+  const day = 24 * 60 * 60 * 1000;
+  assert.strictEqual(Date.parse(grpcList.reminders[0].nextTriggerAt), Date.parse(grpcReminder.time) + day);
+  assert.strictEqual(Date.parse(restList.reminders[0].nextTriggerAt), Date.parse(restReminder.time) + day);
+
+  // Changing the recurrence schedules the reminder afresh
+  const weekly = { frequency: 'WEEKLY', interval: 2 };
+  const restUpdated = await callRestApi(`/reminders/${restReminder.id}`, 'PATCH', { recurrence: weekly }, restData.authToken);
+  const grpcUpdated = (await callGrpcApi(reminderClient, 'updateReminder', {
+    id: grpcReminder.id, recurrence: weekly, updateMask: { paths: ['recurrence'] }
+  }, grpcData.authToken)).reminder;
+  assert.deepStrictEqual(restUpdated.recurrence, weekly);
+  assert.deepStrictEqual(grpcUpdated.recurrence, weekly);
+  assert.strictEqual(Date.parse(grpcUpdated.nextTriggerAt), Date.parse(grpcReminder.time) + 14 * day);
+
+  // Invalid reminders
+  const past = await callRestApiWithStatus('/reminders', 'POST', {
+    noteId: restNote.id, time: '2020-01-01T09:00:00Z'
+  }, restData.authToken);
+  assert.strictEqual(past.status, 400);
+  assert.strictEqual(past.body.violations[0].field, 'time');
+
+  const missingNote = await callRestApiWithStatus('/reminders', 'POST', {
+    noteId: 'missing', time: soon()
+  }, restData.authToken);
+  assert.strictEqual(missingNote.status, 404);
+  assert.strictEqual(missingNote.body.reason, 'NOTE_NOT_FOUND');
+
+  await assert.rejects(
+    callGrpcApi(reminderClient, 'createReminder', { noteId: grpcNote.id, time: '2030-01-01T09:00:00' }, grpcData.authToken),
+    err => err.code === grpc.status.INVALID_ARGUMENT
+  );
+
+  // Delete the reminders, then the notes
+  const restDeleted = await callRestApi(`/reminders/${restReminder.id}`, 'DELETE', null, restData.authToken);
+  const grpcDeleted = await callGrpcApi(reminderClient, 'deleteReminder', { id: grpcReminder.id }, grpcData.authToken);
+  compareResponses(restDeleted, grpcDeleted, ['message']);
+
+  await callRestApi(`/notes/${restNote.id}`, 'DELETE', null, restData.authToken);
+  await callGrpcApi(noteClient, 'deleteNote', { id: grpcNote.id }, grpcData.authToken);
+
+  console.log('✅ Reminders test passed');
+}
+
+// Test the trash: trashed notes leave listings and search, can be restored,
+// and can't be edited while trashed
+async function testTrash() {
+  console.log('\n=== Testing Trash ===');
+
+  const restNote = await callRestApi('/notes', 'POST', { title: 'Old receipt', content: 'trashable' }, restData.authToken);
+  const grpcNote = (await callGrpcApi(noteClient, 'createNote', { title: 'Old receipt', content: 'trashable' }, grpcData.authToken)).note;
+
+  const restTrashed = await callRestApi(`/notes/${restNote.id}`, 'DELETE', null, restData.authToken);
+  const grpcTrashed = await callGrpcApi(noteClient, 'deleteNote', { id: grpcNote.id }, grpcData.authToken);
+  compareResponses(restTrashed, grpcTrashed, ['message']);
+  assert.strictEqual(grpcTrashed.message, 'Note moved to trash');
+
+  // Gone from listings and search, listed in the trash
+  const restNotes = await callRestApi('/notes?pageSize=100', 'GET', null, restData.authToken);
+  const grpcNotes = await callGrpcApi(noteClient, 'getNotes', { pageSize: 100 }, grpcData.authToken);
+  assert(!restNotes.notes.some(note => note.id === restNote.id));
+  assert(!grpcNotes.notes.some(note => note.id === grpcNote.id));
+
+  const restSearch = await callRestApi('/notes/search?query=trashable', 'GET', null, restData.authToken);
+  const grpcSearch = await callGrpcApi(noteClient, 'searchNotes', { query: 'trashable' }, grpcData.authToken);
+  assert.strictEqual(restSearch.results.length, 0);
+  assert.strictEqual(grpcSearch.results.length, 0);
+
+  const restTrash = await callRestApi('/trash', 'GET', null, restData.authToken);
+  const grpcTrash = await callGrpcApi(noteClient, 'listTrash', {}, grpcData.authToken);
+  // Most recently trashed first
+  assert.strictEqual(restTrash.notes[0].id, restNote.id);
+  assert.strictEqual(grpcTrash.notes[0].id, grpcNote.id);
+  assert(restTrash.notes[0].trashedAt);
+  assert(grpcTrash.notes[0].trashedAt);
+
+  // Trashed notes can't be edited
+  const restEdit = await callRestApiWithStatus(`/notes/${restNote.id}`, 'PATCH', { title: 'Edited' }, restData.authToken);
+  assert.strictEqual(restEdit.status, 400);
+  assert.strictEqual(restEdit.body.reason, 'NOTE_TRASHED');
+  await assert.rejects(
+    callGrpcApi(noteClient, 'updateNote', { id: grpcNote.id, title: 'Edited', updateMask: { paths: ['title'] } }, grpcData.authToken),
+    err => err.code === grpc.status.FAILED_PRECONDITION
+  );
+
+  // Restoring brings them back
+  const restRestored = await callRestApi(`/notes/${restNote.id}/restore`, 'POST', null, restData.authToken);
+  const grpcRestored = (await callGrpcApi(noteClient, 'restoreNote', { id: grpcNote.id }, grpcData.authToken)).note;
+  compareResponses(restRestored, grpcRestored, ['title', 'content', 'trashedAt']);
+  assert.strictEqual(grpcRestored.trashedAt, '');
+
+  const restFound = await callRestApi('/notes/search?query=trashable', 'GET', null, restData.authToken);
+  assert.deepStrictEqual(restFound.results.map(result => result.note.id), [restNote.id]);
+
+  const notTrashed = await callRestApiWithStatus(`/notes/${restNote.id}/restore`, 'POST', null, restData.authToken);
+  assert.strictEqual(notTrashed.status, 404);
+
+  // Emptying the trash deletes its notes for good
+  await callRestApi(`/notes/${restNote.id}`, 'DELETE', null, restData.authToken);
+  await callGrpcApi(noteClient, 'deleteNote', { id: grpcNote.id }, grpcData.authToken);
+  const restEmptied = await callRestApi('/trash', 'DELETE', null, restData.authToken);
+  const grpcEmptied = await callGrpcApi(noteClient, 'emptyTrash', {}, grpcData.authToken);
+  compareResponses(restEmptied, grpcEmptied, ['message']);
+  assert(restEmptied.deletedCount >= 1);
+  assert(grpcEmptied.deletedCount >= 1);
+
+  const gone = await callRestApiWithStatus(`/notes/${restNote.id}`, 'GET', null, restData.authToken);
+  assert.strictEqual(gone.status, 404);
+  assert.strictEqual((await callGrpcApi(noteClient, 'listTrash', {}, grpcData.authToken)).notes.length, 0);
+
+  console.log('✅ Trash test passed');
+}
+
+// Test sharing a note owned by the REST user with the gRPC user, who uses
+// it over both APIs
+async function testSharing() {
+  console.log('\n=== Testing Sharing ===');
+
+  const owner = await callGrpcApi(authClient, 'login', testUser);
+  const note = await callRestApi('/notes', 'POST', {
+    title: 'Trip plan', content: 'Book the ferry', tagIds: [restData.tagId]
+  }, restData.authToken);
+
+  const watch = await openWatch(noteClient, 'watchNotes', {}, grpcData.authToken);
+
+  // Shared as a viewer by default
+  const shared = await callRestApiWithStatus(`/notes/${note.id}/collaborators`, 'POST', {
+    username: grpcTestUser.username
+  }, restData.authToken);
+  assert.strictEqual(shared.status, 201);
+  assert.deepStrictEqual(
+    [shared.body.userId, shared.body.username, shared.body.role],
+    [grpcData.userId, grpcTestUser.username, 'VIEWER']
+  );
+  await waitFor(() => watch.events.some(event => event.type === 'SHARED'), 'note shared over gRPC');
+
+  const grpcShared = await callGrpcApi(noteClient, 'listSharedWithMe', {}, grpcData.authToken);
+  assert.deepStrictEqual(grpcShared.notes.map(({ note, role }) => [note.id, role]), [[note.id, 'VIEWER']]);
+  assert.deepStrictEqual(grpcShared.notes[0].note.tagIds, [], 'The owner\'s tags should stay theirs');
+  const restShared = await callRestApi('/shared', 'GET', null, grpcData.authToken);
+  assert.deepStrictEqual(restShared.notes.map(({ note, role }) => [note.id, role]), [[note.id, 'VIEWER']]);
+
+  // Viewers can read but not change the note
+  const read = await callGrpcApi(noteClient, 'getNote', { id: note.id }, grpcData.authToken);
+  assert.strictEqual(read.note.content, 'Book the ferry');
+  const restRead = await callRestApiWithStatus(`/notes/${note.id}`, 'GET', null, grpcData.authToken);
+  assert.strictEqual(restRead.status, 200);
+
+  const restEdit = await callRestApiWithStatus(`/notes/${note.id}`, 'PATCH', { content: 'Edited' }, grpcData.authToken);
+  assert.strictEqual(restEdit.status, 403);
+  assert.strictEqual(restEdit.body.reason, 'NOTE_READ_ONLY');
+  await assert.rejects(
+    callGrpcApi(noteClient, 'updateNote', { id: note.id, content: 'Edited' }, grpcData.authToken),
+    err => err.code === grpc.status.PERMISSION_DENIED
+  );
+
+  // Made an editor, they can
+  const promoted = await callGrpcApi(noteClient, 'updateCollaborator', {
+    id: note.id, userId: grpcData.userId, role: 'EDITOR'
+  }, owner.token);
+  assert.strictEqual(promoted.collaborator.role, 'EDITOR');
+
+  await callGrpcApi(noteClient, 'updateNote', { id: note.id, content: 'Book the ferry and the hotel' }, grpcData.authToken);
+  const ownerRead = await callRestApi(`/notes/${note.id}`, 'GET', null, restData.authToken);
+  assert.strictEqual(ownerRead.content, 'Book the ferry and the hotel');
+
+  // Tags stay personal
+  const tagged = await callRestApi(`/notes/${note.id}`, 'PATCH', { tagIds: [grpcData.tagId] }, grpcData.authToken);
+  assert.deepStrictEqual(tagged.tagIds, [grpcData.tagId]);
+  assert.deepStrictEqual((await callRestApi(`/notes/${note.id}`, 'GET', null, restData.authToken)).tagIds, [restData.tagId]);
+
+  // Only the owner can trash, pin or share the note
+  const trash = await callRestApiWithStatus(`/notes/${note.id}`, 'DELETE', null, grpcData.authToken);
+  assert.strictEqual(trash.status, 403);
+  assert.strictEqual(trash.body.reason, 'NOT_NOTE_OWNER');
+  await assert.rejects(
+    callGrpcApi(noteClient, 'updateNote', { id: note.id, pinned: true }, grpcData.authToken),
+    err => err.code === grpc.status.PERMISSION_DENIED
+  );
+  await assert.rejects(
+    callGrpcApi(noteClient, 'shareNote', { id: note.id, username: testUser.username }, grpcData.authToken),
+    err => err.code === grpc.status.PERMISSION_DENIED
+  );
+
+  // Both APIs list the same collaborators, owner first
+  const restCollaborators = await callRestApi(`/notes/${note.id}/collaborators`, 'GET', null, grpcData.authToken);
+  const grpcCollaborators = await callGrpcApi(noteClient, 'getCollaborators', { id: note.id }, owner.token);
+  assert.deepStrictEqual(restCollaborators.collaborators, grpcCollaborators.collaborators);
+  assert.deepStrictEqual(grpcCollaborators.collaborators.map(({ username, role }) => [username, role]), [
+    [testUser.username, 'OWNER'],
+    [grpcTestUser.username, 'EDITOR']
+  ]);
+
+  // Invalid shares
+  const again = await callRestApiWithStatus(`/notes/${note.id}/collaborators`, 'POST', {
+    username: grpcTestUser.username
+  }, restData.authToken);
+  assert.strictEqual(again.status, 409);
+  assert.strictEqual(again.body.reason, 'ALREADY_SHARED');
+
+  const unknown = await callRestApiWithStatus(`/notes/${note.id}/collaborators`, 'POST', {
+    username: 'nobody_here'
+  }, restData.authToken);
+  assert.strictEqual(unknown.status, 404);
+  assert.strictEqual(unknown.body.reason, 'USER_NOT_FOUND');
+
+  // Once access is revoked the note is gone for them
+  const removed = await callRestApi(`/notes/${note.id}/collaborators/${grpcData.userId}`, 'DELETE', null, restData.authToken);
+  assert.strictEqual(removed.message, 'Collaborator removed successfully');
+  await waitFor(() => watch.events.some(event => event.type === 'UNSHARED'), 'note unshared over gRPC');
+  watch.call.cancel();
+
+  await assert.rejects(
+    callGrpcApi(noteClient, 'getNote', { id: note.id }, grpcData.authToken),
+    err => err.code === grpc.status.NOT_FOUND
+  );
+  const denied = await callRestApiWithStatus(`/notes/${note.id}`, 'GET', null, grpcData.authToken);
+  assert.strictEqual(denied.status, 403);
+  assert.strictEqual((await callGrpcApi(noteClient, 'listSharedWithMe', {}, grpcData.authToken)).notes.length, 0);
+
+  await callRestApi(`/notes/${note.id}`, 'DELETE', null, restData.authToken);
+  await callRestApi(`/notes/${note.id}`, 'DELETE', null, restData.authToken);
+
+  console.log('✅ Sharing test passed');
+}
+
+// Test revision history: listing, reading, diffing and reverting
+async function testRevisions() {
+  console.log('\n=== Testing Revisions ===');
+
+  const restNote = await callRestApi('/notes', 'POST', { title: 'Recipe', content: 'flour\nsugar' }, restData.authToken);
+  const grpcNote = (await callGrpcApi(noteClient, 'createNote', { title: 'Recipe', content: 'flour\nsugar' }, grpcData.authToken)).note;
+
+  await callRestApi(`/notes/${restNote.id}`, 'PATCH', { content: 'flour\nbutter' }, restData.authToken);
+  await callGrpcApi(noteClient, 'updateNote', { id: grpcNote.id, content: 'flour\nbutter' }, grpcData.authToken);
+
+  // Newest first, with the fields each change touched
+  const restList = await callRestApi(`/notes/${restNote.id}/revisions`, 'GET', null, restData.authToken);
+  const grpcList = await callGrpcApi(noteClient, 'listNoteRevisions', { id: grpcNote.id }, grpcData.authToken);
+  assert.deepStrictEqual(restList.revisions.map(revision => revision.revision), [2, 1]);
+  assert.deepStrictEqual(grpcList.revisions.map(revision => revision.revision), [2, 1]);
+  compareResponses(restList.revisions[0], grpcList.revisions[0], ['revision', 'changedFields', 'content', 'revertedFrom']);
+  assert.deepStrictEqual(grpcList.revisions[0].changedFields, ['content']);
+  assert.strictEqual(grpcList.revisions[0].authorId, grpcData.userId);
+
+  const restFirst = await callRestApi(`/notes/${restNote.id}/revisions/1`, 'GET', null, restData.authToken);
+  const grpcFirst = await callGrpcApi(noteClient, 'getNoteRevision', { id: grpcNote.id, revision: 1 }, grpcData.authToken);
+  compareResponses(restFirst, grpcFirst.revision, ['title', 'content', 'type', 'color']);
+  assert.strictEqual(grpcFirst.revision.content, 'flour\nsugar');
+
+  // The diff against the latest revision
+  const restDiff = await callRestApi(`/notes/${restNote.id}/diff?from=1`, 'GET', null, restData.authToken);
+  const grpcDiff = await callGrpcApi(noteClient, 'diffNoteRevisions', { id: grpcNote.id, fromRevision: 1 }, grpcData.authToken);
+  compareResponses(restDiff, grpcDiff, ['fromRevision', 'toRevision', 'changedFields', 'lines']);
+  assert.deepStrictEqual(grpcDiff.lines, [
+    { op: 'EQUAL', text: 'Recipe' },
+    { op: 'EQUAL', text: '' },
+    { op: 'EQUAL', text: 'flour' },
+    { op: 'DELETE', text: 'sugar' },
+    { op: 'INSERT', text: 'butter' }
+  ]);
+
+  // Reverting brings back the old text as a new revision
+  const restReverted = await callRestApi(`/notes/${restNote.id}/revert`, 'POST', { revision: 1 }, restData.authToken);
+  const grpcReverted = (await callGrpcApi(noteClient, 'revertNote', { id: grpcNote.id, revision: 1 }, grpcData.authToken)).note;
+  compareResponses(restReverted, grpcReverted, ['title', 'content']);
+  assert.strictEqual(grpcReverted.content, 'flour\nsugar');
+  const latest = await callGrpcApi(noteClient, 'getNoteRevision', { id: grpcNote.id, revision: 3 }, grpcData.authToken);
+  assert.strictEqual(latest.revision.revertedFrom, 1);
+
+  // Missing and invalid revisions
+  const missing = await callRestApiWithStatus(`/notes/${restNote.id}/revisions/99`, 'GET', null, restData.authToken);
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual(missing.body.reason, 'REVISION_NOT_FOUND');
+  const invalid = await callRestApiWithStatus(`/notes/${restNote.id}/revisions/latest`, 'GET', null, restData.authToken);
+  assert.strictEqual(invalid.status, 400);
+  await assert.rejects(
+    callGrpcApi(noteClient, 'revertNote', { id: grpcNote.id, revision: 99 }, grpcData.authToken),
+    err => err.code === grpc.status.NOT_FOUND
+  );
+
+  await callRestApi(`/notes/${restNote.id}`, 'DELETE', null, restData.authToken);
+  await callGrpcApi(noteClient, 'deleteNote', { id: grpcNote.id }, grpcData.authToken);
+
+  console.log('✅ Revisions test passed');
+}
+
+// Test versions and conditional updates
+async function testConcurrency() {
+  console.log('\n=== Testing Concurrency ===');
+
+  const restNote = await callRestApiWithStatus('/notes', 'POST', { title: 'Draft' }, restData.authToken);
+  const grpcNote = (await callGrpcApi(noteClient, 'createNote', { title: 'Draft' }, grpcData.authToken)).note;
+  assert.strictEqual(restNote.body.version, 1);
+  assert.strictEqual(restNote.etag, '"1"');
+  assert.strictEqual(grpcNote.version, 1);
+
+  // Every change bumps the version
+  const restUpdated = await callRestApiWithStatus(
+    `/notes/${restNote.body.id}`, 'PUT', { title: 'Final' }, restData.authToken, { 'If-Match': restNote.etag }
+  );
+  const grpcUpdated = (await callGrpcApi(noteClient, 'updateNote', {
+    id: grpcNote.id, title: 'Final', expectedVersion: 1
+  }, grpcData.authToken)).note;
+  assert.strictEqual(restUpdated.status, 200);
+  assert.strictEqual(restUpdated.etag, '"2"');
+  compareResponses(restUpdated.body, grpcUpdated, ['title', 'version']);
+
+  const restFetched = await callRestApiWithStatus(`/notes/${restNote.body.id}`, 'GET', null, restData.authToken);
+  assert.strictEqual(restFetched.etag, '"2"');
+
+  // A stale version is rejected and leaves the note as it was
+  const restStale = await callRestApiWithStatus(
+    `/notes/${restNote.body.id}`, 'PATCH', { title: 'Lost' }, restData.authToken, { 'If-Match': '"1"' }
+  );
+  assert.strictEqual(restStale.status, 409);
+  assert.strictEqual(restStale.body.reason, 'VERSION_MISMATCH');
+  await assert.rejects(
+    callGrpcApi(noteClient, 'updateNote', { id: grpcNote.id, title: 'Lost', expectedVersion: 1 }, grpcData.authToken),
+    err => err.code === grpc.status.ABORTED
+  );
+  const grpcFetched = await callGrpcApi(noteClient, 'getNote', { id: grpcNote.id }, grpcData.authToken);
+  assert.strictEqual(grpcFetched.note.title, 'Final');
+
+  // If-Match must be one of the API's ETags or *
+  const restInvalid = await callRestApiWithStatus(
+    `/notes/${restNote.body.id}`, 'PUT', { title: 'Lost' }, restData.authToken, { 'If-Match': 'W/"2"' }
+  );
+  assert.strictEqual(restInvalid.status, 400);
+  const restAny = await callRestApiWithStatus(
+    `/notes/${restNote.body.id}`, 'PUT', { color: '#fff475' }, restData.authToken, { 'If-Match': '*' }
+  );
+  assert.strictEqual(restAny.etag, '"3"');
+
+  // Deletes are conditional too
+  const restStaleDelete = await callRestApiWithStatus(
+    `/notes/${restNote.body.id}`, 'DELETE', null, restData.authToken, { 'If-Match': '"2"' }
+  );
+  assert.strictEqual(restStaleDelete.status, 409);
+  const restDeleted = await callRestApiWithStatus(
+    `/notes/${restNote.body.id}`, 'DELETE', null, restData.authToken, { 'If-Match': '"3"' }
+  );
+  assert.strictEqual(restDeleted.status, 200);
+  await assert.rejects(
+    callGrpcApi(noteClient, 'deleteNote', { id: grpcNote.id, expectedVersion: 1 }, grpcData.authToken),
+    err => err.code === grpc.status.ABORTED
+  );
+  await callGrpcApi(noteClient, 'deleteNote', { id: grpcNote.id, expectedVersion: 2 }, grpcData.authToken);
+
+  // Tags
+  const restTag = await callRestApiWithStatus('/tags', 'POST', { name: 'Versioned' }, restData.authToken);
+  const grpcTag = (await callGrpcApi(tagClient, 'createTag', { name: 'Versioned' }, grpcData.authToken)).tag;
+  assert.strictEqual(restTag.etag, '"1"');
+  const restRenamed = await callRestApiWithStatus(
+    `/tags/${restTag.body.id}`, 'PUT', { name: 'Renamed' }, restData.authToken, { 'If-Match': '"1"' }
+  );
+  const grpcRenamed = (await callGrpcApi(tagClient, 'updateTag', {
+    id: grpcTag.id, name: 'Renamed', expectedVersion: 1
+  }, grpcData.authToken)).tag;
+  compareResponses(restRenamed.body, grpcRenamed, ['name', 'version']);
+  assert.strictEqual(grpcRenamed.version, 2);
+
+  const restStaleTag = await callRestApiWithStatus(
+    `/tags/${restTag.body.id}`, 'DELETE', null, restData.authToken, { 'If-Match': '"1"' }
+  );
+  assert.strictEqual(restStaleTag.status, 409);
+  await assert.rejects(
+    callGrpcApi(tagClient, 'deleteTag', { id: grpcTag.id, expectedVersion: 1 }, grpcData.authToken),
+    err => err.code === grpc.status.ABORTED
+  );
+  await callRestApi(`/tags/${restTag.body.id}`, 'DELETE', null, restData.authToken);
+  await callGrpcApi(tagClient, 'deleteTag', { id: grpcTag.id, expectedVersion: 2 }, grpcData.authToken);
+
+  console.log('✅ Concurrency test passed');
+}
+
+// Test batch operations
+async function testBatch() {
+  console.log('\n=== Testing Batch ===');
+
+  const create = async () => [
+    (await callRestApi('/notes', 'POST', { title: 'Selected' }, restData.authToken)).id,
+    (await callGrpcApi(noteClient, 'createNote', { title: 'Selected' }, grpcData.authToken)).note.id
+  ];
+  const [restFirst, grpcFirst] = await create();
+  const [restSecond, grpcSecond] = await create();
+  const restIds = [restFirst, restSecond, 'missing'];
+  const grpcIds = [grpcFirst, grpcSecond, 'missing'];
+  const outcomes = (response) => response.results.map(result => [result.success, result.error ? result.error.reason : '']);
+
+  // Per-note results, in order; missing notes fail without failing the rest
+  const restArchived = await callRestApi('/notes:batch', 'POST', { ids: restIds, operation: 'ARCHIVE' }, restData.authToken);
+  const grpcArchived = await callGrpcApi(noteClient, 'batchUpdateNotes', { ids: grpcIds, operation: 'ARCHIVE' }, grpcData.authToken);
+  assert.deepStrictEqual(outcomes(restArchived), [[true, ''], [true, ''], [false, 'NOTE_NOT_FOUND']]);
+  assert.deepStrictEqual(outcomes(grpcArchived), outcomes(restArchived));
+  compareResponses(restArchived.results[0].note, grpcArchived.results[0].note, ['archived', 'version']);
+  assert.strictEqual(grpcArchived.results[2].error.code, 'NOT_FOUND');
+
+  const restColored = await callRestApi('/notes:batch', 'POST', {
+    ids: restIds.slice(0, 2), operation: 'SET_COLOR', color: '#fbbc04'
+  }, restData.authToken);
+  const grpcColored = await callGrpcApi(noteClient, 'batchUpdateNotes', {
+    ids: grpcIds.slice(0, 2), operation: 'SET_COLOR', color: '#fbbc04'
+  }, grpcData.authToken);
+  assert(restColored.results.every(result => result.note.color === '#fbbc04'));
+  assert(grpcColored.results.every(result => result.note.color === '#fbbc04'));
+
+  const tag = (await callGrpcApi(tagClient, 'createTag', { name: 'Batched' }, grpcData.authToken)).tag;
+  await callGrpcApi(noteClient, 'batchUpdateNotes', { ids: [grpcFirst], operation: 'ADD_TAGS', tagIds: [tag.id] }, grpcData.authToken);
+  const grpcTagged = await callGrpcApi(noteClient, 'batchUpdateNotes', {
+    ids: [grpcFirst, grpcSecond], operation: 'ADD_TAGS', tagIds: [tag.id]
+  }, grpcData.authToken);
+  assert.deepStrictEqual(grpcTagged.results.map(result => result.note.tagIds), [[tag.id], [tag.id]]);
+  const grpcUntagged = await callGrpcApi(noteClient, 'batchUpdateNotes', {
+    ids: [grpcFirst], operation: 'REMOVE_TAGS', tagIds: [tag.id]
+  }, grpcData.authToken);
+  assert.deepStrictEqual(grpcUntagged.results[0].note.tagIds, []);
+
+  // Invalid batches fail as a whole
+  const invalid = await callRestApiWithStatus('/notes:batch', 'POST', { ids: restIds, operation: 'EXPLODE' }, restData.authToken);
+  assert.strictEqual(invalid.status, 400);
+  const empty = await callRestApiWithStatus('/notes:batch', 'POST', { ids: [], operation: 'PIN' }, restData.authToken);
+  assert.strictEqual(empty.status, 400);
+  await assert.rejects(
+    callGrpcApi(noteClient, 'batchUpdateNotes', { ids: grpcIds }, grpcData.authToken),
+    err => err.code === grpc.status.INVALID_ARGUMENT
+  );
+  await assert.rejects(
+    callGrpcApi(noteClient, 'batchUpdateNotes', { ids: grpcIds, operation: 'SET_COLOR' }, grpcData.authToken),
+    err => err.code === grpc.status.INVALID_ARGUMENT
+  );
+
+  // Deleting moves notes to the trash, then deletes them for good
+  const restTrashed = await callRestApi('/notes:batch', 'POST', { ids: restIds, operation: 'DELETE' }, restData.authToken);
+  const grpcTrashed = await callGrpcApi(noteClient, 'batchDeleteNotes', { ids: grpcIds }, grpcData.authToken);
+  assert.deepStrictEqual(outcomes(grpcTrashed), outcomes(restTrashed));
+  assert(grpcTrashed.results[0].note.trashedAt);
+
+  const restDeleted = await callRestApi('/notes:batch', 'POST', { ids: restIds.slice(0, 2), operation: 'DELETE' }, restData.authToken);
+  const grpcDeleted = await callGrpcApi(noteClient, 'batchDeleteNotes', { ids: grpcIds.slice(0, 2) }, grpcData.authToken);
+  assert(restDeleted.results.every(result => result.success && !result.note));
+  assert(grpcDeleted.results.every(result => result.success && !result.note));
+  const gone = await callRestApiWithStatus(`/notes/${restFirst}`, 'GET', null, restData.authToken);
+  assert.strictEqual(gone.status, 404);
+
+  await callGrpcApi(tagClient, 'deleteTag', { id: tag.id }, grpcData.authToken);
+
+  console.log('✅ Batch test passed');
+}
+
+// Stream files to ImportNotes in chunks of chunkSize bytes
+function importOverGrpc(files, token, chunkSize = 16) {
+  const metadata = new grpc.Metadata();
+  metadata.add('authorization', `Bearer ${token}`);
+
+  return new Promise((resolve, reject) => {
+    const call = noteClient.importNotes(metadata, (err, response) => (err ? reject(err) : resolve(response)));
+    for (const { name, data } of files) {
+      for (let offset = 0; offset < data.length; offset += chunkSize) {
+        call.write({ fileName: name, data: data.subarray(offset, offset + chunkSize) });
+      }
+    }
+    call.end();
+  });
+}
+
+// Upload files to POST /import as multipart/form-data
+async function importOverRest(files, token) {
+  const form = new FormData();
+  for (const { name, data } of files) {
+    form.append('files', new Blob([data]), name);
+  }
+
+  const response = await fetch(`${REST_API_URL}/import`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: form
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Test importing notes from other apps
+async function testImport() {
+  console.log('\n=== Testing Import ===');
+
+  const files = [
+    {
+      name: 'Takeout/Keep/Ideas.json',
+      data: Buffer.from(JSON.stringify({
+        title: 'Imported idea',
+        textContent: 'From Keep',
+        color: 'GREEN',
+        isArchived: true,
+        isPinned: false,
+        isTrashed: false,
+        createdTimestampUsec: 1690000000000000,
+        userEditedTimestampUsec: 1700000000000000,
+        labels: [{ name: 'Imported' }]
+      }))
+    },
+    { name: 'notes/plan.md', data: Buffer.from('---\ntitle: Imported plan\ntags: [Imported]\n---\nStep one') },
+    { name: 'notes/image.png', data: Buffer.from('not a note') }
+  ];
+
+  const rest = await importOverRest(files, restData.authToken);
+  const grpcResponse = await importOverGrpc(files, grpcData.authToken);
+  assert.strictEqual(rest.status, 200);
+  compareResponses(rest.body, grpcResponse, ['importedCount', 'duplicateCount', 'failedCount']);
+  assert.deepStrictEqual(
+    grpcResponse.results.map(({ fileName, status }) => [fileName, status]),
+    [['Takeout/Keep/Ideas.json', 'IMPORTED'], ['notes/plan.md', 'IMPORTED'], ['notes/image.png', 'FAILED']]
+  );
+  assert.strictEqual(grpcResponse.results[2].error.reason, 'INVALID_IMPORT_FILE');
+
+  // Imported notes keep their times, state and color, with labels as tags
+  const restIdea = await callRestApi(`/notes/${rest.body.results[0].noteId}`, 'GET', null, restData.authToken);
+  const grpcIdea = (await callGrpcApi(noteClient, 'getNote', { id: grpcResponse.results[0].noteId }, grpcData.authToken)).note;
+  compareResponses(restIdea, grpcIdea, ['title', 'content', 'createdAt', 'updatedAt', 'archived', 'color']);
+  assert.deepStrictEqual([grpcIdea.createdAt, grpcIdea.archived, grpcIdea.color], ['2023-07-22T04:26:40.000Z', true, '#ccff90']);
+  const grpcTags = (await callGrpcApi(tagClient, 'getTags', { pageSize: 1000 }, grpcData.authToken)).tags;
+  const imported = grpcTags.find(tag => tag.name === 'Imported');
+  assert.deepStrictEqual(grpcIdea.tagIds, [imported.id]);
+
+  // A second import finds duplicates
+  const again = await importOverGrpc(files.slice(0, 2), grpcData.authToken);
+  assert.deepStrictEqual([again.importedCount, again.duplicateCount], [0, 2]);
+
+  // Uploads must be multipart
+  const notMultipart = await callRestApiWithStatus('/import', 'POST', { files: [] }, restData.authToken);
+  assert.strictEqual(notMultipart.status, 400);
+
+  for (const result of rest.body.results.slice(0, 2)) {
+    await callRestApi(`/notes/${result.noteId}`, 'DELETE', null, restData.authToken);
+    await callRestApi(`/notes/${result.noteId}`, 'DELETE', null, restData.authToken);
+  }
+  for (const result of grpcResponse.results.slice(0, 2)) {
+    await callGrpcApi(noteClient, 'deleteNote', { id: result.noteId }, grpcData.authToken);
+    await callGrpcApi(noteClient, 'deleteNote', { id: result.noteId }, grpcData.authToken);
+  }
+  const restImported = (await callRestApi('/tags?pageSize=1000', 'GET', null, restData.authToken)).tags.find(tag => tag.name === 'Imported');
+  await callRestApi(`/tags/${restImported.id}`, 'DELETE', null, restData.authToken);
+  await callGrpcApi(tagClient, 'deleteTag', { id: imported.id }, grpcData.authToken);
+
+  console.log('✅ Import test passed');
+}
+
+// Download an export from ExportNotes, joining the streamed chunks
+function exportOverGrpc(request, token) {
+  const metadata = new grpc.Metadata();
+  metadata.add('authorization', `Bearer ${token}`);
+
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    const call = noteClient.exportNotes(request, metadata);
+    call.on('data', message => messages.push(message));
+    call.on('error', reject);
+    call.on('end', () => resolve({
+      fileName: messages[0]?.fileName,
+      contentType: messages[0]?.contentType,
+      chunkCount: messages.length,
+      data: Buffer.concat(messages.map(message => message.data))
+    }));
+  });
+}
+
+// Download an export from GET /export
+async function exportOverRest(query, token) {
+  const response = await fetch(`${REST_API_URL}/export?${new URLSearchParams(query)}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  return {
+    status: response.status,
+    contentType: response.headers.get('content-type'),
+    disposition: response.headers.get('content-disposition'),
+    data: Buffer.from(await response.arrayBuffer())
+  };
+}
+
+// Test exporting notes
+async function testExport() {
+  console.log('\n=== Testing Export ===');
+
+  // Both users' bundles hold their notes, which import reads back as
+  // duplicates
+  const rest = await exportOverRest({}, restData.authToken);
+  const grpcResponse = await exportOverGrpc({}, grpcData.authToken);
+  assert.strictEqual(rest.status, 200);
+  assert.match(rest.contentType, /^application\/json/);
+  assert.match(rest.disposition, /attachment; filename="notes-\d{4}-\d{2}-\d{2}\.json"/);
+  assert.deepStrictEqual([grpcResponse.contentType, rest.disposition.includes(grpcResponse.fileName)], ['application/json', true]);
+
+  const restBundle = JSON.parse(rest.data.toString('utf8'));
+  const grpcBundle = JSON.parse(grpcResponse.data.toString('utf8'));
+  compareResponses(restBundle, grpcBundle, ['format', 'version']);
+  assert.strictEqual(restBundle.notes.length, grpcBundle.notes.length);
+  assert.ok(grpcBundle.notes.some(note => note.id === grpcData.noteId));
+  const reimported = await importOverGrpc([{ name: grpcResponse.fileName, data: grpcResponse.data }], grpcData.authToken);
+  assert.deepStrictEqual([reimported.importedCount, reimported.duplicateCount], [0, grpcBundle.notes.length]);
+
+  // Filters and the zip formats
+  const restArchived = await exportOverRest({ archived: 'true', format: 'markdown_zip' }, restData.authToken);
+  const grpcArchived = await exportOverGrpc({ archived: 'ARCHIVED_NOTES', format: 'MARKDOWN_ZIP' }, grpcData.authToken);
+  assert.deepStrictEqual([restArchived.status, restArchived.contentType, grpcArchived.contentType], [200, 'application/zip', 'application/zip']);
+  assert.deepStrictEqual([restArchived.data.subarray(0, 2).toString(), grpcArchived.data.subarray(0, 2).toString()], ['PK', 'PK']);
+  const site = await exportOverGrpc({ format: 'HTML_SITE' }, grpcData.authToken);
+  assert.ok(site.data.includes('index.html'));
+
+  // A filter no note matches gives an empty site
+  const empty = await exportOverGrpc({ format: 'HTML_SITE', tagIds: ['missing'] }, grpcData.authToken);
+  assert.ok(!empty.data.includes('notes/'));
+
+  // Invalid requests are refused before anything is streamed
+  assert.strictEqual((await exportOverRest({ format: 'pdf' }, restData.authToken)).status, 400);
+  assert.strictEqual((await exportOverRest({ tagMatch: 'some' }, restData.authToken)).status, 400);
+
+  console.log('✅ Export test passed');
+}
+
+// Stream a file to UploadAttachment in chunks of chunkSize bytes
+function uploadOverGrpc(noteId, fileName, data, token, chunkSize = 1024) {
+  const metadata = new grpc.Metadata();
+  metadata.add('authorization', `Bearer ${token}`);
+
+  return new Promise((resolve, reject) => {
+    const call = noteClient.uploadAttachment(metadata, (err, response) => (err ? reject(err) : resolve(response)));
+    for (let offset = 0; offset < data.length; offset += chunkSize) {
+      call.write({ noteId, fileName, data: data.subarray(offset, offset + chunkSize) });
+    }
+    call.end();
+  });
+}
+
+// Upload a file to POST /notes/:id/attachments as multipart/form-data
+async function uploadOverRest(noteId, fileName, data, token) {
+  const form = new FormData();
+  form.append('file', new Blob([data]), fileName);
+
+  const response = await fetch(`${REST_API_URL}/notes/${noteId}/attachments`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: form
+  });
+  return { status: response.status, etag: response.headers.get('etag'), body: await response.json() };
+}
+
+// Download an attachment from DownloadAttachment, joining the streamed
+// chunks
+function downloadOverGrpc(request, token) {
+  const metadata = new grpc.Metadata();
+  metadata.add('authorization', `Bearer ${token}`);
+
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    const call = noteClient.downloadAttachment(request, metadata);
+    call.on('data', message => messages.push(message));
+    call.on('error', reject);
+    call.on('end', () => resolve({
+      ...messages[0],
+      chunkCount: messages.length,
+      data: Buffer.concat(messages.map(message => message.data))
+    }));
+  });
+}
+
+// Download an attachment from GET /notes/:id/attachments/:attachmentId
+async function downloadOverRest(noteId, attachmentId, token, headers = {}, suffix = '') {
+  const response = await fetch(`${REST_API_URL}/notes/${noteId}/attachments/${attachmentId}${suffix}`, {
+    headers: { Authorization: `Bearer ${token}`, ...headers }
+  });
+  return { status: response.status, headers: response.headers, data: Buffer.from(await response.arrayBuffer()) };
+}
+
+// Test attaching files to notes
+async function testAttachments() {
+  console.log('\n=== Testing Attachments ===');
+
+  // A PNG image larger than one chunk, so uploads and downloads stream
+  const width = 400;
+  const pixels = Buffer.alloc(width * 200 * 4);
+  for (let offset = 0; offset < pixels.length; offset += 4) {
+    pixels[offset] = (offset / 4) % width;
+    pixels[offset + 1] = Math.floor(offset / 4 / width);
+    pixels[offset + 3] = 255;
+  }
+  const image = encodePng({ width, height: 200, pixels });
+  assert.ok(image.length > 64 * 1024);
+
+  const rest = await uploadOverRest(restData.noteId, 'photo.png', image, restData.authToken);
+  const grpcResponse = await uploadOverGrpc(grpcData.noteId, 'photo.png', image, grpcData.authToken, 16 * 1024);
+  assert.strictEqual(rest.status, 201);
+  assert.strictEqual(rest.etag, `"${rest.body.note.version}"`);
+  compareResponses(rest.body.attachment, grpcResponse.attachment, ['fileName', 'contentType', 'size', 'sha256', 'width', 'height', 'thumbnailSha256']);
+  assert.deepStrictEqual(
+    [grpcResponse.attachment.contentType, grpcResponse.attachment.size, grpcResponse.attachment.width, grpcResponse.attachment.height],
+    ['image/png', image.length, 400, 200]
+  );
+  assert.deepStrictEqual(grpcResponse.note.attachments.map(({ id }) => id), [grpcResponse.attachment.id]);
+
+  // Notes list their attachments
+  const restNote = await callRestApi(`/notes/${restData.noteId}`, 'GET', null, restData.authToken);
+  assert.deepStrictEqual(restNote.attachments.map(({ id }) => id), [rest.body.attachment.id]);
+
+  // Whole files, shown inline as images
+  const restAttachmentId = rest.body.attachment.id;
+  const grpcAttachmentId = grpcResponse.attachment.id;
+  const restFile = await downloadOverRest(restData.noteId, restAttachmentId, restData.authToken);
+  const grpcFile = await downloadOverGrpc({ noteId: grpcData.noteId, attachmentId: grpcAttachmentId }, grpcData.authToken);
+  assert.strictEqual(restFile.status, 200);
+  assert.deepStrictEqual(
+    [restFile.headers.get('content-type'), restFile.headers.get('accept-ranges'), restFile.headers.get('x-content-type-options')],
+    ['image/png', 'bytes', 'nosniff']
+  );
+  assert.match(restFile.headers.get('content-disposition'), /^inline; filename="photo\.png"/);
+  assert.ok(restFile.data.equals(image));
+  assert.ok(grpcFile.data.equals(image));
+  assert.ok(grpcFile.chunkCount > 1);
+  assert.deepStrictEqual([grpcFile.contentType, grpcFile.size, grpcFile.offset], ['image/png', image.length, 0]);
+
+  // Parts of files
+  const restPart = await downloadOverRest(restData.noteId, restAttachmentId, restData.authToken, { Range: 'bytes=1-3' });
+  const grpcPart = await downloadOverGrpc({ noteId: grpcData.noteId, attachmentId: grpcAttachmentId, offset: 1, length: 3 }, grpcData.authToken);
+  assert.deepStrictEqual([restPart.status, restPart.headers.get('content-range')], [206, `bytes 1-3/${image.length}`]);
+  assert.deepStrictEqual([restPart.data.toString('latin1'), grpcPart.data.toString('latin1'), grpcPart.offset], ['PNG', 'PNG', 1]);
+  const restTail = await downloadOverRest(restData.noteId, restAttachmentId, restData.authToken, { Range: 'bytes=-12' });
+  assert.ok(restTail.data.equals(image.subarray(-12)));
+
+  const restOutOfRange = await downloadOverRest(restData.noteId, restAttachmentId, restData.authToken, { Range: `bytes=${image.length}-` });
+  assert.strictEqual(restOutOfRange.status, 416);
+  await assert.rejects(
+    downloadOverGrpc({ noteId: grpcData.noteId, attachmentId: grpcAttachmentId, offset: image.length }, grpcData.authToken),
+    err => err.code === grpc.status.OUT_OF_RANGE
+  );
+
+  // Thumbnails
+  const restThumbnail = await downloadOverRest(restData.noteId, restAttachmentId, restData.authToken, {}, '/thumbnail');
+  const grpcThumbnail = await downloadOverGrpc({ noteId: grpcData.noteId, attachmentId: grpcAttachmentId, thumbnail: true }, grpcData.authToken);
+  assert.deepStrictEqual([restThumbnail.status, restThumbnail.headers.get('content-type')], [200, 'image/png']);
+  assert.deepStrictEqual([restThumbnail.data.readUInt32BE(16), restThumbnail.data.readUInt32BE(20)], [256, 128]);
+  assert.ok(grpcThumbnail.data.equals(restThumbnail.data));
+
+  // Markup is served as text to download, never as a page
+  const page = await uploadOverRest(restData.noteId, 'page.html', Buffer.from('<script>alert(1)</script>'), restData.authToken);
+  const pageFile = await downloadOverRest(restData.noteId, page.body.attachment.id, restData.authToken);
+  assert.strictEqual(pageFile.headers.get('content-type'), 'text/plain; charset=utf-8');
+  assert.match(pageFile.headers.get('content-disposition'), /^attachment; filename="page\.html"/);
+
+  // Other users can't see attachments; uploads need exactly one file
+  const restForbidden = await downloadOverRest(restData.noteId, restAttachmentId, grpcData.authToken);
+  assert.strictEqual(restForbidden.status, 403);
+  const form = new FormData();
+  const noFile = await fetch(`${REST_API_URL}/notes/${restData.noteId}/attachments`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${restData.authToken}` },
+    body: form
+  });
+  assert.strictEqual(noFile.status, 400);
+
+  // Removing attachments, with If-Match over REST
+  const restStale = await callRestApiWithStatus(
+    `/notes/${restData.noteId}/attachments/${restAttachmentId}`, 'DELETE', null, restData.authToken, { 'If-Match': '"1"' }
+  );
+  assert.deepStrictEqual([restStale.status, restStale.body.reason], [409, 'VERSION_MISMATCH']);
+  const restDeleted = await callRestApi(`/notes/${restData.noteId}/attachments/${restAttachmentId}`, 'DELETE', null, restData.authToken);
+  await callRestApi(`/notes/${restData.noteId}/attachments/${page.body.attachment.id}`, 'DELETE', null, restData.authToken);
+  const grpcDeleted = await callGrpcApi(noteClient, 'deleteAttachment', { noteId: grpcData.noteId, attachmentId: grpcAttachmentId }, grpcData.authToken);
+  assert.deepStrictEqual(restDeleted.attachments.map(({ id }) => id), [page.body.attachment.id]);
+  assert.deepStrictEqual(grpcDeleted.note.attachments, []);
+  assert.strictEqual((await downloadOverRest(restData.noteId, restAttachmentId, restData.authToken)).status, 404);
+
+  console.log('✅ Attachments test passed');
+}
+
+// Test nested tags
+async function testNestedTags() {
+  console.log('\n=== Testing Nested Tags ===');
+
+  // projects > clients > acme on both APIs
+  const restProjects = await callRestApi('/tags', 'POST', { name: 'Projects' }, restData.authToken);
+  const restClients = await callRestApi('/tags', 'POST', { name: 'Clients', parentId: restProjects.id }, restData.authToken);
+  const restAcme = await callRestApi('/tags', 'POST', { name: 'Acme', parentId: restClients.id }, restData.authToken);
+  const grpcProjects = (await callGrpcApi(tagClient, 'createTag', { name: 'Projects' }, grpcData.authToken)).tag;
+  const grpcClients = (await callGrpcApi(tagClient, 'createTag', { name: 'Clients', parentId: grpcProjects.id }, grpcData.authToken)).tag;
+  const grpcAcme = (await callGrpcApi(tagClient, 'createTag', { name: 'Acme', parentId: grpcClients.id }, grpcData.authToken)).tag;
+  compareResponses(restAcme, grpcAcme, ['name']);
+  assert.deepStrictEqual([restAcme.parentId, grpcAcme.parentId, grpcProjects.parentId], [restClients.id, grpcClients.id, '']);
+
+  // Trees
+  const restTree = (await callRestApi('/tags?tree=true&orderBy=name&pageSize=1000', 'GET', null, restData.authToken)).tree;
+  const grpcTree = (await callGrpcApi(tagClient, 'getTags', { tree: true, orderBy: 'name', pageSize: 1000 }, grpcData.authToken)).tree;
+  const restNode = restTree.find(node => node.tag.id === restProjects.id);
+  const grpcNode = grpcTree.find(node => node.tag.id === grpcProjects.id);
+  assert.deepStrictEqual(
+    [restNode.children[0].tag.name, restNode.children[0].children[0].tag.name],
+    [grpcNode.children[0].tag.name, grpcNode.children[0].children[0].tag.name]
+  );
+  assert.deepStrictEqual(grpcNode.children[0].children[0].tag.id, grpcAcme.id);
+  assert.ok(!restTree.some(node => node.tag.id === restAcme.id));
+
+  // Filtering by a tag and the tags under it
+  const restNote = await callRestApi('/notes', 'POST', { title: 'Acme kickoff', tagIds: [restAcme.id] }, restData.authToken);
+  const grpcNote = (await callGrpcApi(noteClient, 'createNote', { title: 'Acme kickoff', tagIds: [grpcAcme.id] }, grpcData.authToken)).note;
+  const restOnly = await callRestApi(`/notes?tagId=${restProjects.id}`, 'GET', null, restData.authToken);
+  const restNested = await callRestApi(`/notes?tagId=${restProjects.id}&includeDescendants=true`, 'GET', null, restData.authToken);
+  const grpcNested = await callGrpcApi(noteClient, 'getNotes', { tagId: grpcProjects.id, includeDescendants: true }, grpcData.authToken);
+  assert.deepStrictEqual(restOnly.notes, []);
+  assert.deepStrictEqual([restNested.notes.map(note => note.id), grpcNested.notes.map(note => note.id)], [[restNote.id], [grpcNote.id]]);
+
+  // Cycles are refused; moving to the top takes an explicit empty parent
+  const restCycle = await callRestApiWithStatus(`/tags/${restProjects.id}`, 'PATCH', { parentId: restAcme.id }, restData.authToken);
+  assert.deepStrictEqual([restCycle.status, restCycle.body.reason], [400, 'TAG_CYCLE']);
+  await assert.rejects(
+    callGrpcApi(tagClient, 'updateTag', { id: grpcProjects.id, parentId: grpcAcme.id }, grpcData.authToken),
+    err => err.code === grpc.status.FAILED_PRECONDITION && decodeErrorDetails(err.metadata).reason === 'TAG_CYCLE'
+  );
+  const restTop = await callRestApi(`/tags/${restAcme.id}`, 'PATCH', { parentId: null }, restData.authToken);
+  const grpcTop = (await callGrpcApi(tagClient, 'updateTag', {
+    id: grpcAcme.id, parentId: '', updateMask: { paths: ['parentId'] }
+  }, grpcData.authToken)).tag;
+  assert.deepStrictEqual([restTop.parentId, grpcTop.parentId], ['', '']);
+  await callRestApi(`/tags/${restAcme.id}`, 'PATCH', { parentId: restClients.id }, restData.authToken);
+  await callGrpcApi(tagClient, 'updateTag', { id: grpcAcme.id, parentId: grpcClients.id }, grpcData.authToken);
+
+  // Deleting with children moved up, then with children deleted too
+  const restReparented = await callRestApi(`/tags/${restClients.id}`, 'DELETE', null, restData.authToken);
+  assert.deepStrictEqual(restReparented.deletedTagIds, [restClients.id]);
+  assert.strictEqual((await callRestApi(`/tags/${restAcme.id}`, 'GET', null, restData.authToken)).parentId, restProjects.id);
+  const restCascaded = await callRestApi(`/tags/${restProjects.id}?children=cascade`, 'DELETE', null, restData.authToken);
+  const grpcCascaded = await callGrpcApi(tagClient, 'deleteTag', { id: grpcProjects.id, children: 'CASCADE' }, grpcData.authToken);
+  assert.deepStrictEqual(restCascaded.deletedTagIds.sort(), [restProjects.id, restAcme.id].sort());
+  assert.deepStrictEqual(grpcCascaded.deletedTagIds.sort(), [grpcProjects.id, grpcClients.id, grpcAcme.id].sort());
+  assert.deepStrictEqual((await callGrpcApi(noteClient, 'getNote', { id: grpcNote.id }, grpcData.authToken)).note.tagIds, []);
+
+  for (let i = 0; i < 2; i++) {
+    await callRestApi(`/notes/${restNote.id}`, 'DELETE', null, restData.authToken);
+    await callGrpcApi(noteClient, 'deleteNote', { id: grpcNote.id }, grpcData.authToken);
+  }
+
+  console.log('✅ Nested Tags test passed');
+}
+
+// Test tag name uniqueness, tag id checks on notes, merges and note counts
+async function testMergeTags() {
+  console.log('\n=== Testing Tag Merges ===');
+
+  const restWork = await callRestApi('/tags', 'POST', { name: 'Work' }, restData.authToken);
+  const restJob = await callRestApi('/tags', 'POST', { name: 'Job' }, restData.authToken);
+  const grpcWork = (await callGrpcApi(tagClient, 'createTag', { name: 'Work' }, grpcData.authToken)).tag;
+  const grpcJob = (await callGrpcApi(tagClient, 'createTag', { name: 'Job' }, grpcData.authToken)).tag;
+
+  // Names are unique among sibling tags, whatever their case
+  const restTaken = await callRestApiWithStatus('/tags', 'POST', { name: 'work' }, restData.authToken);
+  assert.deepStrictEqual([restTaken.status, restTaken.body.reason], [409, 'TAG_NAME_TAKEN']);
+  await assert.rejects(
+    callGrpcApi(tagClient, 'updateTag', { id: grpcJob.id, name: ' WORK' }, grpcData.authToken),
+    err => err.code === grpc.status.ALREADY_EXISTS && decodeErrorDetails(err.metadata).reason === 'TAG_NAME_TAKEN'
+  );
+
+  // Notes only take the user's own tags
+  const restForeign = await callRestApiWithStatus('/notes', 'POST', { title: 'Foreign', tagIds: [grpcWork.id] }, restData.authToken);
+  assert.deepStrictEqual([restForeign.status, restForeign.body.reason], [400, 'VALIDATION_FAILED']);
+  await assert.rejects(
+    callGrpcApi(noteClient, 'createNote', { title: 'Foreign', tagIds: [restWork.id] }, grpcData.authToken),
+    err => err.code === grpc.status.INVALID_ARGUMENT
+  );
+
+  const restNotes = [
+    await callRestApi('/notes', 'POST', { title: 'Standup', tagIds: [restWork.id] }, restData.authToken),
+    await callRestApi('/notes', 'POST', { title: 'Interview', tagIds: [restWork.id, restJob.id] }, restData.authToken)
+  ];
+  const grpcNotes = [
+    (await callGrpcApi(noteClient, 'createNote', { title: 'Standup', tagIds: [grpcWork.id] }, grpcData.authToken)).note,
+    (await callGrpcApi(noteClient, 'createNote', { title: 'Interview', tagIds: [grpcWork.id, grpcJob.id] }, grpcData.authToken)).note
+  ];
+
+  // Note counts
+  const restTags = (await callRestApi('/tags?pageSize=1000', 'GET', null, restData.authToken)).tags;
+  const grpcTags = (await callGrpcApi(tagClient, 'getTags', { pageSize: 1000 }, grpcData.authToken)).tags;
+  const countOf = (tags, id) => tags.find(tag => tag.id === id).noteCount;
+  assert.deepStrictEqual([countOf(restTags, restWork.id), countOf(restTags, restJob.id)], [2, 1]);
+  assert.deepStrictEqual([countOf(grpcTags, grpcWork.id), countOf(grpcTags, grpcJob.id)], [2, 1]);
+
+  // Merging Job into Work
+  const restMerged = await callRestApi(`/tags/${restWork.id}/merge`, 'POST', { sourceTagIds: [restJob.id] }, restData.authToken);
+  const grpcMerged = await callGrpcApi(tagClient, 'mergeTags', { targetTagId: grpcWork.id, sourceTagIds: [grpcJob.id] }, grpcData.authToken);
+  compareResponses(restMerged, grpcMerged, ['message', 'updatedNoteCount']);
+  assert.deepStrictEqual([restMerged.deletedTagIds, grpcMerged.deletedTagIds], [[restJob.id], [grpcJob.id]]);
+  assert.deepStrictEqual([restMerged.tag.noteCount, grpcMerged.tag.noteCount, grpcMerged.updatedNoteCount], [2, 2, 1]);
+  assert.deepStrictEqual((await callRestApi(`/notes/${restNotes[1].id}`, 'GET', null, restData.authToken)).tagIds, [restWork.id]);
+  assert.deepStrictEqual((await callGrpcApi(noteClient, 'getNote', { id: grpcNotes[1].id }, grpcData.authToken)).note.tagIds, [grpcWork.id]);
+
+  const restMissing = await callRestApiWithStatus(`/tags/${restWork.id}/merge`, 'POST', { sourceTagIds: [restJob.id] }, restData.authToken);
+  assert.deepStrictEqual([restMissing.status, restMissing.body.reason], [404, 'TAG_NOT_FOUND']);
+  await assert.rejects(
+    callGrpcApi(tagClient, 'mergeTags', { targetTagId: grpcWork.id, sourceTagIds: [] }, grpcData.authToken),
+    err => err.code === grpc.status.INVALID_ARGUMENT
+  );
+
+  for (let i = 0; i < 2; i++) {
+    for (const [restNote, grpcNote] of restNotes.map((note, index) => [note, grpcNotes[index]])) {
+      await callRestApi(`/notes/${restNote.id}`, 'DELETE', null, restData.authToken);
+      await callGrpcApi(noteClient, 'deleteNote', { id: grpcNote.id }, grpcData.authToken);
+    }
+  }
+  await callRestApi(`/tags/${restWork.id}`, 'DELETE', null, restData.authToken);
+  await callGrpcApi(tagClient, 'deleteTag', { id: grpcWork.id }, grpcData.authToken);
+
+  console.log('✅ Tag Merges test passed');
+}
+
 // Test delete note
 async function testDeleteNote() {
   console.log('\n=== Testing Delete Note ===');
@@ -348,7 +1991,7 @@ async function testDeleteNote() {
   const grpcResponse = await callGrpcApi(noteClient, 'deleteNote', {
     id: grpcData.noteId,
     userId: grpcData.userId
-  });
+  }, grpcData.authToken);
   console.log('gRPC Delete Note Response:', JSON.stringify(grpcResponse, null, 2));
   
   // Compare responses
@@ -370,7 +2013,7 @@ async function testDeleteTag() {
   const grpcResponse = await callGrpcApi(tagClient, 'deleteTag', {
     id: grpcData.tagId,
     userId: grpcData.userId
-  });
+  }, grpcData.authToken);
   console.log('gRPC Delete Tag Response:', JSON.stringify(grpcResponse, null, 2));
   
   // Compare responses
@@ -391,7 +2034,7 @@ async function testLogout() {
   // gRPC API call
   const grpcResponse = await callGrpcApi(authClient, 'logout', {
     token: grpcData.authToken
-  });
+  }, grpcData.authToken);
   console.log('gRPC Logout Response:', JSON.stringify(grpcResponse, null, 2));
   
   // Compare responses
@@ -401,6 +2044,147 @@ async function testLogout() {
   console.log('✅ Logout test passed');
 }
 
+// Test that gRPC calls without a valid token are rejected
+async function testGrpcAuthentication() {
+  console.log('\n=== Testing gRPC Authentication ===');
+
+  // Missing token
+  await assert.rejects(
+    callGrpcApi(noteClient, 'getNotes', { userId: grpcData.userId }),
+    err => err.code === grpc.status.UNAUTHENTICATED
+  );
+
+  // Invalid token
+  await assert.rejects(
+    callGrpcApi(noteClient, 'getNotes', { userId: grpcData.userId }, 'not-a-token'),
+    err => err.code === grpc.status.UNAUTHENTICATED
+  );
+
+  // A foreign userId in the request is ignored in favour of the token's user
+  const grpcResponse = await callGrpcApi(noteClient, 'getNotes', { userId: restData.userId }, grpcData.authToken);
+  assert(grpcResponse.notes.every(note => note.userId === grpcData.userId), 'gRPC API should only return the caller\'s notes');
+
+  // Another user's account cannot be read
+  await assert.rejects(
+    callGrpcApi(userClient, 'getUser', { id: restData.userId }, grpcData.authToken),
+    err => err.code === grpc.status.PERMISSION_DENIED
+  );
+
+  console.log('✅ gRPC Authentication test passed');
+}
+
+// Test that REST resources of another user are forbidden
+async function testRestAuthorization() {
+  console.log('\n=== Testing REST Authorization ===');
+
+  // Register a second user to act as the intruder
+  const intruder = await callRestApi('/register', 'POST', {
+    username: `intruder_${Date.now()}`,
+    password: 'password123'
+  });
+
+  const requests = [
+    [`/notes?userId=${restData.userId}`, 'GET', null],
+    [`/notes/${restData.noteId}`, 'GET', null],
+    [`/notes/${restData.noteId}`, 'PUT', { title: 'Hijacked' }],
+    [`/notes/${restData.noteId}`, 'DELETE', null],
+    ['/notes', 'POST', { title: 'Planted', content: 'Planted', userId: restData.userId }],
+    [`/users/${restData.userId}`, 'GET', null],
+    [`/users/${restData.userId}`, 'PUT', { username: 'hijacked' }],
+    [`/users/${restData.userId}`, 'DELETE', null]
+  ];
+
+  for (const [endpoint, method, body] of requests) {
+    const { status } = await callRestApiWithStatus(endpoint, method, body, intruder.token);
+    assert.strictEqual(status, 403, `${method} ${endpoint} should be forbidden`);
+  }
+
+  // The owner still has access
+  const { status } = await callRestApiWithStatus(`/notes/${restData.noteId}`, 'GET', null, restData.authToken);
+  assert.strictEqual(status, 200, 'Owner should be able to read their note');
+
+  // Tokens in the query string are only taken by the event streams
+  const queryToken = await callRestApiWithStatus(`/notes/${restData.noteId}?access_token=${restData.authToken}`, 'GET');
+  assert.deepStrictEqual([queryToken.status, queryToken.body.reason], [401, 'TOKEN_INVALID']);
+
+  await callRestApi(`/users/${intruder.user.id}`, 'DELETE', null, intruder.token);
+
+  console.log('✅ REST Authorization test passed');
+}
+
+// Test that failures map to the same reason on both APIs: an HTTP status
+// with a problem document over REST, a status code with details over gRPC
+async function testErrors() {
+  console.log('\n=== Testing Errors ===');
+
+  const cases = [
+    {
+      name: 'missing note',
+      rest: ['/notes/missing-note', 'GET', null, restData.authToken],
+      grpc: [noteClient, 'getNote', { id: 'missing-note' }, grpcData.authToken],
+      status: 404,
+      code: grpc.status.NOT_FOUND,
+      reason: 'NOTE_NOT_FOUND'
+    },
+    {
+      name: 'duplicate username',
+      rest: ['/register', 'POST', testUser],
+      grpc: [authClient, 'register', grpcTestUser],
+      status: 409,
+      code: grpc.status.ALREADY_EXISTS,
+      reason: 'USERNAME_TAKEN'
+    },
+    {
+      name: 'wrong password',
+      rest: ['/login', 'POST', { ...testUser, password: 'wrong' }],
+      grpc: [authClient, 'login', { ...grpcTestUser, password: 'wrong' }],
+      status: 401,
+      code: grpc.status.UNAUTHENTICATED,
+      reason: 'INVALID_CREDENTIALS'
+    },
+    {
+      name: 'missing fields',
+      rest: ['/register', 'POST', { username: 'someone' }],
+      grpc: [authClient, 'register', { username: 'someone' }],
+      status: 400,
+      code: grpc.status.INVALID_ARGUMENT,
+      reason: 'VALIDATION_FAILED',
+      violations: [{ field: 'password', description: 'password is required' }]
+    }
+  ];
+
+  for (const { name, rest, grpc: grpcCall, status, code, reason, violations = [] } of cases) {
+    const restResponse = await callRestApiWithStatus(...rest);
+    assert.strictEqual(restResponse.status, status, `REST ${name} status`);
+    assert(restResponse.contentType.startsWith('application/problem+json'), `REST ${name} content type`);
+    assert.strictEqual(restResponse.body.status, status);
+    assert.strictEqual(restResponse.body.reason, reason, `REST ${name} reason`);
+    assert.deepStrictEqual(restResponse.body.violations, violations, `REST ${name} violations`);
+
+    let grpcError;
+    await callGrpcApi(...grpcCall).catch(err => { grpcError = err; });
+    assert(grpcError, `gRPC ${name} should fail`);
+    assert.strictEqual(grpcError.code, code, `gRPC ${name} status code`);
+    assert.strictEqual(grpcError.details, restResponse.body.detail, `gRPC ${name} message`);
+    assert.deepStrictEqual(decodeErrorDetails(grpcError.metadata), { reason, violations }, `gRPC ${name} details`);
+  }
+
+  // Unparsable bodies and unknown routes are problem documents as well
+  const response = await fetch(`${REST_API_URL}/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"username": '
+  });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).reason, 'MALFORMED_REQUEST');
+
+  const unknown = await callRestApiWithStatus('/unknown', 'GET', null, restData.authToken);
+  assert.strictEqual(unknown.status, 404);
+  assert.strictEqual(unknown.body.reason, 'ROUTE_NOT_FOUND');
+
+  console.log('✅ Errors test passed');
+}
+
 // Run all tests
 async function runTests() {
   try {
@@ -408,9 +2192,32 @@ async function runTests() {
     await testLogin();
     await testCreateNote();
     await testGetNotes();
+    await testNoteDefaults();
+    await testGrpcAuthentication();
+    await testRestAuthorization();
+    await testErrors();
     await testCreateTag();
     await testGetTags();
+    await testPagination();
+    await testSearch();
+    await testWatch();
+    await testLiveEvents();
+    await testSharedStorage();
     await testUpdateNote();
+    await testPartialUpdate();
+    await testChecklist();
+    await testNoteOrder();
+    await testReminders();
+    await testTrash();
+    await testSharing();
+    await testRevisions();
+    await testConcurrency();
+    await testBatch();
+    await testImport();
+    await testExport();
+    await testAttachments();
+    await testNestedTags();
+    await testMergeTags();
     await testDeleteNote();
     await testDeleteTag();
     await testLogout();
@@ -17,6 +17,42 @@ else
   fi
 fi
 
+# Run the storage backend tests
+echo "Running storage backend tests..."
+node tests/storage.js || exit 1
+
+# Run the reminder scheduler tests
+echo "Running reminder tests..."
+node tests/reminders.js || exit 1
+
+# Run the note order tests
+echo "Running note order tests..."
+node tests/order.js || exit 1
+
+# Run the revision history tests
+echo "Running revision tests..."
+node tests/revisions.js || exit 1
+
+# Run the search index tests
+echo "Running search tests..."
+node tests/search.js || exit 1
+
+# Run the note import tests
+echo "Running import tests..."
+node tests/import.js || exit 1
+
+# Run the note export tests
+echo "Running export tests..."
+node tests/export.js || exit 1
+
+# Run the note attachment tests
+echo "Running attachment tests..."
+node tests/attachments.js || exit 1
+
+# Run the nested tag tests
+echo "Running tag tests..."
+node tests/tags.js || exit 1
+
 # Check if gRPC server is running
 echo "Checking if gRPC server is running..."
 if ! nc -z localhost 50051 &>/dev/null; then